@@ -0,0 +1,244 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../services/storage');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+const PDF = Buffer.from('%PDF-1.4\n% test file\n');
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Attachment.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Attachment.createIndexes();
+});
+
+// Don't leave uploaded test files in storage
+afterEach(async () => {
+  await Attachment.removeWithFiles({});
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Task attachments', () => {
+  let token;
+  let taskId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to upload a file
+  const upload = (content = PDF, options = { filename: 'Report.pdf', contentType: 'application/pdf' }, authToken = token, id = taskId) => {
+    return request(app)
+      .post(`/tasks/${id}/attachments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .attach('file', content, options);
+  };
+
+  beforeEach(async () => {
+    const { token: newToken } = await setupUser();
+    token = newToken;
+
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Write report' })
+      .expect(201);
+    taskId = response.body._id;
+  });
+
+  describe('POST /tasks/:id/attachments', () => {
+    it('should store the file and describe it', async () => {
+      const response = await upload().expect(201);
+
+      expect(response.body).toMatchObject({
+        task: taskId,
+        filename: 'Report.pdf',
+        mimeType: 'application/pdf',
+        size: PDF.length
+      });
+      expect(response.body.storedName).toBeUndefined();
+
+      const attachment = await Attachment.findById(response.body._id);
+      expect(attachment.storedName).not.toContain('Report');
+      const chunks = [];
+      for await (const chunk of await getStorage().read(attachment.storageKey())) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks)).toEqual(PDF);
+    });
+
+    it('should accept images', async () => {
+      await upload(Buffer.from('fake png'), { filename: 'screenshot.png', contentType: 'image/png' }).expect(201);
+    });
+
+    it('should reject types that aren\'t allowed', async () => {
+      const response = await upload(Buffer.from('<svg/>'), { filename: 'logo.svg', contentType: 'image/svg+xml' })
+        .expect(400);
+
+      expect(response.body.error).toMatch(/can't be attached/);
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+
+    it('should reject a file whose type doesn\'t match its extension', async () => {
+      await upload(Buffer.from('<html>'), { filename: 'notes.pdf', contentType: 'text/html' }).expect(400);
+    });
+
+    it('should reject files over the size limit', async () => {
+      const big = Buffer.alloc(10 * 1024 * 1024 + 1);
+
+      const response = await upload(big).expect(400);
+
+      expect(response.body.error).toBe('File is too large (at most 10 MB)');
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+
+    it('should require a file', async () => {
+      await request(app)
+        .post(`/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .field('note', 'no file')
+        .expect(400);
+    });
+
+    it('should not attach to another user\'s task', async () => {
+      const { token: otherToken } = await setupUser(testUser2);
+
+      await upload(PDF, { filename: 'Report.pdf', contentType: 'application/pdf' }, otherToken).expect(404);
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /tasks/:id/attachments', () => {
+    it('should list the task\'s files oldest first', async () => {
+      await upload().expect(201);
+      await upload(Buffer.from('png'), { filename: 'b.png', contentType: 'image/png' }).expect(201);
+
+      const response = await request(app)
+        .get(`/tasks/${taskId}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map((attachment) => attachment.filename)).toEqual(['Report.pdf', 'b.png']);
+    });
+  });
+
+  describe('GET /tasks/:id/attachments/:attachmentId', () => {
+    it('should download the file with its type and name', async () => {
+      const created = await upload().expect(201);
+
+      const response = await request(app)
+        .get(`/tasks/${taskId}/attachments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="Report.pdf"');
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.body).toEqual(PDF);
+    });
+
+    it('should require authentication', async () => {
+      const created = await upload().expect(201);
+
+      await request(app)
+        .get(`/tasks/${taskId}/attachments/${created.body._id}`)
+        .expect(401);
+    });
+
+    it('should not let another user download it', async () => {
+      const created = await upload().expect(201);
+      const { token: otherToken } = await setupUser(testUser2);
+
+      await request(app)
+        .get(`/tasks/${taskId}/attachments/${created.body._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Deleting', () => {
+    it('should delete the attachment and its file', async () => {
+      const created = await upload().expect(201);
+      const key = (await Attachment.findById(created.body._id)).storageKey();
+
+      await request(app)
+        .delete(`/tasks/${taskId}/attachments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await getStorage().exists(key)).toBe(false);
+    });
+
+    it('should delete files when their task is purged from the trash', async () => {
+      const created = await upload().expect(201);
+      const key = (await Attachment.findById(created.body._id)).storageKey();
+
+      await request(app)
+        .delete(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      // Trashed tasks keep their files, so restoring brings them back
+      expect(await getStorage().exists(key)).toBe(true);
+
+      await request(app)
+        .delete(`/tasks/trash/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await getStorage().exists(key)).toBe(false);
+    });
+
+    it('should delete files when the user is deleted', async () => {
+      const created = await upload().expect(201);
+      const key = (await Attachment.findById(created.body._id)).storageKey();
+
+      await request(app)
+        .delete('/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await getStorage().exists(key)).toBe(false);
+    });
+  });
+});
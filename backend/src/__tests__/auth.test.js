@@ -1,7 +1,10 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
+const sharp = require('sharp');
 const app = require('../app');
 const User = require('../models/User');
+const { getStorage } = require('../services/storage');
+const { avatarKey, removeAvatar, AVATAR_SIZES } = require('../services/avatars');
 
 // Test user data
 const testUser = {
@@ -194,4 +197,158 @@ describe('Auth Endpoints', () => {
         .expect(401);
     });
   });
+
+  describe('Avatars', () => {
+    let token;
+    let userId;
+
+    // A real picture, not square, in one colour
+    const makePicture = (background = { r: 200, g: 40, b: 40 }) => {
+      return sharp({ create: { width: 300, height: 200, channels: 3, background } }).png().toBuffer();
+    };
+
+    // supertest parser that keeps a response body as a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    const uploadAvatar = async (picture, filename = 'me.png', contentType = 'image/png') => {
+      return request(app)
+        .post('/users/me/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .attach('avatar', picture, { filename, contentType });
+    };
+
+    const storedSizes = async (avatar) => {
+      const found = await Promise.all(AVATAR_SIZES.map((size) => getStorage().exists(avatarKey(avatar, size))));
+      return AVATAR_SIZES.filter((size, index) => found[index]);
+    };
+
+    beforeEach(async () => {
+      const response = await request(app).post('/users/signup').send(testUser);
+      token = response.body.token;
+      userId = response.body.user._id;
+    });
+
+    // Don't leave test pictures in storage
+    afterEach(async () => {
+      const users = await User.find({ avatar: { $exists: true } });
+      await Promise.all(users.map((user) => removeAvatar(user.avatar)));
+    });
+
+    it('should store every size of an uploaded picture', async () => {
+      const response = await uploadAvatar(await makePicture()).expect(200);
+
+      expect(response.body.avatar).toMatch(new RegExp(`^${userId}-[0-9a-f]{16}$`));
+      expect((await User.findById(userId)).avatar).toBe(response.body.avatar);
+      expect(await storedSizes(response.body.avatar)).toEqual(AVATAR_SIZES);
+    });
+
+    it('should refuse a file that only claims to be an image', async () => {
+      const response = await uploadAvatar(Buffer.from('<svg onload="alert(1)"></svg>')).expect(400);
+
+      expect(response.body.error).toContain('not a JPEG, PNG, GIF or WebP image');
+      expect((await User.findById(userId)).avatar).toBeUndefined();
+    });
+
+    it('should serve a square WebP in the size asked for', async () => {
+      await uploadAvatar(await makePicture()).expect(200);
+
+      const response = await request(app)
+        .get(`/users/${userId}/avatar?size=32`)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+      expect(await sharp(response.body).metadata()).toMatchObject({ format: 'webp', width: 32, height: 32 });
+
+      const standard = await request(app)
+        .get(`/users/${userId}/avatar`)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect((await sharp(standard.body).metadata()).width).toBe(128);
+    });
+
+    it('should refuse a size that is not a number', async () => {
+      await request(app)
+        .get(`/users/${userId}/avatar?size=huge`)
+        .expect(400);
+    });
+
+    it('should let browsers keep a versioned URL, and check an unversioned one', async () => {
+      const { body: { avatar } } = await uploadAvatar(await makePicture()).expect(200);
+
+      const versioned = await request(app)
+        .get(`/users/${userId}/avatar?size=128&v=${avatar}`)
+        .expect(200);
+
+      expect(versioned.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      expect(versioned.headers.etag).toBe(`"${avatar}-128"`);
+
+      const plain = await request(app)
+        .get(`/users/${userId}/avatar?size=128`)
+        .expect(200);
+
+      expect(plain.headers['cache-control']).toBe('public, no-cache');
+
+      await request(app)
+        .get(`/users/${userId}/avatar?size=128`)
+        .set('If-None-Match', plain.headers.etag)
+        .expect(304);
+    });
+
+    it('should replace the old sizes with a new picture, under a new name', async () => {
+      const first = await uploadAvatar(await makePicture()).expect(200);
+      const second = await uploadAvatar(await makePicture({ r: 40, g: 40, b: 200 })).expect(200);
+
+      expect(second.body.avatar).not.toBe(first.body.avatar);
+      expect(await storedSizes(first.body.avatar)).toEqual([]);
+      expect(await storedSizes(second.body.avatar)).toEqual(AVATAR_SIZES);
+
+      // An old versioned URL no longer claims to be the current picture
+      const response = await request(app)
+        .get(`/users/${userId}/avatar?v=${first.body.avatar}`)
+        .expect(200);
+
+      expect(response.headers['cache-control']).toBe('public, no-cache');
+    });
+
+    it('should delete every size', async () => {
+      const { body: { avatar } } = await uploadAvatar(await makePicture()).expect(200);
+
+      await request(app)
+        .delete('/users/me/avatar')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await storedSizes(avatar)).toEqual([]);
+      await request(app).get(`/users/${userId}/avatar`).expect(404);
+    });
+
+    it('should convert avatars uploaded before pictures were processed', async () => {
+      const legacy = `${userId}-1700000000000.png`;
+      await getStorage().save(`avatars/${legacy}`, await makePicture());
+      await User.updateOne({ _id: userId }, { avatar: legacy });
+
+      expect(await User.convertLegacyAvatars()).toBe(1);
+
+      const { avatar } = await User.findById(userId);
+      expect(avatar).toMatch(new RegExp(`^${userId}-[0-9a-f]{16}$`));
+      expect(await storedSizes(avatar)).toEqual(AVATAR_SIZES);
+      expect(await getStorage().exists(`avatars/${legacy}`)).toBe(false);
+    });
+
+    it('should drop an old avatar whose file is gone', async () => {
+      await User.updateOne({ _id: userId }, { avatar: `${userId}-1700000000000.png` });
+
+      await User.convertLegacyAvatars();
+
+      expect((await User.findById(userId)).avatar).toBeUndefined();
+    });
+  });
 });
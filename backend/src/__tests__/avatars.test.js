@@ -0,0 +1,124 @@
+const sharp = require('sharp');
+const {
+  AVATAR_SIZES,
+  detectImageType,
+  processAvatar,
+  isLegacyAvatar,
+  pickAvatarSize
+} = require('../services/avatars');
+
+// A solid-colour test image in the given format
+const makeImage = (width, height, format, background = { r: 200, g: 40, b: 40 }) => {
+  return sharp({
+    create: { width, height, channels: 3, background }
+  })[format]().toBuffer();
+};
+
+describe('detectImageType', () => {
+  test('should recognise JPEG, PNG, GIF and WebP by their first bytes', async () => {
+    expect(detectImageType(await makeImage(4, 4, 'jpeg'))).toBe('jpeg');
+    expect(detectImageType(await makeImage(4, 4, 'png'))).toBe('png');
+    expect(detectImageType(await makeImage(4, 4, 'gif'))).toBe('gif');
+    expect(detectImageType(await makeImage(4, 4, 'webp'))).toBe('webp');
+  });
+
+  test('should not go by anything but the content', () => {
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+    expect(detectImageType(Buffer.from('%PDF-1.4'))).toBeNull();
+    expect(detectImageType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('processAvatar', () => {
+  test('should make a square WebP image in every size', async () => {
+    const { images } = await processAvatar(await makeImage(300, 200, 'png'));
+
+    expect(Object.keys(images).map(Number)).toEqual(AVATAR_SIZES);
+    for (const size of AVATAR_SIZES) {
+      const metadata = await sharp(images[size]).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: size, height: size });
+    }
+  });
+
+  test('should turn photos upright and drop their EXIF data', async () => {
+    // 400 x 200 as stored, but "rotate 90°" - so 200 x 400 when shown
+    const photo = await sharp({
+      create: { width: 400, height: 200, channels: 3, background: { r: 0, g: 0, b: 0 } }
+    })
+      .composite([{
+        // White on the top half as stored, which is the right once turned
+        input: { create: { width: 400, height: 100, channels: 3, background: { r: 255, g: 255, b: 255 } } },
+        left: 0,
+        top: 0
+      }])
+      .jpeg()
+      .withMetadata({ orientation: 6 })
+      .withExif({ IFD0: { Make: 'Test Camera' } })
+      .toBuffer();
+    expect((await sharp(photo).metadata()).orientation).toBe(6);
+
+    const { images } = await processAvatar(photo);
+    const metadata = await sharp(images[512]).metadata();
+
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+
+    // Upright, the centre square is black on the left and white on the
+    // right (not the top and bottom, as it would be without turning)
+    const { data, info } = await sharp(images[32]).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+    expect(pixel(2, 16)).toBeLessThan(30);
+    expect(pixel(29, 16)).toBeGreaterThan(225);
+    expect(Math.abs(pixel(16, 2) - pixel(16, 29))).toBeLessThan(30);
+  });
+
+  test('should name the same picture the same way', async () => {
+    const picture = await makeImage(64, 64, 'png');
+
+    const first = await processAvatar(picture);
+    const second = await processAvatar(picture);
+    const other = await processAvatar(await makeImage(64, 64, 'png', { r: 40, g: 40, b: 200 }));
+
+    expect(first.hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(second.hash).toBe(first.hash);
+    expect(other.hash).not.toBe(first.hash);
+  });
+
+  test('should refuse files that are not images, whatever they are called', async () => {
+    await expect(processAvatar(Buffer.from('<svg></svg>'))).rejects.toThrow('not a JPEG, PNG, GIF or WebP image');
+  });
+
+  test('should refuse damaged images', async () => {
+    const damaged = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from('not really a jpeg')]);
+
+    await expect(processAvatar(damaged)).rejects.toThrow('could not be read');
+  });
+});
+
+describe('pickAvatarSize', () => {
+  test('should use the default size when none is asked for', () => {
+    expect(pickAvatarSize(undefined)).toBe(128);
+  });
+
+  test('should use the smallest stored size that is big enough', () => {
+    expect(pickAvatarSize('32')).toBe(32);
+    expect(pickAvatarSize('40')).toBe(128);
+    expect(pickAvatarSize('128')).toBe(128);
+    expect(pickAvatarSize('200')).toBe(512);
+    expect(pickAvatarSize('2000')).toBe(512);
+  });
+
+  test('should refuse sizes that are not a number of pixels', () => {
+    expect(pickAvatarSize('large')).toBeNull();
+    expect(pickAvatarSize('0')).toBeNull();
+    expect(pickAvatarSize('12.5')).toBeNull();
+    expect(pickAvatarSize(['32', '64'])).toBeNull();
+  });
+});
+
+describe('isLegacyAvatar', () => {
+  test('should tell files uploaded before processing from processed avatars', () => {
+    expect(isLegacyAvatar('64f1c0e5a1b2c3d4e5f60718-1712345678901.jpg')).toBe(true);
+    expect(isLegacyAvatar('64f1c0e5a1b2c3d4e5f60718-9f86d081884c7d65')).toBe(false);
+  });
+});
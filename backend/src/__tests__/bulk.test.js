@@ -0,0 +1,242 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Operation = require('../models/Operation');
+const Lock = require('../models/Lock');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Tag.collection.drop().catch(() => {});
+  await Project.collection.drop().catch(() => {});
+  await Operation.collection.drop().catch(() => {});
+  await Lock.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Tag.createIndexes();
+  await Project.createIndexes();
+  await Operation.createIndexes();
+  await Lock.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('POST /tasks/bulk', () => {
+  let token;
+  let userId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to create a task
+  const createTask = async (body, authToken = token) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(201);
+
+    return response.body;
+  };
+
+  // Helper function to send a bulk request
+  const bulk = (body, authToken = token) => {
+    return request(app)
+      .post('/tasks/bulk')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  beforeEach(async () => {
+    const { token: newToken, user } = await setupUser();
+    token = newToken;
+    userId = user._id;
+  });
+
+  it('should complete tasks by ID with per-item results', async () => {
+    const first = await createTask({ description: 'First' });
+    const second = await createTask({ description: 'Second', completed: true });
+    const missing = new mongoose.Types.ObjectId().toString();
+
+    const response = await bulk({ ids: [first._id, second._id, missing], action: 'complete' })
+      .expect(200);
+
+    expect(response.body.updated).toBe(1);
+    expect(response.body.results.map(result => result.status))
+      .toEqual(['updated', 'unchanged', 'not_found']);
+    expect(response.body.results[0].task.completed).toBe(true);
+    expect((await Task.findById(first._id)).completed).toBe(true);
+  });
+
+  it('should select tasks with a filter', async () => {
+    await createTask({ description: 'Work one', tags: ['work'] });
+    await createTask({ description: 'Work two', tags: ['work'] });
+    await createTask({ description: 'Home', tags: ['home'] });
+
+    const response = await bulk({ filter: { tags: ['work'] }, action: 'setPriority', value: 'high' })
+      .expect(200);
+
+    expect(response.body.updated).toBe(2);
+
+    const high = await Task.find({ priority: 'high' });
+    expect(high.map(task => task.description).sort()).toEqual(['Work one', 'Work two']);
+  });
+
+  it('should support every action', async () => {
+    const task = await createTask({ description: 'Everything' });
+    const project = await request(app)
+      .post('/projects')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Launch' });
+    const dueDate = new Date('2026-05-01T09:00:00.000Z');
+
+    await bulk({ ids: [task._id], action: 'setDueDate', value: dueDate }).expect(200);
+    await bulk({ ids: [task._id], action: 'moveProject', value: project.body._id }).expect(200);
+    await bulk({ ids: [task._id], action: 'addTag', value: '#Urgent' }).expect(200);
+    await bulk({ ids: [task._id], action: 'complete' }).expect(200);
+    await bulk({ ids: [task._id], action: 'uncomplete' }).expect(200);
+
+    const saved = await Task.findById(task._id);
+    expect(saved.dueDate.getTime()).toBe(dueDate.getTime());
+    expect(saved.project.toString()).toBe(project.body._id);
+    expect(saved.tags).toEqual(['urgent']);
+    expect(saved.completed).toBe(false);
+
+    // New tags are added to the user's tag list
+    expect(await Tag.exists({ owner: userId, name: 'urgent' })).not.toBeNull();
+
+    await bulk({ ids: [task._id], action: 'delete' }).expect(200);
+    expect((await Task.findById(task._id)).deletedAt).not.toBeNull();
+  });
+
+  it('should change nothing if any update is invalid', async () => {
+    const good = await createTask({ description: 'Good' });
+    const bad = await createTask({ description: 'Bad' });
+    await Task.updateOne({ _id: bad._id }, { description: '' });
+
+    const response = await bulk({ ids: [good._id, bad._id], action: 'complete' })
+      .expect(400);
+
+    expect(response.body.results.map(result => result.status)).toEqual(['updated', 'invalid']);
+    expect((await Task.findById(good._id)).completed).toBe(false);
+  });
+
+  it('should reject invalid values before changing anything', async () => {
+    const task = await createTask({ description: 'Task' });
+
+    await bulk({ ids: [task._id], action: 'setPriority', value: 'urgent' }).expect(400);
+    await bulk({ ids: [task._id], action: 'setPriority' }).expect(400);
+    await bulk({ ids: [task._id], action: 'explode' }).expect(400);
+    await bulk({ action: 'complete' }).expect(400);
+    await bulk({ ids: [task._id], filter: {}, action: 'complete' }).expect(400);
+
+    expect((await Task.findById(task._id)).priority).toBe('medium');
+  });
+
+  it('should not move tasks into another user\'s project', async () => {
+    const other = await setupUser(testUser2);
+    const project = await request(app)
+      .post('/projects')
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ name: 'Theirs' });
+    const task = await createTask({ description: 'Mine' });
+
+    const response = await bulk({ ids: [task._id], action: 'moveProject', value: project.body._id })
+      .expect(400);
+
+    expect(response.body.error).toBe('Project not found');
+  });
+
+  it('should not touch other users\' tasks', async () => {
+    const other = await setupUser(testUser2);
+    const theirs = await createTask({ description: 'Theirs' }, other.token);
+
+    const response = await bulk({ ids: [theirs._id], action: 'complete' }).expect(200);
+
+    expect(response.body.results[0].status).toBe('not_found');
+    expect((await Task.findById(theirs._id)).completed).toBe(false);
+
+    // A filter only ever matches the current user's tasks
+    await bulk({ filter: {}, action: 'complete' }).expect(200);
+    expect((await Task.findById(theirs._id)).completed).toBe(false);
+  });
+
+  it('should only run one bulk update per user at a time', async () => {
+    const task = await createTask({ description: 'Busy' });
+    await Lock.acquire(`bulk:${userId}`, 60 * 1000);
+
+    await bulk({ ids: [task._id], action: 'complete' }).expect(409);
+
+    await Lock.release(`bulk:${userId}`);
+    await bulk({ ids: [task._id], action: 'complete' }).expect(200);
+  });
+
+  it('should put everything back if a save fails part way', async () => {
+    const first = await createTask({ description: 'First' });
+    const second = await createTask({ description: 'Water plants', recurrence: { frequency: 'daily' } });
+
+    // The second task's own save fails, after its next occurrence was created
+    const save = Task.prototype.save;
+    const spy = jest.spyOn(Task.prototype, 'save').mockImplementation(function(...args) {
+      if (this._id.equals(second._id)) {
+        return Promise.reject(new Error('Database unavailable'));
+      }
+      return save.apply(this, args);
+    });
+
+    try {
+      await bulk({ ids: [first._id, second._id], action: 'complete' }).expect(400);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect((await Task.findById(first._id)).completed).toBe(false);
+    expect((await Task.findById(second._id)).completed).toBe(false);
+    expect(await Task.countDocuments({ owner: userId })).toBe(2);
+  });
+
+  it('should be undone in one operation', async () => {
+    const first = await createTask({ description: 'First' });
+    const second = await createTask({ description: 'Second' });
+
+    const response = await bulk({ ids: [first._id, second._id], action: 'delete' }).expect(200);
+
+    const undo = await request(app)
+      .post(`/operations/${response.body.operationId}/undo`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(undo.body.type).toBe('bulk');
+    expect(await Task.countDocuments({ deletedAt: null })).toBe(2);
+  });
+});
@@ -0,0 +1,282 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { notifyMentions } = require('../services/mentions');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Sam Lee',
+  email: 'sam@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Comment.collection.drop().catch(() => {});
+  await Notification.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Comment.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Task comments', () => {
+  let token;
+  let userId;
+  let taskId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to add a comment
+  const addComment = (body, authToken = token, id = taskId) => {
+    return request(app)
+      .post(`/tasks/${id}/comments`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ body });
+  };
+
+  beforeEach(async () => {
+    const { token: newToken, user } = await setupUser();
+    token = newToken;
+    userId = user._id;
+
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Write report' })
+      .expect(201);
+    taskId = response.body._id;
+  });
+
+  describe('POST /tasks/:id/comments', () => {
+    it('should add a markdown comment with its author', async () => {
+      const response = await addComment('  Looks **good**, see [notes](https://example.com)  ').expect(201);
+
+      expect(response.body.body).toBe('Looks **good**, see [notes](https://example.com)');
+      expect(response.body.author).toEqual({ _id: userId, name: 'Test User' });
+      expect(response.body.task).toBe(taskId);
+      expect(response.body.edits).toEqual([]);
+      expect(response.body.createdAt).toBeDefined();
+    });
+
+    it('should reject an empty comment', async () => {
+      await addComment('   ').expect(400);
+      await addComment('x'.repeat(5001)).expect(400);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should not comment on another user\'s task', async () => {
+      const { token: otherToken } = await setupUser(testUser2);
+
+      await addComment('Hi', otherToken).expect(404);
+    });
+
+    it('should not comment on a trashed task', async () => {
+      await request(app)
+        .delete(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await addComment('Hi').expect(404);
+    });
+
+    it('should record mentions of people on the task without notifying the author', async () => {
+      const response = await addComment('Note to self @test: check the numbers').expect(201);
+
+      expect(response.body.mentions).toEqual([{ _id: userId, name: 'Test User' }]);
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('should not mention people who can\'t see the task', async () => {
+      const { user: sam } = await setupUser(testUser2);
+
+      const response = await addComment('@sam can you check this?').expect(201);
+
+      expect(response.body.mentions).toEqual([]);
+      expect(await Notification.countDocuments({ owner: sam._id })).toBe(0);
+    });
+  });
+
+  describe('GET /tasks/:id/comments', () => {
+    it('should list the comments oldest first', async () => {
+      await addComment('First').expect(201);
+      await addComment('Second').expect(201);
+
+      const response = await request(app)
+        .get(`/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map((comment) => comment.body)).toEqual(['First', 'Second']);
+      expect(response.body[0].author.name).toBe('Test User');
+      expect(response.body[0].author.email).toBeUndefined();
+    });
+
+    it('should not list another user\'s comments', async () => {
+      await addComment('Private').expect(201);
+      const { token: otherToken } = await setupUser(testUser2);
+
+      await request(app)
+        .get(`/tasks/${taskId}/comments`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+
+    it('should answer 404 for an invalid task ID', async () => {
+      await request(app)
+        .get('/tasks/not-an-id/comments')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /tasks/:id/comments/:commentId', () => {
+    it('should keep the earlier text in the edit history', async () => {
+      const created = await addComment('Frist draft').expect(201);
+
+      const response = await request(app)
+        .patch(`/tasks/${taskId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'First draft' })
+        .expect(200);
+
+      expect(response.body.body).toBe('First draft');
+      expect(response.body.edits).toHaveLength(1);
+      expect(response.body.edits[0].body).toBe('Frist draft');
+      expect(response.body.edits[0].editedAt).toBeDefined();
+    });
+
+    it('should not add history when the text is unchanged', async () => {
+      const created = await addComment('Same').expect(201);
+
+      const response = await request(app)
+        .patch(`/tasks/${taskId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Same' })
+        .expect(200);
+
+      expect(response.body.edits).toEqual([]);
+    });
+
+    it('should only allow changing the body', async () => {
+      const created = await addComment('Hi').expect(201);
+
+      await request(app)
+        .patch(`/tasks/${taskId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ author: new mongoose.Types.ObjectId().toString() })
+        .expect(400);
+    });
+
+    it('should only let the author edit', async () => {
+      const created = await addComment('Hi').expect(201);
+      await Comment.updateOne({ _id: created.body._id }, { author: new mongoose.Types.ObjectId() });
+
+      await request(app)
+        .patch(`/tasks/${taskId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ body: 'Changed' })
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /tasks/:id/comments/:commentId', () => {
+    it('should delete the comment', async () => {
+      const created = await addComment('Hi').expect(201);
+
+      await request(app)
+        .delete(`/tasks/${taskId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should answer 404 for a comment on another task', async () => {
+      const created = await addComment('Hi').expect(201);
+      const other = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Other' })
+        .expect(201);
+
+      await request(app)
+        .delete(`/tasks/${other.body._id}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should delete comments when their task is purged from the trash', async () => {
+      await addComment('Hi').expect(201);
+
+      await request(app)
+        .delete(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .delete(`/tasks/trash/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should delete comments when the user is deleted', async () => {
+      await addComment('Hi').expect(201);
+
+      await request(app)
+        .delete('/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Mention notifications', () => {
+    // Only the owner can comment today, so another reader is stood in for
+    it('should notify the owner when someone else mentions them, once', async () => {
+      const { user: sam } = await setupUser(testUser2);
+      const task = await Task.findById(taskId);
+      const comment = new Comment({ body: '@test please check', task: taskId, owner: userId, author: sam._id });
+      comment.mentions = [task.owner];
+
+      await notifyMentions(comment, task, { _id: new mongoose.Types.ObjectId(sam._id), name: 'Sam Lee' });
+      await notifyMentions(comment, task, { _id: new mongoose.Types.ObjectId(sam._id), name: 'Sam Lee' }, [task.owner]);
+
+      const notifications = await Notification.find({ owner: userId });
+      expect(notifications.map(notification => notification.toObject())).toMatchObject([
+        { type: 'mention', message: 'Sam Lee mentioned you on "Write report"', task: task._id }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { taskETag, listETag, ifMatchAllows, versionFilter } = require('../utils/etag');
+
+// These tests don't need a database: ETags are built from plain task fields
+
+describe('taskETag', () => {
+  it('should quote the task\'s syncSeq', () => {
+    expect(taskETag({ syncSeq: 42 })).toBe('"42"');
+    expect(taskETag({})).toBe('"0"');
+  });
+});
+
+describe('listETag', () => {
+  const tasks = [{ _id: 'a', syncSeq: 3 }, { _id: 'b', syncSeq: 5 }];
+
+  it('should stay the same for the same tasks at the same versions', () => {
+    expect(listETag('u1', { limit: '2' }, tasks, 2)).toBe(listETag('u1', { limit: '2' }, [...tasks], 2));
+    expect(listETag('u1', { limit: '2' }, tasks, 2)).toMatch(/^"[\w-]+"$/);
+  });
+
+  it('should change with a version, the total, the query or the user', () => {
+    const etag = listETag('u1', { limit: '2' }, tasks, 2);
+
+    expect(listETag('u1', { limit: '2' }, [tasks[0], { _id: 'b', syncSeq: 6 }], 2)).not.toBe(etag);
+    expect(listETag('u1', { limit: '2' }, tasks, 3)).not.toBe(etag);
+    expect(listETag('u1', { limit: '3' }, tasks, 2)).not.toBe(etag);
+    expect(listETag('u2', { limit: '2' }, tasks, 2)).not.toBe(etag);
+  });
+});
+
+describe('ifMatchAllows', () => {
+  it('should allow anything without a header, or with "*"', () => {
+    expect(ifMatchAllows(undefined, '"42"')).toBe(true);
+    expect(ifMatchAllows('*', '"42"')).toBe(true);
+  });
+
+  it('should need the current ETag in the list', () => {
+    expect(ifMatchAllows('"42"', '"42"')).toBe(true);
+    expect(ifMatchAllows('"41", "42"', '"42"')).toBe(true);
+    expect(ifMatchAllows('"41"', '"42"')).toBe(false);
+    expect(ifMatchAllows('42', '"42"')).toBe(false);
+  });
+
+  it('should never match weak ETags', () => {
+    expect(ifMatchAllows('W/"42"', '"42"')).toBe(false);
+  });
+});
+
+describe('versionFilter', () => {
+  it('should match the version that was read', () => {
+    expect(versionFilter({ syncSeq: 42 })).toEqual({ syncSeq: 42 });
+  });
+
+  it('should match tasks saved before syncSeq existed', () => {
+    expect(versionFilter({ syncSeq: 0 })).toEqual({ syncSeq: { $in: [0, null] } });
+  });
+});
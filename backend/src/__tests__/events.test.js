@@ -0,0 +1,171 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+let server;
+let port;
+
+// Setup: Connect to test database and start a real server
+// (supertest waits for the response to end, which an event stream never does)
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+
+  server = app.listen(0);
+  port = server.address().port;
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Notification.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Notification.createIndexes();
+});
+
+// Teardown: Stop the server and close database connection after all tests
+afterAll(async () => {
+  server.close();
+  await mongoose.connection.close();
+});
+
+describe('GET /events', () => {
+  let token;
+  let stream;
+
+  // Open an event stream and collect the parsed events
+  // Resolves once the response headers have arrived
+  const openStream = (authToken) => {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      let buffer = '';
+
+      const req = http.get(`http://localhost:${port}/events?token=${authToken}`, (res) => {
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+
+          messages.forEach((message) => {
+            const dataLine = message.split('\n').find((line) => line.startsWith('data: '));
+            if (dataLine) {
+              events.push(JSON.parse(dataLine.slice('data: '.length)));
+            }
+          });
+        });
+
+        resolve({ res, events, close: () => req.destroy() });
+      });
+
+      req.on('error', reject);
+    });
+  };
+
+  // Wait until the stream has received `count` events
+  const waitForEvents = async (events, count) => {
+    for (let i = 0; i < 50 && events.length < count; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    return events;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app).post('/users/signup').send(testUser);
+    token = response.body.token;
+  });
+
+  afterEach(() => {
+    if (stream) {
+      stream.close();
+      stream = null;
+    }
+  });
+
+  it('should reject requests without a valid token', async () => {
+    await request(app).get('/events').expect(401);
+    await request(app).get('/events?token=invalid').expect(401);
+  });
+
+  it('should open an event stream', async () => {
+    stream = await openStream(token);
+
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/text\/event-stream/);
+  });
+
+  it('should push task created, updated and deleted events', async () => {
+    stream = await openStream(token);
+
+    const created = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Live task' })
+      .expect(201);
+
+    await request(app)
+      .patch(`/tasks/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ completed: true })
+      .expect(200);
+
+    await request(app)
+      .delete(`/tasks/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const events = await waitForEvents(stream.events, 3);
+
+    expect(events.map((event) => event.type)).toEqual(['task.created', 'task.updated', 'task.deleted']);
+    expect(events[0].task.description).toBe('Live task');
+    expect(events[1].task.completed).toBe(true);
+    expect(events[2].task._id).toBe(created.body._id);
+  });
+
+  it('should push new notifications', async () => {
+    stream = await openStream(token);
+
+    const { _id: userId } = await User.findOne({ email: testUser.email });
+    const notification = await Notification.create({ type: 'reminder', message: 'Reminder: Live task', owner: userId });
+
+    const events = await waitForEvents(stream.events, 1);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].type).toBe('notification.created');
+    expect(events[0].notification._id).toBe(notification._id.toString());
+    expect(events[0].notification.read).toBe(false);
+  });
+
+  it('should not push other users\' events', async () => {
+    stream = await openStream(token);
+
+    const other = await request(app).post('/users/signup').send(testUser2);
+    await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${other.body.token}`)
+      .send({ description: 'Not yours' })
+      .expect(201);
+
+    const events = await waitForEvents(stream.events, 1);
+    expect(events).toHaveLength(0);
+  });
+});
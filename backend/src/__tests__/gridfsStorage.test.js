@@ -0,0 +1,191 @@
+// Uploads in this file go to GridFS, as on a host without a lasting disk
+process.env.STORAGE_DRIVER = 'gridfs';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../services/storage');
+const { createGridFSStorage } = require('../services/storage/gridfs');
+const { avatarKey, AVATAR_SIZES } = require('../services/avatars');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const PNG = Buffer.from('fake png bytes');
+
+// A real picture for avatar uploads
+const makePicture = (background = { r: 200, g: 40, b: 40 }) => {
+  return sharp({ create: { width: 64, height: 64, channels: 3, background } }).png().toBuffer();
+};
+
+// Read a whole stream into a Buffer
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// supertest parser that keeps a response body as a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database (and stored files) before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Attachment.collection.drop().catch(() => {});
+  await mongoose.connection.db.collection('uploads.files').drop().catch(() => {});
+  await mongoose.connection.db.collection('uploads.chunks').drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Attachment.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('GridFS storage', () => {
+  test('should be the app\'s storage when STORAGE_DRIVER is gridfs', () => {
+    expect(getStorage().name).toBe('gridfs');
+  });
+
+  test('should save, read, replace and remove files', async () => {
+    const storage = createGridFSStorage();
+
+    await storage.save('attachments/a.txt', Buffer.from('first'), { contentType: 'text/plain' });
+    await storage.save('attachments/a.txt', Buffer.from('second'), { contentType: 'text/plain' });
+
+    expect(await readAll(await storage.read('attachments/a.txt'))).toEqual(Buffer.from('second'));
+    expect(await mongoose.connection.db.collection('uploads.files').countDocuments()).toBe(1);
+
+    expect(await storage.remove('attachments/a.txt')).toBe(true);
+    expect(await storage.exists('attachments/a.txt')).toBe(false);
+    expect(await storage.read('attachments/a.txt')).toBeNull();
+    expect(await storage.remove('attachments/a.txt')).toBe(false);
+  });
+
+  test('should keep files in a bucket of their own', async () => {
+    const storage = createGridFSStorage({ bucketName: 'other' });
+    await storage.save('avatars/me.png', PNG, { contentType: 'image/png' });
+
+    expect(await mongoose.connection.db.collection('other.files').countDocuments()).toBe(1);
+    expect(await createGridFSStorage().exists('avatars/me.png')).toBe(false);
+
+    await mongoose.connection.db.collection('other.files').drop();
+    await mongoose.connection.db.collection('other.chunks').drop();
+  });
+});
+
+describe('Uploads stored in GridFS', () => {
+  let token;
+  let userId;
+
+  beforeEach(async () => {
+    const response = await request(app).post('/users/signup').send(testUser);
+    token = response.body.token;
+    userId = response.body.user._id;
+  });
+
+  test('should upload, serve and delete an avatar', async () => {
+    const uploaded = await request(app)
+      .post('/users/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', await makePicture(), { filename: 'me.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(await getStorage().exists(avatarKey(uploaded.body.avatar, 128))).toBe(true);
+
+    const served = await request(app)
+      .get(`/users/${userId}/avatar?size=128`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    expect(served.headers['content-type']).toBe('image/webp');
+    expect(await readAll(await getStorage().read(avatarKey(uploaded.body.avatar, 128)))).toEqual(served.body);
+
+    await request(app)
+      .delete('/users/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await getStorage().exists(avatarKey(uploaded.body.avatar, 128))).toBe(false);
+  });
+
+  test('should replace the old avatar file when a new one is uploaded', async () => {
+    const first = await request(app)
+      .post('/users/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', await makePicture(), { filename: 'me.png', contentType: 'image/png' })
+      .expect(200);
+
+    await request(app)
+      .post('/users/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', await makePicture({ r: 40, g: 40, b: 200 }), { filename: 'me.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(await getStorage().exists(avatarKey(first.body.avatar, 128))).toBe(false);
+    expect(await mongoose.connection.db.collection('uploads.files').countDocuments()).toBe(AVATAR_SIZES.length);
+  });
+
+  test('should attach and download a task file', async () => {
+    const task = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Send the report' })
+      .expect(201);
+
+    const attachment = await request(app)
+      .post(`/tasks/${task.body._id}/attachments`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from('%PDF-1.4'), { filename: 'Report.pdf', contentType: 'application/pdf' })
+      .expect(201);
+
+    const download = await request(app)
+      .get(`/tasks/${task.body._id}/attachments/${attachment.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(download.body).toEqual(Buffer.from('%PDF-1.4'));
+  });
+
+  test('should delete the avatar file when the user is deleted', async () => {
+    const uploaded = await request(app)
+      .post('/users/me/avatar')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('avatar', await makePicture(), { filename: 'me.png', contentType: 'image/png' })
+      .expect(200);
+
+    await request(app)
+      .delete('/users/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await mongoose.connection.db.collection('uploads.files').countDocuments()).toBe(0);
+  });
+});
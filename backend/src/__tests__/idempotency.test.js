@@ -0,0 +1,180 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await IdempotencyKey.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await IdempotencyKey.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Idempotency-Key', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to create a task with a key
+  const createTask = (body, key, authToken = token) => {
+    return request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('Idempotency-Key', key)
+      .send(body);
+  };
+
+  beforeEach(async () => {
+    const { token: newToken } = await setupUser();
+    token = newToken;
+  });
+
+  it('should create the task once and replay the response for a repeat', async () => {
+    const first = await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+    const second = await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(await Task.countDocuments()).toBe(1);
+  });
+
+  it('should create separate tasks for separate keys', async () => {
+    await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+    await createTask({ description: 'Buy milk' }, 'key-2').expect(201);
+
+    expect(await Task.countDocuments()).toBe(2);
+  });
+
+  it('should work as before without the header', async () => {
+    const send = () => request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Buy milk' })
+      .expect(201);
+
+    await send();
+    await send();
+
+    expect(await Task.countDocuments()).toBe(2);
+    expect(await IdempotencyKey.countDocuments()).toBe(0);
+  });
+
+  it('should reject the same key with a different body', async () => {
+    await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+
+    const response = await createTask({ description: 'Buy bread' }, 'key-1').expect(422);
+
+    expect(response.body.error).toMatch(/different request/);
+    expect(await Task.countDocuments()).toBe(1);
+  });
+
+  it('should reject the same key on a different route', async () => {
+    const created = await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+
+    await request(app)
+      .patch(`/tasks/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'key-1')
+      .send({ description: 'Buy milk' })
+      .expect(422);
+  });
+
+  it('should keep keys apart per user', async () => {
+    const { token: otherToken } = await setupUser(testUser2);
+
+    await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+    const other = await createTask({ description: 'Buy milk' }, 'key-1', otherToken).expect(201);
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(await Task.countDocuments()).toBe(2);
+  });
+
+  it('should replay validation errors too', async () => {
+    await createTask({ description: '' }, 'key-1').expect(400);
+    const second = await createTask({ description: '' }, 'key-1').expect(400);
+
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should answer 409 while the first request is still running', async () => {
+    const user = await User.findOne({ email: testUser.email });
+    const body = { description: 'Buy milk' };
+    await createTask(body, 'key-1').expect(201);
+
+    // Pretend the first request with key-2 is still running
+    const first = await IdempotencyKey.findOne({ key: 'key-1' });
+    await IdempotencyKey.create({ owner: user._id, key: 'key-2', requestHash: first.requestHash });
+
+    const response = await createTask(body, 'key-2').expect(409);
+
+    expect(response.headers['retry-after']).toBe('1');
+    expect(await Task.countDocuments()).toBe(1);
+  });
+
+  it('should let a key be used again once its record has expired', async () => {
+    await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+    await IdempotencyKey.updateOne({ key: 'key-1' }, { createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) });
+
+    const response = await createTask({ description: 'Buy bread' }, 'key-1').expect(201);
+
+    expect(response.body.description).toBe('Buy bread');
+    expect(await Task.countDocuments()).toBe(2);
+  });
+
+  it('should replay updates and deletes', async () => {
+    const created = await createTask({ description: 'Buy milk' }, 'key-1').expect(201);
+    const id = created.body._id;
+
+    const remove = () => request(app)
+      .delete(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', 'key-2');
+
+    await remove().expect(200);
+    const repeat = await remove().expect(200);
+
+    // Without the key the repeat would be a 404 - the task is already gone
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should reject a key that is too long', async () => {
+    await createTask({ description: 'Buy milk' }, 'k'.repeat(256)).expect(400);
+
+    expect(await Task.countDocuments()).toBe(0);
+  });
+});
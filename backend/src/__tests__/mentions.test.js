@@ -0,0 +1,57 @@
+const { parseMentions, mentionHandles, resolveMentions } = require('../utils/mentions');
+
+// These tests don't need a database: mentions are found in plain text
+
+describe('parseMentions', () => {
+  it('should find each mentioned name once, lowercased', () => {
+    expect(parseMentions('@Sam can you check? cc @alex, @sam')).toEqual(['sam', 'alex']);
+  });
+
+  it('should drop punctuation that ends a sentence', () => {
+    expect(parseMentions('Thanks @sam. Ask @sam.lee.')).toEqual(['sam', 'sam.lee']);
+  });
+
+  it('should not read email addresses as mentions', () => {
+    expect(parseMentions('Mail sam@example.com about it')).toEqual([]);
+  });
+
+  it('should find mentions at the start, after punctuation and in markdown', () => {
+    expect(parseMentions('@sam (@alex) **@kim**')).toEqual(['sam', 'alex', 'kim']);
+  });
+
+  it('should handle empty text', () => {
+    expect(parseMentions('')).toEqual([]);
+    expect(parseMentions(undefined)).toEqual([]);
+    expect(parseMentions('@ alone')).toEqual([]);
+  });
+});
+
+describe('mentionHandles', () => {
+  it('should offer the first name, the full name and the email name', () => {
+    expect(mentionHandles({ name: 'Sam Lee', email: 'sam.lee@example.com' }))
+      .toEqual(['sam', 'samlee', 'sam.lee']);
+  });
+
+  it('should not repeat a handle', () => {
+    expect(mentionHandles({ name: 'Sam', email: 'sam@example.com' })).toEqual(['sam']);
+  });
+});
+
+describe('resolveMentions', () => {
+  const sam = { _id: 'u1', name: 'Sam Lee', email: 'slee@example.com' };
+  const alex = { _id: 'u2', name: 'Alex Kim', email: 'alex@example.com' };
+  const samGreen = { _id: 'u3', name: 'Sam Green', email: 'sgreen@example.com' };
+
+  it('should return the users mentioned by any of their handles', () => {
+    expect(resolveMentions('@samlee and @ALEX', [sam, alex, samGreen])).toEqual([sam, alex]);
+    expect(resolveMentions('@slee', [sam, alex])).toEqual([sam]);
+  });
+
+  it('should mention everyone sharing a name', () => {
+    expect(resolveMentions('@sam', [sam, alex, samGreen])).toEqual([sam, samGreen]);
+  });
+
+  it('should ignore names of people who can\'t be mentioned', () => {
+    expect(resolveMentions('@jordan', [sam, alex])).toEqual([]);
+  });
+});
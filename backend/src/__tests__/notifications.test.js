@@ -0,0 +1,193 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const { createScheduler } = require('../services/scheduler');
+const { registerOverdueJobs } = require('../services/overdue');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Job.collection.drop().catch(() => {});
+  await Notification.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Job.createIndexes();
+  await Notification.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Notification Endpoints', () => {
+  let token;
+  let userId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return {
+      token: response.body.token,
+      userId: response.body.user._id
+    };
+  };
+
+  // Helper function to create a notification directly
+  const createNotification = (fields = {}) => {
+    return Notification.create({
+      type: 'reminder',
+      message: 'Reminder: Test task',
+      owner: userId,
+      ...fields
+    });
+  };
+
+  beforeEach(async () => {
+    const user = await setupUser();
+    token = user.token;
+    userId = user.userId;
+  });
+
+  describe('PATCH /notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+      const notification = await createNotification();
+
+      const response = await request(app)
+        .patch(`/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.read).toBe(true);
+    });
+
+    it('should not mark another user\'s notification', async () => {
+      const other = await setupUser(testUser2);
+      const notification = await createNotification({ owner: other.userId });
+
+      await request(app)
+        .patch(`/notifications/${notification._id}/read`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      const stored = await Notification.findById(notification._id);
+      expect(stored.read).toBe(false);
+    });
+
+    it('should answer 404 for an id that is not an ObjectId', async () => {
+      const response = await request(app)
+        .patch('/notifications/not-an-id/read')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Notification not found');
+    });
+  });
+
+  describe('POST /notifications/read-all', () => {
+    it('should mark only the current user\'s notifications as read', async () => {
+      const other = await setupUser(testUser2);
+      await createNotification();
+      await createNotification();
+      await createNotification({ owner: other.userId });
+
+      const response = await request(app)
+        .post('/notifications/read-all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.updated).toBe(2);
+      expect(await Notification.countDocuments({ read: false })).toBe(1);
+    });
+  });
+
+  describe('overdue tasks', () => {
+    let currentTime;
+    let scheduler;
+
+    beforeEach(() => {
+      currentTime = new Date('2025-06-01T08:00:00.000Z');
+      scheduler = createScheduler({ now: () => currentTime });
+      registerOverdueJobs(scheduler);
+    });
+
+    const createTask = async (body) => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Pay invoice', dueDate: '2025-06-01T00:00:00.000Z', ...body })
+        .expect(201);
+      return response.body;
+    };
+
+    it('should notify once the due day is over', async () => {
+      const task = await createTask();
+
+      // Still the due day
+      expect(await scheduler.runDue()).toBe(0);
+
+      currentTime = new Date('2025-06-02T00:00:00.000Z');
+      expect(await scheduler.runDue()).toBe(1);
+
+      const notifications = await Notification.find({ owner: userId });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('overdue');
+      expect(notifications[0].task.toString()).toBe(task._id);
+    });
+
+    it('should not notify about completed tasks', async () => {
+      const task = await createTask();
+
+      await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(200);
+
+      currentTime = new Date('2025-06-02T00:00:00.000Z');
+      await scheduler.runDue();
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('should follow the due date when it changes', async () => {
+      const task = await createTask();
+
+      await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dueDate: '2025-06-05T00:00:00.000Z' })
+        .expect(200);
+
+      currentTime = new Date('2025-06-02T00:00:00.000Z');
+      expect(await scheduler.runDue()).toBe(0);
+
+      currentTime = new Date('2025-06-06T00:00:00.000Z');
+      expect(await scheduler.runDue()).toBe(1);
+    });
+  });
+});
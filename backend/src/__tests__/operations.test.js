@@ -0,0 +1,251 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Operation = require('../models/Operation');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Operation.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Operation.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Operation Endpoints', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  // Helper function to create a task
+  const createTask = async (body, authToken = token) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(201);
+
+    return response.body;
+  };
+
+  // Helper function to change a task and return the response body
+  const updateTask = async (id, updates, authToken = token) => {
+    const response = await request(app)
+      .patch(`/tasks/${id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(updates)
+      .expect(200);
+
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+  });
+
+  describe('Recording operations', () => {
+    it('should return an operationId when a task is updated', async () => {
+      const task = await createTask({ description: 'Record me' });
+
+      const response = await updateTask(task._id, { completed: true });
+
+      expect(response.operationId).toBeDefined();
+
+      const operation = await Operation.findById(response.operationId);
+      expect(operation.type).toBe('complete');
+      expect(operation.changes[0].before).toEqual({ completed: false });
+      expect(operation.changes[0].after).toEqual({ completed: true });
+      expect(operation.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should record other edits as updates', async () => {
+      const task = await createTask({ description: 'Old name' });
+
+      const response = await updateTask(task._id, { description: 'New name', priority: 'high' });
+
+      const operation = await Operation.findById(response.operationId);
+      expect(operation.type).toBe('update');
+      expect(operation.changes[0].before).toEqual({ description: 'Old name', priority: 'medium' });
+    });
+
+    it('should return an operationId when a task is deleted', async () => {
+      const task = await createTask({ description: 'Delete me' });
+
+      const response = await request(app)
+        .delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const operation = await Operation.findById(response.body.operationId);
+      expect(operation.type).toBe('delete');
+      expect(operation.changes[0].before).toEqual({ deletedAt: null });
+    });
+  });
+
+  describe('POST /operations/:id/undo', () => {
+    it('should undo completing a task', async () => {
+      const task = await createTask({ description: 'Oops' });
+      const { operationId } = await updateTask(task._id, { completed: true });
+
+      const response = await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.type).toBe('complete');
+      expect(response.body.tasks[0].completed).toBe(false);
+
+      const saved = await Task.findById(task._id);
+      expect(saved.completed).toBe(false);
+    });
+
+    it('should undo an edit, including fields that were unset', async () => {
+      const task = await createTask({ description: 'Plain', tags: ['work'] });
+      const { operationId } = await updateTask(task._id, {
+        description: 'Changed',
+        tags: [],
+        dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const saved = await Task.findById(task._id);
+      expect(saved.description).toBe('Plain');
+      expect(saved.tags).toEqual(['work']);
+      expect(saved.dueDate).toBeNull();
+    });
+
+    it('should undo a delete by restoring the task', async () => {
+      const task = await createTask({ description: 'Come back' });
+
+      const deleted = await request(app)
+        .delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/operations/${deleted.body.operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.map(item => item.description)).toEqual(['Come back']);
+    });
+
+    it('should remove the occurrence created by completing a repeating task', async () => {
+      const task = await createTask({
+        description: 'Water plants',
+        dueDate: new Date('2026-03-02T09:00:00.000Z'),
+        recurrence: { frequency: 'daily' }
+      });
+
+      const completed = await updateTask(task._id, { completed: true });
+      const nextId = completed.recurrence.nextTask;
+      expect(nextId).toBeDefined();
+
+      await request(app)
+        .post(`/operations/${completed.operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Task.findById(nextId)).toBeNull();
+
+      // Completing it again creates a fresh occurrence
+      const again = await updateTask(task._id, { completed: true });
+      expect(again.recurrence.nextTask).toBeDefined();
+      expect(again.recurrence.nextTask).not.toBe(nextId);
+    });
+
+    it('should only undo an operation once', async () => {
+      const task = await createTask({ description: 'Once' });
+      const { operationId } = await updateTask(task._id, { completed: true });
+
+      await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should refuse to undo when the task has changed since', async () => {
+      const task = await createTask({ description: 'Busy' });
+      const { operationId } = await updateTask(task._id, { completed: true });
+      await updateTask(task._id, { completed: false });
+
+      const response = await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(response.body.error).toMatch(/changed/);
+
+      // The operation is kept, but still can't be used
+      expect(await Operation.findById(operationId)).not.toBeNull();
+    });
+
+    it('should not undo expired operations', async () => {
+      const task = await createTask({ description: 'Too late' });
+      const { operationId } = await updateTask(task._id, { completed: true });
+      await Operation.updateOne({ _id: operationId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect((await Task.findById(task._id)).completed).toBe(true);
+    });
+
+    it('should not undo other users\' operations', async () => {
+      const token2 = await setupUser(testUser2);
+      const task = await createTask({ description: 'Theirs' }, token2);
+      const { operationId } = await updateTask(task._id, { completed: true }, token2);
+
+      await request(app)
+        .post(`/operations/${operationId}/undo`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
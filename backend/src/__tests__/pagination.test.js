@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { encodeCursor, decodeCursor, cursorFilter, nextPageLink } = require('../utils/pagination');
+
+// These tests don't need a database: cursors are only encoded and decoded
+
+describe('encodeCursor / decodeCursor', () => {
+  const sort = { dueDate: 1, _id: 1 };
+
+  it('should give back the sort values, dates and ids included', () => {
+    const task = new Task({ description: 'Report', dueDate: new Date('2026-10-20T12:00:00.000Z') });
+    const cursor = encodeCursor(task, sort);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+
+    const [dueDate, id] = decodeCursor(cursor, sort);
+    expect(dueDate).toEqual(new Date('2026-10-20T12:00:00.000Z'));
+    expect(id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(id.equals(task._id)).toBe(true);
+  });
+
+  it('should keep missing values as null', () => {
+    const task = new Task({ description: 'No date' });
+    expect(decodeCursor(encodeCursor(task, sort), sort)[0]).toBeNull();
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not a cursor', sort)).toThrow('Invalid cursor');
+    expect(() => decodeCursor(Buffer.from('{"s":"dueDate:1,_id:1","v":[{"$gt":1},null]}').toString('base64url'), sort))
+      .toThrow('Invalid cursor');
+  });
+
+  it('should reject a cursor made for another sort', () => {
+    const cursor = encodeCursor(new Task({ description: 'Report' }), { _id: 1 });
+    expect(() => decodeCursor(cursor, sort)).toThrow('Cursor was made for a different sortBy');
+  });
+});
+
+describe('cursorFilter', () => {
+  const id = new mongoose.Types.ObjectId();
+  const date = new Date('2026-10-20T12:00:00.000Z');
+
+  it('should match items after the cursor, using _id for ties', () => {
+    expect(cursorFilter({ dueDate: 1, _id: 1 }, [date, id])).toEqual({
+      $or: [
+        { dueDate: { $gt: date } },
+        { dueDate: date, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  it('should put nulls last when descending', () => {
+    expect(cursorFilter({ dueDate: -1, _id: 1 }, [date, id])).toEqual({
+      $or: [
+        { $or: [{ dueDate: { $lt: date } }, { dueDate: null }] },
+        { dueDate: date, _id: { $gt: id } }
+      ]
+    });
+
+    // After a null nothing comes but more nulls
+    expect(cursorFilter({ dueDate: -1, _id: 1 }, [null, id])).toEqual({
+      $or: [{ dueDate: null, _id: { $gt: id } }]
+    });
+  });
+
+  it('should put nulls first when ascending', () => {
+    expect(cursorFilter({ dueDate: 1, _id: 1 }, [null, id])).toEqual({
+      $or: [
+        { dueDate: { $ne: null } },
+        { dueDate: null, _id: { $gt: id } }
+      ]
+    });
+  });
+});
+
+describe('nextPageLink', () => {
+  it('should keep the query and swap in the new cursor', () => {
+    const req = { query: { limit: '2', tags: ['work', 'home'], after: 'old', skip: '4' } };
+
+    expect(nextPageLink(req, 'abc')).toBe('<?limit=2&tags=work&tags=home&after=abc>; rel="next"');
+  });
+});
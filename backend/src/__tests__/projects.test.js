@@ -0,0 +1,233 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Project.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Project.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Project Endpoints', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  // Helper function to create a project
+  const createProject = async (body, authToken = token) => {
+    const response = await request(app)
+      .post('/projects')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(201);
+    return response.body;
+  };
+
+  // Helper function to create a task
+  const createTask = async (body) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+    return response;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+  });
+
+  describe('POST /projects', () => {
+    it('should create a project with defaults', async () => {
+      const project = await createProject({ name: 'Work' });
+
+      expect(project.name).toBe('Work');
+      expect(project.color).toBe('#4a90e2');
+      expect(project.icon).toBeDefined();
+      expect(project.archived).toBe(false);
+    });
+
+    it('should not create a project without a name', async () => {
+      await request(app)
+        .post('/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ color: '#000000' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /projects', () => {
+    it('should list projects with incomplete task counts', async () => {
+      const work = await createProject({ name: 'Work' });
+      await createProject({ name: 'Archive me', archived: true });
+
+      await createTask({ description: 'A', project: work._id });
+      await createTask({ description: 'B', project: work._id, completed: true });
+
+      const response = await request(app)
+        .get('/projects?archived=false')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].name).toBe('Work');
+      expect(response.body[0].taskCount).toBe(1);
+    });
+
+    it('should not list another user\'s projects', async () => {
+      const token2 = await setupUser(testUser2);
+      await createProject({ name: 'Private' }, token2);
+
+      const response = await request(app)
+        .get('/projects')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(0);
+    });
+  });
+
+  describe('PATCH /projects/:id', () => {
+    it('should archive a project', async () => {
+      const project = await createProject({ name: 'Old' });
+
+      const response = await request(app)
+        .patch(`/projects/${project._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ archived: true })
+        .expect(200);
+
+      expect(response.body.archived).toBe(true);
+    });
+
+    it('should reject invalid updates', async () => {
+      const project = await createProject({ name: 'Work' });
+
+      await request(app)
+        .patch(`/projects/${project._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ owner: new mongoose.Types.ObjectId() })
+        .expect(400);
+    });
+  });
+
+  describe('moving tasks', () => {
+    it('should scope GET /tasks to a project or the inbox', async () => {
+      const work = await createProject({ name: 'Work' });
+      await createTask({ description: 'In project', project: work._id });
+      await createTask({ description: 'In inbox' });
+
+      const inProject = await request(app)
+        .get(`/tasks?project=${work._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(inProject.body.map(task => task.description)).toEqual(['In project']);
+
+      const inbox = await request(app)
+        .get('/tasks?project=inbox')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(inbox.body.map(task => task.description)).toEqual(['In inbox']);
+    });
+
+    it('should move a task between projects and back to the inbox', async () => {
+      const work = await createProject({ name: 'Work' });
+      const home = await createProject({ name: 'Home' });
+      const task = (await createTask({ description: 'Movable', project: work._id })).body;
+
+      const moved = await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ project: home._id })
+        .expect(200);
+
+      expect(moved.body.project).toBe(home._id);
+
+      const inboxed = await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ project: null })
+        .expect(200);
+
+      expect(inboxed.body.project).toBeNull();
+    });
+
+    it('should not move a task into another user\'s project', async () => {
+      const token2 = await setupUser(testUser2);
+      const foreign = await createProject({ name: 'Theirs' }, token2);
+      const task = (await createTask({ description: 'Mine' })).body;
+
+      const response = await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ project: foreign._id })
+        .expect(400);
+
+      expect(response.body.error).toBe('Project not found');
+    });
+  });
+
+  describe('DELETE /projects/:id', () => {
+    it('should move the project\'s tasks to the inbox', async () => {
+      const work = await createProject({ name: 'Work' });
+      const task = (await createTask({ description: 'Survivor', project: work._id })).body;
+
+      await request(app)
+        .delete(`/projects/${work._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Project.findById(work._id)).toBeNull();
+
+      const stored = await Task.findById(task._id);
+      expect(stored).not.toBeNull();
+      expect(stored.project).toBeNull();
+    });
+
+    it('should not delete another user\'s project', async () => {
+      const token2 = await setupUser(testUser2);
+      const foreign = await createProject({ name: 'Theirs' }, token2);
+
+      await request(app)
+        .delete(`/projects/${foreign._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
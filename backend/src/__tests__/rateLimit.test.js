@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../app');
+
+// These tests don't need a database: the rate limiters run before any route,
+// so requests with a made-up token are counted (and turned away with a 401)
+// without looking anyone up
+
+const AUTH = 'Bearer not-a-real-token';
+
+// Sends each request in turn and returns the responses
+const send = async (requests) => {
+  const responses = [];
+  for (const [method, path] of requests) {
+    responses.push(await request(app)[method](path).set('Authorization', AUTH));
+  }
+  return responses;
+};
+
+const repeat = (times, requestLine) => Array.from({ length: times }, () => requestLine);
+
+describe('Rate limiting', () => {
+  it('should give signing up and logging in a tighter limit', async () => {
+    const login = await request(app).get('/users/login');
+    const tags = await request(app).get('/tags');
+
+    expect(login.headers['ratelimit-limit']).toBe('100');
+    expect(tags.headers['ratelimit-limit']).toBe('1000');
+  });
+
+  it('should let an ordinary session stay under the limit', async () => {
+    const responses = await send([
+      // Opening the app
+      ['get', '/users/me'],
+      ['get', '/tasks'],
+      ['get', '/tags'],
+      ['get', '/projects'],
+      ['get', '/views'],
+      ['get', '/notifications'],
+      // A busy afternoon: searching, editing, and the stream and sync
+      // catching up after the laptop sleeps
+      ...repeat(300, ['get', '/tasks/search?q=report']),
+      ...repeat(200, ['patch', '/tasks/1']),
+      ...repeat(50, ['get', '/events']),
+      ...repeat(100, ['get', '/sync'])
+    ]);
+
+    expect(responses.filter(response => response.status === 429)).toHaveLength(0);
+
+    const last = await request(app).get('/tags').set('Authorization', AUTH);
+    expect(Number(last.headers['ratelimit-remaining'])).toBeGreaterThan(400);
+  });
+
+  it('should still turn away a flood of requests', async () => {
+    const before = await request(app).get('/tags').set('Authorization', AUTH);
+    const remaining = Number(before.headers['ratelimit-remaining']);
+
+    const responses = await send(repeat(remaining, ['get', '/tags']));
+    expect(responses.every(response => response.status === 401)).toBe(true);
+
+    const blocked = await request(app).get('/tasks').set('Authorization', AUTH).expect(429);
+    expect(blocked.body.error).toBe('Too many requests from this IP, please try again later.');
+  });
+
+  it('should not count the event stream or sync', async () => {
+    // The flood above used up the limit, and these still get through
+    await request(app).get('/events').set('Authorization', AUTH).expect(401);
+    await request(app).get('/sync').set('Authorization', AUTH).expect(401);
+    await request(app).post('/sync').set('Authorization', AUTH).expect(401);
+  });
+});
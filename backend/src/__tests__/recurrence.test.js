@@ -0,0 +1,102 @@
+const { getNextOccurrence } = require('../utils/recurrence');
+
+// These tests don't need a database: getNextOccurrence is a pure function
+
+// Helper to build UTC dates without timezone surprises
+const utc = (iso) => new Date(`${iso}Z`);
+
+describe('getNextOccurrence', () => {
+  describe('daily', () => {
+    it('should move forward by the interval in days', () => {
+      const next = getNextOccurrence({ frequency: 'daily', interval: 3 }, utc('2025-01-30T09:00:00'));
+      expect(next).toEqual(utc('2025-02-02T09:00:00'));
+    });
+
+    it('should default the interval to 1', () => {
+      const next = getNextOccurrence({ frequency: 'daily' }, utc('2025-12-31T00:00:00'));
+      expect(next).toEqual(utc('2026-01-01T00:00:00'));
+    });
+  });
+
+  describe('weekly', () => {
+    it('should repeat on the same weekday without byWeekday', () => {
+      // 2025-03-05 is a Wednesday
+      const next = getNextOccurrence({ frequency: 'weekly', interval: 1 }, utc('2025-03-05T00:00:00'));
+      expect(next).toEqual(utc('2025-03-12T00:00:00'));
+    });
+
+    it('should pick the next listed weekday in the same week', () => {
+      const rule = { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'TH'] };
+      // Monday -> Thursday
+      expect(getNextOccurrence(rule, utc('2025-03-03T08:30:00'))).toEqual(utc('2025-03-06T08:30:00'));
+      // Thursday -> next Monday
+      expect(getNextOccurrence(rule, utc('2025-03-06T08:30:00'))).toEqual(utc('2025-03-10T08:30:00'));
+    });
+
+    it('should skip weeks when interval > 1', () => {
+      const rule = { frequency: 'weekly', interval: 2, byWeekday: ['FR', 'MO'] };
+      // Friday 2025-03-07 -> Monday two weeks after this week's Monday
+      expect(getNextOccurrence(rule, utc('2025-03-07T00:00:00'))).toEqual(utc('2025-03-17T00:00:00'));
+    });
+
+    it('should treat Sunday as the end of the week', () => {
+      const rule = { frequency: 'weekly', interval: 1, byWeekday: ['SU', 'SA'] };
+      // Saturday -> Sunday of the same (Monday-first) week
+      expect(getNextOccurrence(rule, utc('2025-03-08T00:00:00'))).toEqual(utc('2025-03-09T00:00:00'));
+    });
+  });
+
+  describe('monthly', () => {
+    it('should repeat on the given day of the month', () => {
+      const rule = { frequency: 'monthly', interval: 1, byMonthDay: 15 };
+      expect(getNextOccurrence(rule, utc('2025-01-10T00:00:00'))).toEqual(utc('2025-01-15T00:00:00'));
+      expect(getNextOccurrence(rule, utc('2025-01-15T00:00:00'))).toEqual(utc('2025-02-15T00:00:00'));
+    });
+
+    it('should skip months that don\'t have the day', () => {
+      const rule = { frequency: 'monthly', interval: 1, byMonthDay: 31 };
+      expect(getNextOccurrence(rule, utc('2025-01-31T00:00:00'))).toEqual(utc('2025-03-31T00:00:00'));
+    });
+
+    it('should support the last day of the month', () => {
+      const rule = { frequency: 'monthly', interval: 1, byMonthDay: -1 };
+      expect(getNextOccurrence(rule, utc('2024-01-31T00:00:00'))).toEqual(utc('2024-02-29T00:00:00'));
+    });
+
+    it('should roll over into the next year', () => {
+      const rule = { frequency: 'monthly', interval: 3 };
+      expect(getNextOccurrence(rule, utc('2025-11-05T00:00:00'))).toEqual(utc('2026-02-05T00:00:00'));
+    });
+  });
+
+  describe('yearly', () => {
+    it('should repeat on the same date', () => {
+      const next = getNextOccurrence({ frequency: 'yearly', interval: 1 }, utc('2025-04-01T12:00:00'));
+      expect(next).toEqual(utc('2026-04-01T12:00:00'));
+    });
+
+    it('should only repeat Feb 29 in leap years', () => {
+      const next = getNextOccurrence({ frequency: 'yearly', interval: 1 }, utc('2024-02-29T00:00:00'));
+      expect(next).toEqual(utc('2028-02-29T00:00:00'));
+    });
+  });
+
+  describe('end of series', () => {
+    it('should stop after the until date', () => {
+      const rule = { frequency: 'daily', interval: 1, until: utc('2025-01-02T00:00:00') };
+      expect(getNextOccurrence(rule, utc('2025-01-01T00:00:00'))).toEqual(utc('2025-01-02T00:00:00'));
+      expect(getNextOccurrence(rule, utc('2025-01-02T00:00:00'))).toBeNull();
+    });
+
+    it('should stop after count occurrences', () => {
+      const rule = { frequency: 'daily', interval: 1, count: 3 };
+      expect(getNextOccurrence({ ...rule, occurrence: 2 }, utc('2025-01-02T00:00:00'))).not.toBeNull();
+      expect(getNextOccurrence({ ...rule, occurrence: 3 }, utc('2025-01-03T00:00:00'))).toBeNull();
+    });
+
+    it('should return null without a valid rule', () => {
+      expect(getNextOccurrence(null, new Date())).toBeNull();
+      expect(getNextOccurrence({ frequency: 'hourly' }, new Date())).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const { createScheduler } = require('../services/scheduler');
+const { REMINDER_JOB, registerReminderJobs } = require('../services/reminders');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Job.collection.drop().catch(() => {});
+  await Notification.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Job.createIndexes();
+  await Notification.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Task reminders', () => {
+  let token;
+  let scheduler;
+  let currentTime;
+
+  const dueDate = '2025-06-01T12:00:00.000Z';
+
+  // Helper function to create a task with reminders
+  const createTask = async (body) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Submit report', dueDate, ...body })
+      .expect(201);
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app).post('/users/signup').send(testUser);
+    token = response.body.token;
+
+    // Scheduler with a fake clock, starting well before the due date
+    currentTime = new Date('2025-06-01T08:00:00.000Z');
+    scheduler = createScheduler({ now: () => currentTime });
+    registerReminderJobs(scheduler);
+  });
+
+  it('should schedule a job for each reminder', async () => {
+    await createTask({
+      reminders: [{ minutesBefore: 30 }, { at: '2025-06-01T09:00:00.000Z' }]
+    });
+
+    const jobs = await Job.find({ name: REMINDER_JOB }).sort({ runAt: 1 });
+    expect(jobs.map(job => job.runAt.toISOString())).toEqual([
+      '2025-06-01T09:00:00.000Z',
+      '2025-06-01T11:30:00.000Z'
+    ]);
+  });
+
+  it('should reject a reminder without a time', async () => {
+    await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Bad', reminders: [{}] })
+      .expect(400);
+  });
+
+  it('should create a notification when the reminder is due', async () => {
+    const task = await createTask({ reminders: [{ minutesBefore: 60 }] });
+
+    // Not yet
+    expect(await scheduler.runDue()).toBe(0);
+
+    currentTime = new Date('2025-06-01T11:00:00.000Z');
+    expect(await scheduler.runDue()).toBe(1);
+
+    const response = await request(app)
+      .get('/notifications')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].type).toBe('reminder');
+    expect(response.body[0].task).toBe(task._id);
+    expect(response.body[0].read).toBe(false);
+
+    // Marked as sent, and not sent again
+    const stored = await Task.findById(task._id);
+    expect(stored.reminders[0].sentAt).not.toBeNull();
+    expect(await scheduler.runDue()).toBe(0);
+  });
+
+  it('should reschedule when the due date changes', async () => {
+    const task = await createTask({ reminders: [{ minutesBefore: 30 }] });
+
+    await request(app)
+      .patch(`/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ dueDate: '2025-06-02T12:00:00.000Z' })
+      .expect(200);
+
+    const jobs = await Job.find({ name: REMINDER_JOB });
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].runAt.toISOString()).toBe('2025-06-02T11:30:00.000Z');
+  });
+
+  it('should cancel reminders when the task is completed or deleted', async () => {
+    const completed = await createTask({ reminders: [{ minutesBefore: 30 }] });
+    const deleted = await createTask({ reminders: [{ minutesBefore: 30 }] });
+
+    await request(app)
+      .patch(`/tasks/${completed._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ completed: true })
+      .expect(200);
+
+    await request(app)
+      .delete(`/tasks/${deleted._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(await Job.countDocuments()).toBe(0);
+  });
+
+  it('should only return unread notifications when asked', async () => {
+    const task = await createTask({});
+    const owner = task.owner;
+
+    await Notification.create({ type: 'reminder', message: 'Old', owner, read: true });
+    await Notification.create({ type: 'reminder', message: 'New', owner });
+
+    const response = await request(app)
+      .get('/notifications?unread=true')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.map(notification => notification.message)).toEqual(['New']);
+  });
+});
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { schedule, cancel, createScheduler } = require('../services/scheduler');
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear jobs and rebuild indexes before each test
+beforeEach(async () => {
+  await Job.collection.drop().catch(() => {});
+  await Job.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Job scheduler', () => {
+  // Fake clock - tests move time forward by changing currentTime
+  let currentTime;
+  const now = () => currentTime;
+  const minutes = (n) => n * 60 * 1000;
+  const advance = (ms) => {
+    currentTime = new Date(currentTime.getTime() + ms);
+  };
+
+  beforeEach(() => {
+    currentTime = new Date('2025-06-01T12:00:00.000Z');
+  });
+
+  it('should only run jobs once they are due', async () => {
+    const scheduler = createScheduler({ now });
+    const handler = jest.fn();
+    scheduler.define('greet', handler);
+
+    await schedule('greet', new Date(currentTime.getTime() + minutes(10)), { name: 'Ada' });
+
+    expect(await scheduler.runDue()).toBe(0);
+    expect(handler).not.toHaveBeenCalled();
+
+    advance(minutes(10));
+
+    expect(await scheduler.runDue()).toBe(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler.mock.calls[0][0]).toEqual({ name: 'Ada' });
+
+    // Finished jobs are removed
+    expect(await Job.countDocuments()).toBe(0);
+  });
+
+  it('should pick up jobs scheduled before a restart', async () => {
+    await schedule('greet', currentTime, {});
+
+    // A brand new scheduler (as after a restart) sees the stored job
+    const restarted = createScheduler({ now });
+    const handler = jest.fn();
+    restarted.define('greet', handler);
+
+    await restarted.runDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replace jobs with the same key', async () => {
+    await schedule('greet', currentTime, { version: 1 }, { key: 'greeting' });
+    await schedule('greet', new Date(currentTime.getTime() + minutes(5)), { version: 2 }, { key: 'greeting' });
+
+    const jobs = await Job.find();
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].data).toEqual({ version: 2 });
+  });
+
+  it('should cancel jobs by key pattern', async () => {
+    await schedule('greet', currentTime, {}, { key: 'reminder:a:1' });
+    await schedule('greet', currentTime, {}, { key: 'reminder:a:2' });
+    await schedule('greet', currentTime, {}, { key: 'reminder:b:1' });
+
+    expect(await cancel(/^reminder:a:/)).toBe(2);
+    expect(await Job.countDocuments()).toBe(1);
+  });
+
+  it('should retry failed jobs with a delay, then give up', async () => {
+    const scheduler = createScheduler({ now, maxAttempts: 2, retryDelay: minutes(1) });
+    const handler = jest.fn().mockRejectedValue(new Error('Boom'));
+    scheduler.define('flaky', handler);
+
+    await schedule('flaky', currentTime);
+
+    await scheduler.runDue();
+    let job = await Job.findOne();
+    expect(job.status).toBe('pending');
+    expect(job.attempts).toBe(1);
+    expect(job.lastError).toBe('Boom');
+
+    // Not retried before the delay has passed
+    await scheduler.runDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    advance(minutes(1));
+    await scheduler.runDue();
+    job = await Job.findOne();
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(job.status).toBe('failed');
+  });
+
+  it('should reclaim jobs left running by a crashed worker', async () => {
+    await Job.create({
+      name: 'greet',
+      runAt: currentTime,
+      status: 'running',
+      lockedAt: currentTime,
+      attempts: 1
+    });
+
+    const scheduler = createScheduler({ now, lockTimeout: minutes(5) });
+    const handler = jest.fn();
+    scheduler.define('greet', handler);
+
+    await scheduler.runDue();
+    expect(handler).not.toHaveBeenCalled();
+
+    advance(minutes(5));
+    await scheduler.runDue();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should leave jobs without a handler alone', async () => {
+    await schedule('unknown', currentTime);
+
+    const scheduler = createScheduler({ now });
+    expect(await scheduler.runDue()).toBe(0);
+
+    const job = await Job.findOne();
+    expect(job.status).toBe('pending');
+  });
+});
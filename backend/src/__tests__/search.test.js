@@ -0,0 +1,173 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+// ($text queries fail without the text index)
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Tag.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Tag.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('GET /tasks/search', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to create a task
+  const createTask = async (body, authToken = token) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(201);
+
+    return response.body;
+  };
+
+  // Helper function to search
+  const search = (query, authToken = token) => {
+    return request(app)
+      .get('/tasks/search')
+      .query(query)
+      .set('Authorization', `Bearer ${authToken}`);
+  };
+
+  beforeEach(async () => {
+    ({ token } = await setupUser());
+  });
+
+  it('should rank description matches above tag and checklist matches', async () => {
+    await createTask({ description: 'Buy milk', subtasks: [{ text: 'Check the budget' }] });
+    await createTask({ description: 'Plan the trip', tags: ['budget'] });
+    await createTask({ description: 'Review the budget' });
+    await createTask({ description: 'Unrelated' });
+
+    const response = await search({ q: 'budget' }).expect(200);
+
+    expect(response.body.map(task => task.description))
+      .toEqual(['Review the budget', 'Plan the trip', 'Buy milk']);
+    expect(response.body[0].score).toBeGreaterThan(response.body[1].score);
+  });
+
+  it('should match word stems', async () => {
+    await createTask({ description: 'Write the reports' });
+
+    const response = await search({ q: 'reporting' }).expect(200);
+
+    expect(response.body).toHaveLength(1);
+  });
+
+  it('should support phrases and exclusions', async () => {
+    await createTask({ description: 'Quarterly report for finance' });
+    await createTask({ description: 'Report on the quarterly numbers' });
+    await createTask({ description: 'Quarterly report draft' });
+
+    const phrase = await search({ q: '"quarterly report"' }).expect(200);
+    expect(phrase.body.map(task => task.description).sort())
+      .toEqual(['Quarterly report draft', 'Quarterly report for finance']);
+
+    const excluded = await search({ q: '"quarterly report" -draft' }).expect(200);
+    expect(excluded.body.map(task => task.description)).toEqual(['Quarterly report for finance']);
+  });
+
+  it('should return highlights for each matching field', async () => {
+    await createTask({
+      description: 'Send the report',
+      tags: ['reports'],
+      subtasks: [{ text: 'Proofread report' }, { text: 'Attach slides' }]
+    });
+
+    const response = await search({ q: 'report' }).expect(200);
+
+    expect(response.body[0].highlights).toEqual([
+      { field: 'description', text: 'Send the report', matches: [[9, 15]] },
+      { field: 'tags', text: 'reports', matches: [[0, 7]] },
+      { field: 'subtasks', text: 'Proofread report', matches: [[10, 16]] }
+    ]);
+  });
+
+  it('should apply the GET /tasks filters', async () => {
+    await createTask({ description: 'Report one', completed: true });
+    await createTask({ description: 'Report two', tags: ['work'] });
+
+    const open = await search({ q: 'report', completed: 'false' }).expect(200);
+    expect(open.body.map(task => task.description)).toEqual(['Report two']);
+
+    const tagged = await search({ q: 'report', tags: 'work' }).expect(200);
+    expect(tagged.body.map(task => task.description)).toEqual(['Report two']);
+
+    await search({ q: 'report', project: 'nope' }).expect(400);
+  });
+
+  it('should only search tasks matching the within query', async () => {
+    await createTask({ description: 'Report one', priority: 'high' });
+    await createTask({ description: 'Report two', priority: 'low' });
+
+    const response = await search({ q: 'report', within: 'priority:high' }).expect(200);
+    expect(response.body.map(task => task.description)).toEqual(['Report one']);
+
+    await search({ q: 'report', within: 'priority:urgent' }).expect(400);
+  });
+
+  it('should not find other users\' tasks or tasks in the trash', async () => {
+    const other = await setupUser(testUser2);
+    await createTask({ description: 'Their report' }, other.token);
+
+    const trashed = await createTask({ description: 'Old report' });
+    await request(app)
+      .delete(`/tasks/${trashed._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const response = await search({ q: 'report' }).expect(200);
+
+    expect(response.body).toEqual([]);
+  });
+
+  it('should need at least one word to look for', async () => {
+    const response = await search({ q: '-draft' }).expect(400);
+    expect(response.body.error).toBe('Search needs at least one word to look for');
+
+    await search({}).expect(400);
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/tasks/search?q=report').expect(401);
+  });
+});
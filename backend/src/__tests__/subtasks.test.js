@@ -0,0 +1,212 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Subtask Endpoints', () => {
+  let token;
+  let taskId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  // Helper function to add a subtask and return the updated task
+  const addSubtask = async (text) => {
+    const response = await request(app)
+      .post(`/tasks/${taskId}/subtasks`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ text })
+      .expect(201);
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Write report' });
+    taskId = response.body._id;
+  });
+
+  describe('POST /tasks/:id/subtasks', () => {
+    it('should append subtasks in order', async () => {
+      await addSubtask('Outline');
+      const task = await addSubtask('Draft');
+
+      expect(task.subtasks).toHaveLength(2);
+      expect(task.subtasks[0].text).toBe('Outline');
+      expect(task.subtasks[0].position).toBe(0);
+      expect(task.subtasks[1].text).toBe('Draft');
+      expect(task.subtasks[1].position).toBe(1);
+      expect(task.subtasks[1].completed).toBe(false);
+    });
+
+    it('should not add a subtask without text', async () => {
+      await request(app)
+        .post(`/tasks/${taskId}/subtasks`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+    });
+
+    it('should not add a subtask to another user\'s task', async () => {
+      const token2 = await setupUser(testUser2);
+
+      await request(app)
+        .post(`/tasks/${taskId}/subtasks`)
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ text: 'Sneaky' })
+        .expect(404);
+    });
+  });
+
+  describe('progress', () => {
+    it('should be returned with every task', async () => {
+      const response = await request(app)
+        .get(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.progress).toEqual({ completed: 0, total: 0 });
+    });
+
+    it('should count completed subtasks', async () => {
+      await addSubtask('One');
+      await addSubtask('Two');
+      const task = await addSubtask('Three');
+
+      const response = await request(app)
+        .patch(`/tasks/${taskId}/subtasks/${task.subtasks[1]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(200);
+
+      expect(response.body.subtasks[1].completed).toBe(true);
+      expect(response.body.progress).toEqual({ completed: 1, total: 3 });
+
+      const list = await request(app)
+        .get('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(list.body[0].progress).toEqual({ completed: 1, total: 3 });
+    });
+  });
+
+  describe('PATCH /tasks/:id/subtasks/:subtaskId', () => {
+    it('should rename a subtask', async () => {
+      const task = await addSubtask('Typo');
+
+      const response = await request(app)
+        .patch(`/tasks/${taskId}/subtasks/${task.subtasks[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.subtasks[0].text).toBe('Fixed');
+    });
+
+    it('should reject invalid updates', async () => {
+      const task = await addSubtask('Item');
+
+      await request(app)
+        .patch(`/tasks/${taskId}/subtasks/${task.subtasks[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ position: 5 })
+        .expect(400);
+    });
+
+    it('should return 404 for unknown subtask', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+
+      await request(app)
+        .patch(`/tasks/${taskId}/subtasks/${fakeId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(404);
+    });
+  });
+
+  describe('POST /tasks/:id/subtasks/reorder', () => {
+    it('should reorder subtasks', async () => {
+      await addSubtask('A');
+      await addSubtask('B');
+      const task = await addSubtask('C');
+      const [a, b, c] = task.subtasks.map((subtask) => subtask._id);
+
+      const response = await request(app)
+        .post(`/tasks/${taskId}/subtasks/reorder`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ order: [c, a, b] })
+        .expect(200);
+
+      expect(response.body.subtasks.map((subtask) => subtask.text)).toEqual(['C', 'A', 'B']);
+      expect(response.body.subtasks.map((subtask) => subtask.position)).toEqual([0, 1, 2]);
+    });
+
+    it('should reject an order that does not list every subtask', async () => {
+      await addSubtask('A');
+      const task = await addSubtask('B');
+
+      await request(app)
+        .post(`/tasks/${taskId}/subtasks/reorder`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ order: [task.subtasks[0]._id] })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /tasks/:id/subtasks/:subtaskId', () => {
+    it('should delete a subtask and renumber the rest', async () => {
+      await addSubtask('A');
+      await addSubtask('B');
+      const task = await addSubtask('C');
+
+      const response = await request(app)
+        .delete(`/tasks/${taskId}/subtasks/${task.subtasks[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.subtasks.map((subtask) => subtask.text)).toEqual(['B', 'C']);
+      expect(response.body.subtasks.map((subtask) => subtask.position)).toEqual([0, 1]);
+      expect(response.body.progress.total).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,317 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Counter = require('../models/Counter');
+const Tombstone = require('../models/Tombstone');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Tag.collection.drop().catch(() => {});
+  await Counter.collection.drop().catch(() => {});
+  await Tombstone.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Tag.createIndexes();
+  await Tombstone.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Sync Endpoints', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  // Helper function to create a task
+  const createTask = async (body, authToken = token) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body)
+      .expect(201);
+    return response.body;
+  };
+
+  // Helper function to pull changes
+  const pull = async (query = '') => {
+    const response = await request(app)
+      .get(`/sync${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body;
+  };
+
+  // Helper function to push changes
+  const push = async (changes) => {
+    const response = await request(app)
+      .post('/sync')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ changes })
+      .expect(200);
+    return response.body.results;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+  });
+
+  describe('GET /sync', () => {
+    it('should return every task on the first sync', async () => {
+      await createTask({ description: 'One' });
+      await createTask({ description: 'Two' });
+
+      const body = await pull();
+
+      expect(body.tasks.map(task => task.description)).toEqual(['One', 'Two']);
+      expect(body.tasks[0].syncSeq).toBeLessThan(body.tasks[1].syncSeq);
+      expect(body.deleted).toEqual([]);
+      expect(body.cursor).toBeDefined();
+      expect(body.hasMore).toBe(false);
+    });
+
+    it('should only return changes after the cursor', async () => {
+      const one = await createTask({ description: 'One' });
+      await createTask({ description: 'Two' });
+      const { cursor } = await pull();
+
+      await request(app)
+        .patch(`/tasks/${one._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(200);
+
+      const body = await pull(`?since=${cursor}`);
+      expect(body.tasks.map(task => task.description)).toEqual(['One']);
+      expect(body.tasks[0].completed).toBe(true);
+
+      // Nothing new: same cursor back
+      const again = await pull(`?since=${body.cursor}`);
+      expect(again.tasks).toEqual([]);
+      expect(again.cursor).toBe(body.cursor);
+    });
+
+    it('should report deleted tasks', async () => {
+      const task = await createTask({ description: 'Doomed' });
+      const { cursor } = await pull();
+
+      await request(app)
+        .delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const body = await pull(`?since=${cursor}`);
+      expect(body.tasks).toEqual([]);
+      expect(body.deleted).toEqual([task._id]);
+    });
+
+    it('should report purged tasks, and restored tasks again', async () => {
+      const purged = await createTask({ description: 'Purged' });
+      const restored = await createTask({ description: 'Restored' });
+
+      for (const task of [purged, restored]) {
+        await request(app)
+          .delete(`/tasks/${task._id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      }
+      const { cursor } = await pull();
+
+      await request(app)
+        .delete(`/tasks/trash/${purged._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await request(app)
+        .post(`/tasks/${restored._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const body = await pull(`?since=${cursor}`);
+      expect(body.deleted).toEqual([purged._id]);
+      expect(body.tasks.map(task => task.description)).toEqual(['Restored']);
+      expect(await Tombstone.findById(purged._id)).not.toBeNull();
+    });
+
+    it('should include tasks changed by bulk updates', async () => {
+      await createTask({ description: 'Tagged', tags: ['old'] });
+      const { cursor } = await pull();
+
+      const tags = await request(app)
+        .get('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .patch(`/tags/${tags.body[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'new' })
+        .expect(200);
+
+      const body = await pull(`?since=${cursor}`);
+      expect(body.tasks.map(task => task.tags)).toEqual([['new']]);
+    });
+
+    it('should page through changes', async () => {
+      for (const description of ['A', 'B', 'C']) {
+        await createTask({ description });
+      }
+
+      const first = await pull('?limit=2');
+      expect(first.tasks.map(task => task.description)).toEqual(['A', 'B']);
+      expect(first.hasMore).toBe(true);
+
+      const second = await pull(`?limit=2&since=${first.cursor}`);
+      expect(second.tasks.map(task => task.description)).toEqual(['C']);
+      expect(second.hasMore).toBe(false);
+    });
+
+    it('should not return other users\' changes', async () => {
+      const token2 = await setupUser(testUser2);
+      await createTask({ description: 'Private' }, token2);
+
+      const body = await pull();
+      expect(body.tasks).toEqual([]);
+    });
+
+    it('should reject an invalid cursor', async () => {
+      await request(app)
+        .get('/sync?since=garbage')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+  });
+
+  describe('POST /sync', () => {
+    it('should create tasks with client-chosen IDs, once', async () => {
+      const id = new mongoose.Types.ObjectId().toString();
+      const change = { op: 'create', id, data: { description: 'Made offline' } };
+
+      const [first] = await push([change]);
+      expect(first.status).toBe('applied');
+      expect(first.task._id).toBe(id);
+
+      // Retrying the same push doesn't create a duplicate
+      const [retry] = await push([change]);
+      expect(retry.status).toBe('applied');
+      expect(await Task.countDocuments({ _id: id })).toBe(1);
+    });
+
+    it('should apply updates made against the latest version', async () => {
+      const task = await createTask({ description: 'Edit me' });
+
+      const [result] = await push([
+        { op: 'update', id: task._id, baseSeq: task.syncSeq, data: { completed: true } }
+      ]);
+
+      expect(result.status).toBe('applied');
+      expect(result.task.completed).toBe(true);
+      expect(result.task.syncSeq).toBeGreaterThan(task.syncSeq);
+    });
+
+    it('should report a conflict when the task changed on the server', async () => {
+      const task = await createTask({ description: 'Original' });
+
+      await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Changed on the server' })
+        .expect(200);
+
+      const [result] = await push([
+        { op: 'update', id: task._id, baseSeq: task.syncSeq, data: { description: 'Changed offline' } }
+      ]);
+
+      expect(result.status).toBe('conflict');
+      expect(result.reason).toBe('changed');
+      expect(result.task.description).toBe('Changed on the server');
+    });
+
+    it('should report a conflict when the task was deleted', async () => {
+      const task = await createTask({ description: 'Gone' });
+
+      await request(app)
+        .delete(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const [update, remove] = await push([
+        { op: 'update', id: task._id, baseSeq: task.syncSeq, data: { completed: true } },
+        { op: 'delete', id: task._id, baseSeq: task.syncSeq }
+      ]);
+
+      expect(update).toMatchObject({ status: 'conflict', reason: 'deleted' });
+      expect(remove.status).toBe('applied');
+    });
+
+    it('should move deleted tasks to the trash', async () => {
+      const task = await createTask({ description: 'Delete offline' });
+
+      const [result] = await push([{ op: 'delete', id: task._id, baseSeq: task.syncSeq }]);
+
+      expect(result.status).toBe('applied');
+      const stored = await Task.findById(task._id);
+      expect(stored.deletedAt).not.toBeNull();
+    });
+
+    it('should report errors per change without failing the batch', async () => {
+      const [bad, good] = await push([
+        { op: 'create', id: new mongoose.Types.ObjectId().toString(), data: { priority: 'urgent' } },
+        { op: 'create', id: new mongoose.Types.ObjectId().toString(), data: { description: 'Fine' } }
+      ]);
+
+      expect(bad.status).toBe('error');
+      expect(good.status).toBe('applied');
+    });
+
+    it('should not touch other users\' tasks', async () => {
+      const token2 = await setupUser(testUser2);
+      const foreign = await createTask({ description: 'Theirs' }, token2);
+
+      const [result] = await push([
+        { op: 'update', id: foreign._id, baseSeq: foreign.syncSeq, data: { completed: true } }
+      ]);
+
+      expect(result.status).toBe('error');
+      const stored = await Task.findById(foreign._id);
+      expect(stored.completed).toBe(false);
+    });
+
+    it('should require a changes array', async () => {
+      await request(app)
+        .post('/sync')
+        .set('Authorization', `Bearer ${token}`)
+        .send({})
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Tag.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Tag.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Tag Endpoints', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+  });
+
+  describe('POST /tags', () => {
+    it('should create a tag with a colour', async () => {
+      const response = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: '#Work', color: '#FF0000' })
+        .expect(201);
+
+      expect(response.body.name).toBe('work');
+      expect(response.body.color).toBe('#ff0000');
+    });
+
+    it('should pick a default colour when none is given', async () => {
+      const response = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'home' })
+        .expect(201);
+
+      expect(response.body.color).toMatch(/^#[0-9a-f]{6}$/);
+    });
+
+    it('should not create a duplicate tag', async () => {
+      await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'work' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Work' })
+        .expect(400);
+
+      expect(response.body.error).toBe('A tag with that name already exists');
+    });
+
+    it('should allow different users to have the same tag', async () => {
+      const token2 = await setupUser(testUser2);
+
+      await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'work' })
+        .expect(201);
+
+      await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ name: 'work' })
+        .expect(201);
+    });
+
+    it('should reject an invalid colour', async () => {
+      await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'work', color: 'red' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /tags', () => {
+    it('should list only the current user\'s tags, sorted by name', async () => {
+      const token2 = await setupUser(testUser2);
+
+      await request(app).post('/tags').set('Authorization', `Bearer ${token}`).send({ name: 'work' });
+      await request(app).post('/tags').set('Authorization', `Bearer ${token}`).send({ name: 'home' });
+      await request(app).post('/tags').set('Authorization', `Bearer ${token2}`).send({ name: 'other' });
+
+      const response = await request(app)
+        .get('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map(tag => tag.name)).toEqual(['home', 'work']);
+    });
+  });
+
+  describe('PATCH /tags/:id', () => {
+    it('should rename the tag on every task that uses it', async () => {
+      const taskResponse = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Tagged', tags: ['work', 'urgent'] });
+
+      const tag = await Tag.findOne({ name: 'work' });
+
+      const response = await request(app)
+        .patch(`/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'office' })
+        .expect(200);
+
+      expect(response.body.name).toBe('office');
+
+      const task = await Task.findById(taskResponse.body._id);
+      expect([...task.tags].sort()).toEqual(['office', 'urgent']);
+    });
+
+    it('should not update another user\'s tag', async () => {
+      const token2 = await setupUser(testUser2);
+      const created = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'work' });
+
+      await request(app)
+        .patch(`/tags/${created.body._id}`)
+        .set('Authorization', `Bearer ${token2}`)
+        .send({ color: '#000000' })
+        .expect(404);
+    });
+
+    it('should reject invalid updates', async () => {
+      const created = await request(app)
+        .post('/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'work' });
+
+      await request(app)
+        .patch(`/tags/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ owner: new mongoose.Types.ObjectId() })
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /tags/:id', () => {
+    it('should delete the tag and remove it from tasks', async () => {
+      const taskResponse = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Tagged', tags: ['work', 'urgent'] });
+
+      const tag = await Tag.findOne({ name: 'urgent' });
+
+      await request(app)
+        .delete(`/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Tag.findById(tag._id)).toBeNull();
+
+      const task = await Task.findById(taskResponse.body._id);
+      expect([...task.tags]).toEqual(['work']);
+    });
+
+    it('should return 404 for unknown tag', async () => {
+      await request(app)
+        .delete(`/tags/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { buildTaskFilter } = require('../utils/taskFilter');
+const { parseSort } = require('../utils/taskQuery');
+
+// ============================================
+// GET /tasks BENCHMARK - A USER WITH 50,000 TASKS
+// ============================================
+// Inserting the tasks takes a while, so this only runs when asked for:
+//   npm run test:benchmark
+// It prints how long each kind of list request takes, and checks that
+// MongoDB reads each page from an index instead of sorting every task.
+
+const describeBenchmark = process.env.RUN_BENCHMARK ? describe : describe.skip;
+
+const TASK_COUNT = 50000;
+const BATCH_SIZE = 5000;
+const RUNS = 10;                // Timed requests per list (after one warm-up)
+const MAX_MEDIAN_MS = 250;      // Generous, so slow CI machines still pass
+const DAY = 24 * 60 * 60 * 1000;
+
+const testUser = {
+  name: 'Benchmark User',
+  email: 'benchmark@example.com',
+  password: 'testpassword123'
+};
+
+// The list requests a task list makes, one page each
+const LISTS = [
+  { name: 'creation order', query: { limit: 50 } },
+  { name: 'open, by due date', query: { limit: 50, completed: 'false', sortBy: 'dueDate:asc' } },
+  { name: 'open, newest first', query: { limit: 50, completed: 'false', sortBy: 'createdAt:desc' } },
+  { name: 'open, by priority', query: { limit: 50, completed: 'false', sortBy: 'priority:desc' } },
+  { name: 'done, newest first', query: { limit: 50, completed: 'true', sortBy: 'createdAt:desc' } }
+];
+
+// Every stage of a query plan (they're nested in inputStage / inputStages)
+const planStages = (plan) => [
+  plan.stage,
+  ...(plan.inputStage ? planStages(plan.inputStage) : []),
+  ...(plan.inputStages || []).flatMap(planStages)
+];
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+let token;
+let owner;
+
+beforeAll(async () => {
+  if (!process.env.RUN_BENCHMARK) {
+    return;
+  }
+
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+
+  const response = await request(app).post('/users/signup').send(testUser);
+  token = response.body.token;
+  owner = new mongoose.Types.ObjectId(response.body.user._id);
+
+  // Straight into the collection - saving 50,000 documents one by one
+  // (with their middleware) would take minutes
+  const priorities = Object.entries(Task.PRIORITY_RANKS);
+  const start = Date.now() - TASK_COUNT * 60 * 1000;
+
+  for (let offset = 0; offset < TASK_COUNT; offset += BATCH_SIZE) {
+    const tasks = Array.from({ length: BATCH_SIZE }, (_, i) => {
+      const n = offset + i;
+      const [priority, priorityRank] = priorities[n % priorities.length];
+      const createdAt = new Date(start + n * 60 * 1000);
+      const dueDate = n % 4 === 0 ? null : new Date(createdAt.getTime() + (n % 30) * DAY);
+
+      return {
+        description: `Task ${n}`,
+        completed: n % 3 === 0,
+        dueDate,
+        hasDueDate: dueDate !== null,
+        priority,
+        priorityRank,
+        owner,
+        project: null,
+        subtasks: [],
+        reminders: [],
+        recurrence: null,
+        tags: [],
+        deletedAt: null,
+        syncSeq: 0,
+        createdAt,
+        updatedAt: createdAt
+      };
+    });
+
+    await Task.collection.insertMany(tasks, { ordered: false });
+  }
+}, 5 * 60 * 1000);
+
+afterAll(async () => {
+  if (!process.env.RUN_BENCHMARK) {
+    return;
+  }
+
+  await Task.collection.drop().catch(() => {});
+  await mongoose.connection.close();
+});
+
+describeBenchmark('GET /tasks with 50,000 tasks', () => {
+  const results = [];
+
+  afterAll(() => {
+    console.table(results);
+  });
+
+  it.each(LISTS)('should list a page quickly: $name', async ({ name, query }) => {
+    const get = (params) => request(app)
+      .get('/tasks')
+      .query(params)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    // Warm-up, and the cursor for a second page
+    const first = await get(query);
+    expect(first.body).toHaveLength(50);
+    expect(Number(first.headers['x-total-count'])).toBeGreaterThan(50);
+    const after = new URLSearchParams(/<\?([^>]*)>/.exec(first.headers.link)[1]).get('after');
+
+    const timings = [];
+    for (let run = 0; run < RUNS; run++) {
+      const started = process.hrtime.bigint();
+      await get(run % 2 === 0 ? query : { ...query, after });
+      timings.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+
+    results.push({
+      list: name,
+      'median ms': Math.round(median(timings)),
+      'max ms': Math.round(Math.max(...timings))
+    });
+    expect(median(timings)).toBeLessThan(MAX_MEDIAN_MS);
+  });
+
+  it.each(LISTS)('should read the page from an index: $name', async ({ query }) => {
+    const sort = parseSort(query.sortBy);
+    const explained = await Task.find({ ...buildTaskFilter(query), owner })
+      .sort(Object.keys(sort).length > 0 ? sort : { _id: 1 })
+      .limit(query.limit + 1)
+      .explain('executionStats');
+
+    // Newer servers wrap the plan in queryPlan
+    const { winningPlan } = explained.queryPlanner;
+    const stages = planStages(winningPlan.queryPlan || winningPlan);
+    expect(stages).toContain('IXSCAN');
+    expect(stages).not.toContain('SORT');
+    expect(stages).not.toContain('COLLSCAN');
+
+    // Only about a page of tasks is read, not all 50,000
+    expect(explained.executionStats.totalDocsExamined).toBeLessThan(500);
+  });
+});
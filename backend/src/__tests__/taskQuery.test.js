@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { parseTaskQuery, parseSort, sortCollation } = require('../utils/taskQuery');
+
+// These tests don't need a database: the parser only builds filter objects
+
+const now = new Date('2026-10-19T15:30:00.000Z');
+const parse = (q) => parseTaskQuery(q, now);
+
+describe('parseTaskQuery', () => {
+  it('should return an empty filter for an empty query', () => {
+    expect(parse('')).toEqual({});
+    expect(parse(undefined)).toEqual({});
+    expect(parse('   ')).toEqual({});
+  });
+
+  it('should parse the example query', () => {
+    expect(parse('priority:high due:<2026-11-01 -completed tag:work created:>7d')).toEqual({
+      $and: [
+        { priority: { $in: ['high'] } },
+        { dueDate: { $lt: new Date('2026-11-01T00:00:00.000Z') } },
+        { $nor: [{ completed: true }] },
+        { tags: { $in: ['work'] } },
+        { createdAt: { $gte: new Date('2026-10-12T15:30:00.001Z') } }
+      ]
+    });
+  });
+
+  it('should match text literally', () => {
+    expect(parse('a.b "two words" -"(x+)+"')).toEqual({
+      $and: [
+        { description: { $regex: 'a\\.b', $options: 'i' } },
+        { description: { $regex: 'two words', $options: 'i' } },
+        { $nor: [{ description: { $regex: '\\(x\\+\\)\\+', $options: 'i' } }] }
+      ]
+    });
+  });
+
+  it('should treat a quoted flag as text', () => {
+    expect(parse('"completed"')).toEqual({
+      $and: [{ description: { $regex: 'completed', $options: 'i' } }]
+    });
+  });
+
+  describe('fields', () => {
+    it('should read lists, aliases and special values', () => {
+      expect(parse('tags:#Work,home').$and).toEqual([{ tags: { $in: ['work', 'home'] } }]);
+      expect(parse('tag:none').$and).toEqual([{ tags: { $size: 0 } }]);
+      expect(parse('priority:LOW,medium').$and).toEqual([{ priority: { $in: ['low', 'medium'] } }]);
+      expect(parse('project:inbox').$and).toEqual([{ project: null }]);
+      expect(parse('completed:false').$and).toEqual([{ completed: false }]);
+    });
+
+    it('should read project IDs', () => {
+      const id = new mongoose.Types.ObjectId();
+      expect(parse(`project:${id}`).$and[0].project.toString()).toBe(id.toString());
+    });
+
+    it('should have flags for common lists', () => {
+      // Overdue from the day after the due date, so not tasks due today
+      expect(parse('overdue recurring').$and).toEqual([
+        { completed: false, dueDate: { $lt: new Date('2026-10-19T00:00:00.000Z') } },
+        { recurrence: { $ne: null } }
+      ]);
+    });
+  });
+
+  describe('dates', () => {
+    const due = (value) => parse(`due:${value}`).$and[0].dueDate;
+
+    it('should treat a day as the whole day', () => {
+      expect(due('2026-11-01')).toEqual({
+        $gte: new Date('2026-11-01T00:00:00.000Z'),
+        $lt: new Date('2026-11-02T00:00:00.000Z')
+      });
+      expect(due('<=2026-11-01')).toEqual({ $lt: new Date('2026-11-02T00:00:00.000Z') });
+      expect(due('>2026-11-01')).toEqual({ $gte: new Date('2026-11-02T00:00:00.000Z') });
+      expect(due('>=2026-11-01')).toEqual({ $gte: new Date('2026-11-01T00:00:00.000Z') });
+    });
+
+    it('should read named days, ranges and exact times', () => {
+      expect(due('today')).toEqual({
+        $gte: new Date('2026-10-19T00:00:00.000Z'),
+        $lt: new Date('2026-10-20T00:00:00.000Z')
+      });
+      expect(due('<tomorrow')).toEqual({ $lt: new Date('2026-10-20T00:00:00.000Z') });
+      expect(due('yesterday..today')).toEqual({
+        $gte: new Date('2026-10-18T00:00:00.000Z'),
+        $lt: new Date('2026-10-20T00:00:00.000Z')
+      });
+      expect(due('<2026-10-19T12:00:00Z')).toEqual({ $lt: new Date('2026-10-19T12:00:00.000Z') });
+    });
+
+    it('should count relative dates forwards for due and backwards for created', () => {
+      expect(due('<7d')).toEqual({ $lt: new Date('2026-10-26T15:30:00.000Z') });
+      expect(due('>-2w')).toEqual({ $gte: new Date('2026-10-05T15:30:00.001Z') });
+      expect(parse('updated:<1m').$and[0].updatedAt).toEqual({ $lt: new Date('2026-09-19T15:30:00.000Z') });
+    });
+
+    it('should count whole days from today', () => {
+      expect(due('<today+7d')).toEqual({ $lt: new Date('2026-10-26T00:00:00.000Z') });
+      expect(due('today-1w')).toEqual({
+        $gte: new Date('2026-10-12T00:00:00.000Z'),
+        $lt: new Date('2026-10-13T00:00:00.000Z')
+      });
+      expect(() => parse('due:today+12h')).toThrow('Invalid date "today+12h"');
+    });
+
+    it('should read none and any', () => {
+      expect(due('none')).toBeNull();
+      expect(due('any')).toEqual({ $ne: null });
+    });
+
+    it('should reject dates that don\'t exist', () => {
+      expect(() => parse('due:2026-02-31')).toThrow('Invalid date "2026-02-31"');
+      expect(() => parse('due:soon')).toThrow('Invalid date "soon"');
+      expect(() => parse('due:today..later')).toThrow('Invalid date range "today..later"');
+    });
+  });
+
+  describe('invalid queries', () => {
+    it('should name what is wrong', () => {
+      expect(() => parse('colour:red')).toThrow('Unknown filter "colour:"');
+      expect(() => parse('tag:')).toThrow('tag: needs a value');
+      expect(() => parse('priority:urgent')).toThrow('Invalid priority "urgent"');
+      expect(() => parse('project:123')).toThrow('Invalid project');
+      expect(() => parse('completed:maybe')).toThrow('completed: must be true or false');
+    });
+
+    it('should not accept objects or huge queries', () => {
+      expect(() => parse({ $ne: null })).toThrow('q must be a string');
+      expect(() => parse('x'.repeat(501))).toThrow('Query is too long');
+      expect(() => parse('a '.repeat(21))).toThrow('too many terms');
+    });
+  });
+});
+
+describe('parseSort', () => {
+  it('should keep the keys in order and break ties by _id', () => {
+    const sort = parseSort('due:asc,createdAt:desc,description');
+
+    expect(sort).toEqual({ hasDueDate: -1, dueDate: 1, createdAt: -1, description: 1, _id: 1 });
+    expect(Object.keys(sort)).toEqual(['hasDueDate', 'dueDate', 'createdAt', 'description', '_id']);
+  });
+
+  it('should put tasks without a due date last in either direction', () => {
+    expect(parseSort('dueDate:asc')).toEqual({ hasDueDate: -1, dueDate: 1, _id: 1 });
+    expect(parseSort('dueDate:desc')).toEqual({ hasDueDate: -1, dueDate: -1, _id: 1 });
+  });
+
+  it('should compare descriptions without regard to case', () => {
+    expect(sortCollation(parseSort('description:desc'))).toEqual({ locale: 'en', strength: 2 });
+    expect(sortCollation(parseSort('dueDate:asc'))).toBeNull();
+  });
+
+  it('should sort priority by rank, not alphabetically', () => {
+    expect(parseSort('priority:desc')).toEqual({ priorityRank: -1, _id: 1 });
+  });
+
+  it('should return no sort when none is asked for', () => {
+    expect(parseSort(undefined)).toEqual({});
+  });
+
+  it('should reject unknown fields and directions', () => {
+    expect(() => parseSort('owner:asc')).toThrow('Can\'t sort by "owner"');
+    expect(() => parseSort('createdAt:up')).toThrow('Invalid sort direction "up"');
+    expect(() => parseSort(['createdAt'])).toThrow('sortBy must be a string');
+  });
+});
@@ -3,6 +3,8 @@ const mongoose = require('mongoose');
 const app = require('../app');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Job = require('../models/Job');
 
 // Test user data
 const testUser = {
@@ -34,8 +36,12 @@ beforeAll(async () => {
 beforeEach(async () => {
   await User.collection.drop().catch(() => {}); // Drop collection (ignore error if doesn't exist)
   await Task.collection.drop().catch(() => {});
+  await Tag.collection.drop().catch(() => {});
+  await Job.collection.drop().catch(() => {});
   await User.createIndexes(); // Recreate indexes
   await Task.createIndexes();
+  await Tag.createIndexes();
+  await Job.createIndexes();
 });
 
 // Teardown: Close database connection after all tests
@@ -78,6 +84,35 @@ describe('Task Endpoints', () => {
       expect(response.body.createdAt).toBeDefined();
     });
 
+    it('should ignore fields only the server sets', async () => {
+      const otherTask = new mongoose.Types.ObjectId().toString();
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          description: 'Sneaky task',
+          dueDate: '2026-10-20T12:00:00.000Z',
+          deletedAt: '2026-01-01T00:00:00.000Z',
+          syncSeq: 999,
+          priorityRank: 99,
+          recurrence: { frequency: 'daily', nextTask: otherTask },
+          reminders: [{ minutesBefore: 30, sentAt: '2026-01-01T00:00:00.000Z' }]
+        })
+        .expect(201);
+
+      expect(response.body.deletedAt).toBeNull();
+      expect(response.body.syncSeq).not.toBe(999);
+      expect(response.body.priorityRank).toBe(2);
+      expect(response.body.recurrence.nextTask).toBeNull();
+      expect(response.body.reminders[0].sentAt).toBeNull();
+
+      const listed = await request(app)
+        .get('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(listed.body.map(task => task.description)).toEqual(['Sneaky task']);
+    });
+
     it('should create a task with due date', async () => {
       const dueDate = new Date('2024-12-31');
       const response = await request(app)
@@ -192,6 +227,15 @@ describe('Task Endpoints', () => {
       expect(response.body[0].description).toBe('Task 3'); // Most recent
     });
 
+    it('should sort tasks by priority, high first', async () => {
+      const response = await request(app)
+        .get('/tasks?sortBy=priority:desc')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map(task => task.description)).toEqual(['Task 3', 'Task 2', 'Task 1']);
+    });
+
     it('should not get tasks without authentication', async () => {
       await request(app)
         .get('/tasks')
@@ -219,6 +263,301 @@ describe('Task Endpoints', () => {
     });
   });
 
+  describe('GET /tasks tag filtering', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Work only', tags: ['work'] });
+
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Urgent work', tags: ['#Work', 'urgent'] });
+
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Home', tags: ['home'] });
+    });
+
+    it('should normalize tag names and create missing tags', async () => {
+      const tags = await Tag.find({ owner: userId }).sort({ name: 1 });
+      expect(tags.map(tag => tag.name)).toEqual(['home', 'urgent', 'work']);
+      expect(tags[0].color).toMatch(/^#[0-9a-f]{6}$/);
+    });
+
+    it('should return tasks with all given tags by default', async () => {
+      const response = await request(app)
+        .get('/tasks?tags=work,urgent')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].description).toBe('Urgent work');
+    });
+
+    it('should return tasks with any given tag when tagMode=any', async () => {
+      const response = await request(app)
+        .get('/tasks?tags=urgent,home&tagMode=any')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map(task => task.description).sort()).toEqual(['Home', 'Urgent work']);
+    });
+
+    it('should reject invalid tag names', async () => {
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Bad tag', tags: ['two words'] })
+        .expect(400);
+    });
+  });
+
+  describe('GET /tasks query language', () => {
+    // Helper function to list tasks matching a query
+    const query = (params) => {
+      return request(app)
+        .get('/tasks')
+        .query(params)
+        .set('Authorization', `Bearer ${token}`);
+    };
+
+    const descriptions = (response) => response.body.map(task => task.description).sort();
+
+    beforeEach(async () => {
+      const tasks = [
+        { description: 'Weekly report', priority: 'high', tags: ['work'], dueDate: '2026-10-20T12:00:00.000Z' },
+        { description: 'Expenses', priority: 'high', tags: ['work'], dueDate: '2026-11-15T12:00:00.000Z' },
+        { description: 'Old report', priority: 'low', tags: ['work'], completed: true },
+        { description: 'Groceries', priority: 'medium', tags: ['home'] }
+      ];
+
+      for (const task of tasks) {
+        await request(app)
+          .post('/tasks')
+          .set('Authorization', `Bearer ${token}`)
+          .send(task)
+          .expect(201);
+      }
+    });
+
+    it('should combine terms', async () => {
+      const response = await query({ q: 'priority:high due:<2026-11-01 -completed tag:work created:>7d' })
+        .expect(200);
+
+      expect(descriptions(response)).toEqual(['Weekly report']);
+    });
+
+    it('should match description text and negated terms', async () => {
+      expect(descriptions(await query({ q: 'report' }))).toEqual(['Old report', 'Weekly report']);
+      expect(descriptions(await query({ q: 'report -"old"' }))).toEqual(['Weekly report']);
+      expect(descriptions(await query({ q: '-tag:work' }))).toEqual(['Groceries']);
+      expect(descriptions(await query({ q: 'priority:low,medium' }))).toEqual(['Groceries', 'Old report']);
+    });
+
+    it('should filter on dates and missing dates', async () => {
+      expect(descriptions(await query({ q: 'due:2026-11-01..2026-11-30' }))).toEqual(['Expenses']);
+      expect(descriptions(await query({ q: 'due:none' }))).toEqual(['Groceries', 'Old report']);
+      expect(descriptions(await query({ q: 'created:<7d' }))).toEqual([]);
+    });
+
+    it('should not treat text as MongoDB operators or regular expressions', async () => {
+      expect((await query({ q: '.*' }).expect(200)).body).toEqual([]);
+      expect((await query({ q: '{"$ne":null}' }).expect(200)).body).toEqual([]);
+    });
+
+    it('should reject invalid queries with a reason', async () => {
+      const unknown = await query({ q: 'colour:red' }).expect(400);
+      expect(unknown.body.error).toMatch(/Unknown filter/);
+
+      await query({ q: 'priority:urgent' }).expect(400);
+      await query({ q: 'due:soon' }).expect(400);
+      await query({ q: 'project:nope' }).expect(400);
+    });
+
+    it('should sort by several fields', async () => {
+      const response = await query({ sortBy: 'completed:desc,dueDate:desc,description:asc' }).expect(200);
+
+      expect(response.body.map(task => task.description))
+        .toEqual(['Old report', 'Expenses', 'Weekly report', 'Groceries']);
+    });
+
+    it('should reject unknown sort fields', async () => {
+      await query({ sortBy: 'owner:asc' }).expect(400);
+      await query({ sortBy: 'createdAt:sideways' }).expect(400);
+    });
+  });
+
+  describe('GET /tasks pagination', () => {
+    // Helper function to list a page of tasks
+    const page = (params) => {
+      return request(app)
+        .get('/tasks')
+        .query(params)
+        .set('Authorization', `Bearer ${token}`);
+    };
+
+    // The cursor from a response's Link header, or null on the last page
+    const nextCursor = (response) => {
+      const match = /<\?([^>]*)>; rel="next"/.exec(response.headers.link || '');
+      return match ? new URLSearchParams(match[1]).get('after') : null;
+    };
+
+    beforeEach(async () => {
+      const tasks = [
+        { description: 'A', dueDate: '2026-10-20T12:00:00.000Z' },
+        { description: 'B' },
+        { description: 'C', dueDate: '2026-10-20T12:00:00.000Z' },
+        { description: 'D', dueDate: '2026-10-21T12:00:00.000Z' },
+        { description: 'E' }
+      ];
+
+      for (const task of tasks) {
+        await request(app)
+          .post('/tasks')
+          .set('Authorization', `Bearer ${token}`)
+          .send(task)
+          .expect(201);
+      }
+    });
+
+    // Follows the Link headers to the end, returning every description seen
+    const readAll = async (params) => {
+      const seen = [];
+      let after;
+
+      do {
+        const response = await page({ ...params, ...(after && { after }) }).expect(200);
+        expect(response.headers['x-total-count']).toBe('5');
+        seen.push(...response.body.map(task => task.description));
+        after = nextCursor(response);
+      } while (after);
+
+      return seen;
+    };
+
+    it('should page in creation order by default', async () => {
+      expect(await readAll({ limit: 2 })).toEqual(['A', 'B', 'C', 'D', 'E']);
+    });
+
+    it('should page through ties and missing values in sort order', async () => {
+      // Tasks without a due date come last either way
+      expect(await readAll({ limit: 2, sortBy: 'dueDate:asc' })).toEqual(['A', 'C', 'D', 'B', 'E']);
+      expect(await readAll({ limit: 2, sortBy: 'dueDate:desc' })).toEqual(['D', 'A', 'C', 'B', 'E']);
+    });
+
+    it('should sort and page by description without regard to case', async () => {
+      for (const description of ['apple', 'banana']) {
+        await request(app)
+          .post('/tasks')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ description })
+          .expect(201);
+      }
+
+      const seen = [];
+      let after;
+      do {
+        const response = await page({ limit: 2, sortBy: 'description:asc', ...(after && { after }) }).expect(200);
+        seen.push(...response.body.map(task => task.description));
+        after = nextCursor(response);
+      } while (after);
+
+      expect(seen).toEqual(['A', 'apple', 'B', 'banana', 'C', 'D', 'E']);
+    });
+
+    it('should not repeat or skip tasks added between pages', async () => {
+      const first = await page({ limit: 2 }).expect(200);
+
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'F' });
+
+      const second = await page({ limit: 2, after: nextCursor(first) }).expect(200);
+      expect(second.body.map(task => task.description)).toEqual(['C', 'D']);
+    });
+
+    it('should leave out the Link header on the last page', async () => {
+      const response = await page({ limit: 5 }).expect(200);
+
+      expect(response.body).toHaveLength(5);
+      expect(response.headers.link).toBeUndefined();
+    });
+
+    it('should reject invalid cursors and cursors for another sort', async () => {
+      await page({ limit: 2, after: 'nope' }).expect(400);
+
+      const first = await page({ limit: 2 }).expect(200);
+      const response = await page({ limit: 2, after: nextCursor(first), sortBy: 'dueDate:asc' }).expect(400);
+      expect(response.body.error).toBe('Cursor was made for a different sortBy');
+    });
+  });
+
+  describe('Priority rank', () => {
+    it('should follow the priority', async () => {
+      const created = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Ranked', priority: 'low', priorityRank: 99 })
+        .expect(201);
+      expect(created.body.priorityRank).toBe(1);
+
+      const updated = await request(app)
+        .patch(`/tasks/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ priority: 'high' })
+        .expect(200);
+      expect(updated.body.priorityRank).toBe(3);
+    });
+
+    it('should be backfilled on tasks saved without one', async () => {
+      const { insertedId } = await Task.collection.insertOne({
+        description: 'Old task',
+        priority: 'high',
+        owner: new mongoose.Types.ObjectId(userId),
+        deletedAt: null
+      });
+
+      expect(await Task.backfillPriorityRanks()).toBe(1);
+      expect((await Task.findById(insertedId)).priorityRank).toBe(3);
+      expect(await Task.backfillPriorityRanks()).toBe(0);
+    });
+  });
+
+  describe('Has due date', () => {
+    it('should follow the due date', async () => {
+      const created = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Dated', dueDate: '2026-10-20T12:00:00.000Z' })
+        .expect(201);
+      expect(created.body.hasDueDate).toBe(true);
+
+      const updated = await request(app)
+        .patch(`/tasks/${created.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ dueDate: null })
+        .expect(200);
+      expect(updated.body.hasDueDate).toBe(false);
+    });
+
+    it('should be backfilled on tasks saved without one', async () => {
+      const owner = new mongoose.Types.ObjectId(userId);
+      const { insertedIds } = await Task.collection.insertMany([
+        { description: 'Old dated task', dueDate: new Date('2026-10-20T12:00:00.000Z'), owner, deletedAt: null },
+        { description: 'Old undated task', owner, deletedAt: null }
+      ]);
+
+      expect(await Task.backfillHasDueDates()).toBe(2);
+      expect((await Task.findById(insertedIds[0])).hasDueDate).toBe(true);
+      expect((await Task.findById(insertedIds[1])).hasDueDate).toBe(false);
+      expect(await Task.backfillHasDueDates()).toBe(0);
+    });
+  });
+
   describe('GET /tasks/:id', () => {
     let taskId;
 
@@ -360,6 +699,244 @@ describe('Task Endpoints', () => {
     });
   });
 
+  describe('Conditional GET (If-None-Match / If-Modified-Since)', () => {
+    let taskId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send(testTask)
+        .expect(201);
+      taskId = response.body._id;
+    });
+
+    // Helper function to GET with extra headers
+    const get = (url, headers = {}) => {
+      const req = request(app).get(url).set('Authorization', `Bearer ${token}`);
+      Object.entries(headers).forEach(([name, value]) => req.set(name, value));
+      return req;
+    };
+
+    it('should answer 304 for a task that hasn\'t changed', async () => {
+      const first = await get(`/tasks/${taskId}`).expect(200);
+      expect(first.headers['cache-control']).toBe('private, no-cache');
+      expect(first.headers['last-modified']).toBeDefined();
+
+      const again = await get(`/tasks/${taskId}`, { 'If-None-Match': first.headers.etag }).expect(304);
+      expect(again.text).toBe('');
+      await get(`/tasks/${taskId}`, { 'If-Modified-Since': first.headers['last-modified'] }).expect(304);
+
+      await request(app)
+        .patch(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ priority: 'high' })
+        .expect(200);
+
+      await get(`/tasks/${taskId}`, { 'If-None-Match': first.headers.etag }).expect(200);
+    });
+
+    it('should answer 304 for a list that hasn\'t changed', async () => {
+      const first = await get('/tasks?limit=10').expect(200);
+      expect(first.headers.etag).toBeDefined();
+      expect(first.headers['last-modified']).toBeDefined();
+
+      await get('/tasks?limit=10', { 'If-None-Match': first.headers.etag }).expect(304);
+
+      // A different list has its own ETag
+      await get('/tasks?limit=10&completed=true', { 'If-None-Match': first.headers.etag }).expect(200);
+
+      // So does the same list once a task in it changes
+      await request(app)
+        .patch(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(200);
+
+      const changed = await get('/tasks?limit=10', { 'If-None-Match': first.headers.etag }).expect(200);
+      expect(changed.body[0].completed).toBe(true);
+    });
+
+    it('should not give lists with a query a Last-Modified', async () => {
+      // due:today depends on the date, not just on changes
+      const response = await get('/tasks?q=due:today').expect(200);
+
+      expect(response.headers.etag).toBeDefined();
+      expect(response.headers['last-modified']).toBeUndefined();
+    });
+  });
+
+  describe('Task versions (ETag / If-Match)', () => {
+    let taskId;
+    let etag;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send(testTask)
+        .expect(201);
+      taskId = response.body._id;
+      etag = response.headers.etag;
+    });
+
+    // Helper function to update the task with an If-Match header
+    const updateIfMatch = (ifMatch, body) => {
+      return request(app)
+        .patch(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', ifMatch)
+        .send(body);
+    };
+
+    it('should give every response the task\'s version as its ETag', async () => {
+      expect(etag).toMatch(/^"\d+"$/);
+
+      const fetched = await request(app)
+        .get(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(fetched.headers.etag).toBe(etag);
+      expect(fetched.headers.etag).toBe(`"${fetched.body.syncSeq}"`);
+
+      const updated = await updateIfMatch(etag, { description: 'Changed' }).expect(200);
+      expect(updated.headers.etag).not.toBe(etag);
+      expect(updated.headers.etag).toBe(`"${updated.body.syncSeq}"`);
+    });
+
+    it('should refuse an update to a version that has changed', async () => {
+      // Another tab changes the task first
+      await updateIfMatch(etag, { priority: 'high' }).expect(200);
+
+      const response = await updateIfMatch(etag, { description: 'Overwritten?' }).expect(412);
+      expect(response.body.error).toBe('This task was changed somewhere else');
+      expect(response.body.task).toMatchObject({ description: testTask.description, priority: 'high' });
+      expect(response.headers.etag).toBe(`"${response.body.task.syncSeq}"`);
+
+      // Retrying against the current version works
+      await updateIfMatch(response.headers.etag, { description: 'Merged' }).expect(200);
+    });
+
+    it('should let only one of two updates with the same ETag through', async () => {
+      const responses = await Promise.all([
+        updateIfMatch(etag, { description: 'From the first tab' }),
+        updateIfMatch(etag, { description: 'From the second tab' })
+      ]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([200, 412]);
+
+      const winner = responses.find((response) => response.status === 200);
+      const loser = responses.find((response) => response.status === 412);
+      expect(loser.body.task.description).toBe(winner.body.description);
+      expect((await Task.findById(taskId)).description).toBe(winner.body.description);
+    });
+
+    it('should refuse an update if the task changes before it is saved', async () => {
+      const repeating = await updateIfMatch(etag, { recurrence: { frequency: 'daily' } }).expect(200);
+
+      // Another request changes the task after this one has read and checked it
+      const applyUpdates = Task.prototype.applyUpdates;
+      jest.spyOn(Task.prototype, 'applyUpdates').mockImplementationOnce(async function(fields) {
+        await Task.updateMany({ _id: taskId, owner: userId }, { $set: { priority: 'high' } });
+        return applyUpdates.call(this, fields);
+      });
+
+      let response;
+      try {
+        response = await updateIfMatch(repeating.headers.etag, { completed: true }).expect(412);
+      } finally {
+        jest.restoreAllMocks();
+      }
+
+      expect(response.body.task).toMatchObject({ priority: 'high', completed: false });
+      expect(response.headers.etag).toBe(`"${response.body.task.syncSeq}"`);
+
+      // The next occurrence that completing created is gone again
+      expect(await Task.countDocuments({ owner: userId })).toBe(1);
+    });
+
+    it('should accept "*" and a list of ETags', async () => {
+      await updateIfMatch('*', { priority: 'low' }).expect(200);
+
+      const task = await Task.findById(taskId);
+      await updateIfMatch(`"0", "${task.syncSeq}"`, { priority: 'high' }).expect(200);
+      await updateIfMatch(`W/"${task.syncSeq + 1}"`, { priority: 'low' }).expect(412);
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    // Helper function to create a repeating task
+    const createRecurringTask = async (recurrence, extra = {}) => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          description: 'Weekly report',
+          dueDate: '2025-03-03T09:00:00.000Z',   // A Monday
+          recurrence,
+          ...extra
+        })
+        .expect(201);
+      return response.body;
+    };
+
+    const complete = (taskId, completed = true) => {
+      return request(app)
+        .patch(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed })
+        .expect(200);
+    };
+
+    it('should spawn the next occurrence when completed', async () => {
+      const task = await createRecurringTask(
+        { frequency: 'weekly', byWeekday: ['MO', 'TH'] },
+        { tags: ['reports'], subtasks: [{ text: 'Collect numbers', completed: true }] }
+      );
+
+      const response = await complete(task._id);
+      expect(response.body.recurrence.nextTask).toBeDefined();
+
+      const next = await Task.findById(response.body.recurrence.nextTask);
+      expect(next.description).toBe('Weekly report');
+      expect(next.completed).toBe(false);
+      expect(next.dueDate.toISOString()).toBe('2025-03-06T09:00:00.000Z');
+      expect(next.tags).toEqual(['reports']);
+      expect(next.subtasks[0].completed).toBe(false);
+      expect(next.recurrence.occurrence).toBe(2);
+      expect(next.recurrence.byWeekday).toEqual(['MO', 'TH']);
+    });
+
+    it('should not spawn twice when completed again', async () => {
+      const task = await createRecurringTask({ frequency: 'daily' });
+
+      await complete(task._id);
+      await complete(task._id, false);
+      await complete(task._id);
+
+      const count = await Task.countDocuments({ owner: userId });
+      expect(count).toBe(2);
+    });
+
+    it('should stop when the count is reached', async () => {
+      const task = await createRecurringTask({ frequency: 'daily', count: 1 });
+
+      const response = await complete(task._id);
+      expect(response.body.recurrence.nextTask).toBeNull();
+
+      const count = await Task.countDocuments({ owner: userId });
+      expect(count).toBe(1);
+    });
+
+    it('should reject an invalid frequency', async () => {
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Bad', recurrence: { frequency: 'hourly' } })
+        .expect(400);
+    });
+  });
+
   describe('DELETE /tasks/:id', () => {
     let taskId;
 
@@ -371,15 +948,27 @@ describe('Task Endpoints', () => {
       taskId = response.body._id;
     });
 
-    it('should delete a task', async () => {
+    it('should move a task to the trash', async () => {
       await request(app)
         .delete(`/tasks/${taskId}`)
         .set('Authorization', `Bearer ${token}`)
         .expect(200);
 
-      // Verify task is deleted
+      // Verify task is trashed, not gone
       const task = await Task.findById(taskId);
-      expect(task).toBeNull();
+      expect(task.deletedAt).not.toBeNull();
+
+      // ...and hidden from the normal endpoints
+      const list = await request(app)
+        .get('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body).toHaveLength(0);
+
+      await request(app)
+        .get(`/tasks/${taskId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
     });
 
     it('should not delete task without authentication', async () => {
@@ -427,11 +1016,12 @@ describe('Task Endpoints', () => {
       await request(app)
         .post('/tasks')
         .set('Authorization', `Bearer ${token}`)
-        .send({ description: 'Task 2' });
+        .send({ description: 'Task 2', dueDate: '2099-01-01', reminders: [{ minutesBefore: 60 }] });
 
-      // Verify tasks exist
+      // Verify tasks exist, with a reminder and an overdue check scheduled
       let tasks = await Task.find({ owner: userId });
       expect(tasks).toHaveLength(2);
+      expect(await Job.countDocuments({ owner: userId })).toBe(2);
 
       // Delete user
       await request(app)
@@ -439,9 +1029,10 @@ describe('Task Endpoints', () => {
         .set('Authorization', `Bearer ${token}`)
         .expect(200);
 
-      // Verify tasks are deleted
+      // Verify tasks and their jobs are deleted
       tasks = await Task.find({ owner: userId });
       expect(tasks).toHaveLength(0);
+      expect(await Job.countDocuments({ owner: userId })).toBe(0);
     });
   });
 });
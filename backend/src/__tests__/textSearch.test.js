@@ -0,0 +1,90 @@
+const { parseSearchQuery, buildHighlights, buildSnippet } = require('../utils/textSearch');
+
+// These tests don't need a database: the helpers are pure functions
+
+describe('parseSearchQuery', () => {
+  it('should split words, phrases and exclusions', () => {
+    const search = parseSearchQuery('report "quarterly budget" -draft -"first pass"');
+
+    expect(search.terms).toEqual(['report']);
+    expect(search.phrases).toEqual(['quarterly budget']);
+    expect(search.excluded).toEqual(['draft']);
+    expect(search.excludedPhrases).toEqual(['first pass']);
+    expect(search.text).toBe('report "quarterly budget" -draft -"first pass"');
+  });
+
+  it('should accept a phrase without its closing quote', () => {
+    expect(parseSearchQuery('"call the').phrases).toEqual(['call the']);
+  });
+
+  it('should return null when there is nothing to look for', () => {
+    expect(parseSearchQuery('')).toBeNull();
+    expect(parseSearchQuery('   ')).toBeNull();
+    expect(parseSearchQuery('-draft')).toBeNull();
+    expect(parseSearchQuery('""')).toBeNull();
+    expect(parseSearchQuery(['array'])).toBeNull();
+    expect(parseSearchQuery(undefined)).toBeNull();
+  });
+
+  it('should not let quotes or dashes change the meaning of the query', () => {
+    expect(parseSearchQuery('a"b --c').text).toBe('ab -c');
+  });
+});
+
+describe('buildHighlights', () => {
+  const task = {
+    description: 'Send the quarterly report to finance',
+    tags: ['reports', 'work'],
+    subtasks: [{ text: 'Check numbers' }, { text: 'Reporting template' }]
+  };
+
+  it('should find words in the description, tags and checklist', () => {
+    const highlights = buildHighlights(task, parseSearchQuery('report'));
+
+    expect(highlights).toEqual([
+      { field: 'description', text: task.description, matches: [[19, 25]] },
+      { field: 'tags', text: 'reports', matches: [[0, 7]] },
+      { field: 'subtasks', text: 'Reporting template', matches: [[0, 9]] }
+    ]);
+  });
+
+  it('should match words by their stem', () => {
+    const highlights = buildHighlights(task, parseSearchQuery('reports'));
+    expect(highlights[0].matches).toEqual([[19, 25]]);
+  });
+
+  it('should only match at the start of a word', () => {
+    expect(buildHighlights({ description: 'Unreported issue' }, parseSearchQuery('report'))).toEqual([]);
+  });
+
+  it('should highlight whole phrases', () => {
+    const highlights = buildHighlights(task, parseSearchQuery('"quarterly report"'));
+    expect(highlights).toEqual([
+      { field: 'description', text: task.description, matches: [[9, 25]] }
+    ]);
+  });
+
+  it('should merge overlapping matches', () => {
+    const highlights = buildHighlights(task, parseSearchQuery('quarterly "quarterly report"'));
+    expect(highlights[0].matches).toEqual([[9, 25]]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('should keep short text as it is', () => {
+    expect(buildSnippet('Buy milk', [[4, 8]])).toEqual({ text: 'Buy milk', matches: [[4, 8]] });
+  });
+
+  it('should cut long text around the first match', () => {
+    const text = `${'lorem '.repeat(20)}budget ${'ipsum '.repeat(20)}`.trim();
+    const start = text.indexOf('budget');
+    const snippet = buildSnippet(text, [[start, start + 6]]);
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text.length).toBeLessThan(text.length);
+
+    const [[from, to]] = snippet.matches;
+    expect(snippet.text.slice(from, to)).toBe('budget');
+  });
+});
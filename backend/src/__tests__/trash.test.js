@@ -0,0 +1,269 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Job = require('../models/Job');
+const Tombstone = require('../models/Tombstone');
+const { createScheduler } = require('../services/scheduler');
+const { REMINDER_JOB } = require('../services/reminders');
+const { TRASH_PURGE_JOB, startTrashPurge, registerTrashJobs } = require('../services/trash');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await Job.collection.drop().catch(() => {});
+  await Tombstone.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await Task.createIndexes();
+  await Job.createIndexes();
+  await Tombstone.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Trash Endpoints', () => {
+  let token;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body.token;
+  };
+
+  // Helper function to create a task and move it to the trash
+  const createTrashedTask = async (description, authToken = token) => {
+    const response = await request(app)
+      .post('/tasks')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ description })
+      .expect(201);
+
+    await request(app)
+      .delete(`/tasks/${response.body._id}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    token = await setupUser();
+  });
+
+  describe('GET /tasks/trash', () => {
+    it('should list trashed tasks, most recently deleted first', async () => {
+      await createTrashedTask('First');
+      await createTrashedTask('Second');
+      await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Not deleted' });
+
+      const response = await request(app)
+        .get('/tasks/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map(task => task.description)).toEqual(['Second', 'First']);
+      expect(new Date(response.body[0].purgeAt).getTime())
+        .toBe(new Date(response.body[0].deletedAt).getTime() + 30 * DAY);
+    });
+
+    it('should not list other users\' trash', async () => {
+      const token2 = await setupUser(testUser2);
+      await createTrashedTask('Theirs', token2);
+
+      const response = await request(app)
+        .get('/tasks/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(0);
+    });
+  });
+
+  describe('POST /tasks/:id/restore', () => {
+    it('should restore a trashed task', async () => {
+      const task = await createTrashedTask('Oops');
+
+      const response = await request(app)
+        .post(`/tasks/${task._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.deletedAt).toBeNull();
+
+      const list = await request(app)
+        .get('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.map(item => item.description)).toEqual(['Oops']);
+    });
+
+    it('should return 404 for tasks that are not in the trash', async () => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Alive' });
+
+      await request(app)
+        .post(`/tasks/${response.body._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should not restore other users\' tasks', async () => {
+      const token2 = await setupUser(testUser2);
+      const task = await createTrashedTask('Theirs', token2);
+
+      await request(app)
+        .post(`/tasks/${task._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should not allow trashed tasks to be edited', async () => {
+      const task = await createTrashedTask('Frozen');
+
+      await request(app)
+        .patch(`/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ completed: true })
+        .expect(404);
+    });
+
+    it('should cancel reminders in the trash and reschedule them on restore', async () => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          description: 'With reminder',
+          dueDate: new Date(Date.now() + 2 * DAY),
+          reminders: [{ minutesBefore: 60 }]
+        });
+
+      await request(app)
+        .delete(`/tasks/${response.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(await Job.countDocuments({ name: REMINDER_JOB })).toBe(0);
+
+      await request(app)
+        .post(`/tasks/${response.body._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(await Job.countDocuments({ name: REMINDER_JOB })).toBe(1);
+    });
+  });
+
+  describe('DELETE /tasks/trash/:id', () => {
+    it('should permanently delete a trashed task', async () => {
+      const task = await createTrashedTask('Gone for good');
+
+      await request(app)
+        .delete(`/tasks/trash/${task._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Task.findById(task._id)).toBeNull();
+      expect(await Tombstone.findById(task._id)).not.toBeNull();
+    });
+
+    it('should not delete tasks that are not in the trash', async () => {
+      const response = await request(app)
+        .post('/tasks')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Alive' });
+
+      await request(app)
+        .delete(`/tasks/trash/${response.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(await Task.findById(response.body._id)).not.toBeNull();
+    });
+  });
+
+  describe('DELETE /tasks/trash', () => {
+    it('should empty only the current user\'s trash', async () => {
+      const token2 = await setupUser(testUser2);
+      await createTrashedTask('One');
+      await createTrashedTask('Two');
+      const theirs = await createTrashedTask('Theirs', token2);
+
+      const response = await request(app)
+        .delete('/tasks/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.purged).toBe(2);
+      expect(await Task.countDocuments()).toBe(1);
+      expect(await Task.findById(theirs._id)).not.toBeNull();
+    });
+  });
+
+  describe('Automatic purge', () => {
+    it('should delete tasks trashed longer than the retention period', async () => {
+      const old = await createTrashedTask('Old');
+      const recent = await createTrashedTask('Recent');
+      await Task.updateOne({ _id: old._id }, { deletedAt: new Date(Date.now() - 31 * DAY) });
+
+      const scheduler = createScheduler();
+      registerTrashJobs(scheduler);
+      await startTrashPurge();
+
+      expect(await scheduler.runDue()).toBe(1);
+
+      expect(await Task.findById(old._id)).toBeNull();
+      expect(await Task.findById(recent._id)).not.toBeNull();
+
+      // The job scheduled its next run for tomorrow
+      const job = await Job.findOne({ name: TRASH_PURGE_JOB });
+      expect(job.status).toBe('pending');
+      expect(job.runAt.getTime()).toBeGreaterThan(Date.now() + DAY - 60 * 1000);
+    });
+
+    it('should use TRASH_RETENTION_DAYS', async () => {
+      const task = await createTrashedTask('Short-lived');
+      await Task.updateOne({ _id: task._id }, { deletedAt: new Date(Date.now() - 8 * DAY) });
+
+      process.env.TRASH_RETENTION_DAYS = '7';
+      try {
+        const scheduler = createScheduler();
+        registerTrashJobs(scheduler);
+        await startTrashPurge();
+        await scheduler.runDue();
+      } finally {
+        delete process.env.TRASH_RETENTION_DAYS;
+      }
+
+      expect(await Task.findById(task._id)).toBeNull();
+    });
+  });
+});
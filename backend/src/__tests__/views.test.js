@@ -0,0 +1,280 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../app');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const SavedView = require('../models/SavedView');
+
+// Test user data
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'testpassword123'
+};
+
+const testUser2 = {
+  name: 'Test User 2',
+  email: 'test2@example.com',
+  password: 'testpassword123'
+};
+
+// Setup: Connect to test database before all tests
+beforeAll(async () => {
+  const testDbUrl = process.env.MONGODB_TEST_URL || 'mongodb://localhost:27017/task-manager-test';
+  await mongoose.connect(testDbUrl);
+});
+
+// Cleanup: Clear database and rebuild indexes before each test
+beforeEach(async () => {
+  await User.collection.drop().catch(() => {});
+  await SavedView.collection.drop().catch(() => {});
+  await Task.collection.drop().catch(() => {});
+  await User.createIndexes();
+  await SavedView.createIndexes();
+  await Task.createIndexes();
+});
+
+// Teardown: Close database connection after all tests
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+describe('Saved View Endpoints', () => {
+  let token;
+  let userId;
+
+  // Helper function to create and login a user
+  const setupUser = async (userData = testUser) => {
+    const response = await request(app).post('/users/signup').send(userData);
+    return response.body;
+  };
+
+  // Helper function to save a view
+  const createView = (body, authToken = token) => {
+    return request(app)
+      .post('/views')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  beforeEach(async () => {
+    const { token: newToken, user } = await setupUser();
+    token = newToken;
+    userId = user._id;
+  });
+
+  describe('POST /views', () => {
+    it('should save a view', async () => {
+      const response = await createView({
+        name: 'Work this week',
+        query: 'tag:work due:<7d -completed',
+        sort: 'dueDate:asc',
+        display: 'compact'
+      }).expect(201);
+
+      expect(response.body).toMatchObject({
+        name: 'Work this week',
+        query: 'tag:work due:<7d -completed',
+        sort: 'dueDate:asc',
+        display: 'compact',
+        icon: '🔖',
+        builtIn: false,
+        owner: userId
+      });
+    });
+
+    it('should reject queries GET /tasks would reject', async () => {
+      const response = await createView({ name: 'Bad', query: 'priority:urgent' }).expect(400);
+      expect(response.body.error).toMatch(/Invalid priority "urgent"/);
+    });
+
+    it('should reject invalid sorts and display modes', async () => {
+      await createView({ name: 'Bad sort', sort: 'owner:asc' }).expect(400);
+      await createView({ name: 'Bad display', display: 'kanban' }).expect(400);
+      await createView({ query: 'tag:work' }).expect(400);
+    });
+
+    it('should not allow two views with the same name', async () => {
+      await createView({ name: 'Work' }).expect(201);
+
+      const response = await createView({ name: 'Work' }).expect(400);
+      expect(response.body.error).toBe('You already have a view with that name');
+
+      // Other users may use the name
+      const other = await setupUser(testUser2);
+      await createView({ name: 'Work' }, other.token).expect(201);
+    });
+  });
+
+  describe('GET /views', () => {
+    it('should list the built-in views, then the user\'s own', async () => {
+      await createView({ name: 'Errands', query: 'tag:errands' });
+
+      const response = await request(app)
+        .get('/views')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.map(view => view.name))
+        .toEqual(['Today', 'Overdue', 'Next 7 days', 'High priority', 'Errands']);
+      expect(response.body[0]).toMatchObject({ _id: 'today', builtIn: true });
+    });
+
+    it('should only list the user\'s own views', async () => {
+      const other = await setupUser(testUser2);
+      await createView({ name: 'Theirs' }, other.token);
+
+      const response = await request(app)
+        .get('/views')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.filter(view => !view.builtIn)).toEqual([]);
+    });
+
+    it('should get one view, built-in or saved', async () => {
+      const view = await createView({ name: 'Errands' });
+
+      await request(app)
+        .get(`/views/${view.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const builtIn = await request(app)
+        .get('/views/overdue')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(builtIn.body.query).toBe('overdue');
+
+      await request(app)
+        .get('/views/nope')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+
+    it('should give built-in queries that GET /tasks accepts', async () => {
+      for (const view of SavedView.BUILT_IN_VIEWS) {
+        await request(app)
+          .get('/tasks')
+          .query({ q: view.query })
+          .set('Authorization', `Bearer ${token}`)
+          .expect(200);
+      }
+    });
+  });
+
+  describe('built-in views', () => {
+    // A UTC day, counted from today (due dates are stored as days)
+    const day = (offset) => {
+      const now = new Date();
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + offset));
+    };
+
+    // Descriptions of the tasks a built-in view shows
+    const listView = async (id) => {
+      const response = await request(app)
+        .get('/tasks')
+        .query({ q: SavedView.findBuiltIn(id).query })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      return response.body.map((task) => task.description).sort();
+    };
+
+    beforeEach(async () => {
+      await Task.create([
+        { description: 'Yesterday', dueDate: day(-1), owner: userId },
+        { description: 'Today', dueDate: day(0), owner: userId },
+        { description: 'Day 6', dueDate: day(6), owner: userId },
+        { description: 'Day 7', dueDate: day(7), owner: userId }
+      ]);
+    });
+
+    it('should not list tasks due today as overdue', async () => {
+      expect(await listView('overdue')).toEqual(['Yesterday']);
+    });
+
+    it('should list whole days in the next 7 days, whatever the time', async () => {
+      expect(await listView('next-7-days')).toEqual(['Day 6', 'Today']);
+    });
+  });
+
+  describe('PATCH /views/:id', () => {
+    it('should update a view', async () => {
+      const view = await createView({ name: 'Errands' });
+
+      const response = await request(app)
+        .patch(`/views/${view.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ query: 'tag:errands -completed', display: 'compact' })
+        .expect(200);
+
+      expect(response.body.query).toBe('tag:errands -completed');
+      expect(response.body.display).toBe('compact');
+    });
+
+    it('should reject unknown fields and invalid queries', async () => {
+      const view = await createView({ name: 'Errands' });
+
+      await request(app)
+        .patch(`/views/${view.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ owner: new mongoose.Types.ObjectId() })
+        .expect(400);
+
+      await request(app)
+        .patch(`/views/${view.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ query: 'colour:red' })
+        .expect(400);
+    });
+
+    it('should not change built-in views or other users\' views', async () => {
+      await request(app)
+        .patch('/views/today')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Now' })
+        .expect(400);
+
+      const other = await setupUser(testUser2);
+      const theirs = await createView({ name: 'Theirs' }, other.token);
+
+      await request(app)
+        .patch(`/views/${theirs.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Mine now' })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /views/:id', () => {
+    it('should delete a view', async () => {
+      const view = await createView({ name: 'Errands' });
+
+      await request(app)
+        .delete(`/views/${view.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await SavedView.findById(view.body._id)).toBeNull();
+    });
+
+    it('should not delete built-in views', async () => {
+      await request(app)
+        .delete('/views/today')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+    });
+
+    it('should be deleted with the user', async () => {
+      await createView({ name: 'Errands' });
+
+      await request(app)
+        .delete('/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await SavedView.countDocuments({ owner: userId })).toBe(0);
+    });
+  });
+});
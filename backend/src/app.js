@@ -14,6 +14,17 @@ const swaggerDocument = require('./config/swagger');
 // Import routers
 const authRouter = require('./routes/auth');
 const taskRouter = require('./routes/tasks');
+const subtaskRouter = require('./routes/subtasks');
+const commentRouter = require('./routes/comments');
+const attachmentRouter = require('./routes/attachments');
+const tagRouter = require('./routes/tags');
+const projectRouter = require('./routes/projects');
+const notificationRouter = require('./routes/notifications');
+const eventRouter = require('./routes/events');
+const syncRouter = require('./routes/sync');
+const trashRouter = require('./routes/trash');
+const operationRouter = require('./routes/operations');
+const viewRouter = require('./routes/views');
 
 // Create Express application
 const app = express();
@@ -47,22 +58,39 @@ if (process.env.NODE_ENV === 'production') {
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true, // Allow cookies and authorization headers
+  exposedHeaders: ['X-Total-Count', 'Link', 'ETag'], // Let the browser read paging headers and task versions
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
 
 // Rate limiting - prevent spam/abuse
-// Limits each IP to 100 requests per 15 minutes
-const limiter = rateLimit({
+// Signing up and logging in get a tight limit: they're what someone
+// guessing passwords hammers. The rest of the API gets room for a working
+// session - opening the app alone loads tasks, tags, projects, views and
+// notifications, and every search is a request
+const rateLimitOptions = {
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
+  message: { error: 'Too many requests from this IP, please try again later.' },  // JSON, like every other error
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+};
+
+// Limits each IP to 100 signups and logins per 15 minutes
+const AUTH_PATHS = ['/users/signup', '/users/login'];
+const authLimiter = rateLimit({ ...rateLimitOptions, max: 100 });
+
+// Limits each IP to 1000 other requests per 15 minutes
+// The event stream and sync aren't counted: the browser reconnects the
+// stream on its own, and coming back online syncs whatever piled up
+const UNLIMITED_PATHS = ['/events', '/sync'];
+const apiLimiter = rateLimit({
+  ...rateLimitOptions,
+  max: 1000,
+  skip: (req) => AUTH_PATHS.includes(req.path) || UNLIMITED_PATHS.includes(req.path)
 });
 
-// Apply rate limiting to all requests
-app.use(limiter);
+app.use(AUTH_PATHS, authLimiter);
+app.use(apiLimiter);
 
 // Parse incoming JSON requests
 // This makes req.body available in our route handlers
@@ -85,7 +113,18 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument, {
 
 // Register routers
 app.use(authRouter);
+app.use(trashRouter);   // Before taskRouter, so /tasks/trash isn't read as /tasks/:id
 app.use(taskRouter);
+app.use(subtaskRouter);
+app.use(commentRouter);
+app.use(attachmentRouter);
+app.use(tagRouter);
+app.use(projectRouter);
+app.use(notificationRouter);
+app.use(eventRouter);
+app.use(syncRouter);
+app.use(operationRouter);
+app.use(viewRouter);
 
 // ============================================
 // ROOT ROUTE - API Info
@@ -104,9 +143,70 @@ app.get('/', (req, res) => {
       tasks: {
         create: 'POST /tasks',
         getAll: 'GET /tasks',
+        search: 'GET /tasks/search?q=',
         getOne: 'GET /tasks/:id',
         update: 'PATCH /tasks/:id',
-        delete: 'DELETE /tasks/:id'
+        delete: 'DELETE /tasks/:id',
+        bulk: 'POST /tasks/bulk'
+      },
+      trash: {
+        getAll: 'GET /tasks/trash',
+        restore: 'POST /tasks/:id/restore',
+        purge: 'DELETE /tasks/trash/:id',
+        empty: 'DELETE /tasks/trash'
+      },
+      subtasks: {
+        create: 'POST /tasks/:id/subtasks',
+        reorder: 'POST /tasks/:id/subtasks/reorder',
+        update: 'PATCH /tasks/:id/subtasks/:subtaskId',
+        delete: 'DELETE /tasks/:id/subtasks/:subtaskId'
+      },
+      comments: {
+        getAll: 'GET /tasks/:id/comments',
+        create: 'POST /tasks/:id/comments',
+        update: 'PATCH /tasks/:id/comments/:commentId',
+        delete: 'DELETE /tasks/:id/comments/:commentId'
+      },
+      attachments: {
+        upload: 'POST /tasks/:id/attachments',
+        getAll: 'GET /tasks/:id/attachments',
+        download: 'GET /tasks/:id/attachments/:attachmentId',
+        delete: 'DELETE /tasks/:id/attachments/:attachmentId'
+      },
+      tags: {
+        create: 'POST /tags',
+        getAll: 'GET /tags',
+        update: 'PATCH /tags/:id',
+        delete: 'DELETE /tags/:id'
+      },
+      projects: {
+        create: 'POST /projects',
+        getAll: 'GET /projects',
+        getOne: 'GET /projects/:id',
+        update: 'PATCH /projects/:id',
+        delete: 'DELETE /projects/:id'
+      },
+      views: {
+        create: 'POST /views',
+        getAll: 'GET /views',
+        getOne: 'GET /views/:id',
+        update: 'PATCH /views/:id',
+        delete: 'DELETE /views/:id'
+      },
+      notifications: {
+        getAll: 'GET /notifications',
+        markRead: 'PATCH /notifications/:id/read',
+        markAllRead: 'POST /notifications/read-all'
+      },
+      events: {
+        stream: 'GET /events?token=<token>'
+      },
+      sync: {
+        pull: 'GET /sync?since=<cursor>',
+        push: 'POST /sync'
+      },
+      operations: {
+        undo: 'POST /operations/:id/undo'
       }
     }
   });
@@ -43,7 +43,7 @@ module.exports = {
           },
           avatar: {
             type: 'string',
-            description: 'Avatar filename',
+            description: 'Name of the profile picture (changes with every upload) - pass it as v to GET /users/{id}/avatar',
             nullable: true
           },
           createdAt: {
@@ -84,10 +84,76 @@ module.exports = {
             enum: ['low', 'medium', 'high'],
             description: 'Task priority level'
           },
+          priorityRank: {
+            type: 'integer',
+            enum: [1, 2, 3],
+            readOnly: true,
+            description: 'The priority as a number (low 1, medium 2, high 3), set by the server'
+          },
+          hasDueDate: {
+            type: 'boolean',
+            readOnly: true,
+            description: 'Whether the task has a due date, set by the server (sorting by due date puts tasks without one last)'
+          },
           owner: {
             type: 'string',
             description: 'User ID of task owner'
           },
+          project: {
+            type: 'string',
+            description: 'Project ID, or null when the task is in the Inbox',
+            nullable: true
+          },
+          subtasks: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Subtask'
+            },
+            description: 'Checklist items, ordered by position'
+          },
+          tags: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'Tag names (lowercase)',
+            example: ['work', 'release-2.3']
+          },
+          recurrence: {
+            $ref: '#/components/schemas/Recurrence'
+          },
+          reminders: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Reminder'
+            }
+          },
+          progress: {
+            type: 'object',
+            description: 'Checklist progress (computed)',
+            properties: {
+              completed: {
+                type: 'integer',
+                example: 3
+              },
+              total: {
+                type: 'integer',
+                example: 5
+              }
+            }
+          },
+          deletedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'When the task was moved to the trash (null if it is not in the trash)',
+            example: null
+          },
+          syncSeq: {
+            type: 'integer',
+            description: 'Position of the last change to this task in the owner\'s change sequence (see /sync)',
+            example: 42
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -100,119 +166,735 @@ module.exports = {
           }
         }
       },
-      Error: {
+      Subtask: {
         type: 'object',
         properties: {
-          error: {
+          _id: {
             type: 'string',
-            description: 'Error message'
+            description: 'Subtask ID'
+          },
+          text: {
+            type: 'string',
+            description: 'Checklist item text'
+          },
+          completed: {
+            type: 'boolean',
+            description: 'Whether the item is ticked'
+          },
+          position: {
+            type: 'integer',
+            description: 'Zero-based position in the checklist'
           }
         }
       },
-      UserSignup: {
+      Comment: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Comment ID'
+          },
+          task: {
+            type: 'string',
+            description: 'ID of the task it is on'
+          },
+          body: {
+            type: 'string',
+            maxLength: 5000,
+            description: 'Markdown text, as written',
+            example: 'Looks **good** - @sam can you check the numbers?'
+          },
+          author: {
+            $ref: '#/components/schemas/Person'
+          },
+          mentions: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Person'
+            },
+            description: 'People mentioned with @name (first name, full name without spaces, or the part of their email before the @). Only people who can see the task can be mentioned.'
+          },
+          edits: {
+            type: 'array',
+            description: 'Earlier versions, oldest first',
+            items: {
+              type: 'object',
+              properties: {
+                body: {
+                  type: 'string'
+                },
+                editedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'When this text was replaced'
+                }
+              }
+            }
+          },
+          owner: {
+            type: 'string',
+            description: 'User ID of the task\'s owner'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Attachment: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Attachment ID'
+          },
+          task: {
+            type: 'string',
+            description: 'ID of the task it is attached to'
+          },
+          filename: {
+            type: 'string',
+            maxLength: 255,
+            description: 'The name it was uploaded with',
+            example: 'Budget 2026.xlsx'
+          },
+          mimeType: {
+            type: 'string',
+            example: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          },
+          size: {
+            type: 'integer',
+            description: 'Size in bytes',
+            example: 48213
+          },
+          owner: {
+            type: 'string',
+            description: 'User ID of the task\'s owner'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      Person: {
         type: 'object',
-        required: ['name', 'email', 'password'],
         properties: {
+          _id: {
+            type: 'string',
+            description: 'User ID'
+          },
           name: {
             type: 'string',
-            description: 'User name',
-            example: 'John Doe'
+            example: 'Sam Lee'
+          }
+        }
+      },
+      Recurrence: {
+        type: 'object',
+        nullable: true,
+        description: 'Repeat rule based on iCalendar RRULE. Completing the task creates the next occurrence.',
+        required: ['frequency'],
+        properties: {
+          frequency: {
+            type: 'string',
+            enum: ['daily', 'weekly', 'monthly', 'yearly'],
+            description: 'How often the task repeats (RRULE FREQ)'
           },
-          email: {
+          interval: {
+            type: 'integer',
+            minimum: 1,
+            default: 1,
+            description: 'Repeat every N days/weeks/months/years (RRULE INTERVAL)'
+          },
+          byWeekday: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+            },
+            description: 'Weekly only: weekdays to repeat on (RRULE BYDAY)',
+            example: ['MO', 'TH']
+          },
+          byMonthDay: {
+            type: 'integer',
+            minimum: -1,
+            maximum: 31,
+            description: 'Monthly only: day of the month, -1 for the last day (RRULE BYMONTHDAY)'
+          },
+          until: {
             type: 'string',
-            format: 'email',
-            description: 'User email (must contain @)',
-            example: 'john@example.com'
+            format: 'date-time',
+            description: 'No occurrences after this date (RRULE UNTIL)'
           },
-          password: {
+          count: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Total number of occurrences (RRULE COUNT)'
+          },
+          occurrence: {
+            type: 'integer',
+            readOnly: true,
+            description: 'Which occurrence of the series this task is (1 = first)'
+          },
+          nextTask: {
             type: 'string',
-            format: 'password',
-            description: 'User password (minimum 6 characters)',
-            minLength: 6,
-            example: 'password123'
+            readOnly: true,
+            nullable: true,
+            description: 'ID of the occurrence created when this task was completed'
           }
         }
       },
-      UserLogin: {
+      Tag: {
         type: 'object',
-        required: ['email', 'password'],
         properties: {
-          email: {
+          _id: {
             type: 'string',
-            format: 'email',
-            description: 'User email',
-            example: 'john@example.com'
+            description: 'Tag ID'
           },
-          password: {
+          name: {
             type: 'string',
-            format: 'password',
-            description: 'User password',
-            example: 'password123'
+            description: 'Tag name (lowercase, unique per user)',
+            example: 'work'
+          },
+          color: {
+            type: 'string',
+            description: 'Hex display colour',
+            example: '#4a90e2'
+          },
+          owner: {
+            type: 'string',
+            description: 'User ID of tag owner'
           }
         }
       },
-      TaskInput: {
+      Project: {
         type: 'object',
-        required: ['description'],
         properties: {
-          description: {
+          _id: {
             type: 'string',
-            description: 'Task description',
-            example: 'Complete project documentation'
+            description: 'Project ID'
           },
-          completed: {
+          name: {
+            type: 'string',
+            description: 'Project name',
+            example: 'Work'
+          },
+          color: {
+            type: 'string',
+            description: 'Hex display colour',
+            example: '#4a90e2'
+          },
+          icon: {
+            type: 'string',
+            description: 'Short icon, usually an emoji',
+            example: '💼'
+          },
+          archived: {
             type: 'boolean',
-            description: 'Task completion status',
-            default: false,
-            example: false
+            description: 'Hidden from the sidebar when true'
           },
-          dueDate: {
+          owner: {
+            type: 'string',
+            description: 'User ID of project owner'
+          },
+          taskCount: {
+            type: 'integer',
+            description: 'Incomplete tasks in the project (GET /projects only)'
+          }
+        }
+      },
+      Reminder: {
+        type: 'object',
+        description: 'Send an in-app notification at a fixed time (at) or before the due date (minutesBefore). Exactly one of the two is required.',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Reminder ID'
+          },
+          at: {
             type: 'string',
             format: 'date-time',
-            description: 'Task due date',
-            example: '2025-12-31T23:59:59Z'
+            nullable: true,
+            description: 'Fixed time to remind at'
           },
-          priority: {
+          minutesBefore: {
+            type: 'integer',
+            minimum: 0,
+            nullable: true,
+            description: 'Minutes before the due date',
+            example: 60
+          },
+          sentAt: {
             type: 'string',
-            enum: ['low', 'medium', 'high'],
-            description: 'Task priority level',
-            default: 'medium',
-            example: 'high'
+            format: 'date-time',
+            nullable: true,
+            readOnly: true,
+            description: 'When the reminder was sent (null = not yet)'
           }
         }
-      }
-    }
-  },
-  paths: {
-    '/': {
-      get: {
-        summary: 'API information',
-        description: 'Get API version and available endpoints',
-        tags: ['Info'],
-        responses: {
-          '200': {
-            description: 'API information',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    message: {
-                      type: 'string'
-                    },
-                    version: {
-                      type: 'string'
-                    },
-                    endpoints: {
-                      type: 'object'
-                    }
-                  }
-                }
+      },
+      Notification: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'Notification ID'
+          },
+          type: {
+            type: 'string',
+            enum: ['reminder', 'overdue', 'mention'],
+            description: 'What caused the notification'
+          },
+          message: {
+            type: 'string',
+            example: 'Reminder: Submit report'
+          },
+          task: {
+            type: 'string',
+            nullable: true,
+            description: 'ID of the related task'
+          },
+          read: {
+            type: 'boolean',
+            description: 'Whether the user has seen it'
+          },
+          owner: {
+            type: 'string',
+            description: 'User ID of the recipient'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time'
+          }
+        }
+      },
+      SyncChange: {
+        type: 'object',
+        required: ['op', 'id'],
+        properties: {
+          op: {
+            type: 'string',
+            enum: ['create', 'update', 'delete'],
+            example: 'update'
+          },
+          id: {
+            type: 'string',
+            description: 'Task ID. For create, a new ObjectId chosen by the client',
+            example: '507f1f77bcf86cd799439011'
+          },
+          baseSeq: {
+            type: 'integer',
+            description: 'syncSeq of the task when the client last saw it (update and delete)',
+            example: 41
+          },
+          data: {
+            type: 'object',
+            description: 'Task fields to set (create and update)',
+            example: {
+              completed: true
+            }
+          }
+        }
+      },
+      SyncResult: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011'
+          },
+          status: {
+            type: 'string',
+            enum: ['applied', 'conflict', 'error'],
+            example: 'applied'
+          },
+          reason: {
+            type: 'string',
+            enum: ['changed', 'deleted'],
+            description: 'Why a change conflicted'
+          },
+          task: {
+            $ref: '#/components/schemas/Task',
+            description: 'The saved task, or the server copy on a "changed" conflict'
+          },
+          error: {
+            type: 'string',
+            description: 'Why the change was rejected'
+          }
+        }
+      },
+      TrashedTask: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Task'
+          },
+          {
+            type: 'object',
+            properties: {
+              purgeAt: {
+                type: 'string',
+                format: 'date-time',
+                description: 'When the task will be deleted for good',
+                example: '2026-02-14T10:00:00.000Z'
               }
             }
           }
+        ]
+      },
+      UndoResult: {
+        type: 'object',
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['update', 'complete', 'delete', 'bulk'],
+            description: 'What was undone',
+            example: 'complete'
+          },
+          tasks: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Task'
+            },
+            description: 'The restored tasks'
+          }
         }
-      }
+      },
+      TaskChange: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Task'
+          },
+          {
+            type: 'object',
+            properties: {
+              operationId: {
+                type: 'string',
+                description: 'Pass to POST /operations/{id}/undo to take the change back (for 5 minutes)',
+                example: '65f1c2a9e4b0a1b2c3d4e5f6'
+              }
+            }
+          }
+        ]
+      },
+      BulkItemResult: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          status: {
+            type: 'string',
+            enum: ['updated', 'unchanged', 'not_found', 'invalid']
+          },
+          task: {
+            $ref: '#/components/schemas/Task'
+          },
+          error: {
+            type: 'string',
+            description: 'Why the update is invalid (only in a 400 response)'
+          }
+        }
+      },
+      BulkResult: {
+        type: 'object',
+        properties: {
+          operationId: {
+            type: 'string',
+            nullable: true,
+            description: 'Undo the whole request with POST /operations/{id}/undo (null if nothing changed)'
+          },
+          updated: {
+            type: 'integer',
+            example: 3
+          },
+          results: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/BulkItemResult'
+            }
+          }
+        }
+      },
+      SearchHighlight: {
+        type: 'object',
+        properties: {
+          field: {
+            type: 'string',
+            enum: ['description', 'tags', 'subtasks'],
+            description: 'Where the match was',
+            example: 'description'
+          },
+          text: {
+            type: 'string',
+            description: 'The matching text - long text is cut down to the part around the first match, with "…" marking the cuts',
+            example: 'Send the quarterly report'
+          },
+          matches: {
+            type: 'array',
+            items: {
+              type: 'array',
+              items: {
+                type: 'integer'
+              },
+              minItems: 2,
+              maxItems: 2
+            },
+            description: '[start, end] character ranges in text to highlight',
+            example: [
+              [19, 25]
+            ]
+          }
+        }
+      },
+      SearchResult: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Task'
+          },
+          {
+            type: 'object',
+            properties: {
+              score: {
+                type: 'number',
+                description: 'How well the task matched (higher is better)',
+                example: 10.5
+              },
+              highlights: {
+                type: 'array',
+                items: {
+                  $ref: '#/components/schemas/SearchHighlight'
+                },
+                description: 'The description, each matching tag and up to 3 matching checklist items'
+              }
+            }
+          }
+        ]
+      },
+      SavedView: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            description: 'View ID - a word like "today" for built-in views',
+            example: 'today'
+          },
+          name: {
+            type: 'string',
+            maxLength: 60,
+            description: 'View name (unique per user)',
+            example: 'Work this week'
+          },
+          icon: {
+            type: 'string',
+            description: 'Short icon, usually an emoji',
+            example: '💼'
+          },
+          query: {
+            type: 'string',
+            description: 'Which tasks the view shows, in the GET /tasks query language (list them with GET /tasks?q=)',
+            example: 'tag:work due:<7d -completed'
+          },
+          sort: {
+            type: 'string',
+            nullable: true,
+            pattern: '^(createdAt|dueDate|priority|description):(asc|desc)$',
+            description: 'How the app sorts the list (null = as GET /tasks returns it)',
+            example: 'dueDate:asc'
+          },
+          display: {
+            type: 'string',
+            enum: ['list', 'compact'],
+            default: 'list',
+            description: 'How the app shows the list'
+          },
+          builtIn: {
+            type: 'boolean',
+            description: 'Built-in views (Today, Overdue, Next 7 days, High priority) can\'t be changed or deleted'
+          },
+          owner: {
+            type: 'string',
+            description: 'User ID of view owner (saved views only)'
+          }
+        }
+      },
+      SavedViewInput: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            maxLength: 60,
+            description: 'View name (unique per user)',
+            example: 'Work this week'
+          },
+          icon: {
+            type: 'string',
+            description: 'Short icon, usually an emoji',
+            example: '💼'
+          },
+          query: {
+            type: 'string',
+            description: 'Which tasks the view shows, in the GET /tasks query language (list them with GET /tasks?q=)',
+            example: 'tag:work due:<7d -completed'
+          },
+          sort: {
+            type: 'string',
+            nullable: true,
+            pattern: '^(createdAt|dueDate|priority|description):(asc|desc)$',
+            description: 'How the app sorts the list (null = as GET /tasks returns it)',
+            example: 'dueDate:asc'
+          },
+          display: {
+            type: 'string',
+            enum: ['list', 'compact'],
+            default: 'list',
+            description: 'How the app shows the list'
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'string',
+            description: 'Error message'
+          }
+        }
+      },
+      UserSignup: {
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+          name: {
+            type: 'string',
+            description: 'User name',
+            example: 'John Doe'
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'User email (must contain @)',
+            example: 'john@example.com'
+          },
+          password: {
+            type: 'string',
+            format: 'password',
+            description: 'User password (minimum 6 characters)',
+            minLength: 6,
+            example: 'password123'
+          }
+        }
+      },
+      UserLogin: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'User email',
+            example: 'john@example.com'
+          },
+          password: {
+            type: 'string',
+            format: 'password',
+            description: 'User password',
+            example: 'password123'
+          }
+        }
+      },
+      TaskInput: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: {
+            type: 'string',
+            description: 'Task description',
+            example: 'Complete project documentation'
+          },
+          completed: {
+            type: 'boolean',
+            description: 'Task completion status',
+            default: false,
+            example: false
+          },
+          dueDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Task due date',
+            example: '2025-12-31T23:59:59Z'
+          },
+          priority: {
+            type: 'string',
+            enum: ['low', 'medium', 'high'],
+            description: 'Task priority level',
+            default: 'medium',
+            example: 'high'
+          },
+          tags: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'Tag names; a leading "#" is ignored and unknown tags are created',
+            example: ['work', 'urgent']
+          },
+          project: {
+            type: 'string',
+            description: 'Project ID (omit or null for the Inbox)',
+            nullable: true
+          },
+          recurrence: {
+            $ref: '#/components/schemas/Recurrence'
+          },
+          reminders: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Reminder'
+            }
+          }
+        }
+      }
+    }
+  },
+  paths: {
+    '/': {
+      get: {
+        summary: 'API information',
+        description: 'Get API version and available endpoints',
+        tags: ['Info'],
+        responses: {
+          '200': {
+            description: 'API information',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string'
+                    },
+                    version: {
+                      type: 'string'
+                    },
+                    endpoints: {
+                      type: 'object'
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
     },
     '/users/signup': {
       post: {
@@ -228,21 +910,2675 @@ module.exports = {
               }
             }
           }
-        },
+        },
+        responses: {
+          '201': {
+            description: 'User created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    user: {
+                      $ref: '#/components/schemas/User'
+                    },
+                    token: {
+                      type: 'string',
+                      description: 'JWT authentication token'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                examples: {
+                  duplicateEmail: {
+                    value: {
+                      error: 'Email already exists'
+                    }
+                  },
+                  invalidEmail: {
+                    value: {
+                      error: 'Email must contain @'
+                    }
+                  },
+                  shortPassword: {
+                    value: {
+                      error: 'Password must be at least 6 characters'
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/login': {
+      post: {
+        summary: 'Login to existing account',
+        description: 'Authenticate user with email and password',
+        tags: ['Authentication'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/UserLogin'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Login successful',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    user: {
+                      $ref: '#/components/schemas/User'
+                    },
+                    token: {
+                      type: 'string',
+                      description: 'JWT authentication token'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid credentials',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Invalid login credentials'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/logout': {
+      post: {
+        summary: 'Logout from current session',
+        description: 'Removes current authentication token',
+        tags: ['Authentication'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Logout successful',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string',
+                      example: 'Logged out successfully'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Please authenticate'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/logoutAll': {
+      post: {
+        summary: 'Logout from all devices',
+        description: 'Removes all authentication tokens for the user',
+        tags: ['Authentication'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Logged out from all devices',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string',
+                      example: 'Logged out from all devices'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/me': {
+      get: {
+        summary: 'Get current user profile',
+        description: 'Retrieve authenticated user information',
+        tags: ['User Profile'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'User profile',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      patch: {
+        summary: 'Update user profile',
+        description: 'Update name, email, or password',
+        tags: ['User Profile'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Jane Doe'
+                  },
+                  email: {
+                    type: 'string',
+                    format: 'email',
+                    example: 'jane@example.com'
+                  },
+                  password: {
+                    type: 'string',
+                    format: 'password',
+                    minLength: 6,
+                    example: 'newpassword123'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Profile updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid updates',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete user account',
+        description: 'Permanently delete account and all associated tasks',
+        tags: ['User Profile'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Account deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/me/avatar': {
+      post: {
+        summary: 'Upload profile picture',
+        description: 'Upload an avatar image (max 5MB, jpeg/jpg/png/gif/webp). The file must really be one of those formats. It is turned upright, cropped to a square around its centre, stripped of EXIF and other metadata, and stored as WebP in 32, 128 and 512 pixel sizes.',
+        tags: ['Avatar'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  avatar: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'Image file (jpeg, jpg, png, gif, webp) - Max 5MB'
+                  }
+                },
+                required: ['avatar']
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Avatar uploaded successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string',
+                      example: 'Avatar uploaded successfully'
+                    },
+                    avatar: {
+                      type: 'string',
+                      description: 'Name of the new picture - use it as v when fetching the avatar',
+                      example: '64f1c0e5a1b2c3d4e5f60718-9f86d081884c7d65'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid file type, or not a readable image',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'The file is not a JPEG, PNG, GIF or WebP image'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete profile picture',
+        description: 'Remove current avatar image',
+        tags: ['Avatar'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Avatar deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    message: {
+                      type: 'string',
+                      example: 'Avatar deleted successfully'
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/{id}/avatar': {
+      get: {
+        summary: 'Get user avatar',
+        description: 'A square WebP picture of the user. Sent with an ETag (304 for a matching If-None-Match). With v set to the user\'s current avatar name it may be cached for a year; otherwise browsers check again each time.',
+        tags: ['Avatar'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'User ID'
+          },
+          {
+            name: 'size',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              minimum: 1,
+              default: 128
+            },
+            description: 'Width in pixels. The smallest stored size (32, 128 or 512) at least this big is sent, or 512.'
+          },
+          {
+            name: 'v',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'The avatar name from the user\'s profile (avatar field), which changes with every new picture'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Avatar image',
+            headers: {
+              ETag: {
+                schema: {
+                  type: 'string'
+                },
+                description: 'The picture and size, e.g. "<avatar>-128"'
+              },
+              'Cache-Control': {
+                schema: {
+                  type: 'string'
+                },
+                description: 'public, max-age=31536000, immutable when v is the current avatar; public, no-cache otherwise'
+              }
+            },
+            content: {
+              'image/webp': {
+                schema: {
+                  type: 'string',
+                  format: 'binary'
+                }
+              }
+            }
+          },
+          '304': {
+            description: 'Not modified - the ETag in If-None-Match is still current'
+          },
+          '400': {
+            description: 'size is not a number of pixels',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Avatar not found'
+          }
+        }
+      }
+    },
+    '/tasks': {
+      get: {
+        summary: 'Get all tasks',
+        description: 'Retrieve all tasks for the authenticated user with optional filtering (including the q query language) and sorting',
+        tags: ['Tasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'completed',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['true', 'false']
+            },
+            description: 'Filter by completion status'
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              minimum: 0
+            },
+            description: 'Maximum number of results (0 = no limit). With a limit, the Link header points to the next page.'
+          },
+          {
+            name: 'after',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Cursor from the previous page\'s Link header - return the tasks after that page. Only valid with the same sortBy. Unsorted lists are in creation order.'
+          },
+          {
+            name: 'skip',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              minimum: 0
+            },
+            description: 'Number of results to skip (prefer after, which doesn\'t repeat or miss tasks added or deleted between pages)'
+          },
+          {
+            name: 'sortBy',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Sort results by one or more comma-separated field:order keys, applied in order. Fields: createdAt (created), updatedAt (updated), dueDate (due), description, completed, priority (low < medium < high). Order: asc (default) or desc.',
+            example: 'dueDate:asc,createdAt:desc'
+          },
+          {
+            name: 'q',
+            in: 'query',
+            schema: {
+              type: 'string',
+              maxLength: 500
+            },
+            description: 'Filter with the task query language. Terms are separated by spaces and must all match; put "-" in front of a term to negate it. Bare words and "quoted phrases" match the description. Flags: completed, overdue, recurring. Fields: tag:work (tag:a,b = either; tag:none), priority:high (priority:high,medium), project:<id> or project:inbox, completed:true|false, due:, created:, updated: with a date - 2026-11-01 (whole UTC day), an ISO time, today/tomorrow/yesterday, whole days from today like today+7d, or relative 12h/7d/2w/3m/1y (ahead of now for due, before now for created/updated; +7d/-7d to choose) - prefixed by <, <=, >, >= (later = greater), or a range like 2026-11-01..2026-11-30; none / any for no date / has a date. Quote a flag or field name to search for it as text.',
+            example: 'priority:high due:<2026-11-01 -completed tag:work created:>7d'
+          },
+          {
+            name: 'tags',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Comma-separated tag names to filter by',
+            example: 'work,urgent'
+          },
+          {
+            name: 'tagMode',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['all', 'any'],
+              default: 'all'
+            },
+            description: 'Match tasks with all of the tags, or any of them'
+          },
+          {
+            name: 'project',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Project ID to scope the list to, or "inbox" for tasks without a project'
+          },
+          {
+            name: 'If-None-Match',
+            in: 'header',
+            schema: {
+              type: 'string'
+            },
+            description: 'ETag of a copy the client already has - answered with an empty 304 if it is still current'
+          },
+          {
+            name: 'If-Modified-Since',
+            in: 'header',
+            schema: {
+              type: 'string'
+            },
+            description: 'Last-Modified of a copy the client already has - answered with 304 if nothing changed since (If-None-Match is more precise)'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of tasks',
+            headers: {
+              'X-Total-Count': {
+                description: 'Number of tasks matching the filters, on every page',
+                schema: {
+                  type: 'integer'
+                }
+              },
+              Link: {
+                description: 'Next page, while there is one - a query string to request from the same path',
+                schema: {
+                  type: 'string'
+                },
+                example: '<?limit=50&after=eyJzIjoiX2lkOjEiLCJ2IjpbeyJvIjoiNjUifV19>; rel="next"'
+              },
+              ETag: {
+                description: 'Version of this page - send it as If-None-Match to get 304 while it is unchanged',
+                schema: {
+                  type: 'string'
+                }
+              },
+              'Last-Modified': {
+                description: 'When any of the user\'s tasks last changed. Left out when q is given, as a query can depend on the date.',
+                schema: {
+                  type: 'string'
+                }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Task'
+                  }
+                }
+              }
+            }
+          },
+          '304': {
+            description: 'Not modified - the client\'s copy (from If-None-Match / If-Modified-Since) is still current. No body.'
+          },
+          '400': {
+            description: 'Invalid query, sort, project or cursor',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Unknown filter "colour:" (quote it to search for the text)'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a new task',
+        description: 'Create a task with description, priority, and due date. Send an Idempotency-Key to make retries safe: a repeat with the same key gets the first response again (with Idempotent-Replayed: true) for 24 hours instead of creating a second task. All other task, subtask, project, tag, view, trash, notification and undo changes accept the header too.',
+        tags: ['Tasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'Idempotency-Key',
+            in: 'header',
+            schema: {
+              type: 'string',
+              maxLength: 255
+            },
+            description: 'A random key for this create, sent again with every retry of it. Keys are per user.',
+            example: '6f1c2a4e-8b1d-4c55-9a3e-2f7d0c9b1e42'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/TaskInput'
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Task created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'A request with this Idempotency-Key is still being processed (see Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '422': {
+            description: 'This Idempotency-Key was already used for a different request',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}': {
+      get: {
+        summary: 'Get task by ID',
+        description: 'Retrieve a specific task',
+        tags: ['Tasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'If-None-Match',
+            in: 'header',
+            schema: {
+              type: 'string'
+            },
+            description: 'ETag of a copy the client already has - answered with an empty 304 if it is still current'
+          },
+          {
+            name: 'If-Modified-Since',
+            in: 'header',
+            schema: {
+              type: 'string'
+            },
+            description: 'Last-Modified of a copy the client already has - answered with 304 if nothing changed since (If-None-Match is more precise)'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Task details',
+            headers: {
+              ETag: {
+                description: 'The task\'s version: its syncSeq in quotes (send it back in If-Match)',
+                schema: {
+                  type: 'string'
+                },
+                example: '"42"'
+              },
+              'Last-Modified': {
+                description: 'When the task last changed',
+                schema: {
+                  type: 'string'
+                }
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '304': {
+            description: 'Not modified - the client\'s copy (from If-None-Match / If-Modified-Since) is still current. No body.'
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Task not found'
+                }
+              }
+            }
+          }
+        }
+      },
+      patch: {
+        summary: 'Update a task',
+        description: 'Update task description, completion status, priority, or due date. Completing a repeating task creates its next occurrence, whose ID is returned in recurrence.nextTask. Send If-Match with the task\'s ETag to only change it if nobody else has since.',
+        tags: ['Tasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'If-Match',
+            in: 'header',
+            schema: {
+              type: 'string'
+            },
+            description: 'Only update the task if it is still at this version - its ETag, or "<syncSeq>" from any copy of the task. "*" matches any version.',
+            example: '"42"'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  description: {
+                    type: 'string'
+                  },
+                  completed: {
+                    type: 'boolean'
+                  },
+                  priority: {
+                    type: 'string',
+                    enum: ['low', 'medium', 'high']
+                  },
+                  dueDate: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  tags: {
+                    type: 'array',
+                    items: {
+                      type: 'string'
+                    }
+                  },
+                  project: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Move the task to this project, or null for the Inbox'
+                  },
+                  recurrence: {
+                    $ref: '#/components/schemas/Recurrence'
+                  },
+                  reminders: {
+                    type: 'array',
+                    items: {
+                      $ref: '#/components/schemas/Reminder'
+                    },
+                    description: 'Replaces all reminders on the task'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Task updated successfully',
+            headers: {
+              ETag: {
+                description: 'The task\'s version: its syncSeq in quotes (send it back in If-Match)',
+                schema: {
+                  type: 'string'
+                },
+                example: '"42"'
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/TaskChange'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid updates',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '412': {
+            description: 'The task was changed after the If-Match version - nothing was updated. Has the current copy, and its ETag in the header.',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    error: {
+                      type: 'string',
+                      example: 'This task was changed somewhere else'
+                    },
+                    task: {
+                      $ref: '#/components/schemas/Task'
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a task',
+        description: 'Move a task to the trash. It can be restored until it is purged (after TRASH_RETENTION_DAYS, default 30)',
+        tags: ['Tasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Task deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/TaskChange'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/comments': {
+      get: {
+        summary: 'Get a task\'s comments',
+        description: 'The discussion on a task, oldest first, with each author\'s name and the edit history',
+        tags: ['Comments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of comments',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Comment'
+                  }
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Add a comment',
+        description: 'Add a markdown comment. People who can see the task and are mentioned with @name get a notification.',
+        tags: ['Comments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['body'],
+                properties: {
+                  body: {
+                    type: 'string',
+                    example: 'Looks **good** - @sam can you check the numbers?'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Comment added',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Comment'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error (empty, or longer than 5000 characters)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/comments/{commentId}': {
+      patch: {
+        summary: 'Edit a comment',
+        description: 'Change a comment\'s text (author only). The old text is kept in edits, and people mentioned for the first time are notified.',
+        tags: ['Comments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'commentId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Comment ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['body'],
+                properties: {
+                  body: {
+                    type: 'string',
+                    example: 'Looks **good** - @sam can you check the numbers?'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Comment updated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Comment'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Not the author',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Comment not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a comment',
+        description: 'Delete a comment (its author or the task\'s owner)',
+        tags: ['Comments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'commentId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Comment ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Comment deleted',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Comment'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Not allowed to delete it',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Comment not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/attachments': {
+      get: {
+        summary: 'Get a task\'s attachments',
+        description: 'The files attached to a task, oldest first',
+        tags: ['Attachments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of attachments',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Attachment'
+                  }
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Attach a file',
+        description: 'Upload one file to a task. Allowed: pdf, txt, md, csv, doc, docx, xls, xlsx, ppt, pptx, odt, ods, jpg, jpeg, png, gif, webp - the extension and content type must match. At most 10MB by default. Both limits are set with ATTACHMENT_MAX_SIZE_MB and ATTACHMENT_TYPES.',
+        tags: ['Attachments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: {
+                  file: {
+                    type: 'string',
+                    format: 'binary',
+                    description: 'The file to attach'
+                  }
+                },
+                required: ['file']
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'File attached',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Attachment'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'No file, a type that is not allowed, or too large',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'File is too large (at most 10 MB)'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/attachments/{attachmentId}': {
+      get: {
+        summary: 'Download an attachment',
+        description: 'The file\'s contents, sent with the type it was uploaded as and its original name in Content-Disposition',
+        tags: ['Attachments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'attachmentId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Attachment ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'The file',
+            content: {
+              'application/octet-stream': {
+                schema: {
+                  type: 'string',
+                  format: 'binary'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task, attachment or file not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete an attachment',
+        description: 'Delete an attachment and its file',
+        tags: ['Attachments'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'attachmentId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Attachment ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Attachment deleted',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Attachment'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task or attachment not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/subtasks': {
+      post: {
+        summary: 'Add a subtask',
+        description: 'Append a checklist item to the end of a task\'s subtasks',
+        tags: ['Subtasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                  text: {
+                    type: 'string',
+                    example: 'Draft outline'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Subtask added, returns the parent task',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/subtasks/reorder': {
+      post: {
+        summary: 'Reorder subtasks',
+        description: 'Set the checklist order. The order array must contain every subtask ID exactly once.',
+        tags: ['Subtasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['order'],
+                properties: {
+                  order: {
+                    type: 'array',
+                    items: {
+                      type: 'string'
+                    },
+                    description: 'Subtask IDs in their new order'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Subtasks reordered, returns the parent task',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Order does not match the task\'s subtasks',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tasks/{id}/subtasks/{subtaskId}': {
+      patch: {
+        summary: 'Update a subtask',
+        description: 'Tick/untick or rename a checklist item',
+        tags: ['Subtasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'subtaskId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Subtask ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  text: {
+                    type: 'string'
+                  },
+                  completed: {
+                    type: 'boolean'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Subtask updated, returns the parent task',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid updates',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task or subtask not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a subtask',
+        description: 'Remove a checklist item; remaining items are renumbered',
+        tags: ['Subtasks'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          },
+          {
+            name: 'subtaskId',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Subtask ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Subtask deleted, returns the parent task',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Task'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Task or subtask not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tags': {
+      get: {
+        summary: 'Get all tags',
+        description: 'Retrieve all tags for the authenticated user, sorted by name',
+        tags: ['Tags'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of tags',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Tag'
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a tag',
+        description: 'Create a tag with a name and optional colour. A colour is chosen automatically when omitted.',
+        tags: ['Tags'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'work'
+                  },
+                  color: {
+                    type: 'string',
+                    example: '#4a90e2'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Tag created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Tag'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error or duplicate name',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'A tag with that name already exists'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/tags/{id}': {
+      patch: {
+        summary: 'Update a tag',
+        description: 'Rename or recolour a tag. Renaming also updates every task that uses the tag.',
+        tags: ['Tags'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Tag ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'work'
+                  },
+                  color: {
+                    type: 'string',
+                    example: '#4a90e2'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Tag updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Tag'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid updates',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Tag not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a tag',
+        description: 'Delete a tag and remove it from every task that uses it',
+        tags: ['Tags'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Tag ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Tag deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Tag'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Tag not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/projects': {
+      get: {
+        summary: 'Get all projects',
+        description: 'Retrieve the authenticated user\'s projects, sorted by name, with a count of incomplete tasks in each',
+        tags: ['Projects'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'archived',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['true', 'false']
+            },
+            description: 'Filter by archived status'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of projects',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Project'
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Create a project',
+        description: 'Create a named task list with an optional colour and icon',
+        tags: ['Projects'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Work'
+                  },
+                  color: {
+                    type: 'string',
+                    example: '#4a90e2'
+                  },
+                  icon: {
+                    type: 'string',
+                    example: '💼'
+                  },
+                  archived: {
+                    type: 'boolean'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Project created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Project'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/projects/{id}': {
+      get: {
+        summary: 'Get project by ID',
+        description: 'Retrieve a specific project',
+        tags: ['Projects'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Project ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Project details',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Project'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Project not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Project not found'
+                }
+              }
+            }
+          }
+        }
+      },
+      patch: {
+        summary: 'Update a project',
+        description: 'Rename, recolour, change the icon, or archive/unarchive a project',
+        tags: ['Projects'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Project ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'Work'
+                  },
+                  color: {
+                    type: 'string',
+                    example: '#4a90e2'
+                  },
+                  icon: {
+                    type: 'string',
+                    example: '💼'
+                  },
+                  archived: {
+                    type: 'boolean'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Project updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Project'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid updates',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Project not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Delete a project',
+        description: 'Delete a project. Its tasks are moved to the Inbox, not deleted.',
+        tags: ['Projects'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Project ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Project deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Project'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Project not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/notifications': {
+      get: {
+        summary: 'Get notifications',
+        description: 'Get the current user\'s in-app notifications, newest first',
+        tags: ['Notifications'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'unread',
+            in: 'query',
+            schema: {
+              type: 'boolean'
+            },
+            description: 'Only return unread notifications'
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              default: 50
+            },
+            description: 'Maximum number of notifications'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'List of notifications',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/Notification'
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/notifications/read-all': {
+      post: {
+        summary: 'Mark all notifications as read',
+        description: 'Mark every unread notification of the current user as read',
+        tags: ['Notifications'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Notifications marked as read',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    updated: {
+                      type: 'integer',
+                      description: 'Number of notifications changed',
+                      example: 3
+                    }
+                  }
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/notifications/{id}/read': {
+      patch: {
+        summary: 'Mark a notification as read',
+        description: 'Mark a single notification as read',
+        tags: ['Notifications'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Notification ID'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Notification marked as read',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Notification'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Notification not found',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Notification not found'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/events': {
+      get: {
+        summary: 'Stream live task events and notifications',
+        description: 'Server-Sent Events stream of the current user\'s task changes and new notifications. Events: task.created, task.updated, task.deleted (only _id), tasks.refresh (many tasks changed, reload the list) and notification.created (with the notification). Because EventSource cannot send headers, the JWT may be passed as ?token= instead of the Authorization header.',
+        tags: ['Events'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'token',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'JWT, for clients that cannot set the Authorization header'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Event stream (stays open)',
+            content: {
+              'text/event-stream': {
+                schema: {
+                  type: 'string'
+                },
+                example: 'event: task.updated\ndata: {"type":"task.updated","task":{"_id":"..."}}\n\n'
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/sync': {
+      get: {
+        summary: 'Pull task changes',
+        description: 'Returns tasks created, changed or deleted after the cursor, oldest change first. Omit since for a first (full) sync. Keep calling with the returned cursor while hasMore is true.',
+        tags: ['Sync'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
+        parameters: [
+          {
+            name: 'since',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Cursor returned by the previous sync',
+            example: '42.507f1f77bcf86cd799439011'
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              default: 500,
+              maximum: 1000
+            },
+            description: 'Maximum number of changes to return'
+          }
+        ],
         responses: {
-          '201': {
-            description: 'User created successfully',
+          '200': {
+            description: 'Changes after the cursor',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    user: {
-                      $ref: '#/components/schemas/User'
+                    tasks: {
+                      type: 'array',
+                      items: {
+                        $ref: '#/components/schemas/Task'
+                      },
+                      description: 'Tasks created or changed'
                     },
-                    token: {
+                    deleted: {
+                      type: 'array',
+                      items: {
+                        type: 'string'
+                      },
+                      description: 'IDs of deleted tasks'
+                    },
+                    cursor: {
                       type: 'string',
-                      description: 'JWT authentication token'
+                      example: '42.507f1f77bcf86cd799439011'
+                    },
+                    hasMore: {
+                      type: 'boolean',
+                      example: false
                     }
                   }
                 }
@@ -250,64 +3586,71 @@ module.exports = {
             }
           },
           '400': {
-            description: 'Validation error',
+            description: 'Invalid cursor',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
                 },
-                examples: {
-                  duplicateEmail: {
-                    value: {
-                      error: 'Email already exists'
-                    }
-                  },
-                  invalidEmail: {
-                    value: {
-                      error: 'Email must contain @'
-                    }
-                  },
-                  shortPassword: {
-                    value: {
-                      error: 'Password must be at least 6 characters'
-                    }
-                  }
+                example: {
+                  error: 'Invalid cursor'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
                 }
               }
             }
           }
         }
-      }
-    },
-    '/users/login': {
+      },
       post: {
-        summary: 'Login to existing account',
-        description: 'Authenticate user with email and password',
-        tags: ['Authentication'],
+        summary: 'Push offline changes',
+        description: 'Applies up to 100 changes in order. Each change gets its own result; a failed change does not stop the rest. Updates and deletes whose baseSeq is older than the server copy are reported as conflicts instead of being applied. Creates are idempotent, so a batch can safely be retried.',
+        tags: ['Sync'],
+        security: [
+          {
+            bearerAuth: []
+          }
+        ],
         requestBody: {
           required: true,
           content: {
             'application/json': {
               schema: {
-                $ref: '#/components/schemas/UserLogin'
+                type: 'object',
+                required: ['changes'],
+                properties: {
+                  changes: {
+                    type: 'array',
+                    items: {
+                      $ref: '#/components/schemas/SyncChange'
+                    }
+                  }
+                }
               }
             }
           }
         },
         responses: {
           '200': {
-            description: 'Login successful',
+            description: 'One result per change, in the same order',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    user: {
-                      $ref: '#/components/schemas/User'
-                    },
-                    token: {
-                      type: 'string',
-                      description: 'JWT authentication token'
+                    results: {
+                      type: 'array',
+                      items: {
+                        $ref: '#/components/schemas/SyncResult'
+                      }
                     }
                   }
                 }
@@ -315,44 +3658,14 @@ module.exports = {
             }
           },
           '400': {
-            description: 'Invalid credentials',
+            description: 'Missing changes array or too many changes',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
                 },
                 example: {
-                  error: 'Invalid login credentials'
-                }
-              }
-            }
-          }
-        }
-      }
-    },
-    '/users/logout': {
-      post: {
-        summary: 'Logout from current session',
-        description: 'Removes current authentication token',
-        tags: ['Authentication'],
-        security: [
-          {
-            bearerAuth: []
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Logout successful',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    message: {
-                      type: 'string',
-                      example: 'Logged out successfully'
-                    }
-                  }
+                  error: 'changes must be an array'
                 }
               }
             }
@@ -363,9 +3676,6 @@ module.exports = {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
-                },
-                example: {
-                  error: 'Please authenticate'
                 }
               }
             }
@@ -373,11 +3683,11 @@ module.exports = {
         }
       }
     },
-    '/users/logoutAll': {
-      post: {
-        summary: 'Logout from all devices',
-        description: 'Removes all authentication tokens for the user',
-        tags: ['Authentication'],
+    '/tasks/trash': {
+      get: {
+        summary: 'Get trashed tasks',
+        description: 'Deleted tasks, most recently deleted first',
+        tags: ['Trash'],
         security: [
           {
             bearerAuth: []
@@ -385,16 +3695,13 @@ module.exports = {
         ],
         responses: {
           '200': {
-            description: 'Logged out from all devices',
+            description: 'List of trashed tasks',
             content: {
               'application/json': {
                 schema: {
-                  type: 'object',
-                  properties: {
-                    message: {
-                      type: 'string',
-                      example: 'Logged out from all devices'
-                    }
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/TrashedTask'
                   }
                 }
               }
@@ -411,13 +3718,11 @@ module.exports = {
             }
           }
         }
-      }
-    },
-    '/users/me': {
-      get: {
-        summary: 'Get current user profile',
-        description: 'Retrieve authenticated user information',
-        tags: ['User Profile'],
+      },
+      delete: {
+        summary: 'Empty the trash',
+        description: 'Permanently delete every task in the trash',
+        tags: ['Trash'],
         security: [
           {
             bearerAuth: []
@@ -425,11 +3730,18 @@ module.exports = {
         ],
         responses: {
           '200': {
-            description: 'User profile',
+            description: 'Trash emptied',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/User'
+                  type: 'object',
+                  properties: {
+                    purged: {
+                      type: 'integer',
+                      description: 'Number of tasks deleted',
+                      example: 3
+                    }
+                  }
                 }
               }
             }
@@ -445,56 +3757,42 @@ module.exports = {
             }
           }
         }
-      },
-      patch: {
-        summary: 'Update user profile',
-        description: 'Update name, email, or password',
-        tags: ['User Profile'],
+      }
+    },
+    '/tasks/trash/{id}': {
+      delete: {
+        summary: 'Delete a trashed task forever',
+        description: 'Permanently delete one task from the trash',
+        tags: ['Trash'],
         security: [
           {
             bearerAuth: []
           }
         ],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                properties: {
-                  name: {
-                    type: 'string',
-                    example: 'Jane Doe'
-                  },
-                  email: {
-                    type: 'string',
-                    format: 'email',
-                    example: 'jane@example.com'
-                  },
-                  password: {
-                    type: 'string',
-                    format: 'password',
-                    minLength: 6,
-                    example: 'newpassword123'
-                  }
-                }
-              }
-            }
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
           }
-        },
+        ],
         responses: {
           '200': {
-            description: 'Profile updated successfully',
+            description: 'Task deleted',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/User'
+                  $ref: '#/components/schemas/Task'
                 }
               }
             }
           },
-          '400': {
-            description: 'Invalid updates',
+          '401': {
+            description: 'Not authenticated',
             content: {
               'application/json': {
                 schema: {
@@ -503,34 +3801,50 @@ module.exports = {
               }
             }
           },
-          '401': {
-            description: 'Not authenticated',
+          '404': {
+            description: 'Task not in the trash',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Task not found in trash'
                 }
               }
             }
           }
         }
-      },
-      delete: {
-        summary: 'Delete user account',
-        description: 'Permanently delete account and all associated tasks',
-        tags: ['User Profile'],
+      }
+    },
+    '/tasks/{id}/restore': {
+      post: {
+        summary: 'Restore a task',
+        description: 'Move a task out of the trash',
+        tags: ['Trash'],
         security: [
           {
             bearerAuth: []
           }
         ],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Task ID'
+          }
+        ],
         responses: {
           '200': {
-            description: 'Account deleted successfully',
+            description: 'Task restored',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/User'
+                  $ref: '#/components/schemas/Task'
                 }
               }
             }
@@ -544,104 +3858,189 @@ module.exports = {
                 }
               }
             }
+          },
+          '404': {
+            description: 'Task not in the trash',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Task not found in trash'
+                }
+              }
+            }
           }
         }
       }
     },
-    '/users/me/avatar': {
+    '/operations/{id}/undo': {
       post: {
-        summary: 'Upload profile picture',
-        description: 'Upload an avatar image (max 5MB, jpeg/jpg/png/gif)',
-        tags: ['Avatar'],
+        summary: 'Undo an operation',
+        description: 'Take back a task change. PATCH /tasks/{id}, DELETE /tasks/{id} and POST /tasks/bulk return an operationId, which can be undone for 5 minutes. Nothing is undone if a task has changed again since.',
+        tags: ['Undo'],
         security: [
           {
             bearerAuth: []
           }
         ],
-        requestBody: {
-          required: true,
-          content: {
-            'multipart/form-data': {
-              schema: {
-                type: 'object',
-                properties: {
-                  avatar: {
-                    type: 'string',
-                    format: 'binary',
-                    description: 'Image file (jpeg, jpg, png, gif) - Max 5MB'
-                  }
-                },
-                required: ['avatar']
-              }
-            }
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: {
+              type: 'string'
+            },
+            description: 'Operation ID (operationId from the change)'
           }
-        },
+        ],
         responses: {
           '200': {
-            description: 'Avatar uploaded successfully',
+            description: 'Operation undone',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/UndoResult'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
             content: {
               'application/json': {
                 schema: {
-                  type: 'object',
-                  properties: {
-                    message: {
-                      type: 'string',
-                      example: 'Avatar uploaded successfully'
-                    },
-                    avatar: {
-                      type: 'string',
-                      example: 'avatar.jpg'
-                    }
-                  }
+                  $ref: '#/components/schemas/Error'
                 }
               }
             }
           },
-          '400': {
-            description: 'Invalid file type',
+          '404': {
+            description: 'Operation not found, expired or already undone',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
                 },
                 example: {
-                  error: 'Only image files are allowed (jpeg, jpg, png, gif)'
+                  error: 'Operation not found or expired'
                 }
               }
             }
           },
-          '401': {
-            description: 'Not authenticated',
+          '409': {
+            description: 'A task has changed since the operation',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'The task has changed since, so this can no longer be undone'
                 }
               }
             }
           }
         }
-      },
-      delete: {
-        summary: 'Delete profile picture',
-        description: 'Remove current avatar image',
-        tags: ['Avatar'],
+      }
+    },
+    '/tasks/bulk': {
+      post: {
+        summary: 'Change many tasks at once',
+        description: 'Apply one action to a list of tasks, or to every task matching a filter (at most 500). All or nothing: if any update is invalid, no task is changed. Only one bulk request per user runs at a time.',
+        tags: ['Tasks'],
         security: [
           {
             bearerAuth: []
           }
         ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['action'],
+                properties: {
+                  ids: {
+                    type: 'array',
+                    items: {
+                      type: 'string'
+                    },
+                    maxItems: 500,
+                    description: 'Tasks to change (send ids or filter, not both)',
+                    example: ['65f1c2a9e4b0a1b2c3d4e5f6']
+                  },
+                  filter: {
+                    type: 'object',
+                    description: 'Select tasks like GET /tasks does (send ids or filter, not both)',
+                    properties: {
+                      completed: {
+                        type: 'boolean'
+                      },
+                      project: {
+                        type: 'string',
+                        description: 'Project ID, or "inbox"'
+                      },
+                      tags: {
+                        type: 'array',
+                        items: {
+                          type: 'string'
+                        }
+                      },
+                      tagMode: {
+                        type: 'string',
+                        enum: ['all', 'any']
+                      },
+                      q: {
+                        type: 'string',
+                        description: 'A query in the GET /tasks query language',
+                        example: 'tag:work -completed'
+                      }
+                    }
+                  },
+                  action: {
+                    type: 'string',
+                    enum: ['complete', 'uncomplete', 'delete', 'setPriority', 'setDueDate', 'moveProject', 'addTag'],
+                    example: 'complete'
+                  },
+                  value: {
+                    description: 'For setPriority (low/medium/high), setDueDate (date or null), moveProject (project ID or null for the Inbox) and addTag (tag name)',
+                    example: 'high'
+                  }
+                }
+              }
+            }
+          }
+        },
         responses: {
           '200': {
-            description: 'Avatar deleted successfully',
+            description: 'Tasks changed',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/BulkResult'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Invalid request, or some updates are invalid (nothing was changed)',
             content: {
               'application/json': {
                 schema: {
                   type: 'object',
                   properties: {
-                    message: {
-                      type: 'string',
-                      example: 'Avatar deleted successfully'
+                    error: {
+                      type: 'string'
+                    },
+                    results: {
+                      type: 'array',
+                      items: {
+                        $ref: '#/components/schemas/BulkItemResult'
+                      }
                     }
                   }
                 }
@@ -657,60 +4056,27 @@ module.exports = {
                 }
               }
             }
-          }
-        }
-      }
-    },
-    '/users/{id}/avatar': {
-      get: {
-        summary: 'Get user avatar',
-        description: 'Retrieve avatar image for a specific user',
-        tags: ['Avatar'],
-        parameters: [
-          {
-            name: 'id',
-            in: 'path',
-            required: true,
-            schema: {
-              type: 'string'
-            },
-            description: 'User ID'
-          }
-        ],
-        responses: {
-          '200': {
-            description: 'Avatar image',
+          },
+          '409': {
+            description: 'Another bulk update is still running',
             content: {
-              'image/jpeg': {
-                schema: {
-                  type: 'string',
-                  format: 'binary'
-                }
-              },
-              'image/png': {
-                schema: {
-                  type: 'string',
-                  format: 'binary'
-                }
-              },
-              'image/gif': {
+              'application/json': {
                 schema: {
-                  type: 'string',
-                  format: 'binary'
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Another bulk update is still running'
                 }
               }
             }
-          },
-          '404': {
-            description: 'Avatar not found'
           }
         }
       }
     },
-    '/tasks': {
+    '/tasks/search': {
       get: {
-        summary: 'Get all tasks',
-        description: 'Retrieve all tasks for the authenticated user with optional filtering and sorting',
+        summary: 'Search tasks',
+        description: 'Full-text search over task descriptions, tags and checklist items, best matches first. Words match by their stem ("reports" finds "reporting"); a match in the description counts for more than one in a tag or checklist item. Tasks in the trash are never included.',
         tags: ['Tasks'],
         security: [
           {
@@ -718,6 +4084,16 @@ module.exports = {
           }
         ],
         parameters: [
+          {
+            name: 'q',
+            in: 'query',
+            schema: {
+              type: 'string',
+              maxLength: 200
+            },
+            description: 'Words to look for (any of them), "exact phrases" (all of them) and -words or -"phrases" to leave out. Needs at least one word or phrase that is not left out.',
+            example: 'report "quarterly budget" -draft'
+          },
           {
             name: 'completed',
             in: 'query',
@@ -727,14 +4103,53 @@ module.exports = {
             },
             description: 'Filter by completion status'
           },
+          {
+            name: 'tags',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Comma-separated tag names to filter by',
+            example: 'work,urgent'
+          },
+          {
+            name: 'tagMode',
+            in: 'query',
+            schema: {
+              type: 'string',
+              enum: ['all', 'any'],
+              default: 'all'
+            },
+            description: 'Match tasks with all of the tags, or any of them'
+          },
+          {
+            name: 'project',
+            in: 'query',
+            schema: {
+              type: 'string'
+            },
+            description: 'Project ID to search in, or "inbox" for tasks without a project'
+          },
+          {
+            name: 'within',
+            in: 'query',
+            schema: {
+              type: 'string',
+              maxLength: 500
+            },
+            description: 'Only search tasks matching this GET /tasks query (the q of GET /tasks), e.g. a saved view\'s',
+            example: 'due:today -completed'
+          },
           {
             name: 'limit',
             in: 'query',
             schema: {
               type: 'integer',
-              minimum: 0
+              minimum: 1,
+              maximum: 100,
+              default: 20
             },
-            description: 'Maximum number of results (0 = no limit)'
+            description: 'Maximum number of results'
           },
           {
             name: 'skip',
@@ -744,26 +4159,70 @@ module.exports = {
               minimum: 0
             },
             description: 'Number of results to skip (for pagination)'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Matching tasks, best first',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/SearchResult'
+                  }
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Nothing to search for, or an invalid project',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Search needs at least one word to look for'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
           },
+          '500': {
+            description: 'Server error'
+          }
+        }
+      }
+    },
+    '/views': {
+      get: {
+        summary: 'Get all views',
+        description: 'The built-in views ("smart lists") first, then the user\'s saved views by name',
+        tags: ['Views'],
+        security: [
           {
-            name: 'sortBy',
-            in: 'query',
-            schema: {
-              type: 'string'
-            },
-            description: 'Sort results (format: field:order, e.g., createdAt:desc)',
-            example: 'createdAt:desc'
+            bearerAuth: []
           }
         ],
         responses: {
           '200': {
-            description: 'List of tasks',
+            description: 'List of views',
             content: {
               'application/json': {
                 schema: {
                   type: 'array',
                   items: {
-                    $ref: '#/components/schemas/Task'
+                    $ref: '#/components/schemas/SavedView'
                   }
                 }
               }
@@ -778,13 +4237,16 @@ module.exports = {
                 }
               }
             }
+          },
+          '500': {
+            description: 'Server error'
           }
         }
       },
       post: {
-        summary: 'Create a new task',
-        description: 'Create a task with description, priority, and due date',
-        tags: ['Tasks'],
+        summary: 'Save a view',
+        description: 'Save a named task list. Only name is required.',
+        tags: ['Views'],
         security: [
           {
             bearerAuth: []
@@ -795,28 +4257,38 @@ module.exports = {
           content: {
             'application/json': {
               schema: {
-                $ref: '#/components/schemas/TaskInput'
+                allOf: [
+                  {
+                    $ref: '#/components/schemas/SavedViewInput'
+                  },
+                  {
+                    required: ['name']
+                  }
+                ]
               }
             }
           }
         },
         responses: {
           '201': {
-            description: 'Task created successfully',
+            description: 'View saved',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Task'
+                  $ref: '#/components/schemas/SavedView'
                 }
               }
             }
           },
           '400': {
-            description: 'Validation error',
+            description: 'Invalid view, or a view with that name already exists',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'You already have a view with that name'
                 }
               }
             }
@@ -834,11 +4306,11 @@ module.exports = {
         }
       }
     },
-    '/tasks/{id}': {
+    '/views/{id}': {
       get: {
-        summary: 'Get task by ID',
-        description: 'Retrieve a specific task',
-        tags: ['Tasks'],
+        summary: 'Get view by ID',
+        description: 'Retrieve a saved or built-in view',
+        tags: ['Views'],
         security: [
           {
             bearerAuth: []
@@ -852,16 +4324,16 @@ module.exports = {
             schema: {
               type: 'string'
             },
-            description: 'Task ID'
+            description: 'View ID (a saved view\'s ID, or a built-in view\'s word ID for GET)'
           }
         ],
         responses: {
           '200': {
-            description: 'Task details',
+            description: 'View details',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Task'
+                  $ref: '#/components/schemas/SavedView'
                 }
               }
             }
@@ -877,24 +4349,27 @@ module.exports = {
             }
           },
           '404': {
-            description: 'Task not found',
+            description: 'View not found',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
                 },
                 example: {
-                  error: 'Task not found'
+                  error: 'View not found'
                 }
               }
             }
+          },
+          '500': {
+            description: 'Server error'
           }
         }
       },
       patch: {
-        summary: 'Update a task',
-        description: 'Update task description, completion status, priority, or due date',
-        tags: ['Tasks'],
+        summary: 'Update view',
+        description: 'Change a saved view. Built-in views can\'t be changed.',
+        tags: ['Views'],
         security: [
           {
             bearerAuth: []
@@ -908,7 +4383,7 @@ module.exports = {
             schema: {
               type: 'string'
             },
-            description: 'Task ID'
+            description: 'View ID (a saved view\'s ID, or a built-in view\'s word ID for GET)'
           }
         ],
         requestBody: {
@@ -916,44 +4391,31 @@ module.exports = {
           content: {
             'application/json': {
               schema: {
-                type: 'object',
-                properties: {
-                  description: {
-                    type: 'string'
-                  },
-                  completed: {
-                    type: 'boolean'
-                  },
-                  priority: {
-                    type: 'string',
-                    enum: ['low', 'medium', 'high']
-                  },
-                  dueDate: {
-                    type: 'string',
-                    format: 'date-time'
-                  }
-                }
+                $ref: '#/components/schemas/SavedViewInput'
               }
             }
           }
         },
         responses: {
           '200': {
-            description: 'Task updated successfully',
+            description: 'View updated',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Task'
+                  $ref: '#/components/schemas/SavedView'
                 }
               }
             }
           },
           '400': {
-            description: 'Invalid updates',
+            description: 'Invalid updates, or a built-in view',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Built-in views can\'t be changed'
                 }
               }
             }
@@ -969,11 +4431,14 @@ module.exports = {
             }
           },
           '404': {
-            description: 'Task not found',
+            description: 'View not found',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'View not found'
                 }
               }
             }
@@ -981,9 +4446,9 @@ module.exports = {
         }
       },
       delete: {
-        summary: 'Delete a task',
-        description: 'Permanently delete a task',
-        tags: ['Tasks'],
+        summary: 'Delete view',
+        description: 'Delete a saved view. Its tasks are not affected. Built-in views can\'t be deleted.',
+        tags: ['Views'],
         security: [
           {
             bearerAuth: []
@@ -997,16 +4462,29 @@ module.exports = {
             schema: {
               type: 'string'
             },
-            description: 'Task ID'
+            description: 'View ID (a saved view\'s ID, or a built-in view\'s word ID for GET)'
           }
         ],
         responses: {
           '200': {
-            description: 'Task deleted successfully',
+            description: 'View deleted',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Task'
+                  $ref: '#/components/schemas/SavedView'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Built-in view',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'Built-in views can\'t be deleted'
                 }
               }
             }
@@ -1022,14 +4500,20 @@ module.exports = {
             }
           },
           '404': {
-            description: 'Task not found',
+            description: 'View not found',
             content: {
               'application/json': {
                 schema: {
                   $ref: '#/components/schemas/Error'
+                },
+                example: {
+                  error: 'View not found'
                 }
               }
             }
+          },
+          '500': {
+            description: 'Server error'
           }
         }
       }
@@ -13,6 +13,18 @@ require('./db/mongoose');
 // Import the configured Express app
 const app = require('./app');
 
+// Background jobs (task reminders, overdue alerts, emptying old trash)
+const { createScheduler } = require('./services/scheduler');
+const { registerReminderJobs } = require('./services/reminders');
+const { registerOverdueJobs } = require('./services/overdue');
+const { registerTrashJobs, startTrashPurge } = require('./services/trash');
+const Task = require('./models/Task');
+const User = require('./models/User');
+
+// Where uploaded files are kept - throws now if STORAGE_DRIVER is misconfigured
+const { getStorage } = require('./services/storage');
+console.log(`📁 File storage: ${getStorage().name}`);
+
 // Get port from environment variable or use 3000
 const port = process.env.PORT || 3000;
 
@@ -26,6 +38,55 @@ app.listen(port, () => {
   console.log('\n✨ Ready to accept requests!');
 });
 
+// ============================================
+// START BACKGROUND SCHEDULER
+// ============================================
+// Runs due jobs (like reminders) stored in MongoDB
+// Started here rather than in app.js so tests can drive it with a fake clock
+const scheduler = createScheduler();
+registerReminderJobs(scheduler);
+registerOverdueJobs(scheduler);
+registerTrashJobs(scheduler);
+scheduler.start();
+
+// The trash purge job re-schedules itself; this creates it on first start
+startTrashPurge().catch((error) => {
+  console.error('❌ Could not schedule trash purge:', error.message);
+});
+
+// Tasks saved before priorityRank existed need one to be sorted by priority
+Task.backfillPriorityRanks()
+  .then((updated) => {
+    if (updated > 0) {
+      console.log(`🔢 Set priorityRank on ${updated} tasks`);
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Could not backfill priorityRank:', error.message);
+  });
+
+// Tasks saved before hasDueDate existed need it to be sorted by due date
+Task.backfillHasDueDates()
+  .then((updated) => {
+    if (updated > 0) {
+      console.log(`📅 Set hasDueDate on ${updated} tasks`);
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Could not backfill hasDueDate:', error.message);
+  });
+
+// Avatars uploaded before they were resized need their sizes made
+User.convertLegacyAvatars()
+  .then((converted) => {
+    if (converted > 0) {
+      console.log(`🖼️  Converted ${converted} avatars`);
+    }
+  })
+  .catch((error) => {
+    console.error('❌ Could not convert avatars:', error.message);
+  });
+
 // ============================================
 // LEARNING NOTES
 // ============================================
@@ -70,6 +131,10 @@ app.listen(port, () => {
 // 4. Routes handle it (authRouter or taskRouter)
 // 5. Response sent back to client
 //
+// BACKGROUND JOBS:
+// - The scheduler polls MongoDB for due jobs every 30 seconds
+// - Jobs are stored in the database, so none are lost on restart
+//
 // TESTING THE SERVER:
 // 1. Start: npm run dev
 // 2. Visit: http://localhost:3000
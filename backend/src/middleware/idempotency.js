@@ -0,0 +1,158 @@
+// ============================================
+// IDEMPOTENCY MIDDLEWARE
+// ============================================
+// Makes a mutating request safe to retry. The client sends a random key
+// with the request:
+//
+//   POST /tasks
+//   Idempotency-Key: 6f1c2a4e-...
+//
+// The first request with that key runs as usual and its response is
+// stored for 24 hours. Sending the same key again (e.g. because the
+// connection dropped before the answer arrived) doesn't run the route a
+// second time - it gets the stored response back, with the header
+// Idempotent-Replayed: true.
+//
+// The same key with a different request (another body or URL) is refused
+// with 422, and a repeat that arrives while the first is still running
+// gets 409. Requests without the header work as before.
+//
+// Use it after auth, since keys belong to a user:
+//   router.post('/tasks', auth, idempotency, async (req, res) => { ... })
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+// A first request still "running" after this long has crashed - its key
+// can be used again
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+// What makes two requests "the same request"
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body === undefined ? null : req.body]))
+  .digest('hex');
+
+// Send a stored response again
+const replay = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  if (record.etag) {
+    res.set('ETag', record.etag);
+  }
+  return res.status(record.status).send(record.body);
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).send({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const owner = req.user._id;
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    // The TTL index only runs about once a minute, and a crashed request
+    // never finishes its record - clear both before trying the key
+    const now = Date.now();
+    await IdempotencyKey.deleteOne({
+      owner,
+      key,
+      $or: [
+        { createdAt: { $lte: new Date(now - IdempotencyKey.KEEP_FOR_SECONDS * 1000) } },
+        { status: null, createdAt: { $lte: new Date(now - PROCESSING_TIMEOUT_MS) } }
+      ]
+    });
+
+    record = await IdempotencyKey.create({ owner, key, requestHash });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return res.status(500).send();
+    }
+
+    // Duplicate key: this key was used before
+    const existing = await IdempotencyKey.findOne({ owner, key }).catch(() => null);
+
+    if (!existing) {
+      return res.status(409).send({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).send({ error: 'This Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status === null) {
+      res.set('Retry-After', '1');
+      return res.status(409).send({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+    return replay(res, existing);
+  }
+
+  // Store the response before it goes out, so a retry that arrives the
+  // moment the client has it already finds it
+  const send = res.send;
+  let sent = false;
+
+  res.send = function (body) {
+    res.send = send;
+    sent = true;
+
+    // Server errors aren't kept: retrying might well work next time
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne({ _id: record._id }, {
+        status: res.statusCode,
+        body: body !== null && typeof body === 'object' && !Buffer.isBuffer(body)
+          ? JSON.parse(JSON.stringify(body))   // Plain JSON, e.g. a task document's toJSON()
+          : body,
+        etag: res.get('ETag')
+      });
+
+    saved
+      .catch((error) => console.error('Failed to store idempotent response:', error.message))
+      .finally(() => send.call(res, body));
+
+    return res;
+  };
+
+  // A response that never went through send() (e.g. an uncaught error)
+  // left nothing to replay - free the key again
+  res.on('finish', () => {
+    if (!sent) {
+      IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+    }
+  });
+
+  next();
+};
+
+module.exports = idempotency;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// IDEMPOTENT REQUESTS:
+// - GET, PUT and DELETE are meant to be safe to repeat, POST is not:
+//   sending "create a task" twice makes two tasks
+// - On a flaky connection the client can't tell "the request was lost"
+//   from "the answer was lost", so the only safe retry is one the server
+//   can recognise as a repeat - that's what the key is for
+// - The client makes one key per thing it wants done, and sends the same
+//   key with every retry of it
+//
+// WHY CHECK THE REQUEST TOO?
+// - A client bug that reuses a key for a new task would otherwise get the
+//   old task back and think the new one was saved
+// - Refusing the mismatch (422) makes the bug visible straight away
+//
+// CLAIMING THE KEY FIRST:
+// - The record is inserted before the route runs, and the unique index
+//   lets exactly one request insert it
+// - So two copies of a request arriving at once can't both run: the
+//   second one sees a record without a status and gets 409
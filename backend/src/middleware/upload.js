@@ -1,47 +1,190 @@
 // ============================================
 // FILE UPLOAD MIDDLEWARE - MULTER CONFIGURATION
 // ============================================
-// Handles file uploads for user profile pictures
+// Handles file uploads for user profile pictures and task attachments
 
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('../services/storage');
 
-// Define absolute path to uploads directory
-const uploadsDir = path.join(__dirname, '../../uploads/avatars');
+// Folder (key prefix) in file storage - see services/storage
+const ATTACHMENT_FOLDER = 'attachments';
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Save uploaded files to uploads/avatars directory
-    cb(null, uploadsDir);
+const attachmentKey = (filename) => `${ATTACHMENT_FOLDER}/${filename}`;
+
+// ============================================
+// STORAGE ENGINE - Hand uploads to the configured file storage
+// ============================================
+// A multer storage engine: multer calls _handleFile with each uploaded file
+// and _removeFile to undo it when the request fails part-way.
+// options.folder:   where in storage files go, e.g. 'attachments'
+// options.filename: (req, file) => the name to store the file under
+// Sets req.file.filename (the stored name) and req.file.key (its storage key)
+
+const storageEngine = ({ folder, filename }) => ({
+  _handleFile(req, file, cb) {
+    const chunks = [];
+
+    file.stream.on('data', (chunk) => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      // Cut off by the size limit - multer reports the error, there's nothing to store
+      if (file.stream.truncated) {
+        return cb(null, {});
+      }
+
+      const data = Buffer.concat(chunks);
+      const name = filename(req, file);
+      const key = `${folder}/${name}`;
+
+      getStorage().save(key, data, { contentType: file.mimetype })
+        .then(() => cb(null, { filename: name, key, size: data.length }))
+        .catch(cb);
+    });
   },
-  filename: (req, file, cb) => {
-    // Create unique filename: userId-timestamp.extension
-    const uniqueName = `${req.user._id}-${Date.now()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
+
+  _removeFile(req, file, cb) {
+    if (!file.key) {
+      return cb(null);
+    }
+    getStorage().remove(file.key).then(() => cb(null), cb);
   }
 });
 
+// ============================================
+// AVATARS
+// ============================================
+// Kept in memory (req.file.buffer): the route checks and resizes the
+// picture, and stores the results - see services/avatars.js
+
+// Configure storage
+const storage = multer.memoryStorage();
+
 // File filter - only accept images
+// (a first check - services/avatars.js looks at what the file really is)
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif/;
+  const allowedTypes = /jpeg|jpg|png|gif|webp/;
   const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
   const mimetype = allowedTypes.test(file.mimetype);
 
   if (extname && mimetype) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed (jpeg, jpg, png, gif)'));
+    cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
   }
 };
 
 // Configure multer
-const upload = multer({
+const avatarUpload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
   },
   fileFilter: fileFilter
 });
 
-module.exports = upload;
+// ============================================
+// TASK ATTACHMENTS
+// ============================================
+// Documents and images, up to ATTACHMENT_MAX_SIZE_MB each (default 10).
+// ATTACHMENT_TYPES narrows the allowed types to a comma-separated list of
+// extensions from the table below, e.g. ATTACHMENT_TYPES=pdf,png,jpg
+
+const DEFAULT_ATTACHMENT_MAX_SIZE_MB = 10;
+
+// Extension -> the content types a browser may send for it
+// (no .svg or .html: they can carry scripts)
+const ATTACHMENT_TYPES = {
+  pdf: ['application/pdf'],
+  txt: ['text/plain'],
+  md: ['text/markdown', 'text/x-markdown', 'text/plain'],
+  csv: ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+  doc: ['application/msword'],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  xls: ['application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  ppt: ['application/vnd.ms-powerpoint'],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  odt: ['application/vnd.oasis.opendocument.text'],
+  ods: ['application/vnd.oasis.opendocument.spreadsheet'],
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  png: ['image/png'],
+  gif: ['image/gif'],
+  webp: ['image/webp']
+};
+
+// The limits, from the environment
+const getAttachmentLimits = () => {
+  const maxSizeMb = parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB);
+  const configuredTypes = (process.env.ATTACHMENT_TYPES || '')
+    .split(',')
+    .map((type) => type.trim().toLowerCase().replace(/^\./, ''))
+    .filter((type) => Object.hasOwn(ATTACHMENT_TYPES, type));
+
+  return {
+    maxSize: Math.round((maxSizeMb > 0 ? maxSizeMb : DEFAULT_ATTACHMENT_MAX_SIZE_MB) * 1024 * 1024),
+    types: configuredTypes.length > 0 ? configuredTypes : Object.keys(ATTACHMENT_TYPES)
+  };
+};
+
+const attachmentLimits = getAttachmentLimits();
+
+// Files are stored under a random name - the original name is kept in the
+// database, so nothing the client sends ends up in a storage key
+const attachmentStorage = storageEngine({
+  folder: ATTACHMENT_FOLDER,
+  filename: (req, file) => `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`
+});
+
+// Both the extension and the content type must be allowed, and match
+const attachmentFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase().replace('.', '');
+  const allowed = attachmentLimits.types.includes(extension) &&
+    ATTACHMENT_TYPES[extension].includes(file.mimetype);
+
+  if (allowed) {
+    cb(null, true);
+  } else {
+    cb(new Error(`This type of file can't be attached (allowed: ${attachmentLimits.types.join(', ')})`));
+  }
+};
+
+const attachmentUpload = multer({
+  storage: attachmentStorage,
+  limits: {
+    fileSize: attachmentLimits.maxSize,
+    files: 1
+  },
+  fileFilter: attachmentFilter
+});
+
+module.exports = {
+  avatarUpload,
+  attachmentUpload,
+  attachmentLimits,
+  attachmentKey
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// NEVER TRUST THE UPLOADED FILE NAME:
+// - "../../src/app.js" is a valid name for a browser to send
+// - Stored files get a random name of our own; the original name is only
+//   used as a label and in the download's Content-Disposition header
+//
+// FILES ARE HELD IN MEMORY WHILE UPLOADING:
+// - S3 needs a file's size (and the hash we sign) before it is sent, so the
+//   storage engine collects the whole file first; avatars are read whole to
+//   be resized
+// - The size limits above cap that: 5 MB for avatars, 10 MB (by default)
+//   for attachments
+//
+// ALLOW-LISTS, NOT BLOCK-LISTS:
+// - Listing what IS allowed means a type nobody thought about is refused
+// - Some types are left out on purpose: an .svg or .html file opened from
+//   our domain could run scripts with the user's session
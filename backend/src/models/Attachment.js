@@ -0,0 +1,99 @@
+// ============================================
+// ATTACHMENT MODEL - MONGOOSE SCHEMA
+// ============================================
+// A file attached to a task. The file itself is in file storage under
+// attachments/ (see services/storage); this document remembers where, and
+// what it was called when it was uploaded.
+
+const mongoose = require('mongoose');
+const { getStorage } = require('../services/storage');
+const { attachmentKey } = require('../middleware/upload');
+
+// Define the Attachment schema
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Task'
+  },
+  filename: {
+    type: String,        // The name it was uploaded with, e.g. "Budget 2026.xlsx"
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  storedName: {
+    type: String,        // The random name it is stored under - never sent to clients
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,        // In bytes
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,  // The task's owner
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A task's attachments are listed oldest first
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+// Deleting a user deletes their attachments
+attachmentSchema.index({ owner: 1 });
+
+// The file's key in file storage
+attachmentSchema.methods.storageKey = function() {
+  return attachmentKey(this.storedName);
+};
+
+// Hide the stored name from API responses
+attachmentSchema.methods.toJSON = function() {
+  const attachment = this.toObject();
+  delete attachment.storedName;
+  return attachment;
+};
+
+// ============================================
+// STATIC METHOD - Delete attachments and their files
+// ============================================
+// Deletes every attachment matching filter, e.g. { task } or { owner },
+// with its file. A file that's already gone is fine.
+// Returns how many attachments were deleted.
+
+attachmentSchema.statics.removeWithFiles = async function(filter) {
+  const attachments = await this.find(filter).select('storedName');
+
+  await Promise.all(attachments.map((attachment) => {
+    return getStorage().remove(attachment.storageKey());
+  }));
+
+  const result = await this.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  return result.deletedCount;
+};
+
+// Create the model from the schema
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// FILES IN STORAGE, DETAILS IN THE DATABASE:
+// - MongoDB documents are limited to 16 MB and aren't made for big blobs
+// - So the bytes go to file storage, and the document keeps its name, type
+//   and size - everything needed to list attachments without fetching them
+//
+// DELETING FILES TOO:
+// - Deleting the document alone would leave the file in storage forever
+// - removeWithFiles deletes the files first: if that's interrupted, the
+//   documents are still there to try again
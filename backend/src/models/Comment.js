@@ -0,0 +1,104 @@
+// ============================================
+// COMMENT MODEL - MONGOOSE SCHEMA
+// ============================================
+// A comment in the discussion on a task. The body is markdown, stored as
+// written - clients render it (and must not trust it as HTML).
+// Editing a comment keeps the earlier text in edits, oldest first.
+
+const mongoose = require('mongoose');
+
+const MAX_BODY_LENGTH = 5000;
+
+// One earlier version of a comment
+const editSchema = new mongoose.Schema({
+  body: {
+    type: String,
+    required: true
+  },
+  editedAt: {
+    type: Date,          // When this text was replaced
+    required: true
+  }
+}, {
+  _id: false
+});
+
+// Define the Comment schema
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Task'
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_BODY_LENGTH
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,  // Who wrote it
+    required: true,
+    ref: 'User'
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,  // Users mentioned with @name (see utils/mentions.js)
+    ref: 'User'
+  }],
+  edits: {
+    type: [editSchema],
+    default: []
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,  // The task's owner, like every other document
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A task's comments are listed oldest first
+commentSchema.index({ task: 1, createdAt: 1 });
+
+// Deleting a user deletes the comments on their tasks
+commentSchema.index({ owner: 1 });
+
+// ============================================
+// INSTANCE METHOD - Change the text
+// ============================================
+// Keeps the old text in the edit history. Does nothing if the text is the same.
+
+commentSchema.methods.edit = function(body) {
+  const comment = this;
+  const newBody = typeof body === 'string' ? body.trim() : body;
+
+  if (newBody === comment.body) {
+    return false;
+  }
+
+  comment.edits.push({ body: comment.body, editedAt: new Date() });
+  comment.body = newBody;
+  return true;
+};
+
+// Create the model from the schema
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// A SEPARATE COLLECTION, NOT AN ARRAY ON THE TASK:
+// - Subtasks live inside the task because there are a handful and they
+//   always load with it
+// - A discussion can grow without limit, and the task list never needs it,
+//   so comments get their own collection and their own GET route
+//
+// STORING MARKDOWN, NOT HTML:
+// - The server keeps exactly what was typed, so nothing is lost
+// - Turning it into HTML on the server would mean trusting that HTML later;
+//   the client builds elements from it instead, so a comment can never
+//   inject a <script>
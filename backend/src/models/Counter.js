@@ -0,0 +1,73 @@
+// ============================================
+// COUNTER MODEL - MONGOOSE SCHEMA
+// ============================================
+// Named counters that only ever go up, e.g. one change sequence per user
+// Used by the sync API to order task changes (see routes/sync.js)
+
+const mongoose = require('mongoose');
+
+// Define the Counter schema
+// The counter's name is its _id, e.g. 'tasks:<userId>'
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false,
+  timestamps: { createdAt: false, updatedAt: true }   // updatedAt = when seq last went up
+});
+
+// ============================================
+// STATIC METHOD - Get the next value
+// ============================================
+// Atomically adds 1 and returns the new value (1 for a new counter)
+// Safe when many requests call it at the same time
+
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return counter.seq;
+};
+
+// ============================================
+// STATIC METHOD - Read the current value
+// ============================================
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+// ============================================
+// STATIC METHOD - When the counter last went up
+// ============================================
+// null for a counter that hasn't been used (or was last used before this was recorded)
+counterSchema.statics.lastChanged = async function(name) {
+  const counter = await this.findById(name);
+  return counter ? counter.updatedAt || null : null;
+};
+
+// Create the model from the schema
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY NOT COUNT DOCUMENTS OR USE TIMESTAMPS?
+// - Two changes can happen in the same millisecond, so timestamps can tie
+// - Clocks on different servers can disagree
+// - $inc on a single document is atomic: every caller gets a different number
+//
+// CUSTOM _id:
+// - _id doesn't have to be an ObjectId
+// - Using the counter's name as _id means no extra index is needed
@@ -0,0 +1,57 @@
+// ============================================
+// IDEMPOTENCY KEY MODEL - MONGOOSE SCHEMA
+// ============================================
+// The first response to each request sent with an Idempotency-Key header,
+// so a client that retries the same request gets that response again
+// instead of making the change twice (see middleware/idempotency.js)
+
+const mongoose = require('mongoose');
+
+// How long a response is kept for replaying
+const KEEP_FOR_SECONDS = 24 * 60 * 60;
+
+// Define the IdempotencyKey schema
+const idempotencyKeySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'            // Keys are per user - two users may pick the same one
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,          // Method, URL and body, to spot a key reused for another request
+    required: true
+  },
+  status: {
+    type: Number,          // null while the first request is still running
+    default: null
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed   // The JSON (or text) that was sent back
+  },
+  etag: {
+    type: String           // The ETag header sent with it, if any
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// One record per user and key - inserting a second one fails with error 11000
+idempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+
+// TTL index: MongoDB deletes records a day after they were made
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: KEEP_FOR_SECONDS });
+
+idempotencyKeySchema.statics.KEEP_FOR_SECONDS = KEEP_FOR_SECONDS;
+
+// Create the model from the schema
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
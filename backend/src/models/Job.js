@@ -0,0 +1,86 @@
+// ============================================
+// JOB MODEL - MONGOOSE SCHEMA
+// ============================================
+// This file defines the structure of scheduled background jobs in MongoDB
+// Jobs are stored in the database (not in memory) so they survive restarts
+// See src/services/scheduler.js for how they are run
+
+const mongoose = require('mongoose');
+
+// Define the Job schema
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,        // Which handler runs the job, e.g. 'task-reminder'
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,        // Optional unique key, so a job can be replaced or cancelled
+    trim: true           // e.g. 'reminder:<taskId>:<reminderId>'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,  // The user the job is for, if any
+    ref: 'User',                           // (their jobs go when they are deleted)
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,  // Anything the handler needs
+    default: {}
+  },
+  runAt: {
+    type: Date,          // Earliest time the job may run
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'failed'],  // Finished jobs are deleted
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,        // How many times the job has been tried
+    default: 0
+  },
+  lockedAt: {
+    type: Date,          // When a worker claimed the job (status 'running')
+    default: null
+  },
+  lastError: {
+    type: String,        // Message of the most recent failure
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false        // Keep empty data objects
+});
+
+// The scheduler looks for due jobs by status and time
+jobSchema.index({ status: 1, runAt: 1 });
+
+// Keys are unique, but most jobs don't have one
+jobSchema.index({ key: 1 }, { unique: true, sparse: true });
+
+// For removing a user's jobs along with their account
+jobSchema.index({ owner: 1 });
+
+// Create the model from the schema
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY STORE JOBS IN MONGODB?
+// - setTimeout() timers are lost when the server restarts
+// - A job document stays in the database until it has run
+// - After a restart the scheduler simply picks up where it left off
+//
+// SPARSE INDEXES:
+// - A normal unique index treats a missing key as null,
+//   so only one document could be without a key
+// - sparse: true skips documents that don't have the field
+//
+// Schema.Types.Mixed:
+// - Accepts any value (object, array, string, ...)
+// - Mongoose doesn't validate or cast it
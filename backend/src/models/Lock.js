@@ -0,0 +1,72 @@
+// ============================================
+// LOCK MODEL - MONGOOSE SCHEMA
+// ============================================
+// Named locks, so only one request at a time can do a certain thing,
+// e.g. one bulk update per user (see POST /tasks/bulk)
+// Stored in MongoDB rather than in memory, so they also work across
+// several server instances
+
+const mongoose = require('mongoose');
+
+// Define the Lock schema
+// The lock's name is its _id, e.g. 'bulk:<userId>' - _id is always unique
+const lockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,          // A lock left behind by a crashed request stops counting here
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// TTL index: MongoDB cleans up expired locks by itself
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// STATIC METHOD - Try to take a lock
+// ============================================
+// Returns true if the lock was taken, false if someone else holds it.
+// ttl is how long the lock is held at most, in milliseconds.
+
+lockSchema.statics.acquire = async function(name, ttl) {
+  // The TTL index only runs about once a minute, so clear an expired lock first
+  await this.deleteOne({ _id: name, expiresAt: { $lte: new Date() } });
+
+  try {
+    await this.create({ _id: name, expiresAt: new Date(Date.now() + ttl) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;   // Duplicate key: the lock is taken
+    }
+    throw error;
+  }
+};
+
+// ============================================
+// STATIC METHOD - Release a lock
+// ============================================
+lockSchema.statics.release = async function(name) {
+  await this.deleteOne({ _id: name });
+};
+
+// Create the model from the schema
+const Lock = mongoose.model('Lock', lockSchema);
+
+module.exports = Lock;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// LOCKING WITH A UNIQUE INDEX:
+// - Inserting a document whose _id already exists fails with error 11000
+// - So "insert the lock document" succeeds for exactly one caller
+// - Releasing the lock is just deleting the document
+//
+// ALWAYS RELEASE IN finally:
+// - If the work throws, the lock must still be released
+// - try { ... } finally { await Lock.release(name); }
@@ -0,0 +1,74 @@
+// ============================================
+// NOTIFICATION MODEL - MONGOOSE SCHEMA
+// ============================================
+// This file defines in-app notifications, e.g. "Reminder: Submit report"
+// or "Sam mentioned you on \"Submit report\""
+// The frontend loads GET /notifications once, then hears about new ones on
+// the GET /events stream (see services/events.js)
+
+const mongoose = require('mongoose');
+const { publishNotification } = require('../services/events');
+
+// Define the Notification schema
+const notificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['reminder', 'overdue', 'mention'],  // What caused the notification
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,  // The task it is about (if any)
+    ref: 'Task',
+    default: null
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Notifications are always listed per user, newest first
+notificationSchema.index({ owner: 1, createdAt: -1 });
+
+// Show new notifications in the user's open tabs straight away
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(notification) {
+  if (notification.$locals.wasNew) {
+    publishNotification(notification);
+  }
+});
+
+// Create the model from the schema
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// COMPOUND INDEXES:
+// - { owner: 1, createdAt: -1 } serves "this user's notifications, newest first"
+// - MongoDB can filter and sort with the same index
+//
+// PUSH INSTEAD OF POLLING:
+// - Asking "anything new?" every few seconds costs a request each time,
+//   from every open tab, even when nothing happened
+// - The app already keeps an event stream open for task changes, so new
+//   notifications travel on it too - one request when something happens
@@ -0,0 +1,157 @@
+// ============================================
+// OPERATION MODEL - MONGOOSE SCHEMA
+// ============================================
+// An operation records a change the user may want to take back, e.g.
+// completing or deleting a task. It keeps each task's fields before and
+// after the change, so POST /operations/:id/undo can put them back.
+//
+// Operations only live for a short while (UNDO_WINDOW), then MongoDB
+// deletes them by itself (TTL index below).
+
+const mongoose = require('mongoose');
+const Task = require('./Task');
+
+// How long an operation can be undone
+const UNDO_WINDOW = 5 * 60 * 1000;   // 5 minutes
+
+// One changed task
+const changeSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Task'
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,  // Changed fields before, e.g. { completed: false }
+    required: true
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,  // The same fields right after the change
+    required: true
+  },
+  spawnedTask: {
+    type: mongoose.Schema.Types.ObjectId,  // Next occurrence created by completing a repeating task
+    ref: 'Task',
+    default: null
+  }
+}, {
+  _id: false,
+  minimize: false        // Keep empty values, e.g. { tags: [] }
+});
+
+// Define the Operation schema
+const operationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['update', 'complete', 'delete', 'bulk'],  // What the user did (shown in the UI)
+    required: true
+  },
+  changes: [changeSchema],
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,          // After this the operation can't be undone
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// TTL index: MongoDB deletes each operation once expiresAt has passed
+operationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+operationSchema.statics.UNDO_WINDOW = UNDO_WINDOW;
+
+// ============================================
+// STATIC METHOD - Record an operation
+// ============================================
+// changes: [{ task, before, spawnedTask }] - task is the saved task document,
+// before is task.snapshot(fields) taken before it was changed.
+// The "after" values are read from the task now.
+
+operationSchema.statics.record = function(owner, type, changes) {
+  return this.create({
+    type,
+    owner,
+    changes: changes.map(({ task, before, spawnedTask }) => ({
+      task: task._id,
+      before,
+      after: task.snapshot(Object.keys(before)),
+      spawnedTask: spawnedTask ? spawnedTask._id : null
+    })),
+    expiresAt: new Date(Date.now() + UNDO_WINDOW)
+  });
+};
+
+// ============================================
+// INSTANCE METHOD - Undo the operation
+// ============================================
+// All or nothing: if any task was changed again (or purged) since, nothing
+// is undone and null is returned. Otherwise the operation is deleted, so it
+// can only be undone once, and the restored tasks are returned.
+
+operationSchema.methods.undo = async function() {
+  const operation = this;
+
+  const tasks = await Promise.all(operation.changes.map((change) => {
+    return Task.findOne({ _id: change.task, owner: operation.owner });
+  }));
+
+  // A task still matches the operation if its fields are what it left them as
+  const unchanged = operation.changes.every((change, index) => {
+    const task = tasks[index];
+    const current = task && task.snapshot(Object.keys(change.after));
+
+    return task && JSON.stringify(current) === JSON.stringify(change.after);
+  });
+
+  if (!unchanged) {
+    return null;
+  }
+
+  // Claim the operation - if another request got there first, there's nothing to do
+  const { deletedCount } = await Operation.deleteOne({ _id: operation._id });
+
+  if (deletedCount === 0) {
+    return null;
+  }
+
+  for (const [index, change] of operation.changes.entries()) {
+    const task = tasks[index];
+
+    // Also takes back the occurrence created by completing a repeating task
+    await task.revertUpdates(change.before, change.spawnedTask);
+    await task.save();
+  }
+
+  return tasks;
+};
+
+// Create the model from the schema
+const Operation = mongoose.model('Operation', operationSchema);
+
+module.exports = Operation;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// TTL INDEXES:
+// - expireAfterSeconds: 0 on a date field means "delete when that date is reached"
+// - MongoDB checks about once a minute, so an expired operation can still be
+//   in the collection for a little while - routes also check expiresAt
+// - Fine here because nothing has to happen when an operation expires
+//   (compare services/trash.js, where deleting a task needs its hooks)
+//
+// BEFORE AND AFTER:
+// - Only "before" is needed to undo, "after" is for safety
+// - If a task no longer looks like "after", someone changed it since,
+//   and undoing would throw that change away
+//
+// ATOMIC CLAIM:
+// - Two undo requests for the same operation could both pass the check
+// - deleteOne() reports how many documents it deleted, and only one request
+//   can delete the operation, so only that one goes on to undo it
@@ -0,0 +1,94 @@
+// ============================================
+// PROJECT MODEL - MONGOOSE SCHEMA
+// ============================================
+// This file defines the structure of Project documents in MongoDB
+// A project is a named list that groups tasks (e.g. "Work", "Groceries")
+// Tasks without a project belong to the user's "Inbox"
+
+const mongoose = require('mongoose');
+
+// Define the Project schema
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: '#4a90e2',
+    validate: {
+      validator: (value) => /^#[0-9a-f]{6}$/.test(value),  // Hex colour like #4a90e2
+      message: 'Color must be a hex value like #4a90e2'
+    }
+  },
+  icon: {
+    type: String,        // Usually a single emoji, e.g. "📁"
+    trim: true,
+    maxlength: 8,
+    default: '📁'
+  },
+  archived: {
+    type: Boolean,
+    default: false       // Archived projects are hidden from the sidebar by default
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Projects are always listed per user
+projectSchema.index({ owner: 1, archived: 1 });
+
+// ============================================
+// VIRTUAL FIELD - Relationship to Tasks
+// ============================================
+projectSchema.virtual('tasks', {
+  ref: 'Task',
+  localField: '_id',
+  foreignField: 'project'
+});
+
+// ============================================
+// MIDDLEWARE - Move tasks to the Inbox when a project is deleted
+// ============================================
+// Deleting a list shouldn't silently delete the work inside it
+
+projectSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  const project = this;
+  const Task = mongoose.model('Task');
+  await Task.updateMany(
+    { owner: project.owner, project: project._id },
+    { $set: { project: null } }
+  );
+  next();
+});
+
+// Create the model from the schema
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// OPTIONAL REFERENCES:
+// - Task.project is a reference that may be null
+// - null means "not in any project" (shown as the Inbox)
+// - Querying { project: null } matches tasks where project is null OR missing
+//
+// ARCHIVING VS DELETING:
+// - archived: true hides a project without losing anything
+// - Deleting a project moves its tasks back to the Inbox
+//
+// DOCUMENT MIDDLEWARE:
+// - pre('deleteOne', { document: true, query: false }) runs for project.deleteOne()
+// - It does NOT run for Project.deleteMany() (that's query middleware)
@@ -0,0 +1,113 @@
+// ============================================
+// SAVED VIEW MODEL - MONGOOSE SCHEMA
+// ============================================
+// A saved view is a named task list: a query in the GET /tasks query
+// language (see utils/taskQuery.js), how to sort it and how to show it.
+// e.g. { name: 'Work this week', query: 'tag:work due:<7d -completed' }
+//
+// Every user also has a few built-in views ("smart lists") like Today and
+// Overdue. They aren't stored - see BUILT_IN_VIEWS below.
+
+const mongoose = require('mongoose');
+const { parseTaskQuery } = require('../utils/taskQuery');
+
+// How the app sorts a view's tasks: 'field:asc' or 'field:desc'
+const SORT_PATTERN = /^(createdAt|dueDate|priority|description):(asc|desc)$/;
+
+const DISPLAY_MODES = ['list', 'compact'];
+
+// Define the SavedView schema
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  icon: {
+    type: String,        // Usually a single emoji, like projects
+    trim: true,
+    maxlength: 8,
+    default: '🔖'
+  },
+  query: {
+    type: String,
+    trim: true,
+    default: '',
+    validate: {
+      // Reject queries GET /tasks would reject, with its reason
+      validator: (value) => {
+        parseTaskQuery(value);
+        return true;
+      },
+      message: (props) => props.reason.message
+    }
+  },
+  sort: {
+    type: String,
+    default: null,       // null = the order GET /tasks returns
+    validate: {
+      validator: (value) => value === null || SORT_PATTERN.test(value),
+      message: 'Sort must look like dueDate:asc (createdAt, dueDate, priority or description; asc or desc)'
+    }
+  },
+  display: {
+    type: String,
+    enum: DISPLAY_MODES,
+    default: 'list'
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// View names are unique per user, so the navigation never shows two "Work"s
+savedViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// ============================================
+// BUILT-IN VIEWS ("smart lists")
+// ============================================
+// The same for every user, so they live in code rather than the database.
+// Their _id is a word instead of an ObjectId, and builtIn is true.
+
+const BUILT_IN_VIEWS = [
+  { _id: 'today', name: 'Today', icon: '☀️', query: 'due:today -completed', sort: 'priority:desc', display: 'list' },
+  { _id: 'overdue', name: 'Overdue', icon: '⏰', query: 'overdue', sort: 'dueDate:asc', display: 'list' },
+  { _id: 'next-7-days', name: 'Next 7 days', icon: '📅', query: 'due:>=today due:<today+7d -completed', sort: 'dueDate:asc', display: 'list' },
+  { _id: 'high-priority', name: 'High priority', icon: '🔥', query: 'priority:high -completed', sort: 'dueDate:asc', display: 'list' }
+].map((view) => ({ ...view, builtIn: true }));
+
+savedViewSchema.statics.BUILT_IN_VIEWS = BUILT_IN_VIEWS;
+
+// The built-in view with this ID, or undefined
+savedViewSchema.statics.findBuiltIn = function(id) {
+  return BUILT_IN_VIEWS.find((view) => view._id === id);
+};
+
+// Saved views are sent with builtIn: false, so clients can treat both kinds alike
+savedViewSchema.methods.toJSON = function() {
+  return { ...this.toObject(), builtIn: false };
+};
+
+// Create the model from the schema
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+module.exports = SavedView;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// STORING A QUERY INSTEAD OF A LIST OF TASKS:
+// - A view remembers how to find its tasks, not which tasks it had
+// - So "Today" is different every day, and new tasks show up in the views
+//   they match without anyone updating the views
+//
+// VALIDATOR MESSAGES FROM THROWN ERRORS:
+// - When a validator throws, Mongoose keeps the error in props.reason
+// - message: (props) => props.reason.message shows the parser's own
+//   explanation ("Invalid priority ...") instead of a generic one
@@ -0,0 +1,133 @@
+// ============================================
+// TAG MODEL - MONGOOSE SCHEMA
+// ============================================
+// This file defines the structure of Tag documents in MongoDB
+// Tags are per-user labels (e.g. "work", "home", "release-2.3")
+// Tasks store tag names directly, and this collection holds the
+// extra details for each name, such as its display colour
+
+const mongoose = require('mongoose');
+
+// Colours given to new tags when the user doesn't pick one
+const DEFAULT_COLORS = ['#4a90e2', '#28a745', '#dc3545', '#f0ad4e', '#9b59b6', '#17a2b8', '#e67e22', '#6c757d'];
+
+// Tag names: letters/numbers, then letters, numbers, ".", "_", "-" or "/"
+const TAG_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}._/-]*$/u;
+const MAX_TAG_LENGTH = 32;
+
+// Accepts "#Work " and returns "work", so input from the UI matches stored names
+const normalizeName = (name) => {
+  if (name === null || name === undefined) {
+    return name;
+  }
+  return String(name).trim().replace(/^#+/, '').toLowerCase();
+};
+
+// Define the Tag schema
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    set: normalizeName,  // "#Work" and "work" are the same tag
+    maxlength: MAX_TAG_LENGTH,
+    validate: {
+      validator: (value) => TAG_NAME_PATTERN.test(value),
+      message: 'Tag names may only contain letters, numbers, ".", "_", "-" and "/"'
+    }
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (value) => /^#[0-9a-f]{6}$/.test(value),  // Hex colour like #4a90e2
+      message: 'Color must be a hex value like #4a90e2'
+    }
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Each user can only have one tag with a given name
+tagSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// ============================================
+// STATIC METHOD - Normalize a tag name
+// ============================================
+// Exposed so tasks and routes clean up names the same way
+
+tagSchema.statics.normalizeName = normalizeName;
+
+// ============================================
+// STATIC METHOD - Pick a default colour
+// ============================================
+// The same name always gets the same colour
+
+tagSchema.statics.defaultColor = (name) => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return DEFAULT_COLORS[hash % DEFAULT_COLORS.length];
+};
+
+// ============================================
+// STATIC METHOD - Make sure tags exist
+// ============================================
+// Creates any tags in the list that the user doesn't have yet
+// Used when a task is saved with tag names, so tagging "#work" just works
+
+tagSchema.statics.ensureTags = async (owner, names) => {
+  if (!names || names.length === 0) {
+    return;
+  }
+
+  await Tag.bulkWrite(names.map((name) => ({
+    updateOne: {
+      filter: { owner, name },
+      update: { $setOnInsert: { color: Tag.defaultColor(name) } },
+      upsert: true
+    }
+  })));
+};
+
+// Fill in a colour when none was given
+tagSchema.pre('validate', function(next) {
+  const tag = this;
+
+  if (!tag.color && tag.name) {
+    tag.color = Tag.defaultColor(tag.name);
+  }
+
+  next();
+});
+
+// Create the model from the schema
+const Tag = mongoose.model('Tag', tagSchema);
+
+Tag.TAG_NAME_PATTERN = TAG_NAME_PATTERN;
+Tag.MAX_TAG_LENGTH = MAX_TAG_LENGTH;
+
+module.exports = Tag;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// COMPOUND UNIQUE INDEX:
+// - tagSchema.index({ owner: 1, name: 1 }, { unique: true })
+// - Two different users can both have a "work" tag
+// - The same user can't create "work" twice (MongoDB rejects it with code 11000)
+//
+// UPSERT:
+// - updateOne with upsert: true inserts the document if the filter matches nothing
+// - $setOnInsert only applies when a new document is inserted,
+//   so existing tags keep the colour the user chose
+//
+// BULK WRITE:
+// - Tag.bulkWrite([...]) sends many operations in a single round trip
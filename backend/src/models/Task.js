@@ -4,6 +4,129 @@
 // This file defines the structure of Task documents in MongoDB
 
 const mongoose = require('mongoose');
+const Tag = require('./Tag');
+const Counter = require('./Counter');
+const Tombstone = require('./Tombstone');
+const Comment = require('./Comment');
+const Attachment = require('./Attachment');
+const { FREQUENCIES, WEEKDAYS, getNextOccurrence } = require('../utils/recurrence');
+const { syncTaskReminders, cancelTaskReminders } = require('../services/reminders');
+const { syncOverdueCheck, cancelOverdueCheck } = require('../services/overdue');
+const { publishTaskEvent, publishTasksRefresh } = require('../services/events');
+
+// Define the Subtask schema
+// Subtasks are embedded inside their parent task (no separate collection)
+// because they are always read and written together with the task
+const subtaskSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  position: {
+    type: Number,        // Order of the item in the checklist (0 = first)
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Define the Reminder schema
+// A reminder fires either at a fixed time (at) or a number of minutes
+// before the task is due (minutesBefore) - exactly one of the two
+const reminderSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: null
+  },
+  minutesBefore: {
+    type: Number,
+    min: 0,
+    max: 4 * 7 * 24 * 60,  // Up to 4 weeks before
+    default: null
+  },
+  sentAt: {
+    type: Date,          // When the notification was created (null = not yet)
+    default: null
+  }
+});
+
+reminderSchema.pre('validate', function(next) {
+  const hasAt = this.at !== null && this.at !== undefined;
+  const hasOffset = this.minutesBefore !== null && this.minutesBefore !== undefined;
+
+  if (hasAt === hasOffset) {
+    this.invalidate('at', 'A reminder needs either "at" or "minutesBefore"');
+  }
+
+  next();
+});
+
+// Define the Recurrence schema
+// Modelled on iCalendar RRULE: FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT
+// Each instance of a repeating task is its own Task document; completing one
+// creates the next (see spawnNextOccurrence below)
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,   // 'daily', 'weekly', 'monthly' or 'yearly'
+    required: true
+  },
+  interval: {
+    type: Number,        // Every N days/weeks/months/years
+    default: 1,
+    min: 1
+  },
+  byWeekday: {
+    type: [String],      // Weekly only: e.g. ['MO', 'WE', 'FR']
+    enum: WEEKDAYS,
+    default: undefined
+  },
+  byMonthDay: {
+    type: Number,        // Monthly only: day of the month, -1 = last day
+    min: -1,
+    max: 31,
+    validate: {
+      validator: (value) => value !== 0,
+      message: 'byMonthDay must be between 1 and 31, or -1 for the last day'
+    }
+  },
+  until: {
+    type: Date           // Optional end date (inclusive)
+  },
+  count: {
+    type: Number,        // Optional total number of instances
+    min: 1
+  },
+  occurrence: {
+    type: Number,        // Which instance of the series this task is (1 = first)
+    default: 1,
+    min: 1
+  },
+  nextTask: {
+    type: mongoose.Schema.Types.ObjectId,  // The instance created when this one was completed
+    ref: 'Task',
+    default: null
+  }
+}, {
+  _id: false
+});
+
+// Clean up tag names before they are stored:
+// "#Work, work, home" -> ["work", "home"]
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : [tags];
+  const names = list
+    .filter((tag) => tag !== null && tag !== undefined)
+    .map((tag) => Tag.normalizeName(tag))
+    .filter((tag) => tag.length > 0);
+
+  return [...new Set(names)];
+};
 
 // Define the Task schema
 const taskSchema = new mongoose.Schema({
@@ -20,20 +143,597 @@ const taskSchema = new mongoose.Schema({
     type: Date,
     required: false      // Optional - not all tasks need a due date
   },
+  hasDueDate: {
+    type: Boolean,       // Whether dueDate is set, so tasks without one sort last
+    default: false       // Kept in step with dueDate by the middleware below
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],  // Only these values are allowed
     default: 'medium'    // Default priority is medium
   },
+  priorityRank: {
+    type: Number,        // priority as a number (low 1, medium 2, high 3) for sorting
+    default: 2           // Kept in step with priority by the middleware below
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,  // Reference to User's _id
     required: true,
     ref: 'User'          // Reference to User model (for population)
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,  // Reference to the Project (list) the task is in
+    ref: 'Project',
+    default: null        // null = not in any project (the "Inbox")
+  },
+  subtasks: [subtaskSchema],  // Ordered checklist of smaller steps
+  recurrence: {
+    type: recurrenceSchema,  // Repeat rule, or null for one-off tasks
+    default: null
+  },
+  reminders: [reminderSchema],  // When to send in-app reminders
+  deletedAt: {
+    type: Date,          // When the task was moved to the trash (null = not deleted)
+    default: null
+  },
+  syncSeq: {
+    type: Number,        // Owner's change sequence at the last change (for GET /sync)
+    default: 0
+  },
+  tags: {
+    type: [String],      // Tag names, e.g. ["work", "release-2.3"]
+    set: normalizeTags,
+    validate: {
+      validator(tags) {
+        return tags.every((tag) => {
+          return tag.length <= Tag.MAX_TAG_LENGTH && Tag.TAG_NAME_PATTERN.test(tag);
+        });
+      },
+      message: 'Tag names may only contain letters, numbers, ".", "_", "-" and "/"'
+    }
   }
 }, {
   timestamps: true       // Adds createdAt and updatedAt automatically
 });
 
+// Numbers for priority - sorting the strings would put "medium" after "high"
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+
+// GET /tasks lists a user's tasks, usually open or done ones, by due date,
+// newest first or by priority. With these, MongoDB reads a page straight
+// from the index instead of loading and sorting all of the user's tasks.
+taskSchema.index({ owner: 1, completed: 1, hasDueDate: -1, dueDate: 1, _id: 1 });
+taskSchema.index({ owner: 1, completed: 1, createdAt: -1, _id: 1 });
+taskSchema.index({ owner: 1, completed: 1, priorityRank: -1, _id: 1 });
+
+// Unsorted lists (and their pages, see utils/pagination.js) go in _id order
+taskSchema.index({ owner: 1, _id: 1 });
+
+// GET /sync reads a user's tasks in change order
+taskSchema.index({ owner: 1, syncSeq: 1, _id: 1 });
+
+// GET /tasks/trash lists a user's trash, newest first, and the purge job
+// looks for old trash across all users
+taskSchema.index({ owner: 1, deletedAt: -1 });
+taskSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// GET /tasks/search - a text index over the task's words, with a match in
+// the description counting for more than one in a tag or checklist item.
+// owner comes first so each search only reads the current user's tasks
+// (a query on this index must then say which owner it wants).
+taskSchema.index(
+  { owner: 1, description: 'text', tags: 'text', 'subtasks.text': 'text' },
+  { name: 'task_text', weights: { description: 10, tags: 5, 'subtasks.text': 2 } }
+);
+
+// Fields a client may change with PATCH /tasks/:id or POST /sync
+const UPDATABLE_FIELDS = [
+  'description', 'completed', 'priority', 'dueDate', 'tags', 'project', 'recurrence', 'reminders'
+];
+taskSchema.statics.UPDATABLE_FIELDS = UPDATABLE_FIELDS;
+
+// ============================================
+// STATIC METHOD - The fields a client may give a new task
+// ============================================
+// What POST /tasks and a POST /sync create copy from the request: the
+// UPDATABLE_FIELDS and a checklist. Everything only the server sets is
+// left out - the trash, sync and sort fields, a repeating task's next
+// occurrence and when a reminder was sent.
+
+taskSchema.statics.newTaskFields = function(body = {}) {
+  const fields = {};
+
+  [...UPDATABLE_FIELDS, 'subtasks']
+    .filter((field) => Object.hasOwn(body, field))
+    .forEach((field) => {
+      fields[field] = body[field];
+    });
+
+  if (fields.recurrence && typeof fields.recurrence === 'object') {
+    const { nextTask: _nextTask, ...rule } = fields.recurrence;
+    fields.recurrence = rule;
+  }
+
+  if (Array.isArray(fields.reminders)) {
+    fields.reminders = fields.reminders.map((reminder) => {
+      if (!reminder || typeof reminder !== 'object') {
+        return reminder;     // Left for validation to refuse
+      }
+      const { sentAt: _sentAt, ...rest } = reminder;
+      return rest;
+    });
+  }
+
+  return fields;
+};
+
+taskSchema.statics.PRIORITY_RANKS = PRIORITY_RANKS;
+
+// Name of the per-user change counter
+const syncCounterName = (owner) => `tasks:${owner}`;
+
+// When any of the owner's tasks last changed (null if never) - every
+// change takes a number from the counter (see "Change sequence" below)
+taskSchema.statics.lastChangedAt = function(owner) {
+  return Counter.lastChanged(syncCounterName(owner));
+};
+
+// ============================================
+// INSTANCE METHOD - Subtask progress
+// ============================================
+// Returns how many checklist items are done, e.g. { completed: 3, total: 5 }
+
+taskSchema.methods.getProgress = function() {
+  const task = this;
+
+  return {
+    completed: task.subtasks.filter((subtask) => subtask.completed).length,
+    total: task.subtasks.length
+  };
+};
+
+// ============================================
+// INSTANCE METHOD - When a reminder fires
+// ============================================
+// Returns the reminder's time as a Date, or null if it can't fire
+// (a "minutes before due" reminder on a task without a due date)
+
+taskSchema.methods.getReminderTime = function(reminder) {
+  const task = this;
+
+  if (reminder.at) {
+    return reminder.at;
+  }
+
+  if (!task.dueDate) {
+    return null;
+  }
+
+  return new Date(task.dueDate.getTime() - reminder.minutesBefore * 60 * 1000);
+};
+
+// ============================================
+// INSTANCE METHOD - To JSON (add computed fields)
+// ============================================
+// Every task sent to the client carries its checklist progress
+
+taskSchema.methods.toJSON = function() {
+  const task = this;
+  const taskObject = task.toObject();
+
+  taskObject.progress = task.getProgress();
+
+  return taskObject;
+};
+
+// ============================================
+// INSTANCE METHOD - Spawn the next occurrence
+// ============================================
+// Called when a repeating task is completed. Creates the next instance with
+// the next due date and links it from this task, so completing, un-completing
+// and completing again doesn't create duplicates.
+// Returns the new task, or null if there is nothing to spawn.
+// The caller is responsible for saving this task afterwards.
+
+taskSchema.methods.spawnNextOccurrence = async function() {
+  const task = this;
+
+  if (!task.recurrence || task.recurrence.nextTask) {
+    return null;
+  }
+
+  // Tasks without a due date repeat from the day they were completed
+  const start = task.dueDate || new Date();
+  const nextDueDate = getNextOccurrence(task.recurrence.toObject(), start);
+
+  if (!nextDueDate) {
+    return null;   // The series has ended (UNTIL or COUNT reached)
+  }
+
+  const rule = task.recurrence.toObject();
+  delete rule.nextTask;
+
+  const next = new Task({
+    description: task.description,
+    priority: task.priority,
+    dueDate: nextDueDate,
+    owner: task.owner,
+    project: task.project,
+    tags: task.tags,
+    // Fresh, unticked copy of the checklist
+    subtasks: task.subtasks.map((subtask) => ({
+      text: subtask.text,
+      position: subtask.position
+    })),
+    recurrence: {
+      ...rule,
+      occurrence: (rule.occurrence || 1) + 1
+    },
+    // "N minutes before due" reminders move with the due date, fixed times don't
+    reminders: task.reminders
+      .filter((reminder) => !reminder.at)
+      .map((reminder) => ({ minutesBefore: reminder.minutesBefore }))
+  });
+
+  await next.save();
+  task.recurrence.nextTask = next._id;
+
+  return next;
+};
+
+// ============================================
+// INSTANCE METHOD - Apply client updates
+// ============================================
+// Shared by PATCH /tasks/:id and POST /sync so both behave the same.
+// Completing a repeating task creates its next occurrence, which is returned
+// (null if nothing was created).
+// The caller is responsible for saving the task afterwards.
+
+taskSchema.methods.applyUpdates = async function(fields) {
+  const task = this;
+  const wasCompleted = task.completed;
+
+  await task.setUpdates(fields);
+
+  if (!wasCompleted && task.completed) {
+    return task.spawnNextOccurrence();
+  }
+
+  return null;
+};
+
+// ============================================
+// INSTANCE METHOD - Set and validate updates
+// ============================================
+// The first half of applyUpdates: changes the fields and validates them,
+// without creating anything. POST /tasks/bulk uses it to check every task
+// before saving any of them.
+
+taskSchema.methods.setUpdates = async function(fields) {
+  const task = this;
+  const spawnedTask = task.recurrence ? task.recurrence.nextTask : null;
+
+  Object.keys(fields).forEach((field) => {
+    task[field] = fields[field];
+  });
+
+  // Editing the rule shouldn't forget an occurrence that was already created
+  if (task.recurrence && spawnedTask) {
+    task.recurrence.nextTask = spawnedTask;
+  }
+
+  // Validate before spawning so a bad update doesn't leave an orphan occurrence
+  await task.validate();
+};
+
+// ============================================
+// INSTANCE METHOD - Revert an update
+// ============================================
+// Puts back fields recorded with snapshot() before an update, and removes
+// the occurrence that update created (if any), so completing the task
+// again creates a fresh one.
+// The caller is responsible for saving the task afterwards.
+
+taskSchema.methods.revertUpdates = async function(before, spawnedTaskId = null) {
+  const task = this;
+
+  await task.applyUpdates(before);
+
+  if (spawnedTaskId) {
+    await Task.findOneAndDelete({ _id: spawnedTaskId, owner: task.owner });
+
+    if (task.recurrence) {
+      task.recurrence.nextTask = null;
+    }
+  }
+};
+
+// ============================================
+// INSTANCE METHOD - Snapshot some fields
+// ============================================
+// Plain copies of the given fields, e.g. { completed: false, tags: ['work'] }
+// Used to record what an operation changed, so it can be undone (see models/Operation.js)
+// Unset fields are recorded as null, so restoring them clears them again
+
+taskSchema.methods.snapshot = function(fields) {
+  const taskObject = this.toObject();
+  const snapshot = {};
+
+  fields.forEach((field) => {
+    snapshot[field] = taskObject[field] === undefined ? null : taskObject[field];
+  });
+
+  return snapshot;
+};
+
+// ============================================
+// STATIC METHOD - Empty the trash
+// ============================================
+// Permanently deletes trashed tasks matching filter, e.g. { owner }.
+// Each task is deleted with findOneAndDelete so the delete hooks below run
+// for it (tombstone, reminder jobs, live update).
+// Returns how many tasks were deleted.
+
+taskSchema.statics.purgeTrash = async function(filter = {}) {
+  const trashed = await this.find({ deletedAt: { $ne: null }, ...filter }).select('_id owner');
+  let purged = 0;
+
+  for (const task of trashed) {
+    // Checked again in case the task was restored in the meantime
+    const deleted = await this.findOneAndDelete({
+      _id: task._id,
+      owner: task.owner,
+      deletedAt: { $ne: null }
+    });
+
+    if (deleted) {
+      purged++;
+    }
+  }
+
+  return purged;
+};
+
+// ============================================
+// STATIC METHOD - Backfill priorityRank
+// ============================================
+// Tasks saved before priorityRank existed don't have it, so they'd sort
+// as if they had no priority. Sets it from priority on every such task.
+// Returns how many tasks were updated. Safe to run again.
+
+taskSchema.statics.backfillPriorityRanks = async function() {
+  let updated = 0;
+
+  for (const [priority, rank] of Object.entries(PRIORITY_RANKS)) {
+    // Straight to the collection: this isn't a change the user made, so it
+    // shouldn't bump sync sequences or tell open task lists to reload
+    const result = await Task.collection.updateMany(
+      { priority, priorityRank: { $ne: rank } },
+      { $set: { priorityRank: rank } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+// ============================================
+// STATIC METHOD - Backfill hasDueDate
+// ============================================
+// Tasks saved before hasDueDate existed don't have it, so a sort by due
+// date would put them with the tasks that have none. Sets it on every
+// such task. Returns how many tasks were updated. Safe to run again.
+
+taskSchema.statics.backfillHasDueDates = async function() {
+  // Straight to the collection, like backfillPriorityRanks
+  const withDate = await Task.collection.updateMany(
+    { dueDate: { $type: 'date' }, hasDueDate: { $ne: true } },
+    { $set: { hasDueDate: true } }
+  );
+  const withoutDate = await Task.collection.updateMany(
+    { dueDate: { $not: { $type: 'date' } }, hasDueDate: { $exists: false } },
+    { $set: { hasDueDate: false } }
+  );
+
+  return withDate.modifiedCount + withoutDate.modifiedCount;
+};
+
+// ============================================
+// MIDDLEWARE - Keep priorityRank and hasDueDate in step
+// ============================================
+
+taskSchema.pre('save', function(next) {
+  const task = this;
+
+  if (task.isNew || task.isModified('priority')) {
+    task.priorityRank = PRIORITY_RANKS[task.priority];
+  }
+  if (task.isNew || task.isModified('dueDate')) {
+    task.hasDueDate = Boolean(task.dueDate);
+  }
+
+  next();
+});
+
+// ============================================
+// MIDDLEWARE - Only allow the owner's projects
+// ============================================
+// Stops a task from being moved into another user's project
+
+taskSchema.pre('save', async function() {
+  const task = this;
+
+  if (task.isModified('project') && task.project) {
+    const Project = mongoose.model('Project');
+    const exists = await Project.exists({ _id: task.project, owner: task.owner });
+
+    if (!exists) {
+      throw new Error('Project not found');
+    }
+  }
+});
+
+// ============================================
+// MIDDLEWARE - Create tags used by the task
+// ============================================
+// Tagging a task with a new name adds it to the user's tag collection
+
+taskSchema.pre('save', async function() {
+  const task = this;
+
+  if (task.isModified('tags')) {
+    await Tag.ensureTags(task.owner, task.tags);
+  }
+});
+
+// ============================================
+// MIDDLEWARE - Keep subtask positions contiguous
+// ============================================
+// After items are added, removed or moved, positions may have gaps
+// or duplicates. Sort by position and renumber them 0, 1, 2, ...
+
+taskSchema.pre('save', function(next) {
+  const task = this;
+
+  if (task.isModified('subtasks')) {
+    const ordered = [...task.subtasks].sort((a, b) => a.position - b.position);
+    ordered.forEach((subtask, index) => {
+      subtask.position = index;
+    });
+    task.subtasks = ordered;
+  }
+
+  next();
+});
+
+// ============================================
+// MIDDLEWARE - Keep reminder and overdue jobs in sync
+// ============================================
+// isModified() is reset once the document is saved, so the pre hook
+// remembers what needs rescheduling in $locals
+
+taskSchema.pre('save', function(next) {
+  const task = this;
+
+  // A new due date means "minutes before due" reminders fire again
+  if (!task.isNew && task.isModified('dueDate')) {
+    task.reminders.forEach((reminder) => {
+      if (!reminder.at) {
+        reminder.sentAt = null;
+      }
+    });
+  }
+
+  // Moving to or from the trash also cancels or reschedules them
+  task.$locals.remindersChanged = task.isNew
+    ? task.reminders.length > 0
+    : task.isModified('reminders') || task.isModified('dueDate') ||
+      task.isModified('completed') || task.isModified('deletedAt');
+
+  task.$locals.dueDateChanged = task.isNew
+    ? Boolean(task.dueDate)
+    : task.isModified('dueDate') || task.isModified('completed') || task.isModified('deletedAt');
+
+  next();
+});
+
+taskSchema.post('save', async function() {
+  const task = this;
+
+  if (task.$locals.remindersChanged) {
+    await syncTaskReminders(task);
+  }
+
+  if (task.$locals.dueDateChanged) {
+    await syncOverdueCheck(task);
+  }
+});
+
+// Deleted tasks don't need reminders or overdue alerts any more
+taskSchema.post('findOneAndDelete', async function(task) {
+  if (task) {
+    await cancelTaskReminders(task._id);
+    await cancelOverdueCheck(task._id);
+  }
+});
+
+// A deleted task's discussion and files go with it
+taskSchema.post('findOneAndDelete', async function(task) {
+  if (task) {
+    await Comment.deleteMany({ task: task._id, owner: task.owner });
+    await Attachment.removeWithFiles({ task: task._id, owner: task.owner });
+  }
+});
+
+// ============================================
+// MIDDLEWARE - Change sequence for sync
+// ============================================
+// Every change gets the next number from the owner's counter, so clients
+// can ask for "everything after change N" (see routes/sync.js)
+
+taskSchema.pre('save', async function() {
+  this.syncSeq = await Counter.next(syncCounterName(this.owner));
+});
+
+// Deleted tasks leave a tombstone with their own sequence number
+taskSchema.post('findOneAndDelete', async function(task) {
+  if (task) {
+    await Tombstone.findByIdAndUpdate(
+      task._id,
+      { owner: task.owner, syncSeq: await Counter.next(syncCounterName(task.owner)), deletedAt: new Date() },
+      { upsert: true }
+    );
+  }
+});
+
+// Bulk updates (renaming a tag, deleting a project) share one new sequence number
+// Every bulk update on tasks must filter by owner, or this would throw
+taskSchema.pre('updateMany', async function() {
+  const owner = this.getFilter().owner;
+
+  if (!owner) {
+    throw new Error('Task.updateMany must filter by owner');
+  }
+
+  this.set('syncSeq', await Counter.next(syncCounterName(owner)));
+});
+
+// ============================================
+// MIDDLEWARE - Publish live updates
+// ============================================
+// Lets open GET /events streams know about the change (see services/events.js)
+
+taskSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.trashed = this.isModified('deletedAt') && Boolean(this.deletedAt);
+  next();
+});
+
+// To clients showing the task list, moving a task to the trash is a delete
+taskSchema.post('save', function(task) {
+  if (task.$locals.trashed) {
+    publishTaskEvent('task.deleted', task);
+  } else {
+    publishTaskEvent(task.$locals.wasNew ? 'task.created' : 'task.updated', task);
+  }
+});
+
+taskSchema.post('findOneAndDelete', function(task) {
+  if (task) {
+    publishTaskEvent('task.deleted', task);
+  }
+});
+
+// Bulk updates (renaming a tag, deleting a project) don't load the documents,
+// so clients are told to reload instead of getting one event per task
+taskSchema.post('updateMany', function(result) {
+  const owner = this.getFilter().owner;
+
+  if (owner && result.modifiedCount > 0) {
+    publishTasksRefresh(owner);
+  }
+});
+
 // Create the model from the schema
 const Task = mongoose.model('Task', taskSchema);
 
@@ -53,10 +753,43 @@ module.exports = Task;
 // - Mongoose feature to automatically replace IDs with actual documents
 // - Example: task.populate('owner') would replace owner ID with full user object
 //
+// COMPOUND INDEXES:
+// - { owner: 1, completed: 1, dueDate: 1 } serves "this user's open tasks by
+//   due date": equality fields first, then the field sorted on
+// - A query can use the index for its sort only if every field before the
+//   sort field has a fixed value - so a list of all tasks (open and done)
+//   sorted by due date still has to merge two parts of the index
+// - Check what MongoDB did with Task.find(...).explain('executionStats'):
+//   IXSCAN is good, COLLSCAN or a SORT stage on a big list is not
+//
 // DEFAULT VALUES:
 // - You can set default values for fields
 // - completed: false means all new tasks start as incomplete
 //
+// SUBDOCUMENTS:
+// - subtasks: [subtaskSchema] embeds an array of documents inside the task
+// - Each subtask gets its own _id, so it can be addressed individually
+// - task.subtasks.id(subtaskId) finds one subtask by its _id
+//
+// SYNC SEQUENCE:
+// - syncSeq orders every change to a user's tasks: 1, 2, 3, ...
+// - A client that has seen everything up to 41 asks for syncSeq > 41
+//
+// $locals:
+// - A place to keep temporary values on a document that are never saved
+// - Handy for passing information from a pre hook to a post hook
+//
+// SOFT DELETE:
+// - Deleting a task only sets deletedAt, so it can be restored from the trash
+// - Every normal query must filter on deletedAt: null
+// - Tasks are really deleted when the trash is emptied, or by the purge job
+//   after TRASH_RETENTION_DAYS (see services/trash.js)
+//
+// RECURRENCE:
+// - recurrence is a single embedded subdocument (not an array)
+// - _id: false because it is never addressed on its own
+// - Each occurrence is a separate task, so history is kept for free
+//
 // TIMESTAMPS:
 // - timestamps: true automatically adds:
 //   - createdAt: when document was created
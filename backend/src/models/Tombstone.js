@@ -0,0 +1,45 @@
+// ============================================
+// TOMBSTONE MODEL - MONGOOSE SCHEMA
+// ============================================
+// A tombstone records that a task was deleted, so offline clients
+// syncing later can remove their copy (see routes/sync.js)
+// Without it, a deleted task would simply vanish and clients would never know
+
+const mongoose = require('mongoose');
+
+// Define the Tombstone schema
+// _id is the deleted task's _id, so a task can only have one tombstone
+const tombstoneSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'User'
+  },
+  syncSeq: {
+    type: Number,        // The owner's change sequence at the time of deletion
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// GET /sync reads tombstones in sequence order per user
+tombstoneSchema.index({ owner: 1, syncSeq: 1, _id: 1 });
+
+// Create the model from the schema
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+
+module.exports = Tombstone;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// TOMBSTONES:
+// - A common pattern in sync systems and distributed databases
+// - Instead of "forgetting" deleted data, keep a small marker saying it's gone
+// - Only the ID and when it happened are kept - not the task itself
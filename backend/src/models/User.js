@@ -6,6 +6,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { getStorage } = require('../services/storage');
+const { processAvatar, saveAvatar, removeAvatar } = require('../services/avatars');
 
 // Define the User schema
 const userSchema = new mongoose.Schema({
@@ -40,7 +42,7 @@ const userSchema = new mongoose.Schema({
     }
   }],
   avatar: {
-    type: String         // Stores the filename of the profile picture
+    type: String         // Name of the profile picture's stored images (see services/avatars.js)
   }
 }, {
   timestamps: true       // Automatically add createdAt and updatedAt fields
@@ -139,16 +141,78 @@ userSchema.pre('save', async function(next) {
   next(); // Continue with save
 });
 
+// ============================================
+// STATIC METHOD - Convert avatars uploaded before processing existed
+// ============================================
+// Those are single files, stored as they were uploaded. Each one is put
+// through processAvatar like a new upload; one that's missing or isn't a
+// usable image is dropped, so the user sees their initial instead.
+// Returns how many avatars were converted or dropped. Safe to run again.
+
+userSchema.statics.convertLegacyAvatars = async function() {
+  const users = await User.find({ avatar: { $regex: /\./ } }).select('avatar');
+
+  for (const user of users) {
+    const legacyKey = `avatars/${user.avatar}`;
+    const file = await getStorage().read(legacyKey);
+
+    let processed = null;
+    if (file) {
+      const chunks = [];
+      for await (const chunk of file) {
+        chunks.push(chunk);
+      }
+      processed = await processAvatar(Buffer.concat(chunks)).catch(() => null);
+    }
+
+    const avatar = processed && await saveAvatar(user._id, processed);
+
+    // Only if it hasn't changed meanwhile (e.g. a new upload)
+    const result = await User.updateOne(
+      { _id: user._id, avatar: user.avatar },
+      avatar ? { $set: { avatar } } : { $unset: { avatar: 1 } }
+    );
+    if (avatar && result.modifiedCount === 0) {
+      await removeAvatar(avatar);
+    }
+    await getStorage().remove(legacyKey);
+  }
+
+  return users.length;
+};
+
 // ============================================
 // MIDDLEWARE - Delete user's tasks when user is deleted
 // ============================================
 // This runs before removing a user
-// It deletes all tasks owned by the user
+// It deletes all tasks (with their comments and attached files), tags,
+// projects and saved views owned by the user, and their avatar
 
 userSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   const user = this;
   const Task = mongoose.model('Task');
+  const Tag = mongoose.model('Tag');
+  const Project = mongoose.model('Project');
+  const SavedView = mongoose.model('SavedView');
+  const Notification = mongoose.model('Notification');
+  const Tombstone = mongoose.model('Tombstone');
+  const Comment = mongoose.model('Comment');
+  const Attachment = mongoose.model('Attachment');
+  const Counter = mongoose.model('Counter');
+  const Job = mongoose.model('Job');
   await Task.deleteMany({ owner: user._id });
+  await Comment.deleteMany({ owner: user._id });
+  await Attachment.removeWithFiles({ owner: user._id });
+  await Tag.deleteMany({ owner: user._id });
+  await Project.deleteMany({ owner: user._id });
+  await SavedView.deleteMany({ owner: user._id });
+  await Notification.deleteMany({ owner: user._id });
+  await Tombstone.deleteMany({ owner: user._id });
+  await Job.deleteMany({ owner: user._id });     // Reminders and overdue checks
+  await Counter.deleteOne({ _id: `tasks:${user._id}` });
+  if (user.avatar) {
+    await removeAvatar(user.avatar);
+  }
   next();
 });
 
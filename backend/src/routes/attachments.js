@@ -0,0 +1,182 @@
+// ============================================
+// ATTACHMENT ROUTES - FILES ON A TASK
+// ============================================
+// Routes for uploading, listing, downloading, and deleting a task's files
+// Uploads are multipart/form-data with the file in a field called "file".
+// Allowed types and the size limit are set in middleware/upload.js.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { pipeline } = require('stream');
+const Task = require('../models/Task');
+const Attachment = require('../models/Attachment');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { attachmentUpload, attachmentLimits } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+// Load the user's task into req.task, or answer 404
+// Runs before the upload, so files for a missing task are never stored
+const loadTask = async (req, res, next) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.id) && await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: null
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    res.status(500).send();
+  }
+};
+
+const findAttachment = (task, attachmentId) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    return null;
+  }
+  return Attachment.findOne({ _id: attachmentId, task: task._id, owner: task.owner });
+};
+
+// Multer's own messages ("File too large") don't say what the limit is
+const uploadErrorMessage = (error) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return `File is too large (at most ${Math.round(attachmentLimits.maxSize / (1024 * 1024))} MB)`;
+  }
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return 'Send one file, in a field called "file"';
+  }
+  return error.message;
+};
+
+// ============================================
+// POST /tasks/:id/attachments - Attach a file
+// ============================================
+// Form field: file
+
+router.post('/tasks/:id/attachments', auth, loadTask, attachmentUpload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).send({ error: 'Please choose a file' });
+  }
+
+  try {
+    const attachment = await Attachment.create({
+      task: req.task._id,
+      filename: req.file.originalname,
+      storedName: req.file.filename,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      owner: req.task.owner
+    });
+
+    res.status(201).send(attachment);
+
+  } catch (error) {
+    // Don't keep a file nothing points to
+    await getStorage().remove(req.file.key).catch(() => {});
+    res.status(400).send({ error: error.message });
+  }
+}, (error, req, res, next) => {
+  // Error handling middleware for multer errors (wrong type, too large)
+  res.status(400).send({ error: uploadErrorMessage(error) });
+});
+
+// ============================================
+// GET /tasks/:id/attachments - List a task's files
+// ============================================
+// Oldest first: { _id, filename, mimeType, size, createdAt, ... }
+
+router.get('/tasks/:id/attachments', auth, loadTask, async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ task: req.task._id, owner: req.task.owner })
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.send(attachments);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// GET /tasks/:id/attachments/:attachmentId - Download a file
+// ============================================
+// Sent with the type it was uploaded as, and its original name
+
+router.get('/tasks/:id/attachments/:attachmentId', auth, loadTask, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.task, req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).send({ error: 'Attachment not found' });
+    }
+
+    const file = await getStorage().read(attachment.storageKey());
+
+    if (!file) {
+      return res.status(404).send({ error: 'Attachment file not found' });
+    }
+
+    res.attachment(attachment.filename);   // Content-Disposition with the original name
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff',   // Browsers must not guess another type
+      'Cache-Control': 'private, no-cache'
+    });
+
+    // If storage fails part-way, the connection is closed so the client
+    // can tell the download is incomplete
+    pipeline(file, res, () => {});
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// DELETE /tasks/:id/attachments/:attachmentId - Delete a file
+// ============================================
+router.delete('/tasks/:id/attachments/:attachmentId', auth, idempotency, loadTask, async (req, res) => {
+  try {
+    const attachment = await findAttachment(req.task, req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).send({ error: 'Attachment not found' });
+    }
+
+    await Attachment.removeWithFiles({ _id: attachment._id });
+    res.send(attachment);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// MIDDLEWARE ORDER:
+// - auth -> loadTask -> multer -> handler
+// - Checking the task before multer reads the body means a request for a
+//   task that doesn't exist (or isn't yours) never stores anything
+//
+// ERROR-HANDLING MIDDLEWARE:
+// - A function with four arguments (error, req, res, next) after the
+//   handler receives errors from the middleware before it - here, multer's
+//   "wrong type" and "too large" errors - so they become a 400, not a 500
+//
+// NO IDEMPOTENCY KEY ON UPLOADS:
+// - The idempotency middleware tells requests apart by their JSON body, and
+//   an upload's body is the file, which it never sees
@@ -4,16 +4,17 @@
 // Routes for user signup, login, logout, and profile
 
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
+const { pipeline } = require('stream');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const { avatarUpload } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const { processAvatar, saveAvatar, removeAvatar, avatarKey, pickAvatarSize, AVATAR_SIZES } = require('../services/avatars');
 
-const router = express.Router();
+// How long a browser may keep an avatar URL that names its version (?v=)
+const AVATAR_MAX_AGE = 365 * 24 * 60 * 60;
 
-// Define absolute path to uploads directory
-const uploadsDir = path.join(__dirname, '../../uploads/avatars');
+const router = express.Router();
 
 // ============================================
 // POST /users/signup - Create new user
@@ -152,31 +153,33 @@ router.delete('/users/me', auth, async (req, res) => {
 // ============================================
 // POST /users/me/avatar - Upload profile picture
 // ============================================
-router.post('/users/me/avatar', auth, upload.single('avatar'), async (req, res) => {
+// The picture is checked, cropped to a square and stored in several sizes
+// (see services/avatars.js). Responds with the avatar's new name.
+
+router.post('/users/me/avatar', auth, avatarUpload.single('avatar'), async (req, res) => {
   try {
-    console.log('📤 Avatar POST: Upload started', { userId: req.user._id, filename: req.file?.filename });
+    console.log('📤 Avatar POST: Upload started', { userId: req.user._id, size: req.file?.size });
 
-    // Delete old avatar if exists
-    if (req.user.avatar) {
-      const oldAvatarPath = path.join(uploadsDir, req.user.avatar);
-      if (fs.existsSync(oldAvatarPath)) {
-        fs.unlinkSync(oldAvatarPath);
-        console.log('🗑️  Avatar POST: Deleted old avatar', { oldAvatarPath });
-      }
+    if (!req.file) {
+      return res.status(400).send({ error: 'Please choose an image' });
     }
 
-    // Save new avatar filename to user
-    req.user.avatar = req.file.filename;
+    const avatar = await saveAvatar(req.user._id, await processAvatar(req.file.buffer));
+
+    // Save new avatar name to user
+    const oldAvatar = req.user.avatar;
+    req.user.avatar = avatar;
     await req.user.save();
 
-    const newAvatarPath = path.join(uploadsDir, req.user.avatar);
-    console.log('✅ Avatar POST: Upload complete', {
-      avatar: req.user.avatar,
-      path: newAvatarPath,
-      exists: fs.existsSync(newAvatarPath)
-    });
+    // Delete old avatar if exists (the same picture again keeps its name)
+    if (oldAvatar && oldAvatar !== avatar) {
+      await removeAvatar(oldAvatar);
+      console.log('🗑️  Avatar POST: Deleted old avatar', { avatar: oldAvatar });
+    }
+
+    console.log('✅ Avatar POST: Upload complete', { avatar, storage: getStorage().name });
 
-    res.send({ message: 'Avatar uploaded successfully', avatar: req.user.avatar });
+    res.send({ message: 'Avatar uploaded successfully', avatar });
   } catch (error) {
     console.log('❌ Avatar POST: Error', error.message);
     res.status(400).send({ error: error.message });
@@ -192,12 +195,9 @@ router.post('/users/me/avatar', auth, upload.single('avatar'), async (req, res)
 // ============================================
 router.delete('/users/me/avatar', auth, async (req, res) => {
   try {
-    // Delete avatar file if exists
+    // Delete avatar files if exists
     if (req.user.avatar) {
-      const avatarPath = path.join(uploadsDir, req.user.avatar);
-      if (fs.existsSync(avatarPath)) {
-        fs.unlinkSync(avatarPath);
-      }
+      await removeAvatar(req.user.avatar);
     }
 
     // Remove avatar from user
@@ -213,7 +213,20 @@ router.delete('/users/me/avatar', auth, async (req, res) => {
 // ============================================
 // GET /users/:id/avatar - Get user's profile picture
 // ============================================
+// ?size=<pixels>: the smallest stored size at least that big (32, 128 or
+//                 512; default 128) - always a square WebP image
+// ?v=<avatar>:    the avatar's name, from the user's profile. While it is
+//                 the current one, the response may be cached for a year;
+//                 without it browsers check the ETag each time (304 if the
+//                 picture hasn't changed)
+
 router.get('/users/:id/avatar', async (req, res) => {
+  const size = pickAvatarSize(req.query.size);
+
+  if (!size) {
+    return res.status(400).send({ error: `size must be a number of pixels (stored sizes: ${AVATAR_SIZES.join(', ')})` });
+  }
+
   try {
     const user = await User.findById(req.params.id);
 
@@ -222,18 +235,30 @@ router.get('/users/:id/avatar', async (req, res) => {
       throw new Error('Avatar not found');
     }
 
-    const avatarPath = path.join(uploadsDir, user.avatar);
-    console.log('🔍 Avatar GET: Looking for file', { avatarPath, exists: fs.existsSync(avatarPath) });
+    res.set({
+      'ETag': `"${user.avatar}-${size}"`,
+      'Cache-Control': req.query.v === user.avatar
+        ? `public, max-age=${AVATAR_MAX_AGE}, immutable`
+        : 'public, no-cache'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const file = await getStorage().read(avatarKey(user.avatar, size));
 
-    if (!fs.existsSync(avatarPath)) {
-      console.log('❌ Avatar GET: File not found on disk', { avatarPath });
+    if (!file) {
+      console.log('❌ Avatar GET: File not found in storage', { avatar: user.avatar, size, storage: getStorage().name });
       throw new Error('Avatar file not found');
     }
 
-    console.log('✅ Avatar GET: Sending file', { avatarPath });
-    res.sendFile(avatarPath);
+    res.type('webp');
+    pipeline(file, res, () => {});
   } catch (error) {
     console.log('❌ Avatar GET: Error', error.message);
+    res.removeHeader('ETag');
+    res.removeHeader('Cache-Control');
     res.status(404).send();
   }
 });
@@ -0,0 +1,186 @@
+// ============================================
+// COMMENT ROUTES - DISCUSSION ON A TASK
+// ============================================
+// Routes for listing, adding, editing, and deleting a task's comments
+// Comment bodies are markdown. Writing @name mentions someone who can see
+// the task, and sends them a notification (see utils/mentions.js and
+// services/mentions.js).
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { resolveMentions } = require('../utils/mentions');
+const { notifyMentions } = require('../services/mentions');
+
+const router = express.Router();
+
+// What a comment shows of its author and the people it mentions
+const PERSON_FIELDS = 'name';
+
+// The user's task, or null - comments on trashed tasks are kept but hidden
+const findTask = (id, owner) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Task.findOne({ _id: id, owner, deletedAt: null });
+};
+
+const findComment = (task, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) {
+    return null;
+  }
+  return Comment.findOne({ _id: commentId, task: task._id, owner: task.owner });
+};
+
+// Everyone who can see the task, and so can be mentioned on it
+// Tasks have a single owner today; this is the one place to change when
+// tasks can be shared
+const taskAudience = (task) => User.find({ _id: task.owner }).select('name email');
+
+// ============================================
+// GET /tasks/:id/comments - Get a task's comments
+// ============================================
+// Oldest first, each with its author's name and its edit history
+
+router.get('/tasks/:id/comments', auth, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    const comments = await Comment.find({ task: task._id, owner: task.owner })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', PERSON_FIELDS)
+      .populate('mentions', PERSON_FIELDS);
+
+    res.send(comments);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// POST /tasks/:id/comments - Add a comment
+// ============================================
+// Body: { "body": "Looks good, @sam can you **check** the numbers?" }
+
+router.post('/tasks/:id/comments', auth, idempotency, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user._id);
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    const comment = new Comment({
+      task: task._id,
+      body: req.body.body,
+      author: req.user._id,
+      owner: task.owner
+    });
+
+    comment.mentions = resolveMentions(comment.body, await taskAudience(task)).map((user) => user._id);
+
+    await comment.save();
+    await notifyMentions(comment, task, req.user);
+
+    await comment.populate([
+      { path: 'author', select: PERSON_FIELDS },
+      { path: 'mentions', select: PERSON_FIELDS }
+    ]);
+    res.status(201).send(comment);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// PATCH /tasks/:id/comments/:commentId - Edit a comment
+// ============================================
+// Body: { "body": "new text" }
+// Only the author can edit. The old text is kept in edits, and people
+// mentioned for the first time are notified.
+
+router.patch('/tasks/:id/comments/:commentId', auth, idempotency, async (req, res) => {
+  const updates = Object.keys(req.body);
+
+  if (updates.length === 0 || !updates.every((update) => update === 'body')) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const task = await findTask(req.params.id, req.user._id);
+    const comment = task && await findComment(task, req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).send({ error: 'Comment not found' });
+    }
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).send({ error: 'Only the author can edit a comment' });
+    }
+
+    const alreadyMentioned = [...comment.mentions];
+
+    if (comment.edit(req.body.body)) {
+      comment.mentions = resolveMentions(comment.body, await taskAudience(task)).map((user) => user._id);
+      await comment.save();
+      await notifyMentions(comment, task, req.user, alreadyMentioned);
+    }
+
+    await comment.populate([
+      { path: 'author', select: PERSON_FIELDS },
+      { path: 'mentions', select: PERSON_FIELDS }
+    ]);
+    res.send(comment);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// DELETE /tasks/:id/comments/:commentId - Delete a comment
+// ============================================
+// The author or the task's owner can delete a comment
+
+router.delete('/tasks/:id/comments/:commentId', auth, idempotency, async (req, res) => {
+  try {
+    const task = await findTask(req.params.id, req.user._id);
+    const comment = task && await findComment(task, req.params.commentId);
+
+    if (!comment) {
+      return res.status(404).send({ error: 'Comment not found' });
+    }
+    if (!comment.author.equals(req.user._id) && !task.owner.equals(req.user._id)) {
+      return res.status(403).send({ error: 'Only the author can delete a comment' });
+    }
+
+    await comment.deleteOne();
+    res.send(comment);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// populate():
+// - A comment stores only its author's _id
+// - .populate('author', 'name') fetches the user and puts { _id, name } in
+//   its place, so the client can show who wrote it without another request
+// - The second argument picks fields - never send another user's password
+//   hash or tokens along with their name
+
@@ -0,0 +1,87 @@
+// ============================================
+// EVENT STREAM ROUTE - SERVER-SENT EVENTS
+// ============================================
+// GET /events keeps the connection open and pushes task changes to the client
+// as they happen, so every open tab stays up to date without polling
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const { subscribe } = require('../services/events');
+
+const router = express.Router();
+
+// Send a comment line this often so proxies don't close an idle connection
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// ============================================
+// MIDDLEWARE - Accept the token as a query parameter
+// ============================================
+// The browser's EventSource can't send an Authorization header, so
+// GET /events?token=<jwt> is accepted too. The token is then checked by
+// the normal auth middleware, exactly like a header would be.
+
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+
+  next();
+};
+
+// ============================================
+// GET /events - Stream the current user's task events
+// ============================================
+// Each message looks like:
+//   event: task.updated
+//   data: {"type":"task.updated","task":{...}}
+
+router.get('/events', tokenFromQuery, auth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'     // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Ask the browser to wait 5 seconds before reconnecting if the stream drops
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.user._id, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  // Clean up when the client disconnects
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// SERVER-SENT EVENTS (SSE):
+// - A normal HTTP response that never ends
+// - The server writes "event:" and "data:" lines, separated by a blank line
+// - The browser's EventSource API parses them and reconnects automatically
+// - One-way (server -> client), which is all we need for live updates
+//
+// SSE vs WEBSOCKETS:
+// - WebSockets are two-way but need a different protocol and more setup
+// - SSE is plain HTTP, so it works with existing middleware (like auth)
+//
+// TOKEN IN THE URL:
+// - URLs can end up in server logs, so query tokens are only accepted here,
+//   where there is no other option
+//
+// TESTING EXAMPLE:
+// curl -N "http://localhost:3000/events?token=<token>"
+// (then change a task in another window and watch the events arrive)
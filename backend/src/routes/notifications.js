@@ -0,0 +1,113 @@
+// ============================================
+// NOTIFICATION ROUTES
+// ============================================
+// Routes for reading in-app notifications (task reminders, overdue tasks,
+// @mentions in comments)
+// Notifications are created by background jobs and comments, not by the client
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// ============================================
+// GET /notifications - Get the current user's notifications
+// ============================================
+// Newest first. Supports query parameters:
+// GET /notifications?unread=true   (only unread notifications)
+// GET /notifications?limit=20      (default 50)
+
+router.get('/notifications', auth, async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.send(notifications);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// POST /notifications/read-all - Mark every notification as read
+// ============================================
+router.post('/notifications/read-all', auth, idempotency, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { owner: req.user._id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.send({ updated: result.modifiedCount });
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// PATCH /notifications/:id/read - Mark one notification as read
+// ============================================
+router.patch('/notifications/:id/read', auth, idempotency, async (req, res) => {
+  // A malformed id can't match anything - and would make Mongoose throw
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).send({ error: 'Notification not found' });
+  }
+
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      { $set: { read: true } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).send({ error: 'Notification not found' });
+    }
+
+    res.send(notification);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// updateMany():
+// - Changes every matching document in one query
+// - result.modifiedCount tells how many were actually changed
+//
+// QUERY CHAINING:
+// - Notification.find(filter) returns a Query, not the results
+// - .sort() and .limit() add options to the Query
+// - await runs it and returns the documents
+//
+// TESTING EXAMPLES:
+//
+// Get unread notifications:
+// GET http://localhost:3000/notifications?unread=true
+// Header: Authorization: Bearer <token>
+//
+// Mark one as read:
+// PATCH http://localhost:3000/notifications/123/read
+// Header: Authorization: Bearer <token>
+//
+// Mark all as read:
+// POST http://localhost:3000/notifications/read-all
+// Header: Authorization: Bearer <token>
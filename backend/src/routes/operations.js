@@ -0,0 +1,70 @@
+// ============================================
+// OPERATION ROUTES - UNDO
+// ============================================
+// Changing or deleting a task returns an operationId. For a few minutes
+// after that, the change can be taken back here (see models/Operation.js)
+
+const express = require('express');
+const Operation = require('../models/Operation');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// ============================================
+// POST /operations/:id/undo - Undo an operation
+// ============================================
+// Returns { type, tasks } with the restored tasks.
+// 404 if the operation doesn't exist, has expired or was already undone.
+// 409 if a task was changed again since - nothing is undone then.
+
+router.post('/operations/:id/undo', auth, idempotency, async (req, res) => {
+  try {
+    const operation = await Operation.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      expiresAt: { $gt: new Date() }   // The TTL index may not have removed it yet
+    });
+
+    if (!operation) {
+      return res.status(404).send({ error: 'Operation not found or expired' });
+    }
+
+    const tasks = await operation.undo();
+
+    if (!tasks) {
+      return res.status(409).send({ error: 'The task has changed since, so this can no longer be undone' });
+    }
+
+    res.send({ type: operation.type, tasks });
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// HTTP 409 CONFLICT:
+// - The request was fine, but it clashes with the current state of the data
+// - Here: undoing would overwrite a newer change
+//
+// WHY RECORD OPERATIONS ON THE SERVER?
+// - The client could remember old values itself, but only the server knows
+//   everything that happened since (other tabs, other devices)
+// - One operation can cover many tasks, so it is undone in one request
+//
+// TESTING EXAMPLES:
+//
+// Complete a task (note the operationId in the response):
+// PATCH http://localhost:3000/tasks/<taskId>
+// Header: Authorization: Bearer <token>
+// Body: { "completed": true }
+//
+// Undo it:
+// POST http://localhost:3000/operations/<operationId>/undo
+// Header: Authorization: Bearer <token>
@@ -0,0 +1,172 @@
+// ============================================
+// PROJECT ROUTES - CRUD OPERATIONS
+// ============================================
+// Routes for creating, reading, updating, and deleting projects (task lists)
+// Tasks are moved between projects with PATCH /tasks/:id { "project": "<id>" }
+
+const express = require('express');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// ============================================
+// POST /projects - Create a new project
+// ============================================
+router.post('/projects', auth, idempotency, async (req, res) => {
+  try {
+    const project = new Project({
+      ...req.body,
+      owner: req.user._id
+    });
+
+    await project.save();
+    res.status(201).send(project);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// GET /projects - Get all projects for current user
+// ============================================
+// GET /projects?archived=false   (only active projects)
+// GET /projects?archived=true    (only archived projects)
+// Each project includes taskCount: the number of incomplete tasks in it
+
+router.get('/projects', auth, async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+
+    if (req.query.archived) {
+      filter.archived = req.query.archived === 'true';
+    }
+
+    const projects = await Project.find(filter).sort({ name: 1 });
+
+    // Count incomplete tasks per project in a single query
+    const counts = await Task.aggregate([
+      { $match: { owner: req.user._id, completed: false, deletedAt: null, project: { $ne: null } } },
+      { $group: { _id: '$project', count: { $sum: 1 } } }
+    ]);
+
+    const countByProject = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+    res.send(projects.map((project) => ({
+      ...project.toJSON(),
+      taskCount: countByProject.get(project._id.toString()) || 0
+    })));
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// GET /projects/:id - Get a specific project
+// ============================================
+router.get('/projects/:id', auth, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).send({ error: 'Project not found' });
+    }
+
+    res.send(project);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// PATCH /projects/:id - Update a project
+// ============================================
+// Body: any of { name, color, icon, archived }
+
+router.patch('/projects/:id', auth, idempotency, async (req, res) => {
+  // Validate updates
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'color', 'icon', 'archived'];
+
+  const isValidOperation = updates.every((update) => {
+    return allowedUpdates.includes(update);
+  });
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).send({ error: 'Project not found' });
+    }
+
+    // Apply updates
+    updates.forEach((update) => {
+      project[update] = req.body[update];
+    });
+
+    await project.save();
+    res.send(project);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// DELETE /projects/:id - Delete a project
+// ============================================
+// Tasks in the project are moved to the Inbox, not deleted
+
+router.delete('/projects/:id', auth, idempotency, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return res.status(404).send({ error: 'Project not found' });
+    }
+
+    // Triggers the pre('deleteOne') middleware that moves tasks to the Inbox
+    await project.deleteOne();
+    res.send(project);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// AGGREGATION:
+// - Task.aggregate([...]) runs a pipeline of stages inside MongoDB
+// - $match filters documents (like find)
+// - $group buckets them, here by project, and counts each bucket
+// - One aggregate query is much faster than counting per project in a loop
+//
+// TESTING EXAMPLES:
+//
+// Create project:
+// POST http://localhost:3000/projects
+// Header: Authorization: Bearer <token>
+// Body: { "name": "Work", "color": "#4a90e2", "icon": "💼" }
+//
+// Move a task into the project:
+// PATCH http://localhost:3000/tasks/123
+// Header: Authorization: Bearer <token>
+// Body: { "project": "<projectId>" }
+//
+// Move a task back to the Inbox:
+// PATCH http://localhost:3000/tasks/123
+// Body: { "project": null }
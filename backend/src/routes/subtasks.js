@@ -0,0 +1,206 @@
+// ============================================
+// SUBTASK ROUTES - CHECKLIST ITEMS ON A TASK
+// ============================================
+// Routes for adding, reordering, toggling, and deleting subtasks
+// Every route responds with the full parent task, so the client
+// always gets the updated checklist and progress in one place
+
+const express = require('express');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// ============================================
+// POST /tasks/:id/subtasks - Add a subtask
+// ============================================
+// Body: { "text": "Write tests" }
+// New subtasks are appended to the end of the checklist
+
+router.post('/tasks/:id/subtasks', auth, idempotency, async (req, res) => {
+  try {
+    // Find task that belongs to current user
+    const task = await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: null
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    task.subtasks.push({
+      text: req.body.text,
+      position: task.subtasks.length
+    });
+
+    await task.save();
+    res.status(201).send(task);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// POST /tasks/:id/subtasks/reorder - Reorder subtasks
+// ============================================
+// Body: { "order": ["<subtaskId>", "<subtaskId>", ...] }
+// The order array must contain every subtask ID exactly once
+
+router.post('/tasks/:id/subtasks/reorder', auth, idempotency, async (req, res) => {
+  const order = req.body.order;
+
+  if (!Array.isArray(order)) {
+    return res.status(400).send({ error: 'order must be an array of subtask IDs' });
+  }
+
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: null
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    // Make sure the new order is a complete permutation of the current subtasks
+    const currentIds = task.subtasks.map((subtask) => subtask._id.toString()).sort();
+    const requestedIds = order.map((id) => String(id)).sort();
+
+    const isSameSet = currentIds.length === requestedIds.length &&
+      currentIds.every((id, index) => id === requestedIds[index]);
+
+    if (!isSameSet) {
+      return res.status(400).send({ error: 'order must list every subtask exactly once' });
+    }
+
+    // Assign positions following the requested order
+    order.forEach((id, index) => {
+      task.subtasks.id(id).position = index;
+    });
+
+    await task.save();
+    res.send(task);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// PATCH /tasks/:id/subtasks/:subtaskId - Update a subtask
+// ============================================
+// Body: { "completed": true } to tick an item, or { "text": "..." } to rename it
+
+router.patch('/tasks/:id/subtasks/:subtaskId', auth, idempotency, async (req, res) => {
+  // Validate updates
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['text', 'completed'];
+
+  const isValidOperation = updates.every((update) => {
+    return allowedUpdates.includes(update);
+  });
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: null
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
+      return res.status(404).send({ error: 'Subtask not found' });
+    }
+
+    // Apply updates
+    updates.forEach((update) => {
+      subtask[update] = req.body[update];
+    });
+
+    await task.save();
+    res.send(task);
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// DELETE /tasks/:id/subtasks/:subtaskId - Delete a subtask
+// ============================================
+router.delete('/tasks/:id/subtasks/:subtaskId', auth, idempotency, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: null
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found' });
+    }
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+
+    if (!subtask) {
+      return res.status(404).send({ error: 'Subtask not found' });
+    }
+
+    // Remove the subtask; the model renumbers the remaining positions on save
+    subtask.deleteOne();
+
+    await task.save();
+    res.send(task);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// NESTED ROUTES:
+// - /tasks/:id/subtasks/:subtaskId has two route parameters
+// - req.params.id is the parent task, req.params.subtaskId the item
+// - Ownership is always checked on the parent task
+//
+// WORKING WITH EMBEDDED ARRAYS:
+// - task.subtasks.push({...}) adds a new subdocument
+// - task.subtasks.id(subtaskId) looks one up by _id
+// - subtask.deleteOne() removes it from the array
+// - Nothing is written to MongoDB until task.save() is called
+//
+// REORDERING:
+// - The client sends the full list of IDs in the new order
+// - Sending the whole list avoids ambiguity when several items move at once
+//
+// TESTING EXAMPLES:
+//
+// Add subtask:
+// POST http://localhost:3000/tasks/123/subtasks
+// Header: Authorization: Bearer <token>
+// Body: { "text": "Draft outline" }
+//
+// Tick subtask:
+// PATCH http://localhost:3000/tasks/123/subtasks/456
+// Header: Authorization: Bearer <token>
+// Body: { "completed": true }
@@ -0,0 +1,277 @@
+// ============================================
+// SYNC ROUTES - DELTA SYNC FOR OFFLINE CLIENTS
+// ============================================
+// GET /sync?since=<cursor>  pulls every task change after a cursor
+// POST /sync                pushes a batch of changes made while offline
+//
+// Every change to a user's tasks gets the next number in the user's change
+// sequence (task.syncSeq, see models/Task.js). Deletions leave a Tombstone
+// with its own number. A cursor remembers the last change a client has seen.
+//
+// Tasks in the trash count as deleted here: clients only keep live tasks.
+// Restoring a task is a change like any other, so it comes back.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Tombstone = require('../models/Tombstone');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+const MAX_PUSH_CHANGES = 100;
+
+// Sorts before every real ObjectId
+const ZERO_ID = '000000000000000000000000';
+
+// ============================================
+// CURSORS
+// ============================================
+// A cursor is "<syncSeq>.<_id>" of the last change the client received.
+// Bulk updates give many tasks the same syncSeq, so the _id breaks ties
+// and a page can safely end in the middle of them.
+// Clients should treat cursors as opaque strings.
+
+const encodeCursor = (seq, id) => `${seq}.${id}`;
+
+// Returns { seq, id }, or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  const match = /^(\d+)\.([0-9a-f]{24})$/.exec(cursor);
+
+  if (!match) {
+    return null;
+  }
+
+  return { seq: parseInt(match[1]), id: new mongoose.Types.ObjectId(match[2]) };
+};
+
+// Filter for documents that come after the cursor in (syncSeq, _id) order
+// Tasks saved before syncSeq existed have no value, and count as 0
+const afterCursor = ({ seq, id }) => ({
+  $or: [
+    { syncSeq: { $gt: seq } },
+    { syncSeq: seq === 0 ? { $in: [0, null] } : seq, _id: { $gt: id } }
+  ]
+});
+
+// ============================================
+// GET /sync - Pull changes since a cursor
+// ============================================
+// GET /sync                     (everything - for a first sync)
+// GET /sync?since=<cursor>      (only what changed after the cursor)
+// GET /sync?since=<cursor>&limit=100
+//
+// Response:
+// {
+//   tasks: [...],          tasks created or changed (full documents)
+//   deleted: ['<id>', ...], IDs of deleted tasks
+//   cursor: '<cursor>',     pass this as ?since= next time
+//   hasMore: false          true = call again straight away for the next page
+// }
+
+router.get('/sync', auth, async (req, res) => {
+  let position = null;   // No cursor = start from the beginning
+
+  if (req.query.since) {
+    position = decodeCursor(req.query.since);
+
+    if (!position) {
+      return res.status(400).send({ error: 'Invalid cursor' });
+    }
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  try {
+    const filter = position
+      ? { owner: req.user._id, ...afterCursor(position) }
+      : { owner: req.user._id };
+    const order = { syncSeq: 1, _id: 1 };
+
+    // Read one extra item from each collection to know if there's another page
+    const [tasks, tombstones] = await Promise.all([
+      Task.find(filter).sort(order).limit(limit + 1),
+      Tombstone.find(filter).sort(order).limit(limit + 1)
+    ]);
+
+    // Merge both lists into a single change order
+    // Trashed tasks are reported as deleted
+    const changes = [
+      ...tasks.map((task) => ({ seq: task.syncSeq, id: task._id.toString(), task, deleted: Boolean(task.deletedAt) })),
+      ...tombstones.map((tombstone) => ({ seq: tombstone.syncSeq, id: tombstone._id.toString(), deleted: true }))
+    ].sort((a, b) => a.seq - b.seq || a.id.localeCompare(b.id));
+
+    const page = changes.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.send({
+      tasks: page.filter((change) => !change.deleted).map((change) => change.task),
+      deleted: page.filter((change) => change.deleted).map((change) => change.id),
+      cursor: last ? encodeCursor(last.seq, last.id) : (req.query.since || encodeCursor(0, ZERO_ID)),
+      hasMore: changes.length > limit
+    });
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// POST /sync - Push a batch of client changes
+// ============================================
+// Body:
+// {
+//   changes: [
+//     { op: 'create', id: '<new ObjectId>', data: { description, ... } },
+//     { op: 'update', id: '<taskId>', baseSeq: 41, data: { completed: true } },
+//     { op: 'delete', id: '<taskId>', baseSeq: 41 }
+//   ]
+// }
+//
+// baseSeq is the task's syncSeq when the client last saw it. If the task has
+// changed on the server since then, the change is NOT applied and a conflict
+// is reported with the server's copy, so the client can decide what to do.
+//
+// Changes are applied in order. Each one gets a result in the same position:
+//   { id, status: 'applied', task }
+//   { id, status: 'conflict', reason: 'changed', task }   (server copy)
+//   { id, status: 'conflict', reason: 'deleted' }
+//   { id, status: 'error', error: '<message>' }
+
+// Apply a single change and describe the outcome
+const applyChange = async (change, owner) => {
+  const { op, id, baseSeq, data = {} } = change;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return { id, status: 'error', error: 'Invalid id' };
+  }
+
+  const task = await Task.findOne({ _id: id, owner });
+
+  // Trashed tasks count as deleted (they can be restored from the trash)
+  const deleted = task ? Boolean(task.deletedAt) : Boolean(await Tombstone.exists({ _id: id, owner }));
+
+  // ---------- create ----------
+  // The client picks the ID, so pushing the same create twice is harmless
+  if (op === 'create') {
+    if (deleted) {
+      return { id, status: 'conflict', reason: 'deleted' };
+    }
+    if (task) {
+      return { id, status: 'applied', task };
+    }
+
+    const newTask = new Task({ ...Task.newTaskFields(data), _id: id, owner });
+
+    await newTask.save();
+    return { id, status: 'applied', task: newTask };
+  }
+
+  if (op !== 'update' && op !== 'delete') {
+    return { id, status: 'error', error: `Unknown op "${op}"` };
+  }
+
+  // ---------- update / delete of a task that's gone ----------
+  if (!task || deleted) {
+    // Deleting something already deleted is fine
+    if (op === 'delete' && deleted) {
+      return { id, status: 'applied' };
+    }
+    return deleted
+      ? { id, status: 'conflict', reason: 'deleted' }
+      : { id, status: 'error', error: 'Task not found' };
+  }
+
+  // ---------- conflict check ----------
+  if (typeof baseSeq !== 'number') {
+    return { id, status: 'error', error: 'baseSeq is required' };
+  }
+  if (task.syncSeq > baseSeq) {
+    return { id, status: 'conflict', reason: 'changed', task };
+  }
+
+  // ---------- update ----------
+  if (op === 'update') {
+    const fields = Object.keys(data);
+
+    if (!fields.every((field) => Task.UPDATABLE_FIELDS.includes(field))) {
+      return { id, status: 'error', error: 'Invalid updates' };
+    }
+
+    await task.applyUpdates(data);
+    await task.save();
+    return { id, status: 'applied', task };
+  }
+
+  // ---------- delete ----------
+  // Like DELETE /tasks/:id, this moves the task to the trash
+  task.deletedAt = new Date();
+  await task.save();
+  return { id, status: 'applied' };
+};
+
+router.post('/sync', auth, async (req, res) => {
+  const { changes } = req.body || {};
+
+  if (!Array.isArray(changes)) {
+    return res.status(400).send({ error: 'changes must be an array' });
+  }
+
+  if (changes.length > MAX_PUSH_CHANGES) {
+    return res.status(400).send({ error: `At most ${MAX_PUSH_CHANGES} changes per request` });
+  }
+
+  try {
+    const results = [];
+
+    // One at a time, in order: a later change may depend on an earlier one
+    for (const change of changes) {
+      try {
+        results.push(await applyChange(change, req.user._id));
+      } catch (error) {
+        // Validation errors only fail this change, not the whole batch
+        results.push({ id: change.id, status: 'error', error: error.message });
+      }
+    }
+
+    res.send({ results });
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// DELTA SYNC:
+// - Instead of downloading every task each time, clients only fetch changes
+// - The cursor says "I've seen everything up to here"
+// - Deleted tasks can't be found by a query, hence the tombstones
+//
+// OPTIMISTIC CONFLICT DETECTION:
+// - Nothing is locked while the client is offline
+// - When it comes back, baseSeq shows which version it edited
+// - If the server's version is newer, someone else changed it: report, don't overwrite
+//
+// Promise.all():
+// - Runs the task and tombstone queries at the same time
+// - Waits for both to finish
+//
+// TESTING EXAMPLES:
+//
+// First sync:
+// GET http://localhost:3000/sync
+// Header: Authorization: Bearer <token>
+//
+// Later syncs:
+// GET http://localhost:3000/sync?since=42.65a1f0c2e4b0a1b2c3d4e5f6
+//
+// Push offline changes:
+// POST http://localhost:3000/sync
+// Body: { "changes": [{ "op": "update", "id": "<taskId>", "baseSeq": 41, "data": { "completed": true } }] }
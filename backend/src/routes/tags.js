@@ -0,0 +1,158 @@
+// ============================================
+// TAG ROUTES - CRUD OPERATIONS
+// ============================================
+// Routes for managing the current user's tags (name + colour)
+// Renaming or deleting a tag also updates every task that uses it
+
+const express = require('express');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// MongoDB duplicate key error code (unique index violation)
+const DUPLICATE_KEY_ERROR = 11000;
+
+// ============================================
+// POST /tags - Create a new tag
+// ============================================
+router.post('/tags', auth, idempotency, async (req, res) => {
+  try {
+    const tag = new Tag({
+      name: req.body.name,
+      color: req.body.color,
+      owner: req.user._id
+    });
+
+    await tag.save();
+    res.status(201).send(tag);
+
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(400).send({ error: 'A tag with that name already exists' });
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// GET /tags - Get all tags for current user
+// ============================================
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const tags = await Tag.find({ owner: req.user._id }).sort({ name: 1 });
+    res.send(tags);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// PATCH /tags/:id - Rename or recolour a tag
+// ============================================
+router.patch('/tags/:id', auth, idempotency, async (req, res) => {
+  // Validate updates
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'color'];
+
+  const isValidOperation = updates.every((update) => {
+    return allowedUpdates.includes(update);
+  });
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  try {
+    const tag = await Tag.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!tag) {
+      return res.status(404).send({ error: 'Tag not found' });
+    }
+
+    const oldName = tag.name;
+
+    // Apply updates
+    updates.forEach((update) => {
+      tag[update] = req.body[update];
+    });
+
+    await tag.save();
+
+    // Tasks store tag names, so a rename has to be copied onto them
+    // $addToSet first (avoids duplicates if a task already has the new name), then $pull the old one
+    if (tag.name !== oldName) {
+      await Task.updateMany(
+        { owner: req.user._id, tags: oldName },
+        { $addToSet: { tags: tag.name } }
+      );
+      await Task.updateMany(
+        { owner: req.user._id, tags: oldName },
+        { $pull: { tags: oldName } }
+      );
+    }
+
+    res.send(tag);
+
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return res.status(400).send({ error: 'A tag with that name already exists' });
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// DELETE /tags/:id - Delete a tag
+// ============================================
+// The tag is also removed from every task that had it
+router.delete('/tags/:id', auth, idempotency, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!tag) {
+      return res.status(404).send({ error: 'Tag not found' });
+    }
+
+    await Task.updateMany(
+      { owner: req.user._id, tags: tag.name },
+      { $pull: { tags: tag.name } }
+    );
+
+    res.send(tag);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY TASKS STORE TAG NAMES:
+// - Filtering by name (?tags=work) needs no extra lookup
+// - The Tag collection only adds details like colour
+// - The trade-off: renames must update tasks too (see PATCH above)
+//
+// UPDATE OPERATORS ON ARRAYS:
+// - $addToSet adds a value only if it isn't already in the array
+// - $pull removes every matching value from the array
+// - updateMany applies the update to all matching documents at once
+//
+// TESTING EXAMPLES:
+//
+// Create tag:
+// POST http://localhost:3000/tags
+// Header: Authorization: Bearer <token>
+// Body: { "name": "work", "color": "#4a90e2" }
+//
+// Rename tag:
+// PATCH http://localhost:3000/tags/123
+// Header: Authorization: Bearer <token>
+// Body: { "name": "office" }
@@ -4,23 +4,38 @@
 // Routes for creating, reading, updating, and deleting tasks
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Operation = require('../models/Operation');
+const Lock = require('../models/Lock');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { buildTaskFilter } = require('../utils/taskFilter');
+const { parseSort, sortCollation } = require('../utils/taskQuery');
+const { parseSearchQuery, buildHighlights } = require('../utils/textSearch');
+const { encodeCursor, decodeCursor, cursorFilter, nextPageLink } = require('../utils/pagination');
+const { taskETag, listETag, ifMatchAllows, versionFilter } = require('../utils/etag');
 
 const router = express.Router();
 
 // ============================================
 // POST /tasks - Create a new task
 // ============================================
-router.post('/tasks', auth, async (req, res) => {
+// Takes the fields PATCH does, plus subtasks - anything else in the body
+// (deletedAt, syncSeq, ...) is the server's to set and is ignored
+
+router.post('/tasks', auth, idempotency, async (req, res) => {
   try {
     // Create task with owner set to logged-in user
     const task = new Task({
-      ...req.body,           // Spread operator: copies all fields from body
-      owner: req.user._id    // Set owner to current user's ID
+      ...Task.newTaskFields(req.body),  // Only the fields a client may set
+      owner: req.user._id               // Set owner to current user's ID
     });
 
     await task.save();
+    res.set('ETag', taskETag(task));
     res.status(201).send(task);
 
   } catch (error) {
@@ -35,39 +50,147 @@ router.post('/tasks', auth, async (req, res) => {
 // GET /tasks?completed=true
 // GET /tasks?limit=10&skip=20
 // GET /tasks?sortBy=createdAt:desc
+// GET /tasks?sortBy=dueDate:asc,createdAt:desc  (by due date, then newest)
+// GET /tasks?q=priority:high due:<2026-11-01 -completed tag:work created:>7d
+//                                            (see utils/taskQuery.js)
+// GET /tasks?tags=work,urgent&tagMode=all   (tasks with every tag)
+// GET /tasks?tags=work,urgent&tagMode=any   (tasks with at least one tag)
+// GET /tasks?project=<projectId>             (tasks in one project)
+// GET /tasks?project=inbox                   (tasks not in any project)
+// GET /tasks?limit=50&after=<cursor>         (the 50 after a page, see below)
+//
+// Pages: with a limit, the response has a header
+//   Link: <?limit=50&after=<cursor>>; rel="next"
+// while there are more tasks, and X-Total-Count with how many tasks match
+// in all. Follow the Link for the next page (see utils/pagination.js).
+//
+// Caching: the response has an ETag; send it back as If-None-Match to get
+// an empty 304 if the page hasn't changed. Lists without q also have
+// Last-Modified (q can depend on the time - due:today - not only on changes).
 
 router.get('/tasks', auth, async (req, res) => {
+  let match;
+  let sort;
+  const limit = parseInt(req.query.limit) || 0;     // 0 = no limit
+
   try {
-    // Build filter object
-    const match = {};
+    // Build filter and sort objects (see utils/taskFilter.js and utils/taskQuery.js)
+    // Tasks in the trash are never listed here (see GET /tasks/trash)
+    match = buildTaskFilter(req.query);
+
+    // Unsorted lists go in creation order (by _id), so pages stay stable
+    sort = parseSort(req.query.sortBy);
+    if (Object.keys(sort).length === 0) {
+      sort = { _id: 1 };
+    }
+  } catch (error) {
+    return res.status(400).send({ error: error.message });
+  }
 
-    // Filter by completed status if provided
-    // NOTE: req.query.completed is a string, so we compare it to 'true'
-    // This comparison returns a boolean: true if string is 'true', false otherwise
-    if (req.query.completed) {
-      match.completed = req.query.completed === 'true';
+  // Only the tasks after the cursor (the end of the previous page)
+  let pageMatch = match;
+  if (req.query.after) {
+    try {
+      pageMatch = { $and: [match, cursorFilter(sort, decodeCursor(req.query.after, sort))] };
+    } catch (error) {
+      return res.status(400).send({ error: error.message });
     }
+  }
+
+  try {
+    // Find tasks owned by current user
+    // One more than the limit is fetched, to know if there's a next page
+    const query = Task.find({ ...pageMatch, owner: req.user._id })
+      .sort(sort)
+      .skip(parseInt(req.query.skip) || 0)
+      .limit(limit > 0 ? limit + 1 : 0);
+
+    // A description sort ignores case - and so does the cursor filter,
+    // which compares with the query's collation
+    const collation = sortCollation(sort);
+    const tasks = await (collation ? query.collation(collation) : query);
 
-    // Build sort object
-    const sort = {};
+    const hasMore = limit > 0 && tasks.length > limit;
+    const page = hasMore ? tasks.slice(0, limit) : tasks;
 
-    if (req.query.sortBy) {
-      const parts = req.query.sortBy.split(':');
-      sort[parts[0]] = parts[1] === 'desc' ? -1 : 1;
+    const total = await Task.countDocuments({ ...match, owner: req.user._id });
+    res.set('X-Total-Count', String(total));
+
+    if (hasMore) {
+      res.set('Link', nextPageLink(req, encodeCursor(page[page.length - 1], sort)));
     }
 
-    // Find tasks owned by current user
-    await req.user.populate({
-      path: 'tasks',
-      match,
-      options: {
-        limit: parseInt(req.query.limit) || 0,     // 0 = no limit
-        skip: parseInt(req.query.skip) || 0,
-        sort
-      }
-    });
+    // Let the client check its copy instead of downloading the page again
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('ETag', listETag(req.user._id, req.query, page, total));
+
+    const changedAt = req.query.q ? null : await Task.lastChangedAt(req.user._id);
+    if (changedAt) {
+      res.set('Last-Modified', changedAt.toUTCString());
+    }
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.send(page);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// GET /tasks/search - Full-text search
+// ============================================
+// GET /tasks/search?q=report budget          either word, best matches first
+// GET /tasks/search?q="quarterly report"     exact phrase
+// GET /tasks/search?q=report -draft          leave out tasks with "draft"
+// Also takes the GET /tasks filters (completed, project, tags, tagMode),
+// within - a GET /tasks query the results must match too (e.g. a view's:
+// within=due:today) - and limit (default 20, at most 100) / skip.
+//
+// Each task comes back with a relevance score and highlights: the parts
+// of the task that matched, with [start, end] ranges to mark
+// (see utils/textSearch.js).
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+router.get('/tasks/search', auth, async (req, res) => {
+  const search = parseSearchQuery(req.query.q);
+
+  if (!search) {
+    return res.status(400).send({ error: 'Search needs at least one word to look for' });
+  }
+
+  let match;
 
-    res.send(req.user.tasks);
+  try {
+    // q is the search here - the GET /tasks query comes as within
+    const { q: _q, within, ...filters } = req.query;
+    match = buildTaskFilter({ ...filters, q: within });
+  } catch (error) {
+    return res.status(400).send({ error: error.message });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+    const score = { $meta: 'textScore' };
+
+    const tasks = await Task.find(
+      { ...match, owner: req.user._id, $text: { $search: search.text } },
+      { score }
+    )
+      .sort({ score, _id: 1 })
+      .skip(parseInt(req.query.skip) || 0)
+      .limit(limit);
+
+    res.send(tasks.map((task) => ({
+      ...task.toJSON(),
+      score: task.get('score'),
+      highlights: buildHighlights(task, search)
+    })));
 
   } catch (error) {
     res.status(500).send();
@@ -77,17 +200,29 @@ router.get('/tasks', auth, async (req, res) => {
 // ============================================
 // GET /tasks/:id - Get a specific task by ID
 // ============================================
+// Has ETag and Last-Modified - with If-None-Match or If-Modified-Since the
+// response is an empty 304 if the task hasn't changed
+
 router.get('/tasks/:id', auth, async (req, res) => {
   const _id = req.params.id;
 
   try {
     // Find task that matches ID AND belongs to current user
-    const task = await Task.findOne({ _id, owner: req.user._id });
+    const task = await Task.findOne({ _id, owner: req.user._id, deletedAt: null });
 
     if (!task) {
       return res.status(404).send({ error: 'Task not found' });
     }
 
+    // Let the client check its copy instead of downloading the task again
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('ETag', taskETag(task));
+    res.set('Last-Modified', task.updatedAt.toUTCString());
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
     res.send(task);
 
   } catch (error) {
@@ -98,10 +233,25 @@ router.get('/tasks/:id', auth, async (req, res) => {
 // ============================================
 // PATCH /tasks/:id - Update a task
 // ============================================
-router.patch('/tasks/:id', auth, async (req, res) => {
+// Completing a repeating task creates its next occurrence.
+// The new task's ID is returned in recurrence.nextTask.
+// The response also has an operationId, for POST /operations/:id/undo
+//
+// With If-Match: "<version>" (the task's ETag), the task is only changed if
+// it's still at that version. Otherwise the response is
+//   412 { error, task }    task = the current copy, to merge into or overwrite
+// (see utils/etag.js)
+
+// 412 with the task as it is now
+const sendChangedElsewhere = (res, task) => {
+  res.set('ETag', taskETag(task));
+  return res.status(412).send({ error: 'This task was changed somewhere else', task });
+};
+
+router.patch('/tasks/:id', auth, idempotency, async (req, res) => {
   // Validate updates
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['description', 'completed', 'priority', 'dueDate'];
+  const allowedUpdates = Task.UPDATABLE_FIELDS;
 
   const isValidOperation = updates.every((update) => {
     return allowedUpdates.includes(update);
@@ -112,23 +262,58 @@ router.patch('/tasks/:id', auth, async (req, res) => {
   }
 
   try {
-    // Find task that belongs to current user
+    // Find task that belongs to current user (trashed tasks must be restored first)
     const task = await Task.findOne({
       _id: req.params.id,
-      owner: req.user._id
+      owner: req.user._id,
+      deletedAt: null
     });
 
     if (!task) {
       return res.status(404).send({ error: 'Task not found' });
     }
 
-    // Apply updates
-    updates.forEach((update) => {
-      task[update] = req.body[update];
-    });
+    // Someone else changed the task after this client loaded it
+    if (!ifMatchAllows(req.get('If-Match'), taskETag(task))) {
+      return sendChangedElsewhere(res, task);
+    }
 
-    await task.save();
-    res.send(task);
+    // ...or changes it while this request is working on it
+    if (req.get('If-Match') !== undefined) {
+      task.$where = versionFilter(task);
+    }
+
+    // Remember the old values, so the change can be undone
+    const before = task.snapshot(updates);
+
+    // Apply updates (also spawns the next occurrence of a repeating task)
+    const spawnedTask = await task.applyUpdates(req.body);
+
+    try {
+      await task.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) {
+        throw error;
+      }
+
+      // Lost the race: nothing of this update may stay behind
+      if (spawnedTask) {
+        await Task.findOneAndDelete({ _id: spawnedTask._id, owner: req.user._id });
+      }
+
+      const current = await Task.findOne({ _id: task._id, owner: req.user._id, deletedAt: null });
+      if (!current) {
+        return res.status(404).send({ error: 'Task not found' });
+      }
+      return sendChangedElsewhere(res, current);
+    }
+
+    // Just ticking the box is a 'complete', anything else an 'update'
+    const type = updates.length === 1 && updates[0] === 'completed' ? 'complete' : 'update';
+    const operation = await Operation.record(req.user._id, type, [{ task, before, spawnedTask }]);
+
+    res.set('ETag', taskETag(task));
+    res.send({ ...task.toJSON(), operationId: operation._id });
 
   } catch (error) {
     res.status(400).send({ error: error.message });
@@ -136,27 +321,238 @@ router.patch('/tasks/:id', auth, async (req, res) => {
 });
 
 // ============================================
-// DELETE /tasks/:id - Delete a task
+// DELETE /tasks/:id - Move a task to the trash
 // ============================================
-router.delete('/tasks/:id', auth, async (req, res) => {
+// The task can be restored until it is purged (see routes/trash.js),
+// or straight away with POST /operations/:id/undo using the operationId
+
+router.delete('/tasks/:id', auth, idempotency, async (req, res) => {
   try {
-    // Find and delete task that belongs to current user
-    const task = await Task.findOneAndDelete({
+    // Find task that belongs to current user and isn't already trashed
+    const task = await Task.findOne({
       _id: req.params.id,
-      owner: req.user._id
+      owner: req.user._id,
+      deletedAt: null
     });
 
     if (!task) {
       return res.status(404).send({ error: 'Task not found' });
     }
 
-    res.send(task);
+    const before = task.snapshot(['deletedAt']);
+
+    task.deletedAt = new Date();
+    await task.save();
+
+    const operation = await Operation.record(req.user._id, 'delete', [{ task, before }]);
+
+    res.send({ ...task.toJSON(), operationId: operation._id });
 
   } catch (error) {
     res.status(500).send();
   }
 });
 
+// ============================================
+// POST /tasks/bulk - Change many tasks at once
+// ============================================
+// Body: { ids: ['<taskId>', ...], action, value }
+//   or: { filter: { completed, project, tags, tagMode }, action, value }
+//       (the same filters as GET /tasks, see utils/taskFilter.js)
+//
+// Actions:
+//   complete, uncomplete, delete (moves to the trash)
+//   setPriority (value: 'low' | 'medium' | 'high')
+//   setDueDate  (value: a date, or null to clear it)
+//   moveProject (value: a project ID, or null for the Inbox)
+//   addTag      (value: a tag name)
+//
+// All or nothing: every task is checked before any is saved, so if one
+// update is invalid, no task changes (400). Only one bulk request per user
+// runs at a time (409 while another is running).
+//
+// Returns { operationId, updated, results } with one result per task:
+//   { id, status: 'updated', task }
+//   { id, status: 'unchanged' }       (e.g. completing a completed task)
+//   { id, status: 'not_found' }       (unknown, someone else's or in the trash)
+//   { id, status: 'invalid', error }  (only in a 400 response)
+// operationId undoes the whole request (POST /operations/:id/undo).
+
+const MAX_BULK_TASKS = 500;
+const BULK_LOCK_TTL = 60 * 1000;   // A crashed request stops blocking after a minute
+
+// What each action changes on one task
+const BULK_ACTIONS = {
+  complete: { fields: () => ({ completed: true }) },
+  uncomplete: { fields: () => ({ completed: false }) },
+  delete: { fields: () => ({ deletedAt: new Date() }) },
+  setPriority: { needsValue: true, fields: (value) => ({ priority: value }) },
+  setDueDate: { needsValue: true, fields: (value) => ({ dueDate: value }) },
+  moveProject: { needsValue: true, fields: (value) => ({ project: value }) },
+  addTag: { needsValue: true, fields: (value, task) => ({ tags: [...task.tags, value] }) }
+};
+
+// Puts saved tasks back after a later save failed, and removes the
+// occurrence the failed task created just before its save (if any)
+const rollBackBulk = async (items, failed) => {
+  if (failed && failed.spawnedTask) {
+    try {
+      await Task.findOneAndDelete({ _id: failed.spawnedTask._id, owner: failed.task.owner });
+    } catch (error) {
+      console.error(`Failed to remove occurrence ${failed.spawnedTask._id}:`, error.message);
+    }
+  }
+
+  for (const item of items.reverse()) {
+    try {
+      await item.task.revertUpdates(item.before, item.spawnedTask && item.spawnedTask._id);
+      await item.task.save();
+    } catch (error) {
+      console.error(`Failed to roll back task ${item.task._id}:`, error.message);
+    }
+  }
+};
+
+router.post('/tasks/bulk', auth, idempotency, async (req, res) => {
+  const { ids, filter, action, value } = req.body || {};
+
+  if (!Object.hasOwn(BULK_ACTIONS, action)) {
+    return res.status(400).send({ error: 'Invalid action' });
+  }
+
+  const bulkAction = BULK_ACTIONS[action];
+
+  if (bulkAction.needsValue && value === undefined) {
+    return res.status(400).send({ error: `${action} needs a value` });
+  }
+
+  if (Array.isArray(ids) === Boolean(filter)) {
+    return res.status(400).send({ error: 'Send either ids or filter' });
+  }
+
+  if (ids && ids.length > MAX_BULK_TASKS) {
+    return res.status(400).send({ error: `Too many tasks (at most ${MAX_BULK_TASKS})` });
+  }
+
+  let match = null;
+
+  try {
+    match = filter ? buildTaskFilter(filter) : null;
+  } catch (error) {
+    return res.status(400).send({ error: error.message });
+  }
+
+  const lockName = `bulk:${req.user._id}`;
+
+  try {
+    if (!await Lock.acquire(lockName, BULK_LOCK_TTL)) {
+      return res.status(409).send({ error: 'Another bulk update is still running' });
+    }
+  } catch (error) {
+    return res.status(500).send();
+  }
+
+  try {
+    // Checked once here instead of failing on the first task's save
+    if (action === 'moveProject' && value !== null) {
+      const exists = mongoose.isValidObjectId(value) &&
+        await Project.exists({ _id: value, owner: req.user._id });
+
+      if (!exists) {
+        return res.status(400).send({ error: 'Project not found' });
+      }
+    }
+
+    let tasks;
+
+    if (ids) {
+      tasks = await Task.find({
+        _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) },
+        owner: req.user._id,
+        deletedAt: null
+      });
+    } else {
+      tasks = await Task.find({ ...match, owner: req.user._id }).limit(MAX_BULK_TASKS + 1);
+
+      if (tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).send({ error: `Too many tasks (at most ${MAX_BULK_TASKS})` });
+      }
+    }
+
+    // Results in the order the IDs were sent (or the order found, for a filter)
+    const tasksById = new Map(tasks.map((task) => [task._id.toString(), task]));
+    const itemIds = ids ? [...new Set(ids.map(String))] : [...tasksById.keys()];
+    const items = itemIds.map((id) => ({ id, task: tasksById.get(id) }));
+
+    // Step 1: change and validate every task, without saving anything
+    for (const item of items.filter((entry) => entry.task)) {
+      const fields = bulkAction.fields(value, item.task);
+
+      item.before = item.task.snapshot(Object.keys(fields));
+      item.wasCompleted = item.task.completed;
+
+      try {
+        await item.task.setUpdates(fields);
+        item.changed = JSON.stringify(item.task.snapshot(Object.keys(fields))) !== JSON.stringify(item.before);
+      } catch (error) {
+        item.error = error.message;
+      }
+    }
+
+    const toResult = (item) => {
+      if (!item.task) {
+        return { id: item.id, status: 'not_found' };
+      }
+      if (item.error) {
+        return { id: item.id, status: 'invalid', error: item.error };
+      }
+      return item.changed
+        ? { id: item.id, status: 'updated', task: item.task }
+        : { id: item.id, status: 'unchanged' };
+    };
+
+    if (items.some((item) => item.error)) {
+      return res.status(400).send({
+        error: 'No tasks were changed because some updates are invalid',
+        results: items.map(toResult)
+      });
+    }
+
+    // Step 2: save the changed tasks - if one fails, put the others back
+    const changed = items.filter((item) => item.changed);
+    const saved = [];
+
+    try {
+      for (const item of changed) {
+        if (!item.wasCompleted && item.task.completed) {
+          item.spawnedTask = await item.task.spawnNextOccurrence();
+        }
+
+        await item.task.save();
+        saved.push(item);
+      }
+    } catch (error) {
+      await rollBackBulk(saved, changed[saved.length]);
+      throw error;
+    }
+
+    const operation = changed.length > 0
+      ? await Operation.record(req.user._id, 'bulk', changed)
+      : null;
+
+    res.send({
+      operationId: operation ? operation._id : null,
+      updated: changed.length,
+      results: items.map(toResult)
+    });
+
+  } catch (error) {
+    res.status(400).send({ error: error.message });
+  } finally {
+    await Lock.release(lockName).catch(() => {});
+  }
+});
+
 module.exports = router;
 
 // ============================================
@@ -167,7 +563,7 @@ module.exports = router;
 // - Create: POST /tasks
 // - Read: GET /tasks, GET /tasks/:id
 // - Update: PATCH /tasks/:id
-// - Delete: DELETE /tasks/:id
+// - Delete: DELETE /tasks/:id (moves it to the trash)
 //
 // ROUTE PARAMETERS:
 // - /tasks/:id defines a parameter named 'id'
@@ -187,16 +583,24 @@ module.exports = router;
 // - Users can only access their own tasks
 // - Prevents users from accessing other users' data
 //
-// POPULATION:
+// POPULATION VS. QUERYING DIRECTLY:
 // - req.user.populate('tasks') fills in the tasks virtual field
 // - Replaces task IDs with actual task documents
-// - Very useful for getting related data
+// - GET /tasks used to do this, but Task.find({ owner }) is the same query
+//   without going through the user, and can be counted and chained
 //
 // FILTERING & SORTING:
-// - match: filters results
+// - find(filter): filters results
 // - sort: { field: 1 } for ascending, { field: -1 } for descending
 // - limit: max number of results
-// - skip: number of results to skip (for pagination)
+// - skip: number of results to skip (cursors are better for paging,
+//   see utils/pagination.js)
+//
+// BULK UPDATES WITHOUT TRANSACTIONS:
+// - MongoDB transactions need a replica set, and a plain server is enough for this app
+// - So POST /tasks/bulk checks everything first, then saves,
+//   and puts saved tasks back if a later save fails
+// - A per-user lock (models/Lock.js) stops two bulk requests from mixing
 //
 // SPREAD OPERATOR:
 // - ...req.body copies all properties from req.body
@@ -222,6 +626,16 @@ module.exports = router;
 // Header: Authorization: Bearer <token>
 // Body: { "completed": true }
 //
+// Make a task repeat every Monday and Thursday:
+// PATCH http://localhost:3000/tasks/123
+// Header: Authorization: Bearer <token>
+// Body: { "recurrence": { "frequency": "weekly", "byWeekday": ["MO", "TH"] } }
+//
+// Remind me an hour before the task is due:
+// PATCH http://localhost:3000/tasks/123
+// Header: Authorization: Bearer <token>
+// Body: { "reminders": [{ "minutesBefore": 60 }] }
+//
 // Delete task:
 // DELETE http://localhost:3000/tasks/123
 // Header: Authorization: Bearer <token>
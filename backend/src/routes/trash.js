@@ -0,0 +1,131 @@
+// ============================================
+// TRASH ROUTES - DELETED TASKS
+// ============================================
+// DELETE /tasks/:id only moves a task to the trash (sets deletedAt).
+// These routes list, restore and permanently delete trashed tasks.
+//
+// Registered before the task routes in app.js, otherwise
+// GET /tasks/:id would treat "trash" as a task ID
+
+const express = require('express');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { getRetentionDays } = require('../services/trash');
+
+const router = express.Router();
+
+// ============================================
+// GET /tasks/trash - Get trashed tasks
+// ============================================
+// Most recently deleted first. Each task has a purgeAt date: when it will
+// be deleted for good.
+
+router.get('/tasks/trash', auth, async (req, res) => {
+  try {
+    const tasks = await Task.find({ owner: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    const retention = getRetentionDays() * 24 * 60 * 60 * 1000;
+
+    res.send(tasks.map((task) => ({
+      ...task.toJSON(),
+      purgeAt: new Date(task.deletedAt.getTime() + retention)
+    })));
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// DELETE /tasks/trash - Empty the trash
+// ============================================
+// Returns how many tasks were deleted: { purged: 3 }
+
+router.delete('/tasks/trash', auth, idempotency, async (req, res) => {
+  try {
+    const purged = await Task.purgeTrash({ owner: req.user._id });
+    res.send({ purged });
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// DELETE /tasks/trash/:id - Permanently delete one trashed task
+// ============================================
+// Only works on tasks in the trash - others must be deleted (trashed) first
+
+router.delete('/tasks/trash/:id', auth, idempotency, async (req, res) => {
+  try {
+    const task = await Task.findOneAndDelete({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found in trash' });
+    }
+
+    res.send(task);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// POST /tasks/:id/restore - Move a task out of the trash
+// ============================================
+router.post('/tasks/:id/restore', auth, idempotency, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!task) {
+      return res.status(404).send({ error: 'Task not found in trash' });
+    }
+
+    task.deletedAt = null;
+    await task.save();
+
+    res.send(task);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// SOFT DELETE:
+// - A "deleted" task is still in the database, just marked with deletedAt
+// - Mistakes can be undone, at the cost of filtering deletedAt everywhere
+// - { deletedAt: { $ne: null } } matches trashed tasks, { deletedAt: null } the rest
+//
+// ROUTE ORDER:
+// - Express tries routes in the order they were added
+// - '/tasks/:id' matches '/tasks/trash' too, with id = 'trash'
+// - So the more specific route has to come first
+//
+// TESTING EXAMPLES:
+//
+// See the trash:
+// GET http://localhost:3000/tasks/trash
+// Header: Authorization: Bearer <token>
+//
+// Restore a task:
+// POST http://localhost:3000/tasks/<taskId>/restore
+//
+// Empty the trash:
+// DELETE http://localhost:3000/tasks/trash
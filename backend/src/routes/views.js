@@ -0,0 +1,174 @@
+// ============================================
+// SAVED VIEW ROUTES - CRUD OPERATIONS
+// ============================================
+// Routes for the user's saved views (named task lists, see models/SavedView.js)
+// A view's tasks are listed with GET /tasks?q=<view.query>
+//
+// The built-in views (Today, Overdue, ...) are listed and read like saved
+// ones, but can't be changed or deleted.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedView = require('../models/SavedView');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Mongo's duplicate key error - the user already has a view with this name
+const DUPLICATE_NAME_ERROR = { error: 'You already have a view with that name' };
+
+// Built-in view IDs aren't ObjectIds, so anything else invalid is simply not found
+const findView = (id, owner) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return SavedView.findOne({ _id: id, owner });
+};
+
+// ============================================
+// POST /views - Save a new view
+// ============================================
+// Body: { name, query, sort, display, icon } - only name is required
+
+router.post('/views', auth, idempotency, async (req, res) => {
+  try {
+    const view = new SavedView({
+      ...req.body,
+      owner: req.user._id
+    });
+
+    await view.save();
+    res.status(201).send(view);
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send(DUPLICATE_NAME_ERROR);
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// GET /views - Get the built-in views, then the user's own
+// ============================================
+router.get('/views', auth, async (req, res) => {
+  try {
+    const views = await SavedView.find({ owner: req.user._id }).sort({ name: 1 });
+
+    res.send([...SavedView.BUILT_IN_VIEWS, ...views]);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// GET /views/:id - Get a specific view
+// ============================================
+router.get('/views/:id', auth, async (req, res) => {
+  try {
+    const view = SavedView.findBuiltIn(req.params.id) || await findView(req.params.id, req.user._id);
+
+    if (!view) {
+      return res.status(404).send({ error: 'View not found' });
+    }
+
+    res.send(view);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+// ============================================
+// PATCH /views/:id - Update a saved view
+// ============================================
+// Body: any of { name, query, sort, display, icon }
+
+router.patch('/views/:id', auth, idempotency, async (req, res) => {
+  // Validate updates
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['name', 'query', 'sort', 'display', 'icon'];
+
+  const isValidOperation = updates.every((update) => {
+    return allowedUpdates.includes(update);
+  });
+
+  if (!isValidOperation) {
+    return res.status(400).send({ error: 'Invalid updates' });
+  }
+
+  if (SavedView.findBuiltIn(req.params.id)) {
+    return res.status(400).send({ error: 'Built-in views can\'t be changed' });
+  }
+
+  try {
+    const view = await findView(req.params.id, req.user._id);
+
+    if (!view) {
+      return res.status(404).send({ error: 'View not found' });
+    }
+
+    // Apply updates
+    updates.forEach((update) => {
+      view[update] = req.body[update];
+    });
+
+    await view.save();
+    res.send(view);
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).send(DUPLICATE_NAME_ERROR);
+    }
+    res.status(400).send({ error: error.message });
+  }
+});
+
+// ============================================
+// DELETE /views/:id - Delete a saved view
+// ============================================
+// Only the view goes - its tasks are untouched
+
+router.delete('/views/:id', auth, idempotency, async (req, res) => {
+  if (SavedView.findBuiltIn(req.params.id)) {
+    return res.status(400).send({ error: 'Built-in views can\'t be deleted' });
+  }
+
+  try {
+    const view = await findView(req.params.id, req.user._id);
+
+    if (!view) {
+      return res.status(404).send({ error: 'View not found' });
+    }
+
+    await view.deleteOne();
+    res.send(view);
+
+  } catch (error) {
+    res.status(500).send();
+  }
+});
+
+module.exports = router;
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// UNIQUE INDEXES AND ERROR 11000:
+// - { owner: 1, name: 1 } with unique: true makes MongoDB refuse a second
+//   view with the same name for the same user
+// - The refusal comes back as an error with code 11000 (duplicate key),
+//   which is turned into a readable 400 here
+//
+// TESTING EXAMPLES:
+//
+// Save a view:
+// POST http://localhost:3000/views
+// Header: Authorization: Bearer <token>
+// Body: { "name": "Work this week", "query": "tag:work due:<7d -completed", "sort": "dueDate:asc" }
+//
+// List its tasks:
+// GET http://localhost:3000/tasks?q=tag:work due:<7d -completed
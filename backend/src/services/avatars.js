@@ -0,0 +1,171 @@
+// ============================================
+// AVATARS - PROFILE PICTURE PROCESSING
+// ============================================
+// An uploaded picture is never stored as it was sent. It is:
+//   1. checked by its first bytes to really be a JPEG, PNG, GIF or WebP image
+//   2. turned upright (phone photos are often stored sideways, with an EXIF
+//      "orientation" saying how to show them)
+//   3. cropped to a square around its centre
+//   4. saved as WebP in each of AVATAR_SIZES, without EXIF or other metadata
+//      (which can include where and when a photo was taken)
+//
+// The user's avatar field holds the name of this set of images,
+// "<user id>-<hash of the image>", and each size is stored under
+// avatars/<name>-<size>.webp. A new picture gets a new name, so a URL
+// with ?v=<name> always shows the same image and can be cached for good.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const AVATAR_SIZES = [32, 128, 512];
+const DEFAULT_AVATAR_SIZE = 128;
+
+// Refuse images so big that decoding them would use too much memory
+// (a small file can claim to be 50000 x 50000 pixels)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// The bytes each allowed format starts with ("magic numbers")
+const SIGNATURES = [
+  { type: 'jpeg', matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'png', matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6)) },
+  { type: 'webp', matches: (data) => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// ============================================
+// detectImageType(data) - What kind of image a file really is
+// ============================================
+// Returns 'jpeg', 'png', 'gif' or 'webp' from the file's first bytes,
+// or null for anything else - whatever its name or content type says
+
+const detectImageType = (data) => {
+  const signature = SIGNATURES.find((candidate) => candidate.matches(data));
+  return signature ? signature.type : null;
+};
+
+// ============================================
+// processAvatar(data) - Make the stored images from an upload
+// ============================================
+// Returns { hash, images: { 32: Buffer, 128: Buffer, 512: Buffer } }
+// Throws an Error with a message for the user if it isn't a usable image
+
+const processAvatar = async (data) => {
+  if (!detectImageType(data)) {
+    throw new Error('The file is not a JPEG, PNG, GIF or WebP image');
+  }
+
+  const images = {};
+  try {
+    // Only the first frame of an animated GIF or WebP is used
+    const image = sharp(data, { limitInputPixels: MAX_INPUT_PIXELS });
+
+    for (const size of AVATAR_SIZES) {
+      images[size] = await image.clone()
+        .rotate()                                    // Upright, using the EXIF orientation
+        .resize(size, size, { fit: 'cover', position: 'centre' })
+        .webp({ quality: 82 })                       // Metadata isn't copied unless asked for
+        .toBuffer();
+    }
+  } catch (error) {
+    throw new Error('The image could not be read - it may be damaged or too large');
+  }
+
+  const largest = images[AVATAR_SIZES[AVATAR_SIZES.length - 1]];
+  const hash = crypto.createHash('sha256').update(largest).digest('hex').slice(0, 16);
+
+  return { hash, images };
+};
+
+// The storage key of one size of an avatar
+const avatarKey = (avatar, size) => `avatars/${avatar}-${size}.webp`;
+
+// Avatars uploaded before processing existed are single files,
+// named "<user id>-<timestamp>.<extension>"
+const isLegacyAvatar = (avatar) => avatar.includes('.');
+
+// ============================================
+// saveAvatar(userId, processed) - Store the images from processAvatar
+// ============================================
+// Returns the name to keep in the user's avatar field
+
+const saveAvatar = async (userId, { hash, images }) => {
+  const avatar = `${userId}-${hash}`;
+
+  await Promise.all(AVATAR_SIZES.map((size) => {
+    return getStorage().save(avatarKey(avatar, size), images[size], { contentType: 'image/webp' });
+  }));
+
+  return avatar;
+};
+
+// ============================================
+// removeAvatar(avatar) - Delete every stored size of an avatar
+// ============================================
+const removeAvatar = async (avatar) => {
+  if (isLegacyAvatar(avatar)) {
+    await getStorage().remove(`avatars/${avatar}`);
+    return;
+  }
+
+  await Promise.all(AVATAR_SIZES.map((size) => getStorage().remove(avatarKey(avatar, size))));
+};
+
+// ============================================
+// pickAvatarSize(requested) - The stored size to send for ?size=
+// ============================================
+// The smallest stored size at least as big as the one asked for (so it
+// never looks blurry), or the largest. Nothing asked for: the default.
+// Returns null if the request isn't a number of pixels.
+
+const pickAvatarSize = (requested) => {
+  if (requested === undefined) {
+    return DEFAULT_AVATAR_SIZE;
+  }
+
+  const pixels = Number(requested);
+  if (!Number.isInteger(pixels) || pixels < 1) {
+    return null;
+  }
+
+  return AVATAR_SIZES.find((size) => size >= pixels) || AVATAR_SIZES[AVATAR_SIZES.length - 1];
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  DEFAULT_AVATAR_SIZE,
+  detectImageType,
+  processAvatar,
+  saveAvatar,
+  removeAvatar,
+  avatarKey,
+  isLegacyAvatar,
+  pickAvatarSize
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// MAGIC BYTES:
+// - A file's name and content type are whatever the browser (or an
+//   attacker) says they are
+// - Most formats start with fixed bytes: JPEG with FF D8 FF, PNG with
+//   89 "PNG", GIF with "GIF89a" - checking those says what the file is
+//
+// RE-ENCODING:
+// - Decoding the image and saving new pixels means nothing else in the
+//   upload survives: no metadata, no data hidden after the image, no
+//   oddities that might trip up a browser's decoder
+// - It also makes every avatar a small WebP of a known size
+//
+// SEVERAL SIZES:
+// - A 32px avatar next to a comment shouldn't download a 512px image
+// - The page lists the sizes (srcset) and the browser picks the one that
+//   fits the space and the screen's pixel density
+//
+// CACHING FOREVER, SAFELY:
+// - "Cache-Control: immutable" lets browsers keep an image for a year
+//   without asking again - fine only if the URL's content never changes
+// - The URL includes the avatar's name (?v=), and a new picture gets a new
+//   name, so a new picture is a new URL
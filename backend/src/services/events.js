@@ -0,0 +1,88 @@
+// ============================================
+// EVENT BUS - LIVE UPDATES FOR CONNECTED CLIENTS
+// ============================================
+// Task changes and new notifications are published here and forwarded to
+// each user's open GET /events streams (see routes/events.js)
+//
+// Task event shape: { type, task }
+//   type: 'task.created' | 'task.updated' | 'task.deleted' | 'tasks.refresh'
+//   task: the task as JSON ('task.deleted' only has its _id)
+// 'tasks.refresh' means many tasks changed at once (e.g. a tag was renamed),
+// so clients should simply reload their list
+//
+// Notification event shape: { type: 'notification.created', notification }
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+// Every open stream adds a listener, so there's no sensible maximum
+emitter.setMaxListeners(0);
+
+const channel = (userId) => `user:${userId}`;
+
+// ============================================
+// publish(userId, event) - Send an event to one user's streams
+// ============================================
+const publish = (userId, event) => {
+  emitter.emit(channel(userId), event);
+};
+
+// ============================================
+// subscribe(userId, listener) - Receive a user's events
+// ============================================
+// Returns a function that stops the subscription
+
+const subscribe = (userId, listener) => {
+  emitter.on(channel(userId), listener);
+
+  return () => {
+    emitter.off(channel(userId), listener);
+  };
+};
+
+// ============================================
+// Task helpers
+// ============================================
+
+const publishTaskEvent = (type, task) => {
+  publish(task.owner, {
+    type,
+    task: type === 'task.deleted' ? { _id: task._id } : task.toJSON()
+  });
+};
+
+const publishTasksRefresh = (userId) => {
+  publish(userId, { type: 'tasks.refresh' });
+};
+
+// ============================================
+// Notification helper
+// ============================================
+
+const publishNotification = (notification) => {
+  publish(notification.owner, { type: 'notification.created', notification: notification.toJSON() });
+};
+
+module.exports = {
+  publish,
+  subscribe,
+  publishTaskEvent,
+  publishTasksRefresh,
+  publishNotification
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// EVENTEMITTER:
+// - Node's built-in publish/subscribe mechanism
+// - emitter.on(name, fn) registers a listener, emitter.emit(name, data) calls them all
+// - Listeners run synchronously, so they should be quick
+//
+// ONE PROCESS ONLY:
+// - The emitter lives in memory, so it only reaches clients connected to
+//   this server process
+// - Running several servers would need a shared channel instead
+//   (e.g. Redis pub/sub or MongoDB change streams)
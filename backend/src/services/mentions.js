@@ -0,0 +1,50 @@
+// ============================================
+// MENTION NOTIFICATIONS
+// ============================================
+// When a comment mentions someone (see utils/mentions.js for who can be
+// mentioned), they get a notification: "Sam mentioned you on "Submit report""
+
+const Notification = require('../models/Notification');
+
+// ============================================
+// notifyMentions(comment, task, author, alreadyMentioned) - Tell the
+// people a comment mentions for the first time
+// ============================================
+// alreadyMentioned: who was notified by an earlier version of the comment
+// Nobody is told about their own comment.
+
+const notifyMentions = async (comment, task, author, alreadyMentioned = []) => {
+  const notified = alreadyMentioned.map(String);
+  const newlyMentioned = comment.mentions.filter((userId) => {
+    return !notified.includes(String(userId)) && !userId.equals(author._id);
+  });
+
+  if (newlyMentioned.length === 0) {
+    return;
+  }
+
+  // create (not insertMany) so each one is saved - and pushed to open tabs
+  await Notification.create(newlyMentioned.map((userId) => ({
+    type: 'mention',
+    message: `${author.name} mentioned you on "${task.description}"`,
+    task: task._id,
+    owner: userId
+  })));
+};
+
+module.exports = {
+  notifyMentions
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// NOTIFYING ONLY NEW MENTIONS:
+// - Fixing a typo in a comment shouldn't notify everyone it mentions again
+// - So an edit only notifies people the earlier version didn't mention
+//
+// insertMany SKIPS MIDDLEWARE:
+// - insertMany writes the documents in one go, without running save hooks
+// - The Notification model publishes new notifications from a save hook,
+//   so create() is used to go through it
@@ -0,0 +1,98 @@
+// ============================================
+// OVERDUE TASK NOTIFICATIONS
+// ============================================
+// Every incomplete task with a due date has one job, keyed 'overdue:<taskId>',
+// that runs when the task becomes overdue and creates a notification.
+//
+// Due dates are calendar days (like the due date shown in the task list),
+// so a task is overdue once its due day is over: midnight UTC the day after.
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { schedule, cancel } = require('./scheduler');
+
+const OVERDUE_JOB = 'task-overdue';
+
+const overdueKey = (taskId) => `overdue:${taskId}`;
+
+// Start of the day after the due date
+const getOverdueTime = (dueDate) => {
+  return new Date(Date.UTC(
+    dueDate.getUTCFullYear(),
+    dueDate.getUTCMonth(),
+    dueDate.getUTCDate() + 1
+  ));
+};
+
+// ============================================
+// cancelOverdueCheck(taskId) - Remove a task's pending overdue job
+// ============================================
+const cancelOverdueCheck = (taskId) => {
+  return cancel(overdueKey(taskId));
+};
+
+// ============================================
+// syncOverdueCheck(task) - Schedule (or cancel) a task's overdue job
+// ============================================
+const syncOverdueCheck = async (task) => {
+  if (task.completed || task.deletedAt || !task.dueDate) {
+    await cancelOverdueCheck(task._id);
+    return;
+  }
+
+  await schedule(
+    OVERDUE_JOB,
+    getOverdueTime(task.dueDate),
+    { taskId: task._id, dueDate: task.dueDate },
+    { key: overdueKey(task._id), owner: task.owner }
+  );
+};
+
+// ============================================
+// notifyOverdue(data) - Job handler
+// ============================================
+const notifyOverdue = async ({ taskId, dueDate }) => {
+  // Looked up lazily because the Task model requires this file
+  const Task = mongoose.model('Task');
+  const task = await Task.findById(taskId);
+
+  // Skip tasks that were deleted, completed or given a new due date meanwhile
+  if (!task || task.completed || task.deletedAt || !task.dueDate ||
+      task.dueDate.getTime() !== new Date(dueDate).getTime()) {
+    return;
+  }
+
+  await Notification.create({
+    type: 'overdue',
+    message: `Overdue: ${task.description}`,
+    task: task._id,
+    owner: task.owner
+  });
+};
+
+// ============================================
+// registerOverdueJobs(scheduler) - Let a scheduler run overdue jobs
+// ============================================
+const registerOverdueJobs = (scheduler) => {
+  scheduler.define(OVERDUE_JOB, notifyOverdue);
+};
+
+module.exports = {
+  OVERDUE_JOB,
+  syncOverdueCheck,
+  cancelOverdueCheck,
+  registerOverdueJobs
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// ONE JOB PER TASK vs. ONE JOB FOR ALL TASKS:
+// - A single "check every task" job would scan the whole collection every time
+// - A job per task runs exactly once, at exactly the right time
+// - The unique key means rescheduling just moves the existing job
+//
+// STORING dueDate IN THE JOB:
+// - If the due date changes, the job is moved - but a job that is already
+//   running could still see the old one. Comparing dates makes it a no-op.
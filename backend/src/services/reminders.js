@@ -0,0 +1,117 @@
+// ============================================
+// TASK REMINDERS
+// ============================================
+// Turns the reminders on a task into scheduled jobs, and turns due jobs
+// into in-app notifications
+//
+// Each unsent reminder has one job, keyed 'reminder:<taskId>:<reminderId>'.
+// Whenever a task's reminders, due date or completion change, its jobs are
+// rebuilt from scratch (see the post('save') hook in models/Task.js).
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { schedule, cancel } = require('./scheduler');
+
+const REMINDER_JOB = 'task-reminder';
+
+const reminderKey = (taskId, reminderId) => `reminder:${taskId}:${reminderId}`;
+
+// Matches the keys of every reminder job for one task
+const taskReminderKeys = (taskId) => new RegExp(`^reminder:${taskId}:`);
+
+// ============================================
+// cancelTaskReminders(taskId) - Remove a task's pending reminder jobs
+// ============================================
+const cancelTaskReminders = (taskId) => {
+  return cancel(taskReminderKeys(taskId));
+};
+
+// ============================================
+// syncTaskReminders(task) - Schedule jobs for a task's reminders
+// ============================================
+// Completed or trashed tasks and reminders that were already sent get no jobs
+
+const syncTaskReminders = async (task) => {
+  await cancelTaskReminders(task._id);
+
+  if (task.completed || task.deletedAt) {
+    return;
+  }
+
+  for (const reminder of task.reminders) {
+    const remindAt = task.getReminderTime(reminder);
+
+    // Relative reminders on tasks without a due date have nothing to fire on
+    if (reminder.sentAt || !remindAt) {
+      continue;
+    }
+
+    await schedule(
+      REMINDER_JOB,
+      remindAt,
+      { taskId: task._id, reminderId: reminder._id },
+      { key: reminderKey(task._id, reminder._id), owner: task.owner }
+    );
+  }
+};
+
+// ============================================
+// sendReminder(data, job) - Job handler
+// ============================================
+// Creates the notification and marks the reminder as sent.
+// Safe to run twice: a reminder that is already sent is skipped.
+
+const sendReminder = async ({ taskId, reminderId }, job) => {
+  // Looked up lazily because the Task model requires this file
+  const Task = mongoose.model('Task');
+  const task = await Task.findById(taskId);
+
+  // The task may have been deleted or completed since the job was scheduled
+  if (!task || task.completed || task.deletedAt) {
+    return;
+  }
+
+  const reminder = task.reminders.id(reminderId);
+
+  if (!reminder || reminder.sentAt) {
+    return;
+  }
+
+  await Notification.create({
+    type: 'reminder',
+    message: `Reminder: ${task.description}`,
+    task: task._id,
+    owner: task.owner
+  });
+
+  reminder.sentAt = job.lockedAt;   // The scheduler's clock, not necessarily the real time
+  await task.save();
+};
+
+// ============================================
+// registerReminderJobs(scheduler) - Let a scheduler run reminder jobs
+// ============================================
+const registerReminderJobs = (scheduler) => {
+  scheduler.define(REMINDER_JOB, sendReminder);
+};
+
+module.exports = {
+  REMINDER_JOB,
+  syncTaskReminders,
+  cancelTaskReminders,
+  registerReminderJobs
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY REBUILD INSTEAD OF DIFF?
+// - Working out which reminders were added, changed or removed is fiddly
+// - Deleting the task's jobs and scheduling the remaining ones is simple and always correct
+// - A task only has a handful of reminders, so it's cheap
+//
+// AT-LEAST-ONCE DELIVERY:
+// - The notification is created before the reminder is marked as sent
+// - If the server crashes in between, the job runs again and the user
+//   might get the reminder twice, but never zero times
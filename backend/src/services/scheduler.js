@@ -0,0 +1,216 @@
+// ============================================
+// JOB SCHEDULER - PERSISTENT BACKGROUND JOBS
+// ============================================
+// Runs jobs stored in the Job collection when they become due
+//
+// Scheduling a job only writes a document, so it can be done from anywhere:
+//   await schedule('task-reminder', runAt, { taskId }, { key: 'reminder:123', owner: userId });
+//
+// Running jobs needs a scheduler with handlers:
+//   const scheduler = createScheduler();
+//   scheduler.define('task-reminder', async (data, job) => { ... });
+//   scheduler.start();
+//
+// The clock is injectable, so tests can move time forward without waiting:
+//   const scheduler = createScheduler({ now: () => fakeNow });
+//   await scheduler.runDue();
+
+const Job = require('../models/Job');
+
+const DEFAULTS = {
+  pollInterval: 30 * 1000,        // Check for due jobs every 30 seconds
+  lockTimeout: 5 * 60 * 1000,     // Consider a 'running' job abandoned after 5 minutes
+  maxAttempts: 5,                 // Give up after 5 failures
+  retryDelay: 60 * 1000           // First retry after 1 minute, then 4, 9, 16, ...
+};
+
+// ============================================
+// schedule(name, runAt, data, options) - Add a job
+// ============================================
+// With options.key, an existing job with the same key is replaced
+// (e.g. when a reminder is moved to a different time)
+// options.owner is the user the job is for, so it is deleted with them
+
+const schedule = async (name, runAt, data = {}, { key, owner = null } = {}) => {
+  if (!key) {
+    return Job.create({ name, runAt, data, owner });
+  }
+
+  return Job.findOneAndUpdate(
+    { key },
+    {
+      $set: { name, runAt, data, owner, status: 'pending', attempts: 0, lockedAt: null, lastError: null }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// ============================================
+// cancel(filter) - Remove jobs that haven't run yet
+// ============================================
+// Accepts a key, or a RegExp to cancel every job whose key matches
+
+const cancel = async (keyOrPattern) => {
+  const result = await Job.deleteMany({
+    key: keyOrPattern,
+    status: { $ne: 'running' }
+  });
+
+  return result.deletedCount;
+};
+
+// ============================================
+// createScheduler(options) - Create a job runner
+// ============================================
+// options.now:          function returning the current Date (default: real time)
+// options.pollInterval: how often start() checks for due jobs, in ms
+// options.lockTimeout:  when a claimed job is considered abandoned, in ms
+// options.maxAttempts:  how many times a failing job is tried
+// options.retryDelay:   base delay before retrying a failed job, in ms
+
+const createScheduler = (options = {}) => {
+  const { now = () => new Date(), pollInterval, lockTimeout, maxAttempts, retryDelay } = {
+    ...DEFAULTS,
+    ...options
+  };
+
+  const handlers = new Map();
+  let timer = null;
+  let running = false;
+
+  // Register the function that runs jobs with this name
+  const define = (name, handler) => {
+    handlers.set(name, handler);
+  };
+
+  // Atomically claim one due job, so two servers never run the same job
+  // Also reclaims jobs whose worker crashed while running them
+  const claimNext = () => {
+    const currentTime = now();
+
+    return Job.findOneAndUpdate(
+      {
+        name: { $in: [...handlers.keys()] },
+        $or: [
+          { status: 'pending', runAt: { $lte: currentTime } },
+          { status: 'running', lockedAt: { $lte: new Date(currentTime.getTime() - lockTimeout) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedAt: currentTime },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  };
+
+  // Run one claimed job and record the outcome
+  const runJob = async (job) => {
+    try {
+      await handlers.get(job.name)(job.data, job);
+
+      // Only delete the job if nobody re-scheduled it while it was running
+      await Job.deleteOne({ _id: job._id, status: 'running', lockedAt: job.lockedAt });
+      return true;
+
+    } catch (error) {
+      const failed = job.attempts >= maxAttempts;
+
+      await Job.updateOne({ _id: job._id, status: 'running' }, {
+        $set: {
+          status: failed ? 'failed' : 'pending',
+          runAt: new Date(now().getTime() + retryDelay * job.attempts * job.attempts),
+          lockedAt: null,
+          lastError: error.message
+        }
+      });
+      return false;
+    }
+  };
+
+  // Run every job that is due right now, one after another
+  // Returns how many jobs ran successfully
+  const runDue = async () => {
+    let completed = 0;
+    let job = await claimNext();
+
+    while (job) {
+      if (await runJob(job)) {
+        completed++;
+      }
+      job = await claimNext();
+    }
+
+    return completed;
+  };
+
+  // Poll for due jobs in the background
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    const tick = async () => {
+      // Skip this tick if the previous run is still going
+      if (!running) {
+        running = true;
+        try {
+          await runDue();
+        } catch (error) {
+          console.error('❌ Scheduler error:', error.message);
+        } finally {
+          running = false;
+        }
+      }
+    };
+
+    timer = setInterval(tick, pollInterval);
+    timer.unref();   // Don't keep the process alive just for the scheduler
+    tick();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    define,
+    runDue,
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  schedule,
+  cancel,
+  createScheduler
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// ATOMIC CLAIMING:
+// - findOneAndUpdate finds a document and changes it in a single operation
+// - If two servers poll at the same time, only one of them gets each job
+// - Reading the job first and updating it afterwards would allow both to run it
+//
+// CRASH RECOVERY:
+// - A job stays 'running' if the server dies halfway through
+// - After lockTimeout another poll claims it again
+// - So handlers should be safe to run twice (idempotent)
+//
+// RETRIES WITH BACKOFF:
+// - A failing job is retried after 1, 4, 9, 16 minutes (attempts squared)
+// - This avoids hammering a broken dependency
+// - After maxAttempts it is marked 'failed' and kept for inspection
+//
+// DEPENDENCY INJECTION (the `now` option):
+// - The scheduler asks now() for the time instead of calling new Date() itself
+// - Tests pass a fake clock and jump forward in time instantly
+//
+// timer.unref():
+// - Normally an active interval keeps Node running
+// - unref() lets the process exit if the interval is the only thing left
@@ -0,0 +1,75 @@
+// ============================================
+// GRIDFS STORAGE - FILES IN MONGODB
+// ============================================
+// Stores files in the app's own database, using GridFS: each file is split
+// into chunks of 255 KB kept in <bucket>.chunks, with one document per file
+// in <bucket>.files. The key is the file's name there.
+//
+// Needs nothing but the MONGODB_URL the app already has, which makes it
+// the easy choice for hosts with no lasting disk (Render, Vercel).
+
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// ============================================
+// createGridFSStorage(options) - Create the driver
+// ============================================
+// options.bucketName: collection prefix (default "uploads")
+// options.connection: the Mongoose connection (default the app's)
+
+const createGridFSStorage = ({ bucketName = 'uploads', connection = mongoose.connection } = {}) => {
+  let bucket = null;
+  let bucketDb = null;
+
+  // The connection's database only exists once it has connected, and is a
+  // new object after a reconnect, so the bucket is made when first needed
+  const getBucket = () => {
+    if (!connection.db) {
+      throw new Error('GridFS storage needs a database connection');
+    }
+    if (bucketDb !== connection.db) {
+      bucket = new mongoose.mongo.GridFSBucket(connection.db, { bucketName });
+      bucketDb = connection.db;
+    }
+    return bucket;
+  };
+
+  const findFiles = (key) => {
+    return getBucket().find({ filename: key }).sort({ uploadDate: -1 }).toArray();
+  };
+
+  const save = async (key, data, { contentType } = {}) => {
+    const previous = await findFiles(key);
+
+    await pipeline(
+      Readable.from([data]),
+      getBucket().openUploadStream(key, { metadata: { contentType } })
+    );
+
+    // Saving a key again replaces it
+    await Promise.all(previous.map((file) => getBucket().delete(file._id)));
+  };
+
+  const read = async (key) => {
+    const [file] = await findFiles(key);
+    if (!file) {
+      return null;
+    }
+    return getBucket().openDownloadStream(file._id);
+  };
+
+  const remove = async (key) => {
+    const files = await findFiles(key);
+    await Promise.all(files.map((file) => getBucket().delete(file._id)));
+    return files.length > 0;
+  };
+
+  const exists = async (key) => {
+    return (await findFiles(key)).length > 0;
+  };
+
+  return { name: 'gridfs', save, read, remove, exists };
+};
+
+module.exports = { createGridFSStorage };
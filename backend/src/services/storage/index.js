@@ -0,0 +1,90 @@
+// ============================================
+// FILE STORAGE - WHERE UPLOADED FILES ARE KEPT
+// ============================================
+// Avatars and task attachments are saved through this module, so where the
+// bytes end up is a setting rather than something each route knows about.
+//
+// STORAGE_DRIVER chooses the driver:
+//   local  - a directory on this server (default; UPLOADS_DIR, default backend/uploads)
+//   gridfs - the app's MongoDB database (GRIDFS_BUCKET, default "uploads")
+//   s3     - an S3-compatible bucket (S3_BUCKET, S3_ACCESS_KEY_ID,
+//            S3_SECRET_ACCESS_KEY, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE)
+//
+// Every driver has a name ("local", "gridfs" or "s3") and the same four
+// functions. Keys are paths like
+// "avatars/<file name>" or "attachments/<file name>".
+//   await storage.save(key, buffer, { contentType })  - store (or replace) a file
+//   await storage.read(key)    - a readable stream of the file, or null if there's none
+//   await storage.remove(key)  - delete a file; true if it was there
+//   await storage.exists(key)  - whether there's a file
+
+const { createLocalStorage } = require('./local');
+const { createGridFSStorage } = require('./gridfs');
+const { createS3Storage } = require('./s3');
+
+// ============================================
+// createStorage(env) - Create the driver a configuration asks for
+// ============================================
+const createStorage = (env = process.env) => {
+  const driver = (env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({ root: env.UPLOADS_DIR || undefined });
+
+    case 'gridfs':
+      return createGridFSStorage({ bucketName: env.GRIDFS_BUCKET || undefined });
+
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        region: env.S3_REGION || undefined,
+        endpoint: env.S3_ENDPOINT || undefined,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : undefined
+      });
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}" (use local, gridfs or s3)`);
+  }
+};
+
+// ============================================
+// getStorage() - The app's storage, as configured by the environment
+// ============================================
+// Created on first use - index.js asks for it at startup, so a bad
+// configuration stops the server instead of failing the first upload
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  getStorage
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY NOT JUST WRITE TO DISK:
+// - Hosts like Render and Vercel give each deploy (Vercel: each function
+//   instance) a fresh, temporary disk, so files written there disappear
+// - Keeping files in the database or an object store makes them outlive
+//   the server that received them
+//
+// ONE INTERFACE, SEVERAL DRIVERS:
+// - Routes call save/read/remove/exists and never see a path or a bucket
+// - A new place to keep files is a new driver with those four functions,
+//   and a case in createStorage
+//
+// STREAMS FOR READING:
+// - read() returns a stream so a download is piped to the response as it
+//   arrives, instead of being held in memory first
@@ -0,0 +1,74 @@
+// ============================================
+// LOCAL STORAGE - FILES IN A DIRECTORY ON THIS SERVER
+// ============================================
+// The default driver. A key like "avatars/abc.png" is the file
+// <root>/avatars/abc.png, so files uploaded before drivers existed are
+// still found where they always were.
+//
+// Only suitable when the disk outlives the server: a Docker volume, a VM.
+// On hosts that start each deploy (or request) with a fresh disk, use the
+// gridfs or s3 driver instead.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '../../../uploads');
+
+// ============================================
+// createLocalStorage(options) - Create the driver
+// ============================================
+// options.root: the directory files are stored under (default backend/uploads)
+
+const createLocalStorage = ({ root = DEFAULT_ROOT } = {}) => {
+  const base = path.resolve(root);
+
+  // The file a key is stored in - never outside the root directory
+  const resolve = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const save = async (key, data) => {
+    const filePath = resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+  };
+
+  const read = async (key) => {
+    const filePath = resolve(key);
+    if (!await exists(key)) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const exists = async (key) => {
+    try {
+      return (await fs.promises.stat(resolve(key))).isFile();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  return { name: 'local', save, read, remove, exists };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,166 @@
+// ============================================
+// S3 STORAGE - FILES IN AN S3-COMPATIBLE BUCKET
+// ============================================
+// Works with Amazon S3 and anything that speaks its API: MinIO,
+// Cloudflare R2, Backblaze B2, DigitalOcean Spaces, ...
+// The key is the object's name in the bucket.
+//
+// Requests are signed with AWS Signature Version 4 (signRequest below),
+// so no SDK is needed - just fetch.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Percent-encode each part of a key, as S3 expects (RFC 3986: even !'()*)
+const encodeKey = (key) => {
+  return key.split('/').map((part) => {
+    return encodeURIComponent(part).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }).join('/');
+};
+
+// ============================================
+// signRequest(request, credentials) - Sign with AWS Signature Version 4
+// ============================================
+// request:     { method, url (a URL), headers, payloadHash, date (a Date) }
+// credentials: { accessKeyId, secretAccessKey, region }
+// Returns the headers to send: the given ones plus x-amz-date,
+// x-amz-content-sha256 and Authorization. Host is signed too, but left for
+// fetch to send.
+// https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html
+
+const signRequest = ({ method, url, headers = {}, payloadHash, date }, { accessKeyId, secretAccessKey, region }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');  // 20260101T120000Z
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',                    // No query string - only plain object requests are made
+    names.map((name) => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const { host, ...toSend } = signed;
+  return {
+    ...toSend,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+// ============================================
+// createS3Storage(options) - Create the driver
+// ============================================
+// options.bucket:          bucket name (required)
+// options.accessKeyId:     access key (required)
+// options.secretAccessKey: secret key (required)
+// options.region:          region (default us-east-1)
+// options.endpoint:        server URL, for S3-compatible services
+//                          (default https://s3.<region>.amazonaws.com)
+// options.forcePathStyle:  address the bucket as <endpoint>/<bucket>/<key>
+//                          rather than <bucket>.<endpoint host>/<key>
+//                          (default: true when an endpoint is given, as
+//                          MinIO and most stand-ins need it)
+// options.now:             function returning the current Date (for tests)
+
+const createS3Storage = ({
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  region = 'us-east-1',
+  endpoint,
+  forcePathStyle = Boolean(endpoint),
+  now = () => new Date()
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  const objectUrl = (key) => {
+    const url = new URL(base);
+    const prefix = base.pathname.replace(/\/$/, '');
+    if (forcePathStyle) {
+      url.pathname = `${prefix}/${bucket}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${bucket}.${base.hostname}`;
+      url.pathname = `${prefix}/${encodeKey(key)}`;
+    }
+    return url;
+  };
+
+  const send = async (method, key, { body, headers } = {}) => {
+    const url = objectUrl(key);
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: sha256(body || ''),
+      date: now()
+    }, credentials);
+
+    return fetch(url, { method, headers: signedHeaders, body });
+  };
+
+  // Anything but the expected statuses is a failure of the storage service
+  const check = async (response, method, key, expected) => {
+    if (!expected.includes(response.status)) {
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+  };
+
+  const save = async (key, data, { contentType = 'application/octet-stream' } = {}) => {
+    const response = await send('PUT', key, { body: data, headers: { 'Content-Type': contentType } });
+    await check(response, 'PUT', key, [200]);
+  };
+
+  const read = async (key) => {
+    const response = await send('GET', key);
+    if (response.status === 404) {
+      return null;
+    }
+    await check(response, 'GET', key, [200]);
+    return Readable.fromWeb(response.body);
+  };
+
+  // S3 answers 204 whether or not the object was there, so ask first
+  const remove = async (key) => {
+    const existed = await exists(key);
+    const response = await send('DELETE', key);
+    await check(response, 'DELETE', key, [200, 204, 404]);
+    return existed;
+  };
+
+  const exists = async (key) => {
+    const response = await send('HEAD', key);
+    if (response.status === 404) {
+      return false;
+    }
+    await check(response, 'HEAD', key, [200]);
+    return true;
+  };
+
+  return { name: 's3', save, read, remove, exists };
+};
+
+module.exports = { createS3Storage, signRequest };
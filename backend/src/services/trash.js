@@ -0,0 +1,87 @@
+// ============================================
+// TRASH PURGE
+// ============================================
+// Deleted tasks stay in the trash for TRASH_RETENTION_DAYS (default 30),
+// then a daily job deletes them for good.
+//
+// There is a single job, keyed 'trash-purge'. Each run schedules the next
+// one, and startTrashPurge() (called from index.js) makes sure it exists.
+
+const mongoose = require('mongoose');
+const { schedule } = require('./scheduler');
+
+const TRASH_PURGE_JOB = 'trash-purge';
+const TRASH_PURGE_KEY = 'trash-purge';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 24 * 60 * 60 * 1000;   // Once a day
+
+// Days a task stays in the trash, from the environment
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// ============================================
+// purgeExpiredTrash(now) - Delete tasks trashed too long ago
+// ============================================
+// Returns how many tasks were deleted
+
+const purgeExpiredTrash = (now = new Date()) => {
+  // Looked up lazily because the Task model requires the services folder
+  const Task = mongoose.model('Task');
+  const cutoff = new Date(now.getTime() - getRetentionDays() * 24 * 60 * 60 * 1000);
+
+  return Task.purgeTrash({ deletedAt: { $lte: cutoff } });
+};
+
+// ============================================
+// startTrashPurge(runAt) - Make sure the daily job is scheduled
+// ============================================
+const startTrashPurge = (runAt = new Date()) => {
+  return schedule(TRASH_PURGE_JOB, runAt, {}, { key: TRASH_PURGE_KEY });
+};
+
+// ============================================
+// runTrashPurge(data, job) - Job handler
+// ============================================
+const runTrashPurge = async (data, job) => {
+  const purged = await purgeExpiredTrash(job.lockedAt);
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} task${purged === 1 ? '' : 's'} from the trash`);
+  }
+
+  // Same key, so this replaces the running job instead of adding one
+  await startTrashPurge(new Date(job.lockedAt.getTime() + PURGE_INTERVAL));
+};
+
+// ============================================
+// registerTrashJobs(scheduler) - Let a scheduler run the purge job
+// ============================================
+const registerTrashJobs = (scheduler) => {
+  scheduler.define(TRASH_PURGE_JOB, runTrashPurge);
+};
+
+module.exports = {
+  TRASH_PURGE_JOB,
+  getRetentionDays,
+  purgeExpiredTrash,
+  startTrashPurge,
+  registerTrashJobs
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY NOT A TTL INDEX?
+// - MongoDB can delete documents by itself when a date field gets old enough
+// - But it deletes them directly in the database, so no Mongoose hooks run:
+//   no tombstones for syncing clients, no live updates, no job cleanup
+// - Changing the retention period would also mean rebuilding the index
+//
+// A JOB THAT SCHEDULES ITSELF:
+// - The scheduler only runs each job once
+// - For something repeating, the handler schedules the next run before finishing
+// - The scheduler sees the job was re-scheduled and doesn't delete it
@@ -0,0 +1,108 @@
+// ============================================
+// ETAGS - TASK VERSIONS OVER HTTP
+// ============================================
+// Every change to a task gives it a new syncSeq (see models/Task.js), so
+// syncSeq doubles as the task's version. Its ETag is that number in quotes:
+//
+//   ETag: "42"
+//
+// A client that wants to change the task only if nobody else has since it
+// loaded it sends the ETag back:
+//
+//   PATCH /tasks/:id
+//   If-Match: "42"
+//
+// and gets 412 Precondition Failed (with the current task) if the task has
+// moved on. syncSeq is in every task's JSON, so a client holding a task from
+// a list can build the header without fetching the task again.
+//
+// The other way round, a client that already has a response sends its ETag
+// in If-None-Match, and gets an empty 304 Not Modified if nothing changed.
+
+const crypto = require('crypto');
+
+// ============================================
+// taskETag(task) - The ETag for a task's current version
+// ============================================
+// Tasks saved before syncSeq existed count as version 0
+const taskETag = (task) => `"${task.syncSeq || 0}"`;
+
+// ============================================
+// listETag(owner, query, tasks, total) - The ETag for a page of tasks
+// ============================================
+// The same tasks, at the same versions, with the same total, for the same
+// user and query string always make the same response. Hashing those
+// (rather than the whole response) keeps the ETag short and cheap.
+
+const listETag = (owner, query, tasks, total) => {
+  const versions = tasks.map((task) => [String(task._id), task.syncSeq || 0]);
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify([String(owner), query, versions, total]))
+    .digest('base64url');
+
+  return `"${hash}"`;
+};
+
+// ============================================
+// ifMatchAllows(header, etag) - Does If-Match allow changing this version?
+// ============================================
+// No header: no condition. "*": any version. Otherwise a comma-separated
+// list of ETags, one of which must be the current one. If-Match compares
+// strongly, so weak ETags (W/"42") never match.
+
+const ifMatchAllows = (header, etag) => {
+  if (header === undefined) {
+    return true;
+  }
+
+  const etags = header.split(',').map((value) => value.trim());
+  return etags.includes('*') || etags.includes(etag);
+};
+
+// ============================================
+// versionFilter(task) - Match a task only at the version that was read
+// ============================================
+// Set as task.$where before save(), so the save fails (DocumentNotFoundError)
+// if another request changed the task in between. Tasks saved before syncSeq
+// existed have no syncSeq field at all, which null matches.
+
+const versionFilter = (task) => ({ syncSeq: task.syncSeq || { $in: [0, null] } });
+
+module.exports = {
+  taskETag,
+  listETag,
+  ifMatchAllows,
+  versionFilter
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// OPTIMISTIC CONCURRENCY:
+// - "Optimistic" because nothing is locked while a user edits: two tabs can
+//   both open the editor, and the second save is simply refused
+// - The refused client gets the current copy and decides what to do
+//   (merge its change into it, or overwrite it)
+// - Without it, the last save wins and the first one is silently lost
+// - Comparing the ETag when the request arrives isn't enough on its own: two
+//   requests can both pass the check before either saves. The save itself
+//   is conditional too (versionFilter), so only one of them can win
+//
+// WHY QUOTES?
+// - HTTP defines an ETag as a quoted string, e.g. "42" - the quotes are part
+//   of the value, and W/ in front marks a weak ETag
+//
+// CONDITIONAL GET (304 NOT MODIFIED):
+// - The route sets ETag (and Last-Modified) first, then checks req.fresh,
+//   which is Express comparing them with If-None-Match / If-Modified-Since
+// - 304 has no body: the client reuses the copy it already has
+// - Cache-Control: private, no-cache lets the browser keep a copy, but only
+//   for this user, and only after checking with the server each time
+// - Last-Modified is only to the second, so the ETag is the one to trust:
+//   when a request has both, a matching If-Modified-Since alone isn't enough
+//
+// 412 VS 409:
+// - 412 Precondition Failed means "a condition in your headers (If-Match)
+//   was false" - exactly what happened
+// - 409 Conflict is for conflicts the client couldn't have said up front
@@ -0,0 +1,67 @@
+// ============================================
+// @MENTIONS IN COMMENTS
+// ============================================
+// A comment can mention people by writing @ and a name:
+//
+//   @sam can you check the numbers?   (first name)
+//   @samlee                           (full name without spaces)
+//   @sam.lee                          (the part of their email before the @)
+//
+// Names are matched without regard to case. Only the people given to
+// resolveMentions can be mentioned - the people who can see the task -
+// so a mention never tells anyone else that the task exists.
+
+// @ at the start or after a space/punctuation, so name@example.com isn't one
+const MENTION_PATTERN = /(^|[^\w@.])@([a-zA-Z0-9][\w.-]*)/g;
+
+// ============================================
+// parseMentions(text) - The names mentioned in a text
+// ============================================
+// Lowercase, each name once, in order: "@Sam and @sam." -> ['sam']
+
+const parseMentions = (text) => {
+  const handles = [];
+
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    // A sentence can end right after a name: "thanks @sam."
+    const handle = match[2].replace(/[.-]+$/, '').toLowerCase();
+
+    if (handle && !handles.includes(handle)) {
+      handles.push(handle);
+    }
+  }
+
+  return handles;
+};
+
+// ============================================
+// mentionHandles(user) - The names a user can be mentioned by
+// ============================================
+const mentionHandles = (user) => {
+  const name = String(user.name || '').toLowerCase().trim();
+  const handles = [
+    name.split(/\s+/)[0],
+    name.replace(/\s+/g, ''),
+    String(user.email || '').toLowerCase().split('@')[0]
+  ];
+
+  return [...new Set(handles.filter((handle) => handle.length > 0))];
+};
+
+// ============================================
+// resolveMentions(text, users) - The users a text mentions
+// ============================================
+// users: the people who may be mentioned. A name several of them share
+// (two people called Sam) mentions all of them.
+
+const resolveMentions = (text, users) => {
+  const handles = parseMentions(text);
+
+  return users.filter((user) => mentionHandles(user).some((handle) => handles.includes(handle)));
+};
+
+module.exports = {
+  parseMentions,
+  mentionHandles,
+  resolveMentions
+};
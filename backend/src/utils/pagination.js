@@ -0,0 +1,165 @@
+// ============================================
+// CURSOR PAGINATION
+// ============================================
+// Pages through a sorted list by remembering where the last page ended,
+// instead of counting how many items to skip:
+//
+//   GET /tasks?limit=50                   first page
+//   GET /tasks?limit=50&after=<cursor>    the 50 after it
+//
+// The cursor is the last item's sort values (e.g. its due date and _id),
+// packed into an opaque string. The next page is "everything sorted after
+// those values", so tasks added or deleted meanwhile never make a page
+// repeat or miss an item the way skip can.
+
+const mongoose = require('mongoose');
+
+// ============================================
+// Cursor encoding
+// ============================================
+// JSON can't tell a date or an ObjectId from a string, so those are tagged
+
+const toCursorValue = (value) => {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return value === undefined ? null : value;
+};
+
+const fromCursorValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  if (typeof value === 'object' && typeof value.d === 'string' && !Number.isNaN(Date.parse(value.d))) {
+    return new Date(value.d);
+  }
+  if (typeof value === 'object' && mongoose.isValidObjectId(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw new Error('Invalid cursor');
+};
+
+// The sort as a string, e.g. 'dueDate:1,_id:1' - a cursor only makes
+// sense for the sort it was made with
+const describeSort = (sort) => Object.entries(sort).map(([key, direction]) => `${key}:${direction}`).join(',');
+
+// ============================================
+// encodeCursor(doc, sort) - Cursor pointing just after doc
+// ============================================
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map((key) => toCursorValue(doc.get(key)));
+  return Buffer.from(JSON.stringify({ s: describeSort(sort), v: values })).toString('base64url');
+};
+
+// ============================================
+// decodeCursor(cursor, sort) - The sort values a cursor points after
+// ============================================
+// Throws an Error if the cursor is malformed or was made for another sort.
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.v)) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.s !== describeSort(sort)) {
+    throw new Error('Cursor was made for a different sortBy');
+  }
+  if (decoded.v.length !== Object.keys(sort).length) {
+    throw new Error('Invalid cursor');
+  }
+
+  return decoded.v.map(fromCursorValue);
+};
+
+// ============================================
+// cursorFilter(sort, values) - Filter for the items after the cursor
+// ============================================
+// For sort { dueDate: 1, _id: 1 } and values [D, I] that's:
+//   dueDate > D  OR  (dueDate = D AND _id > I)
+// MongoDB sorts null before every other value, which needs its own cases:
+// after a null comes any non-null value (ascending) and, when descending,
+// nulls come after every real value.
+
+const afterCondition = (key, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [key]: { $ne: null } } : null;
+  }
+  if (direction === 1) {
+    return { [key]: { $gt: value } };
+  }
+  return { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+const cursorFilter = (sort, values) => {
+  const keys = Object.keys(sort);
+
+  const branches = keys
+    .map((key, index) => {
+      const after = afterCondition(key, sort[key], values[index]);
+      if (!after) {
+        return null;
+      }
+
+      // Every earlier sort key equal to the cursor's
+      const equal = Object.fromEntries(keys.slice(0, index).map((earlierKey, i) => [earlierKey, values[i]]));
+      return { ...equal, ...after };
+    })
+    .filter((branch) => branch !== null);
+
+  return { $or: branches };
+};
+
+// ============================================
+// nextPageLink(req, cursor) - Link header value for the next page
+// ============================================
+// A reference with only a query string is resolved against the request's
+// own URL, so it stays right behind a proxy that serves the API under /api
+
+const nextPageLink = (req, cursor) => {
+  const params = new URLSearchParams();
+
+  Object.entries(req.query).forEach(([key, value]) => {
+    if (key !== 'after' && key !== 'skip') {
+      [].concat(value).forEach((item) => params.append(key, item));
+    }
+  });
+  params.append('after', cursor);
+
+  return `<?${params.toString()}>; rel="next"`;
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  nextPageLink
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY NOT SKIP?
+// - skip=1000 makes MongoDB walk past 1000 documents on every request
+// - If a task is added on page 1 while you read page 2, skip shifts
+//   everything by one and page 3 repeats an item (or misses one on delete)
+// - A cursor filter ("after these values") can use an index to jump
+//   straight to the right place, and doesn't care what changed before it
+//
+// WHY _id IN EVERY SORT?
+// - Many tasks can share a due date. Without a unique last key, "after
+//   this due date" would skip the rest of the tasks with the same date
+//
+// OPAQUE CURSORS:
+// - Clients should pass the cursor back untouched, not build their own,
+//   so the format can change later. base64url keeps it URL-safe
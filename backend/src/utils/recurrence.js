@@ -0,0 +1,167 @@
+// ============================================
+// RECURRENCE RULES - NEXT OCCURRENCE CALCULATION
+// ============================================
+// Works out when the next instance of a repeating task is due
+// The rules follow iCalendar RRULE semantics (RFC 5545), limited to:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (weekly),
+//   BYMONTHDAY (monthly), UNTIL and COUNT
+// All calculations are done in UTC so results don't depend on the server's timezone
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// RRULE weekday codes, indexed like Date.getUTCDay() (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of days in a month (month is 0-based, like Date)
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+};
+
+// Build a UTC date on the given day, keeping the time of day from `time`
+const atTimeOf = (year, month, day, time) => {
+  return new Date(Date.UTC(
+    year, month, day,
+    time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds(), time.getUTCMilliseconds()
+  ));
+};
+
+// Resolve BYMONTHDAY for a month: negative values count from the end (-1 = last day)
+// Returns null when the month doesn't have that day (e.g. the 31st in April)
+const resolveMonthDay = (year, month, monthDay) => {
+  const length = daysInMonth(year, month);
+  const day = monthDay < 0 ? length + monthDay + 1 : monthDay;
+  return day >= 1 && day <= length ? day : null;
+};
+
+// Sort weekday codes Monday-first (RRULE's default week start, WKST=MO)
+const weekdayOrder = (code) => (WEEKDAYS.indexOf(code) + 6) % 7;
+
+// ============================================
+// NEXT DATE BY FREQUENCY
+// ============================================
+
+const nextDaily = (rule, start) => {
+  return new Date(start.getTime() + rule.interval * DAY_MS);
+};
+
+const nextWeekly = (rule, start) => {
+  // Default to the start's own weekday, like RRULE does without BYDAY
+  const days = (rule.byWeekday && rule.byWeekday.length > 0)
+    ? [...new Set(rule.byWeekday)].sort((a, b) => weekdayOrder(a) - weekdayOrder(b))
+    : [WEEKDAYS[start.getUTCDay()]];
+
+  const startOffset = weekdayOrder(WEEKDAYS[start.getUTCDay()]);
+
+  // Another matching day later in the same week?
+  const laterThisWeek = days.find((code) => weekdayOrder(code) > startOffset);
+  if (laterThisWeek) {
+    return new Date(start.getTime() + (weekdayOrder(laterThisWeek) - startOffset) * DAY_MS);
+  }
+
+  // Otherwise the first matching day, `interval` weeks after this week's Monday
+  const weekStart = start.getTime() - startOffset * DAY_MS;
+  return new Date(weekStart + (rule.interval * 7 + weekdayOrder(days[0])) * DAY_MS);
+};
+
+const nextMonthly = (rule, start) => {
+  const monthDay = rule.byMonthDay || start.getUTCDate();
+
+  // Same month, later day?
+  const sameMonthDay = resolveMonthDay(start.getUTCFullYear(), start.getUTCMonth(), monthDay);
+  if (sameMonthDay && sameMonthDay > start.getUTCDate()) {
+    return atTimeOf(start.getUTCFullYear(), start.getUTCMonth(), sameMonthDay, start);
+  }
+
+  // Step forward `interval` months at a time, skipping months without that day
+  // (RRULE skips invalid dates rather than moving them). 4 years covers every case.
+  for (let step = 1; step <= 48; step++) {
+    const monthIndex = start.getUTCMonth() + step * rule.interval;
+    const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+    const day = resolveMonthDay(year, month, monthDay);
+
+    if (day) {
+      return atTimeOf(year, month, day, start);
+    }
+  }
+
+  return null;
+};
+
+const nextYearly = (rule, start) => {
+  // Feb 29 only exists in leap years, so keep stepping until it fits
+  for (let step = 1; step <= 8; step++) {
+    const year = start.getUTCFullYear() + step * rule.interval;
+    if (resolveMonthDay(year, start.getUTCMonth(), start.getUTCDate())) {
+      return atTimeOf(year, start.getUTCMonth(), start.getUTCDate(), start);
+    }
+  }
+
+  return null;
+};
+
+const NEXT_BY_FREQUENCY = {
+  daily: nextDaily,
+  weekly: nextWeekly,
+  monthly: nextMonthly,
+  yearly: nextYearly
+};
+
+// ============================================
+// getNextOccurrence(rule, start)
+// ============================================
+// rule:  { frequency, interval, byWeekday, byMonthDay, until, count, occurrence }
+//        occurrence is which instance `start` is (1 = the first one)
+// start: the due date of the current instance (RRULE's DTSTART for this step)
+// Returns the next due date, or null when the series has ended
+
+const getNextOccurrence = (rule, start) => {
+  if (!rule || !FREQUENCIES.includes(rule.frequency)) {
+    return null;
+  }
+
+  const normalizedRule = {
+    ...rule,
+    interval: Math.max(1, parseInt(rule.interval) || 1)
+  };
+
+  // COUNT limits the total number of instances in the series
+  if (rule.count && (rule.occurrence || 1) >= rule.count) {
+    return null;
+  }
+
+  const next = NEXT_BY_FREQUENCY[rule.frequency](normalizedRule, new Date(start));
+
+  // UNTIL is inclusive: an occurrence exactly on the until date still counts
+  if (!next || (rule.until && next.getTime() > new Date(rule.until).getTime())) {
+    return null;
+  }
+
+  return next;
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  getNextOccurrence
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// RRULE (iCalendar recurrence rules):
+// - The standard used by Google Calendar, Outlook, etc.
+// - FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE = every other week on Monday and Wednesday
+// - BYMONTHDAY=-1 means the last day of the month
+// - UNTIL=<date> stops the series after that date, COUNT=<n> after n instances
+//
+// WHY UTC?
+// - new Date(...).getDate() uses the server's local timezone
+// - getUTCDate() and Date.UTC() always use UTC, so results are the same everywhere
+//
+// PURE FUNCTIONS:
+// - getNextOccurrence only depends on its arguments and has no side effects
+// - That makes it easy to unit test without a database
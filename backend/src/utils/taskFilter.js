@@ -0,0 +1,64 @@
+// ============================================
+// TASK FILTERS - QUERY PARAMETERS TO MONGODB FILTER
+// ============================================
+// Turns list filters into a MongoDB filter. Shared by GET /tasks (query string)
+// and POST /tasks/bulk (JSON body), so "the tasks I'm looking at" means the
+// same thing in both.
+//
+// Accepted filters:
+//   completed: true | false          (or the strings 'true' / 'false')
+//   project:   '<projectId>' | 'inbox'
+//   tags:      ['work', 'urgent']    (or 'work,urgent')
+//   tagMode:   'all' (default) | 'any'
+//   q:         'priority:high -completed ...'  (see utils/taskQuery.js)
+
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+const { parseTaskQuery } = require('./taskQuery');
+
+// ============================================
+// buildTaskFilter(filters) - Build the MongoDB filter
+// ============================================
+// Throws an Error saying what's wrong if a filter is invalid (e.g. a
+// malformed project ID or query). Tasks in the trash are never included.
+// The caller adds the owner.
+
+const buildTaskFilter = (filters = {}) => {
+  const match = { deletedAt: null };
+
+  // Query strings are always strings, JSON bodies may have a real boolean
+  if (filters.completed !== undefined && filters.completed !== '') {
+    match.completed = String(filters.completed) === 'true';
+  }
+
+  // 'inbox' means tasks that aren't in any project
+  if (filters.project === 'inbox') {
+    match.project = null;
+  } else if (filters.project) {
+    if (!mongoose.isValidObjectId(filters.project)) {
+      throw new Error('Invalid project');
+    }
+    match.project = filters.project;
+  }
+
+  // Accepts 'a,b' as well as ['a', 'b'] (repeated ?tags=a&tags=b)
+  if (filters.tags) {
+    const tagNames = [].concat(filters.tags)
+      .flatMap((value) => String(value).split(','))
+      .map((name) => Tag.normalizeName(name))
+      .filter((name) => name.length > 0);
+
+    if (tagNames.length > 0) {
+      match.tags = filters.tagMode === 'any'
+        ? { $in: tagNames }
+        : { $all: tagNames };   // Default mode is 'all'
+    }
+  }
+
+  // The query language adds its own { $and: [...] } of conditions
+  return { ...match, ...parseTaskQuery(filters.q) };
+};
+
+module.exports = {
+  buildTaskFilter
+};
@@ -0,0 +1,401 @@
+// ============================================
+// TASK QUERY LANGUAGE - ?q= AND ?sortBy= FOR GET /tasks
+// ============================================
+// Lets clients describe a list of tasks in one string:
+//
+//   GET /tasks?q=priority:high due:<2026-11-01 -completed tag:work created:>7d
+//
+// A query is a list of terms separated by spaces. Every term must match.
+//
+//   report                     description contains "report" (any case)
+//   "weekly report"            description contains the phrase
+//   completed                  completed tasks (-completed: not completed)
+//   overdue                    not completed and due before today
+//   recurring                  repeating tasks
+//   tag:work                   has the tag (tag:work,home - either of them)
+//   tag:none                   has no tags
+//   priority:high              priority:high,medium - either of them
+//   project:<projectId>        in the project (project:inbox - in none)
+//   completed:true | false
+//   due:<date> created:<date> updated:<date>
+//
+// Any term can be negated with "-": -tag:work, -"weekly report".
+// Quote a word to look for it in the description: "completed".
+//
+// Dates can be:
+//   2026-11-01                 that whole day (UTC)
+//   2026-11-01T09:00:00Z       that exact time
+//   today, tomorrow, yesterday (UTC days)
+//   today+7d, today-2w         the whole day that many days/weeks/months/
+//                              years from today
+//   7d, 12h, 2w, 3m, 1y        hours/days/weeks/months/years away from now -
+//                              in the future for due, in the past for
+//                              created and updated (+7d / -7d to choose)
+//   none, any                  no date / has a date
+// with a comparison in front (<, <=, >, >=; none means "on"), or as a
+// range: due:2026-11-01..2026-11-30. Comparisons go in time order, so
+// created:>7d is "created after 7 days ago" and due:<today is "due before
+// today".
+//
+// The query is turned into a MongoDB filter here. Clients never send
+// MongoDB operators, and text is matched literally.
+
+const mongoose = require('mongoose');
+const Tag = require('../models/Tag');
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_TERMS = 20;
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated values: "work,home" -> ['work', 'home']
+const splitList = (value) => value.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+
+// ============================================
+// Dates
+// ============================================
+// A date value becomes a span of time [start, end). A day is 24 hours long;
+// an exact time is 1 millisecond long, so <= and > still work.
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const daySpan = (start) => ({ start, end: new Date(start.getTime() + DAY_MS) });
+const instantSpan = (date) => ({ start: date, end: new Date(date.getTime() + 1) });
+
+// "7d" -> 7 days from now (or ago, if past is the default direction)
+const addRelative = (now, amount, unit) => {
+  const date = new Date(now);
+
+  switch (unit) {
+    case 'h':
+      date.setTime(date.getTime() + amount * HOUR_MS);
+      break;
+    case 'd':
+      date.setTime(date.getTime() + amount * DAY_MS);
+      break;
+    case 'w':
+      date.setTime(date.getTime() + amount * 7 * DAY_MS);
+      break;
+    case 'm':
+      date.setUTCMonth(date.getUTCMonth() + amount);
+      break;
+    case 'y':
+      date.setUTCFullYear(date.getUTCFullYear() + amount);
+      break;
+  }
+
+  return date;
+};
+
+const parseDate = (value, { now, future }) => {
+  const lower = value.toLowerCase();
+  const today = startOfDay(now);
+
+  if (lower === 'today') {
+    return daySpan(today);
+  }
+  if (lower === 'tomorrow') {
+    return daySpan(new Date(today.getTime() + DAY_MS));
+  }
+  if (lower === 'yesterday') {
+    return daySpan(new Date(today.getTime() - DAY_MS));
+  }
+
+  // Whole days, so a bound like due:<today+7d doesn't move during the day
+  const fromToday = lower.match(/^today([+-])(\d{1,4})([dwmy])$/);
+  if (fromToday) {
+    const [, sign, amount, unit] = fromToday;
+    return daySpan(addRelative(today, (sign === '+' ? 1 : -1) * Number(amount), unit));
+  }
+
+  const relative = lower.match(/^([+-]?)(\d{1,4})([hdwmy])$/);
+  if (relative) {
+    const [, sign, amount, unit] = relative;
+    const direction = sign ? (sign === '+' ? 1 : -1) : (future ? 1 : -1);
+    return instantSpan(addRelative(now, direction * Number(amount), unit));
+  }
+
+  // A calendar day, checked so 2026-02-31 isn't quietly read as March 3rd
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) {
+    const start = new Date(Date.UTC(Number(day[1]), Number(day[2]) - 1, Number(day[3])));
+    if (start.getUTCDate() === Number(day[3])) {
+      return daySpan(start);
+    }
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return instantSpan(new Date(value));
+  }
+
+  return null;
+};
+
+// due:<2026-11-01 -> { dueDate: { $lt: <2026-11-01T00:00Z> } }
+const dateCondition = (path, { future }) => (value, now) => {
+  if (value === 'none') {
+    return { [path]: null };
+  }
+  if (value === 'any') {
+    return { [path]: { $ne: null } };
+  }
+
+  const range = value.split('..');
+  if (range.length === 2) {
+    const from = parseDate(range[0], { now, future });
+    const to = parseDate(range[1], { now, future });
+    if (!from || !to) {
+      throw new Error(`Invalid date range "${value}"`);
+    }
+    return { [path]: { $gte: from.start, $lt: to.end } };
+  }
+
+  const [, operator, dateText] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+  const span = parseDate(dateText, { now, future });
+
+  if (!span) {
+    throw new Error(`Invalid date "${dateText}"`);
+  }
+
+  switch (operator) {
+    case '<':
+      return { [path]: { $lt: span.start } };
+    case '<=':
+      return { [path]: { $lt: span.end } };
+    case '>':
+      return { [path]: { $gte: span.end } };
+    case '>=':
+      return { [path]: { $gte: span.start } };
+    default:
+      return { [path]: { $gte: span.start, $lt: span.end } };
+  }
+};
+
+// ============================================
+// Terms
+// ============================================
+// Each field turns a value into a MongoDB condition, or throws an Error
+// saying what's wrong with it
+
+const FIELDS = {
+  tag: (value) => {
+    if (value === 'none') {
+      return { tags: { $size: 0 } };
+    }
+
+    const tagNames = splitList(value).map((name) => Tag.normalizeName(name));
+    if (tagNames.length === 0) {
+      throw new Error('tag: needs a tag name');
+    }
+    return { tags: { $in: tagNames } };
+  },
+
+  priority: (value) => {
+    const priorities = splitList(value.toLowerCase());
+    const invalid = priorities.find((priority) => !PRIORITIES.includes(priority));
+
+    if (priorities.length === 0 || invalid) {
+      throw new Error(`Invalid priority "${invalid || value}" (use ${PRIORITIES.join(', ')})`);
+    }
+    return { priority: { $in: priorities } };
+  },
+
+  project: (value) => {
+    if (value === 'inbox' || value === 'none') {
+      return { project: null };
+    }
+    if (!mongoose.isValidObjectId(value)) {
+      throw new Error('Invalid project');
+    }
+    return { project: new mongoose.Types.ObjectId(value) };
+  },
+
+  completed: (value) => {
+    if (value !== 'true' && value !== 'false') {
+      throw new Error('completed: must be true or false');
+    }
+    return { completed: value === 'true' };
+  },
+
+  due: dateCondition('dueDate', { future: true }),
+  created: dateCondition('createdAt', { future: false }),
+  updated: dateCondition('updatedAt', { future: false })
+};
+
+// Other names people are likely to type
+const FIELD_ALIASES = {
+  tags: 'tag',
+  dueDate: 'due',
+  createdAt: 'created',
+  updatedAt: 'updated'
+};
+
+// Words that stand for a filter on their own
+const FLAGS = {
+  completed: () => ({ completed: true }),
+  // Due dates are days (stored at midnight UTC) - a task is overdue once its
+  // day has passed, as in services/overdue.js
+  overdue: (now) => ({ completed: false, dueDate: { $lt: startOfDay(now) } }),
+  recurring: () => ({ recurrence: { $ne: null } })
+};
+
+const parseTerm = (term, now) => {
+  const [, negated, fieldName, rawValue] = term.match(/^(-?)(?:([a-zA-Z]+):)?(.*)$/s);
+  const quoted = rawValue.startsWith('"');
+  const value = rawValue.replace(/"/g, '').trim();
+
+  let condition;
+
+  if (fieldName) {
+    const field = FIELD_ALIASES[fieldName] || fieldName.toLowerCase();
+
+    if (!Object.hasOwn(FIELDS, field)) {
+      throw new Error(`Unknown filter "${fieldName}:" (quote it to search for the text)`);
+    }
+    if (!value) {
+      throw new Error(`${fieldName}: needs a value`);
+    }
+    condition = FIELDS[field](value, now);
+  } else if (!quoted && Object.hasOwn(FLAGS, value.toLowerCase())) {
+    condition = FLAGS[value.toLowerCase()](now);
+  } else if (value) {
+    condition = { description: { $regex: escapeRegExp(value), $options: 'i' } };
+  } else {
+    return null;   // A lone "-" or ""
+  }
+
+  return negated ? { $nor: [condition] } : condition;
+};
+
+// ============================================
+// parseTaskQuery(q, now) - Turn a query into a MongoDB filter
+// ============================================
+// Returns a filter to merge into the list filter ({} for an empty query).
+// Throws an Error describing the first invalid term.
+
+const parseTaskQuery = (q, now = new Date()) => {
+  if (q === undefined || q === null || q === '') {
+    return {};
+  }
+  if (typeof q !== 'string') {
+    throw new Error('q must be a string');
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Query is too long (at most ${MAX_QUERY_LENGTH} characters)`);
+  }
+
+  // Split on spaces, keeping quoted text together: tag:"a b" -"x y"
+  const terms = q.match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+
+  if (terms.length > MAX_TERMS) {
+    throw new Error(`Query has too many terms (at most ${MAX_TERMS})`);
+  }
+
+  const conditions = terms
+    .map((term) => parseTerm(term, now))
+    .filter((condition) => condition !== null);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// ============================================
+// parseSort(sortBy) - Turn ?sortBy= into a MongoDB sort
+// ============================================
+// sortBy is a comma-separated list of field:direction, applied in order:
+//   sortBy=dueDate:asc,createdAt:desc
+// direction is asc (default) or desc (priority:desc = high first).
+// Tasks without a due date come after the ones with one, either way.
+// Ties are broken by _id so the order is always the same.
+// Throws an Error for an unknown field or direction.
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  created: 'createdAt',
+  updatedAt: 'updatedAt',
+  updated: 'updatedAt',
+  dueDate: 'dueDate',
+  due: 'dueDate',
+  description: 'description',
+  completed: 'completed',
+  priority: 'priorityRank'     // low < medium < high, not alphabetical
+};
+
+const parseSort = (sortBy) => {
+  const sort = {};
+
+  if (sortBy === undefined || sortBy === '') {
+    return sort;
+  }
+  if (typeof sortBy !== 'string') {
+    throw new Error('sortBy must be a string');
+  }
+
+  for (const key of splitList(sortBy)) {
+    const [fieldName, direction = 'asc'] = key.split(':');
+
+    if (!Object.hasOwn(SORT_FIELDS, fieldName)) {
+      throw new Error(`Can't sort by "${fieldName}" (use ${Object.keys(SORT_FIELDS).join(', ')})`);
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error(`Invalid sort direction "${direction}" (use asc or desc)`);
+    }
+
+    const field = SORT_FIELDS[fieldName];
+
+    // MongoDB sorts a missing dueDate before every date - hasDueDate
+    // (true first) puts those tasks last instead
+    if (field === 'dueDate') {
+      sort.hasDueDate = -1;
+    }
+    sort[field] = direction === 'desc' ? -1 : 1;
+  }
+
+  sort._id = sort._id || 1;
+  return sort;
+};
+
+// ============================================
+// sortCollation(sort) - How to compare text for a parseSort sort
+// ============================================
+// Descriptions sort without regard to case ("apple" before "Banana"),
+// which needs a collation on the query. null when none is needed, so
+// other sorts can still be read from the indexes.
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const sortCollation = (sort) => (Object.hasOwn(sort, 'description') ? CASE_INSENSITIVE : null);
+
+module.exports = {
+  parseTaskQuery,
+  parseSort,
+  sortCollation
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// WHY NOT ACCEPT A MONGODB FILTER FROM THE CLIENT?
+// - ?filter={"$where": "..."} would let anyone run code or slow queries on
+//   the database, and { owner: ... } could reach other users' tasks
+// - A small language of our own can only ever produce filters we wrote,
+//   and it's easier to type into a URL
+//
+// $and / $nor:
+// - { $and: [a, b] } matches documents matching every condition - needed
+//   here because two terms may filter the same field (tag:a tag:b)
+// - { $nor: [a] } matches documents that don't match a - the "-" prefix
+//
+// ESCAPING USER TEXT IN $regex:
+// - "a.b" as a regex matches "aXb", and "(a+)+" can take forever to run
+// - escapeRegExp turns every special character into a literal one
+//
+// COLLATIONS:
+// - MongoDB compares strings byte by byte by default, so "Zebra" sorts
+//   before "apple" (capitals come first)
+// - A collation gives the language's rules; strength 2 ignores case but
+//   not accents. An index is only used for a query with the same collation.
@@ -0,0 +1,198 @@
+// ============================================
+// TEXT SEARCH - QUERY PARSING AND HIGHLIGHTS
+// ============================================
+// Helpers for GET /tasks/search, which uses MongoDB's text index.
+//
+// Search syntax (the same as MongoDB's $text):
+//   report budget        tasks with "report" OR "budget" (best matches first)
+//   "quarterly report"   tasks with that exact phrase
+//   report -draft        tasks with "report" but not "draft"
+//   -"first draft"       excluded phrase
+//
+// The query is parsed here and rebuilt, so only words, phrases and
+// exclusions reach MongoDB.
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 40;     // Characters of context on each side of a match
+const MAX_SUBTASK_HIGHLIGHTS = 3;
+
+// Quotes inside a phrase would end it early
+const cleanPhrase = (text) => text.replace(/"/g, ' ').trim().replace(/\s+/g, ' ');
+
+// ============================================
+// parseSearchQuery(q) - Split a search into words, phrases and exclusions
+// ============================================
+// Returns { terms, phrases, excluded, excludedPhrases, text } where text is the
+// rebuilt $search string, or null if there is nothing to look for
+// (MongoDB needs at least one word or phrase that isn't excluded).
+
+const parseSearchQuery = (q) => {
+  if (typeof q !== 'string') {
+    return null;
+  }
+
+  const search = { terms: [], phrases: [], excluded: [], excludedPhrases: [] };
+  const tokenPattern = /(-?)"([^"]*)"?|(\S+)/g;   // -"phrase", "phrase" (closing quote optional), word
+
+  for (const [, minus, phrase, word] of q.slice(0, MAX_QUERY_LENGTH).matchAll(tokenPattern)) {
+    if (phrase !== undefined) {
+      const text = cleanPhrase(phrase);
+      if (text) {
+        (minus ? search.excludedPhrases : search.phrases).push(text);
+      }
+    } else if (word.startsWith('-')) {
+      const text = word.replace(/^-+/, '').replace(/"/g, '');
+      if (text) {
+        search.excluded.push(text);
+      }
+    } else {
+      search.terms.push(word.replace(/"/g, ''));
+    }
+  }
+
+  search.terms = search.terms.filter((term) => term.length > 0);
+
+  if (search.terms.length === 0 && search.phrases.length === 0) {
+    return null;
+  }
+
+  search.text = [
+    ...search.terms,
+    ...search.phrases.map((phrase) => `"${phrase}"`),
+    ...search.excluded.map((term) => `-${term}`),
+    ...search.excludedPhrases.map((phrase) => `-"${phrase}"`)
+  ].join(' ');
+
+  return search;
+};
+
+// ============================================
+// Matching
+// ============================================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// MongoDB matches word stems ("reports" finds "report" and "reporting"),
+// so a word is highlighted wherever a word starts with its rough stem
+const stemOf = (term) => {
+  const lower = term.toLowerCase();
+  return lower.length > 4 ? lower.replace(/(ing|ed|es|s)$/, '') : lower;
+};
+
+const buildPatterns = (search) => [
+  ...search.terms.map((term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(stemOf(term))}[\\p{L}\\p{N}]*`, 'giu')),
+  ...search.phrases.map((phrase) => new RegExp(phrase.split(' ').map(escapeRegExp).join('\\s+'), 'giu'))
+];
+
+// Sorted, non-overlapping [start, end] ranges of every match in text
+const findMatches = (text, patterns) => {
+  const ranges = patterns
+    .flatMap((pattern) => [...text.matchAll(pattern)])
+    .filter((match) => match[0].length > 0)
+    .map((match) => [match.index, match.index + match[0].length])
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+// ============================================
+// buildSnippet(text, matches) - Cut long text down to the first match
+// ============================================
+// Returns { text, matches } with the ranges moved to fit the shorter text.
+// Cut ends are marked with "…".
+
+const buildSnippet = (text, matches) => {
+  if (text.length <= SNIPPET_RADIUS * 3) {
+    return { text, matches };
+  }
+
+  const [firstStart, firstEnd] = matches[0];
+  let start = Math.max(0, firstStart - SNIPPET_RADIUS);
+  let end = Math.min(text.length, firstEnd + SNIPPET_RADIUS);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < firstStart ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > firstEnd ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matches: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart + offset, matchEnd + offset])
+  };
+};
+
+// ============================================
+// buildHighlights(task, search) - What matched, and where
+// ============================================
+// Returns [{ field, text, matches }] for the description, each matching tag
+// and the first few matching checklist items. matches are [start, end]
+// character ranges in text, for the client to mark.
+
+const buildHighlights = (task, search) => {
+  const patterns = buildPatterns(search);
+  const highlights = [];
+
+  const add = (field, text, limitLength) => {
+    const matches = findMatches(text, patterns);
+    if (matches.length > 0) {
+      highlights.push({ field, ...(limitLength ? buildSnippet(text, matches) : { text, matches }) });
+    }
+    return matches.length > 0;
+  };
+
+  add('description', task.description, true);
+
+  (task.tags || []).forEach((tag) => add('tags', tag, false));
+
+  let subtaskHighlights = 0;
+  for (const subtask of task.subtasks || []) {
+    if (subtaskHighlights >= MAX_SUBTASK_HIGHLIGHTS) {
+      break;
+    }
+    if (add('subtasks', subtask.text, true)) {
+      subtaskHighlights++;
+    }
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildHighlights,
+  buildSnippet
+};
+
+// ============================================
+// LEARNING NOTES
+// ============================================
+//
+// MONGODB TEXT INDEXES:
+// - Split text into words, drop common words ("the", "and") and reduce
+//   words to their stem ("running" -> "run")
+// - { $text: { $search: 'words' } } finds documents containing any of the words
+// - { score: { $meta: 'textScore' } } says how well each document matched
+//
+// WHY HIGHLIGHT RANGES INSTEAD OF HTML?
+// - Sending "<mark>report</mark>" would mean the client has to trust HTML
+//   built from user text - an easy way to end up with an XSS hole
+// - Ranges let the client build the markup itself, safely
@@ -34,4 +34,11 @@ export default [
       }],
     },
   },
+  // The service worker runs outside the page, with its own globals
+  {
+    files: ['public/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ]
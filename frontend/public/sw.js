@@ -0,0 +1,94 @@
+// Service worker - keeps the app shell available offline
+// Registered from src/main.jsx (production builds only)
+//
+// What gets cached:
+// - Page loads: network first, falling back to the cached index.html
+// - Built files under /assets/: cache first (their names contain a content
+//   hash, so a cached copy never goes stale)
+//
+// API requests are NOT handled here. Offline task data lives in IndexedDB
+// and is managed by src/services/offlineStore.js and src/services/sync.js.
+
+// Bump this when the caching strategy changes - old caches are deleted on activate
+const CACHE_NAME = 'noted-shell-v1';
+
+// Files needed to start the app, cached when the service worker installs
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/vite.svg'
+];
+
+// ========== INSTALL ==========
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      // Take over straight away instead of waiting for every tab to close
+      .then(() => self.skipWaiting())
+  );
+});
+
+// ========== ACTIVATE ==========
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) => Promise.all(
+        names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ========== FETCH ==========
+
+// Network first: always try for the latest index.html, keep a copy for offline
+const handleNavigation = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (_err) {
+    // Every route is the same single-page app, so index.html works for all of them
+    return (await cache.match('/index.html')) || Response.error();
+  }
+};
+
+// Cache first: hashed build files never change once published
+const handleAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave other origins (e.g. a separate API server) and non-GET requests alone
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith('/assets/') || SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -5,8 +5,12 @@ import { AuthContext, AuthProvider } from './context/AuthContext';
 import Login from './components/Login';
 import Signup from './components/Signup';
 import ProtectedRoute from './components/ProtectedRoute';
+import NotificationBell from './components/NotificationBell';
+import OfflineStatus from './components/OfflineStatus';
 import TasksPage from './pages/TasksPage';
 import UserPage from './pages/UserPage';
+import TrashPage from './pages/TrashPage';
+import TaskDetailPage from './pages/TaskDetailPage';
 import './App.css';
 
 // ========== AUTHENTICATED APP LAYOUT ==========
@@ -44,11 +48,14 @@ const AuthenticatedLayout = ({ children }) => {
         {/* Navigation Links */}
         <nav className="app-nav">
           <Link to="/tasks" className="nav-link">Tasks</Link>
+          <Link to="/trash" className="nav-link">Trash</Link>
           <Link to="/user" className="nav-link">Profile</Link>
         </nav>
 
-        {/* Dark mode toggle and user info */}
+        {/* Sync status, notifications, dark mode toggle and user info */}
         <div className="user-info">
+          <OfflineStatus />
+          <NotificationBell />
           <button
             onClick={toggleDarkMode}
             className="btn-icon dark-mode-toggle"
@@ -99,6 +106,26 @@ const AppContent = () => {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/tasks/:id"
+        element={
+          <ProtectedRoute>
+            <AuthenticatedLayout>
+              <TaskDetailPage />
+            </AuthenticatedLayout>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/trash"
+        element={
+          <ProtectedRoute>
+            <AuthenticatedLayout>
+              <TrashPage />
+            </AuthenticatedLayout>
+          </ProtectedRoute>
+        }
+      />
       <Route
         path="/user"
         element={
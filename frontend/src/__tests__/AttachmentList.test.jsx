@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AttachmentList from '../components/AttachmentList';
+import { attachmentsAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  attachmentsAPI: {
+    getAttachments: vi.fn(),
+    uploadAttachment: vi.fn(),
+    downloadAttachment: vi.fn(),
+    deleteAttachment: vi.fn(),
+  },
+}));
+
+describe('AttachmentList Component', () => {
+  const attachments = [
+    {
+      _id: 'a1',
+      filename: 'Budget.pdf',
+      mimeType: 'application/pdf',
+      size: 2.5 * 1024 * 1024,
+      createdAt: '2026-10-01T09:00:00.000Z',
+    },
+    {
+      _id: 'a2',
+      filename: 'photo.png',
+      mimeType: 'image/png',
+      size: 14 * 1024,
+      createdAt: '2026-10-01T10:00:00.000Z',
+    },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    attachmentsAPI.getAttachments.mockResolvedValue(attachments);
+  });
+
+  it('lists the task\'s files with their sizes', async () => {
+    render(<AttachmentList taskId="t1" />);
+
+    expect(await screen.findByText('Budget.pdf')).toBeInTheDocument();
+    expect(screen.getByText('photo.png')).toBeInTheDocument();
+    expect(screen.getByText('2.5 MB')).toBeInTheDocument();
+    expect(screen.getByText('14 KB')).toBeInTheDocument();
+    expect(screen.getByText('Attachments (2)')).toBeInTheDocument();
+    expect(attachmentsAPI.getAttachments).toHaveBeenCalledWith('t1');
+  });
+
+  it('shows a message when nothing is attached', async () => {
+    attachmentsAPI.getAttachments.mockResolvedValue([]);
+    render(<AttachmentList taskId="t1" />);
+
+    expect(await screen.findByText('No files attached.')).toBeInTheDocument();
+  });
+
+  it('uploads a chosen file and adds it to the list', async () => {
+    const user = userEvent.setup();
+    const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+    attachmentsAPI.uploadAttachment.mockResolvedValue({
+      _id: 'a3',
+      filename: 'notes.txt',
+      mimeType: 'text/plain',
+      size: 5,
+      createdAt: '2026-10-01T11:00:00.000Z',
+    });
+
+    render(<AttachmentList taskId="t1" />);
+    await screen.findByText('Budget.pdf');
+
+    await user.upload(screen.getByLabelText('Choose a file to attach'), file);
+
+    expect(attachmentsAPI.uploadAttachment).toHaveBeenCalledWith('t1', file);
+    expect(await screen.findByText('notes.txt')).toBeInTheDocument();
+    expect(screen.getByText('5 B')).toBeInTheDocument();
+  });
+
+  it('downloads a file with the reader\'s credentials', async () => {
+    const user = userEvent.setup();
+    const blob = new Blob(['%PDF'], { type: 'application/pdf' });
+    attachmentsAPI.downloadAttachment.mockResolvedValue(blob);
+    URL.createObjectURL = vi.fn(() => 'blob:budget');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    render(<AttachmentList taskId="t1" />);
+    await user.click(await screen.findByText('Budget.pdf'));
+
+    await waitFor(() => {
+      expect(click).toHaveBeenCalled();
+    });
+    expect(attachmentsAPI.downloadAttachment).toHaveBeenCalledWith('t1', 'a1');
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:budget');
+    click.mockRestore();
+  });
+
+  it('removes a deleted file from the list', async () => {
+    const user = userEvent.setup();
+    attachmentsAPI.deleteAttachment.mockResolvedValue(attachments[1]);
+
+    render(<AttachmentList taskId="t1" />);
+    await user.click(await screen.findByRole('button', { name: 'Remove photo.png' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('photo.png')).not.toBeInTheDocument();
+    });
+    expect(attachmentsAPI.deleteAttachment).toHaveBeenCalledWith('t1', 'a2');
+    expect(screen.getByText('Budget.pdf')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CommentThread from '../components/CommentThread';
+import { commentsAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  commentsAPI: {
+    getComments: vi.fn(),
+    addComment: vi.fn(),
+    updateComment: vi.fn(),
+    deleteComment: vi.fn(),
+  },
+}));
+
+describe('CommentThread Component', () => {
+  const me = { _id: 'u1', name: 'Test User' };
+  const someoneElse = { _id: 'u2', name: 'Sam Lee' };
+
+  const comments = [
+    {
+      _id: 'c1',
+      body: 'Looks **good**, @sam',
+      author: someoneElse,
+      edits: [{ body: 'Looks god', editedAt: '2026-10-01T10:00:00.000Z' }],
+      createdAt: '2026-10-01T09:00:00.000Z',
+    },
+    {
+      _id: 'c2',
+      body: 'Thanks!',
+      author: me,
+      edits: [],
+      createdAt: '2026-10-01T11:00:00.000Z',
+    },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    commentsAPI.getComments.mockResolvedValue(comments);
+  });
+
+  it('shows the comments with rendered markdown and edit history', async () => {
+    render(<CommentThread taskId="t1" currentUserId="u1" />);
+
+    expect(await screen.findByText('good')).toHaveProperty('tagName', 'STRONG');
+    expect(screen.getByText('@sam')).toHaveClass('mention');
+    expect(screen.getByText('Comments (2)')).toBeInTheDocument();
+    expect(screen.getByText('Edited once')).toBeInTheDocument();
+    expect(screen.getByText('Looks god')).toBeInTheDocument();
+    expect(commentsAPI.getComments).toHaveBeenCalledWith('t1');
+  });
+
+  it('only offers editing on the reader\'s own comments', async () => {
+    render(<CommentThread taskId="t1" currentUserId="u1" />);
+    await screen.findByText('Thanks!');
+
+    expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: 'Delete' })).toHaveLength(1);
+  });
+
+  it('adds a comment', async () => {
+    const user = userEvent.setup();
+    commentsAPI.addComment.mockResolvedValue({
+      _id: 'c3', body: 'New one', author: me, edits: [], createdAt: '2026-10-02T09:00:00.000Z',
+    });
+
+    render(<CommentThread taskId="t1" currentUserId="u1" />);
+    await screen.findByText('Thanks!');
+
+    await user.type(screen.getByLabelText('New comment'), '  New one ');
+    await user.click(screen.getByRole('button', { name: 'Comment' }));
+
+    expect(commentsAPI.addComment).toHaveBeenCalledWith('t1', 'New one');
+    expect(await screen.findByText('New one')).toBeInTheDocument();
+    expect(screen.getByLabelText('New comment')).toHaveValue('');
+  });
+
+  it('edits a comment', async () => {
+    const user = userEvent.setup();
+    commentsAPI.updateComment.mockResolvedValue({
+      ...comments[1],
+      body: 'Thanks a lot!',
+      edits: [{ body: 'Thanks!', editedAt: '2026-10-02T09:00:00.000Z' }],
+    });
+
+    render(<CommentThread taskId="t1" currentUserId="u1" />);
+    await screen.findByText('Thanks!');
+
+    await user.click(screen.getByRole('button', { name: 'Edit' }));
+    const input = screen.getByLabelText('Edit comment');
+    await user.clear(input);
+    await user.type(input, 'Thanks a lot!');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(commentsAPI.updateComment).toHaveBeenCalledWith('t1', 'c2', 'Thanks a lot!');
+    expect(await screen.findByText('Thanks a lot!')).toBeInTheDocument();
+  });
+
+  it('deletes a comment', async () => {
+    const user = userEvent.setup();
+    commentsAPI.deleteComment.mockResolvedValue(comments[1]);
+
+    render(<CommentThread taskId="t1" currentUserId="u1" />);
+    await screen.findByText('Thanks!');
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Thanks!')).not.toBeInTheDocument();
+    });
+    expect(commentsAPI.deleteComment).toHaveBeenCalledWith('t1', 'c2');
+  });
+});
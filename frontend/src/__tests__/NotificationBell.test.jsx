@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import NotificationBell from '../components/NotificationBell';
+import { notificationsAPI, eventsAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  notificationsAPI: {
+    getNotifications: vi.fn(),
+    markRead: vi.fn(),
+    markAllRead: vi.fn(),
+  },
+  eventsAPI: {
+    subscribe: vi.fn(() => () => {}),
+  },
+}));
+
+describe('NotificationBell Component', () => {
+  const notifications = [
+    { _id: 'n1', type: 'reminder', message: 'Reminder: Submit report', read: false, createdAt: new Date().toISOString() },
+    { _id: 'n2', type: 'overdue', message: 'Overdue: Pay invoice', read: false, createdAt: new Date().toISOString() },
+    { _id: 'n3', type: 'reminder', message: 'Reminder: Old one', read: true, createdAt: new Date().toISOString() },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    notificationsAPI.getNotifications.mockResolvedValue(notifications);
+  });
+
+  it('shows the number of unread notifications', async () => {
+    render(<NotificationBell />, { wrapper: MemoryRouter });
+
+    expect(await screen.findByText('2')).toBeInTheDocument();
+    expect(screen.getByLabelText(/2 unread/i)).toBeInTheDocument();
+  });
+
+  it('shows notifications pushed by the server without asking again', async () => {
+    render(<NotificationBell />, { wrapper: MemoryRouter });
+    expect(await screen.findByText('2')).toBeInTheDocument();
+
+    const [onEvent, options] = eventsAPI.subscribe.mock.calls[0];
+    expect(options.types).toEqual(['notification.created']);
+
+    act(() => {
+      onEvent({
+        type: 'notification.created',
+        notification: { _id: 'n4', type: 'overdue', message: 'Overdue: Book flights', read: false, createdAt: new Date().toISOString() },
+      });
+    });
+
+    expect(screen.getByLabelText(/3 unread/i)).toBeInTheDocument();
+    expect(notificationsAPI.getNotifications).toHaveBeenCalledTimes(1);
+  });
+
+  it('lists notifications when opened', async () => {
+    const user = userEvent.setup();
+    render(<NotificationBell />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText(/notifications/i));
+
+    expect(screen.getByText('Reminder: Submit report')).toBeInTheDocument();
+    expect(screen.getByText('Overdue: Pay invoice')).toBeInTheDocument();
+  });
+
+  it('marks a notification as read when clicked', async () => {
+    const user = userEvent.setup();
+    notificationsAPI.markRead.mockResolvedValue({ ...notifications[0], read: true });
+    render(<NotificationBell />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText(/2 unread/i));
+    await user.click(screen.getByText('Reminder: Submit report'));
+
+    expect(notificationsAPI.markRead).toHaveBeenCalledWith('n1');
+    await waitFor(() => {
+      expect(screen.getByLabelText(/1 unread/i)).toBeInTheDocument();
+    });
+  });
+
+  it('marks all notifications as read', async () => {
+    const user = userEvent.setup();
+    notificationsAPI.markAllRead.mockResolvedValue({ updated: 2 });
+    render(<NotificationBell />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText(/2 unread/i));
+    await user.click(screen.getByRole('button', { name: /mark all as read/i }));
+
+    expect(notificationsAPI.markAllRead).toHaveBeenCalled();
+    await waitFor(() => {
+      expect(screen.getByLabelText(/^notifications$/i)).toBeInTheDocument();
+    });
+  });
+});
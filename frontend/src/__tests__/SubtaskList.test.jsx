@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SubtaskList from '../components/SubtaskList';
+import { tasksAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  tasksAPI: {
+    addSubtask: vi.fn(),
+    updateSubtask: vi.fn(),
+    reorderSubtasks: vi.fn(),
+    deleteSubtask: vi.fn(),
+  },
+}));
+
+describe('SubtaskList Component', () => {
+  const task = {
+    _id: 'task1',
+    description: 'Write report',
+    subtasks: [
+      { _id: 'b', text: 'Draft', completed: false, position: 1 },
+      { _id: 'a', text: 'Outline', completed: true, position: 0 },
+    ],
+  };
+
+  const mockOnTaskUpdated = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const renderList = () => {
+    return render(<SubtaskList task={task} onTaskUpdated={mockOnTaskUpdated} />);
+  };
+
+  it('renders subtasks ordered by position', () => {
+    renderList();
+
+    const items = screen.getAllByText(/outline|draft/i);
+    expect(items.map(item => item.textContent)).toEqual(['Outline', 'Draft']);
+  });
+
+  it('toggles a subtask and passes the updated task to the parent', async () => {
+    const user = userEvent.setup();
+    const updatedTask = { ...task, subtasks: [] };
+    tasksAPI.updateSubtask.mockResolvedValue(updatedTask);
+    renderList();
+
+    await user.click(screen.getByLabelText(/mark "draft" as done/i));
+
+    expect(tasksAPI.updateSubtask).toHaveBeenCalledWith('task1', 'b', { completed: true });
+    await waitFor(() => {
+      expect(mockOnTaskUpdated).toHaveBeenCalledWith(updatedTask);
+    });
+  });
+
+  it('adds a new subtask and clears the input', async () => {
+    const user = userEvent.setup();
+    tasksAPI.addSubtask.mockResolvedValue(task);
+    renderList();
+
+    const input = screen.getByPlaceholderText(/add a checklist item/i);
+    await user.type(input, '  Proofread  ');
+    await user.click(screen.getByRole('button', { name: /^add$/i }));
+
+    expect(tasksAPI.addSubtask).toHaveBeenCalledWith('task1', 'Proofread');
+    await waitFor(() => {
+      expect(input).toHaveValue('');
+    });
+  });
+
+  it('sends the swapped order when moving an item down', async () => {
+    const user = userEvent.setup();
+    tasksAPI.reorderSubtasks.mockResolvedValue(task);
+    renderList();
+
+    const moveDownButtons = screen.getAllByLabelText(/move item down/i);
+    await user.click(moveDownButtons[0]);
+
+    expect(tasksAPI.reorderSubtasks).toHaveBeenCalledWith('task1', ['b', 'a']);
+  });
+});
@@ -0,0 +1,421 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import TaskList from '../components/TaskList';
+import { tasksAPI, viewsAPI, eventsAPI, ConflictError } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  ConflictError: class ConflictError extends Error {
+    constructor(message, task) {
+      super(message);
+      this.task = task;
+    }
+  },
+  tasksAPI: {
+    getTaskPage: vi.fn(),
+    updateTask: vi.fn(),
+    searchTasks: vi.fn(),
+    bulkUpdate: vi.fn(),
+  },
+  tagsAPI: {
+    getTags: vi.fn().mockResolvedValue([]),
+  },
+  eventsAPI: {
+    subscribe: vi.fn(() => () => {}),
+  },
+  operationsAPI: {
+    undo: vi.fn(),
+  },
+  viewsAPI: {
+    createView: vi.fn(),
+    updateView: vi.fn(),
+  },
+}));
+
+// The sync service talks to IndexedDB, which isn't needed here
+vi.mock('../services/sync', () => ({
+  subscribeToSync: vi.fn(() => () => {}),
+}));
+
+describe('TaskList multi-select', () => {
+  const tasks = [
+    { _id: 't1', description: 'Write report', completed: false, priority: 'medium', tags: [] },
+    { _id: 't2', description: 'Book flights', completed: false, priority: 'high', tags: [] },
+    { _id: 't3', description: 'Write invoice', completed: false, priority: 'low', tags: [] },
+    { _id: 't4', description: 'Call plumber', completed: true, priority: 'medium', tags: [] },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks, total: tasks.length, next: null });
+    tasksAPI.bulkUpdate.mockResolvedValue({ operationId: 'op1', updated: 2, results: [] });
+    tasksAPI.searchTasks.mockImplementation(async (q) => tasks
+      .filter(task => task.description.toLowerCase().includes(q.toLowerCase()))
+      .map(task => ({ ...task, score: 1, highlights: [] })));
+  });
+
+  it('shows the action bar once tasks are selected', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText('Select Write report'));
+    await user.click(screen.getByLabelText('Select Book flights'));
+
+    expect(screen.getByRole('toolbar', { name: /bulk actions/i })).toHaveTextContent('2 selected');
+  });
+
+  it('selects a range with shift-click', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText('Select Write report'));
+    await user.keyboard('{Shift>}');
+    await user.click(screen.getByLabelText('Select Write invoice'));
+    await user.keyboard('{/Shift}');
+
+    expect(screen.getByText('3 selected')).toBeInTheDocument();
+  });
+
+  it('completes the selected tasks in one request', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText('Select Write report'));
+    await user.click(screen.getByLabelText('Select Book flights'));
+    await user.click(screen.getByRole('button', { name: 'Complete' }));
+
+    expect(tasksAPI.bulkUpdate).toHaveBeenCalledWith({ ids: ['t1', 't2'] }, 'complete', undefined);
+    await waitFor(() => {
+      expect(screen.queryByRole('toolbar', { name: /bulk actions/i })).not.toBeInTheDocument();
+    });
+  });
+
+  it('selects all and inverts only the tasks that match the search', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.type(await screen.findByPlaceholderText('Search tasks...'), 'write');
+    await user.click(document.body);
+
+    await user.keyboard('{Control>}a{/Control}');
+    expect(screen.getByText('2 selected')).toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Select Write report'));
+    await user.keyboard('{Control>}i{/Control}');
+    expect(screen.getByText('1 selected')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(tasksAPI.bulkUpdate).toHaveBeenCalledWith({ ids: ['t1'] }, 'delete', undefined);
+  });
+
+  it('clears the selection with Escape', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByLabelText('Select Write report'));
+    await user.keyboard('{Escape}');
+
+    expect(screen.queryByRole('toolbar', { name: /bulk actions/i })).not.toBeInTheDocument();
+  });
+});
+
+describe('TaskList search', () => {
+  const tasks = [
+    { _id: 't1', description: 'Write report', completed: false, priority: 'medium', tags: [] },
+    { _id: 't2', description: 'Book flights', completed: false, priority: 'high', tags: [] },
+    { _id: 't3', description: 'Plan budget', completed: false, priority: 'low', tags: [],
+      subtasks: [{ text: 'Draft the report' }] },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks, total: tasks.length, next: null });
+  });
+
+  it('shows the server results in order, with the matches marked', async () => {
+    tasksAPI.searchTasks.mockResolvedValue([
+      { ...tasks[0], score: 10, highlights: [{ field: 'description', text: 'Write report', matches: [[6, 12]] }] },
+      { ...tasks[2], score: 2, highlights: [{ field: 'subtasks', text: 'Draft the report', matches: [[10, 16]] }] },
+    ]);
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.type(await screen.findByPlaceholderText('Search tasks...'), 'report');
+
+    // Until the server answers, the list is filtered on the description
+    expect(screen.queryByText('Plan budget')).not.toBeInTheDocument();
+
+    expect(await screen.findByText('Plan budget')).toBeInTheDocument();
+    expect([...document.querySelectorAll('.task-description')].map(el => el.textContent))
+      .toEqual(['Write report', 'Plan budget']);
+    expect(tasksAPI.searchTasks).toHaveBeenCalledTimes(1);
+    expect(tasksAPI.searchTasks).toHaveBeenCalledWith('report', { within: undefined, limit: 100 });
+
+    const marks = document.querySelectorAll('mark');
+    expect([...marks].map(mark => mark.textContent)).toEqual(['report', 'report']);
+    expect(screen.queryByText('Book flights')).not.toBeInTheDocument();
+  });
+
+  it('keeps filtering on the description when the search fails', async () => {
+    tasksAPI.searchTasks.mockRejectedValue(new Error('Server error'));
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.type(await screen.findByPlaceholderText('Search tasks...'), 'book');
+
+    await waitFor(() => expect(tasksAPI.searchTasks).toHaveBeenCalled());
+    expect(screen.getByText('Book flights')).toBeInTheDocument();
+    expect(screen.queryByText('Write report')).not.toBeInTheDocument();
+
+    consoleError.mockRestore();
+  });
+
+  it('searches again when a task changes, but not when more tasks load', async () => {
+    tasksAPI.getTaskPage.mockImplementation(async (filters, after) => after === 'c1'
+      ? { tasks: [tasks[2]], total: 3, next: null }
+      : { tasks: tasks.slice(0, 2), total: 3, next: 'c1' });
+    tasksAPI.searchTasks.mockResolvedValue([{ ...tasks[0], score: 10, highlights: [] }]);
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await user.type(await screen.findByPlaceholderText('Search tasks...'), 'report');
+    await waitFor(() => expect(tasksAPI.searchTasks).toHaveBeenCalledTimes(1));
+
+    await user.click(screen.getByRole('button', { name: 'Load more' }));
+    await waitFor(() => expect(tasksAPI.getTaskPage).toHaveBeenCalledTimes(2));
+
+    // Longer than the search delay, so a search would have started by now
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(tasksAPI.searchTasks).toHaveBeenCalledTimes(1);
+
+    const [handleTaskEvent] = eventsAPI.subscribe.mock.calls[0];
+    act(() => {
+      handleTaskEvent({ type: 'task.updated', task: { ...tasks[0], description: 'Write the report' } });
+    });
+
+    await waitFor(() => expect(tasksAPI.searchTasks).toHaveBeenCalledTimes(2));
+  });
+});
+
+describe('TaskList views', () => {
+  const tasks = [
+    { _id: 't1', description: 'Write report', completed: false, priority: 'low', tags: ['work'] },
+    { _id: 't2', description: 'Book flights', completed: false, priority: 'high', tags: ['work'] },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks, total: tasks.length, next: null });
+  });
+
+  it('loads the view\'s tasks and starts with its sort and display mode', async () => {
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks: [tasks[1], tasks[0]], total: tasks.length, next: null });
+    const view = { _id: 'v1', name: 'Work', query: 'tag:work', sort: 'priority:desc', display: 'compact', builtIn: false };
+    render(<TaskList view={view} />, { wrapper: MemoryRouter });
+
+    await screen.findByText('Write report');
+
+    // Sorted by the server, so shown in the order they came
+    expect(tasksAPI.getTaskPage).toHaveBeenCalledWith({ q: 'tag:work', sortBy: 'priority:desc', limit: 50 });
+    expect([...document.querySelectorAll('.task-description')].map(el => el.textContent))
+      .toEqual(['Book flights', 'Write report']);
+    expect(document.querySelector('.task-list')).toHaveClass('compact');
+  });
+
+  it('saves the current filters and sort as a new view', async () => {
+    const savedView = { _id: 'v2', name: 'Open work', query: 'tag:work -completed', builtIn: false };
+    viewsAPI.createView.mockResolvedValue(savedView);
+    const onViewSaved = vi.fn();
+    const user = userEvent.setup();
+    render(<TaskList view={{ _id: 'v1', name: 'Work', query: 'tag:work', builtIn: false }} onViewSaved={onViewSaved} />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByRole('button', { name: 'Active' }));
+    await user.click(screen.getByRole('button', { name: /Due Date/ }));
+    await user.click(screen.getByRole('button', { name: 'Save as view' }));
+    await user.type(screen.getByLabelText('View name'), 'Open work');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(viewsAPI.createView).toHaveBeenCalledWith({
+      name: 'Open work',
+      query: 'tag:work -completed',
+      sort: 'dueDate:asc',
+      display: 'list',
+    });
+    await waitFor(() => expect(onViewSaved).toHaveBeenCalledWith(savedView));
+  });
+
+  it('reloads for a pushed task instead of guessing if it is in the view', async () => {
+    render(<TaskList view={{ _id: 'v1', name: 'Urgent', query: 'priority:high', builtIn: false }} />, { wrapper: MemoryRouter });
+    await screen.findByText('Write report');
+
+    const [handleTaskEvent] = eventsAPI.subscribe.mock.calls[0];
+    act(() => {
+      handleTaskEvent({ type: 'task.created', task: { _id: 't9', description: 'Water plants', completed: false, priority: 'low', tags: [] } });
+    });
+
+    await waitFor(() => expect(tasksAPI.getTaskPage).toHaveBeenCalledTimes(2));
+    expect(tasksAPI.getTaskPage).toHaveBeenLastCalledWith({ q: 'priority:high', limit: 50 });
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument();
+  });
+
+  it('only offers to update saved views', async () => {
+    render(<TaskList view={{ _id: 'today', name: 'Today', query: 'due:today', builtIn: true }} />, { wrapper: MemoryRouter });
+
+    await screen.findByText('Write report');
+    expect(screen.queryByRole('button', { name: 'Update view' })).not.toBeInTheDocument();
+  });
+});
+
+describe('TaskList paging', () => {
+  const firstPage = [
+    { _id: 't1', description: 'Write report', completed: false, priority: 'medium', tags: [] },
+    { _id: 't2', description: 'Book flights', completed: true, priority: 'high', tags: [] },
+  ];
+  const secondPage = [
+    { _id: 't3', description: 'Plan budget', completed: false, priority: 'low', tags: [] },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTaskPage.mockImplementation(async (filters, after) => after === 'c1'
+      ? { tasks: secondPage, total: 3, next: null }
+      : { tasks: firstPage, total: 3, next: 'c1' });
+  });
+
+  it('loads one page, then the next one after the last task', async () => {
+    const user = userEvent.setup();
+    render(<TaskList projectId="p1" />, { wrapper: MemoryRouter });
+
+    expect(await screen.findByText('3 tasks, 2 loaded')).toBeInTheDocument();
+    expect(tasksAPI.getTaskPage).toHaveBeenCalledWith({ project: 'p1', limit: 50 });
+
+    // jsdom has no IntersectionObserver, so the button stands in for scrolling
+    await user.click(screen.getByRole('button', { name: 'Load more' }));
+
+    expect(await screen.findByText('Plan budget')).toBeInTheDocument();
+    expect(tasksAPI.getTaskPage).toHaveBeenLastCalledWith({ project: 'p1', limit: 50 }, 'c1');
+    expect(screen.getByText('3 tasks, 1 completed')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+  });
+
+  it('counts a pushed new task, which comes after the pages still to load', async () => {
+    render(<TaskList projectId="p1" />, { wrapper: MemoryRouter });
+    await screen.findByText('3 tasks, 2 loaded');
+
+    const [handleTaskEvent] = eventsAPI.subscribe.mock.calls[0];
+    act(() => {
+      handleTaskEvent({ type: 'task.created', task: { _id: 't9', description: 'Water plants', completed: false, project: 'p1', tags: [] } });
+    });
+
+    expect(await screen.findByText('4 tasks, 2 loaded')).toBeInTheDocument();
+    expect(screen.queryByText('Water plants')).not.toBeInTheDocument();
+    expect(tasksAPI.getTaskPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks the server for the filtered, sorted tasks, starting again from one page', async () => {
+    const user = userEvent.setup();
+    render(<TaskList projectId="p1" />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByRole('button', { name: 'Load more' }));
+    await screen.findByText('Plan budget');
+
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks: [firstPage[1]], total: 1, next: null });
+    await user.click(screen.getByRole('button', { name: 'Completed' }));
+
+    expect(await screen.findByText('1 task, 1 completed')).toBeInTheDocument();
+    expect(tasksAPI.getTaskPage).toHaveBeenLastCalledWith({ project: 'p1', completed: true, limit: 50 });
+    expect(screen.queryByText('Write report')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /Due Date/ }));
+
+    await waitFor(() => expect(tasksAPI.getTaskPage).toHaveBeenLastCalledWith({
+      project: 'p1',
+      completed: true,
+      sortBy: 'dueDate:asc',
+      limit: 50,
+    }));
+  });
+
+  it('shows search results that aren\'t loaded yet', async () => {
+    tasksAPI.searchTasks.mockResolvedValue([{ ...secondPage[0], score: 3, highlights: [] }]);
+    const user = userEvent.setup();
+    render(<TaskList projectId="p1" />, { wrapper: MemoryRouter });
+
+    await user.click(await screen.findByRole('button', { name: 'Active' }));
+    await user.type(screen.getByPlaceholderText('Search tasks...'), 'budget');
+
+    expect(await screen.findByText('Plan budget')).toBeInTheDocument();
+    expect(tasksAPI.searchTasks).toHaveBeenLastCalledWith('budget', {
+      project: 'p1',
+      completed: false,
+      within: undefined,
+      limit: 100,
+    });
+  });
+});
+
+describe('TaskList edit conflicts', () => {
+  const task = { _id: 't1', description: 'Write report', completed: false, priority: 'medium', tags: [], syncSeq: 4 };
+  // Meanwhile, another tab made it high priority
+  const theirs = { ...task, priority: 'high', syncSeq: 7 };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTaskPage.mockResolvedValue({ tasks: [task], total: 1, next: null });
+    tasksAPI.updateTask
+      .mockRejectedValueOnce(new ConflictError('This task was changed somewhere else', theirs))
+      .mockResolvedValue({ ...theirs, description: 'Write the report', syncSeq: 8 });
+  });
+
+  // Edit the description and save it, which clashes with the other change
+  const editAndSave = async (user) => {
+    await user.click(await screen.findByRole('button', { name: 'Edit' }));
+    const input = screen.getByPlaceholderText('Task description');
+    await user.clear(input);
+    await user.type(input, 'Write the report');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(tasksAPI.updateTask).toHaveBeenCalledWith('t1', { description: 'Write the report' }, { version: 4 });
+    expect(await screen.findByRole('alert')).toHaveTextContent('changed somewhere else');
+  };
+
+  it('merges the new description into the other change', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await editAndSave(user);
+    await user.click(screen.getByRole('button', { name: 'Merge' }));
+
+    expect(tasksAPI.updateTask).toHaveBeenLastCalledWith('t1', { description: 'Write the report' }, { version: 7 });
+    await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+  });
+
+  it('overwrites the other change with this tab\'s copy', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await editAndSave(user);
+    await user.click(screen.getByRole('button', { name: 'Overwrite' }));
+
+    expect(tasksAPI.updateTask).toHaveBeenLastCalledWith(
+      't1',
+      { description: 'Write the report', priority: 'medium' },
+      { version: 7 }
+    );
+  });
+
+  it('keeps the other version when asked', async () => {
+    const user = userEvent.setup();
+    render(<TaskList />, { wrapper: MemoryRouter });
+
+    await editAndSave(user);
+    await user.click(screen.getByRole('button', { name: 'Keep theirs' }));
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.queryByPlaceholderText('Task description')).not.toBeInTheDocument();
+    expect(tasksAPI.updateTask).toHaveBeenCalledTimes(1);
+  });
+});
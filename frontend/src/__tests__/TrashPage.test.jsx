@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TrashPage from '../pages/TrashPage';
+import { tasksAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  tasksAPI: {
+    getTrash: vi.fn(),
+    restoreTask: vi.fn(),
+    purgeTask: vi.fn(),
+    emptyTrash: vi.fn(),
+  },
+}));
+
+describe('TrashPage', () => {
+  const trashed = [
+    { _id: 't1', description: 'Old report', deletedAt: '2026-03-02T10:00:00.000Z', purgeAt: '2026-04-01T10:00:00.000Z' },
+    { _id: 't2', description: 'Groceries', deletedAt: '2026-03-01T10:00:00.000Z', purgeAt: '2026-03-31T10:00:00.000Z' },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tasksAPI.getTrash.mockResolvedValue(trashed);
+  });
+
+  it('lists trashed tasks with the date they will be deleted', async () => {
+    render(<TrashPage />);
+
+    expect(await screen.findByText('Old report')).toBeInTheDocument();
+    expect(screen.getByText('Groceries')).toBeInTheDocument();
+    expect(screen.getByText(/deleted forever on apr 1, 2026/i)).toBeInTheDocument();
+  });
+
+  it('shows a message when the trash is empty', async () => {
+    tasksAPI.getTrash.mockResolvedValue([]);
+    render(<TrashPage />);
+
+    expect(await screen.findByText(/the trash is empty/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /empty trash/i })).not.toBeInTheDocument();
+  });
+
+  it('restores a task', async () => {
+    const user = userEvent.setup();
+    tasksAPI.restoreTask.mockResolvedValue({ ...trashed[0], deletedAt: null });
+    render(<TrashPage />);
+
+    await screen.findByText('Old report');
+    await user.click(screen.getAllByRole('button', { name: /restore/i })[0]);
+
+    expect(tasksAPI.restoreTask).toHaveBeenCalledWith('t1');
+    await waitFor(() => {
+      expect(screen.queryByText('Old report')).not.toBeInTheDocument();
+    });
+  });
+
+  it('deletes a task forever', async () => {
+    const user = userEvent.setup();
+    tasksAPI.purgeTask.mockResolvedValue(trashed[1]);
+    render(<TrashPage />);
+
+    await screen.findByText('Groceries');
+    await user.click(screen.getAllByRole('button', { name: /delete forever/i })[1]);
+
+    expect(tasksAPI.purgeTask).toHaveBeenCalledWith('t2');
+    await waitFor(() => {
+      expect(screen.queryByText('Groceries')).not.toBeInTheDocument();
+    });
+  });
+});
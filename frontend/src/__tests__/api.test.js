@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tasksAPI, authAPI } from '../services/api';
+
+// Mock IndexedDB storage (jsdom doesn't have IndexedDB)
+vi.mock('../services/offlineStore', () => ({
+  getMeta: vi.fn().mockResolvedValue(undefined),
+  setMeta: vi.fn().mockResolvedValue(undefined),
+  saveTasks: vi.fn().mockResolvedValue(undefined),
+  clearOfflineData: vi.fn().mockResolvedValue(undefined),
+}));
+
+// A fetch() response with the given status, JSON body and headers
+const jsonResponse = (status, body, headers = {}) => new Response(
+  status === 304 ? null : JSON.stringify(body),
+  { status, headers: { 'Content-Type': 'application/json', ...headers } }
+);
+
+describe('tasksAPI response cache', () => {
+  const tasks = [{ _id: 't1', description: 'Write report', syncSeq: 3 }];
+
+  beforeEach(async () => {
+    localStorage.setItem('token', 'token-1');
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(async () => {
+    // Logging out also empties the cache between tests
+    fetch.mockResolvedValue(jsonResponse(200, {}));
+    await authAPI.logout();
+    vi.unstubAllGlobals();
+  });
+
+  it('sends the ETag again and reuses the page on 304', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, tasks, { ETag: '"abc"', 'X-Total-Count': '1' }));
+    const first = await tasksAPI.getTaskPage({ limit: 50 });
+
+    fetch.mockResolvedValueOnce(jsonResponse(304));
+    const second = await tasksAPI.getTaskPage({ limit: 50 });
+
+    expect(fetch.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+    expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"abc"');
+    expect(second).toEqual({ tasks, total: 1, next: null });
+    expect(second.tasks).toBe(first.tasks);
+  });
+
+  it('replaces the kept copy when the server sends a new one', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, tasks[0], { ETag: '"3"' }));
+    await tasksAPI.getTask('t1');
+
+    const changed = { ...tasks[0], description: 'Write the report', syncSeq: 4 };
+    fetch.mockResolvedValueOnce(jsonResponse(200, changed, { ETag: '"4"' }));
+    expect(await tasksAPI.getTask('t1')).toEqual(changed);
+
+    fetch.mockResolvedValueOnce(jsonResponse(304));
+    expect(await tasksAPI.getTask('t1')).toEqual(changed);
+    expect(fetch.mock.calls[2][1].headers['If-None-Match']).toBe('"4"');
+  });
+
+  it('reports errors that have no JSON body', async () => {
+    fetch.mockResolvedValueOnce(new Response('Too many requests, please try again later.', {
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: { 'Content-Type': 'text/plain' }
+    }));
+
+    await expect(tasksAPI.getTask('t1')).rejects.toThrow('Too Many Requests');
+  });
+
+  it('keeps each user\'s answers apart', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, tasks[0], { ETag: '"3"' }));
+    await tasksAPI.getTask('t1');
+
+    localStorage.setItem('token', 'token-2');
+    fetch.mockResolvedValueOnce(jsonResponse(404, { error: 'Task not found' }));
+
+    await expect(tasksAPI.getTask('t1')).rejects.toThrow('Task not found');
+    expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBeUndefined();
+  });
+});
+
+describe('tasksAPI.createTask retries', () => {
+  const task = { _id: 't1', description: 'Buy milk', syncSeq: 1 };
+
+  beforeEach(() => {
+    localStorage.setItem('token', 'token-1');
+    vi.stubGlobal('fetch', vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('retries a dropped request with the same Idempotency-Key', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(jsonResponse(201, task));
+
+    expect(await tasksAPI.createTask('Buy milk')).toEqual(task);
+
+    const keys = fetch.mock.calls.map(([, options]) => options.headers['Idempotency-Key']);
+    expect(keys).toHaveLength(2);
+    expect(keys[0]).toBeTruthy();
+    expect(keys[1]).toBe(keys[0]);
+  });
+
+  it('sends the key it is given', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(201, task));
+
+    await tasksAPI.createTask('Buy milk', false, null, 'medium', {}, { idempotencyKey: 'key-1' });
+
+    expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('key-1');
+  });
+
+  it('waits while the server is still creating an earlier try', async () => {
+    fetch
+      .mockResolvedValueOnce(jsonResponse(409, { error: 'Still being processed' }, { 'Retry-After': '1' }))
+      .mockResolvedValueOnce(jsonResponse(201, task, { 'Idempotent-Replayed': 'true' }));
+
+    expect(await tasksAPI.createTask('Buy milk')).toEqual(task);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry an error the server sent', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(400, { error: 'Description is required' }));
+
+    await expect(tasksAPI.createTask('')).rejects.toThrow('Description is required');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('authAPI avatar URLs', () => {
+  const user = { _id: 'u1', avatar: 'u1-9f86d081884c7d65' };
+
+  it('names the size and the current picture, so the URL can be cached', () => {
+    const url = authAPI.getAvatarUrl(user, 32);
+
+    expect(url).toMatch(/\/users\/u1\/avatar\?size=32&v=u1-9f86d081884c7d65$/);
+    expect(authAPI.getAvatarUrl(user)).toContain('size=128');
+    expect(authAPI.getAvatarUrl(user)).toBe(authAPI.getAvatarUrl(user));
+  });
+
+  it('lists every stored size for srcset', () => {
+    const entries = authAPI.getAvatarSrcSet(user).split(', ');
+
+    expect(entries).toHaveLength(3);
+    expect(entries[0]).toMatch(/size=32&v=u1-9f86d081884c7d65 32w$/);
+    expect(entries[2]).toMatch(/size=512&v=u1-9f86d081884c7d65 512w$/);
+  });
+});
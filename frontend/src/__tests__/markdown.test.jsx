@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import { renderMarkdown } from '../utils/markdown';
+
+// Render markdown into a container and return it
+const renderText = (text) => render(<div>{renderMarkdown(text)}</div>).container.firstChild;
+
+describe('renderMarkdown', () => {
+  it('renders inline markup', () => {
+    const html = renderText('Some **bold**, *italic*, ~~old~~ and `code`').innerHTML;
+
+    expect(html).toBe('<p>Some <strong>bold</strong>, <em>italic</em>, <del>old</del> and <code>code</code></p>');
+  });
+
+  it('keeps markup inside code as text', () => {
+    expect(renderText('`**not bold**`').innerHTML).toBe('<p><code>**not bold**</code></p>');
+  });
+
+  it('splits paragraphs on blank lines and keeps single line breaks', () => {
+    expect(renderText('one\ntwo\n\nthree').innerHTML).toBe('<p>one<br>two</p><p>three</p>');
+  });
+
+  it('renders lists, quotes, headings and code blocks', () => {
+    const container = renderText('# Plan\n- first\n- second\n\n1. one\n2. two\n> quoted\n```\nconst a = 1;\n  *x*\n```');
+
+    expect(container.querySelector('.markdown-heading').textContent).toBe('Plan');
+    expect([...container.querySelectorAll('ul li')].map(li => li.textContent)).toEqual(['first', 'second']);
+    expect([...container.querySelectorAll('ol li')].map(li => li.textContent)).toEqual(['one', 'two']);
+    expect(container.querySelector('blockquote').textContent).toBe('quoted');
+    expect(container.querySelector('pre code').textContent).toBe('const a = 1;\n  *x*');
+  });
+
+  it('only links to web pages and email', () => {
+    const container = renderText('[docs](https://example.com) [bad](javascript:alert(1))');
+    const links = container.querySelectorAll('a');
+
+    expect(links).toHaveLength(1);
+    expect(links[0].getAttribute('href')).toBe('https://example.com');
+    expect(links[0].getAttribute('rel')).toBe('noopener noreferrer');
+    expect(container.textContent).toContain('bad');
+  });
+
+  it('never renders HTML from the text', () => {
+    const container = renderText('<img src=x onerror="alert(1)"> <b>hi</b>');
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('b')).toBeNull();
+    expect(container.textContent).toBe('<img src=x onerror="alert(1)"> <b>hi</b>');
+  });
+
+  it('highlights mentions but not email addresses', () => {
+    const container = renderText('Thanks @sam.lee. Mail sam@example.com');
+    const mentions = container.querySelectorAll('.mention');
+
+    expect(mentions).toHaveLength(1);
+    expect(mentions[0].textContent).toBe('@sam.lee');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { syncNow, subscribeToSync, describeRejection, storeTaskEvent } from '../services/sync';
+import { syncAPI } from '../services/api';
+import * as offlineStore from '../services/offlineStore';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  syncAPI: {
+    pull: vi.fn(),
+    push: vi.fn(),
+  },
+}));
+
+// Mock IndexedDB storage (jsdom doesn't have IndexedDB)
+vi.mock('../services/offlineStore', () => ({
+  getQueue: vi.fn(),
+  removeFromQueue: vi.fn(),
+  getTask: vi.fn(),
+  saveTasks: vi.fn(),
+  getMeta: vi.fn(),
+  setMeta: vi.fn(),
+  clearOfflineData: vi.fn(),
+}));
+
+describe('syncNow', () => {
+  const userId = 'user1';
+  let meta;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    meta = { owner: userId };
+    offlineStore.getMeta.mockImplementation(async (key) => meta[key]);
+    offlineStore.setMeta.mockImplementation(async (key, value) => {
+      meta[key] = value;
+    });
+    offlineStore.getQueue.mockResolvedValue([]);
+    offlineStore.getTask.mockResolvedValue(undefined);
+
+    syncAPI.pull.mockResolvedValue({ tasks: [], deleted: [], cursor: '0.000000000000000000000000', hasMore: false });
+  });
+
+  it('pushes queued changes in order, without their queue numbers', async () => {
+    offlineStore.getQueue.mockResolvedValue([
+      { seq: 1, op: 'create', id: 't1', data: { description: 'New' } },
+      { seq: 2, op: 'delete', id: 't2', baseSeq: 4 },
+    ]);
+    syncAPI.push.mockResolvedValue({
+      results: [
+        { id: 't1', status: 'applied', task: { _id: 't1', description: 'New', syncSeq: 7 } },
+        { id: 't2', status: 'applied' },
+      ],
+    });
+
+    const result = await syncNow(userId);
+
+    expect(syncAPI.push).toHaveBeenCalledWith([
+      { op: 'create', id: 't1', data: { description: 'New' } },
+      { op: 'delete', id: 't2', baseSeq: 4 },
+    ]);
+    expect(offlineStore.saveTasks).toHaveBeenCalledWith([{ _id: 't1', description: 'New', syncSeq: 7 }], []);
+    expect(offlineStore.saveTasks).toHaveBeenCalledWith([], ['t2']);
+    expect(offlineStore.removeFromQueue).toHaveBeenCalledWith([1, 2]);
+    expect(result.applied).toBe(2);
+    expect(result.rejected).toEqual([]);
+  });
+
+  it('keeps the server copy when a change conflicts', async () => {
+    const serverTask = { _id: 't1', description: 'Changed elsewhere', syncSeq: 9 };
+    offlineStore.getQueue.mockResolvedValue([
+      { seq: 1, op: 'update', id: 't1', baseSeq: 3, data: { completed: true } },
+    ]);
+    offlineStore.getTask.mockResolvedValue({ _id: 't1', description: 'Mine', syncSeq: 3 });
+    syncAPI.push.mockResolvedValue({
+      results: [{ id: 't1', status: 'conflict', reason: 'changed', task: serverTask }],
+    });
+
+    const result = await syncNow(userId);
+
+    expect(offlineStore.saveTasks).toHaveBeenCalledWith([serverTask]);
+    expect(offlineStore.removeFromQueue).toHaveBeenCalledWith([1]);
+    expect(result.rejected).toHaveLength(1);
+    expect(describeRejection(result.rejected[0])).toMatch(/"Mine" was changed on another device/);
+  });
+
+  it('leaves the queue alone when the push fails', async () => {
+    offlineStore.getQueue.mockResolvedValue([
+      { seq: 1, op: 'update', id: 't1', baseSeq: 3, data: { completed: true } },
+    ]);
+    syncAPI.push.mockRejectedValue(new Error('You are offline'));
+
+    await expect(syncNow(userId)).rejects.toThrow('You are offline');
+    expect(offlineStore.removeFromQueue).not.toHaveBeenCalled();
+  });
+
+  it('pulls every page of changes and remembers the cursor', async () => {
+    meta.cursor = '5.aaaaaaaaaaaaaaaaaaaaaaaa';
+    syncAPI.pull
+      .mockResolvedValueOnce({ tasks: [{ _id: 't1' }], deleted: [], cursor: '6.aaaaaaaaaaaaaaaaaaaaaaaa', hasMore: true })
+      .mockResolvedValueOnce({ tasks: [], deleted: ['t2'], cursor: '7.bbbbbbbbbbbbbbbbbbbbbbbb', hasMore: false });
+
+    const result = await syncNow(userId);
+
+    expect(syncAPI.pull).toHaveBeenNthCalledWith(1, '5.aaaaaaaaaaaaaaaaaaaaaaaa');
+    expect(syncAPI.pull).toHaveBeenNthCalledWith(2, '6.aaaaaaaaaaaaaaaaaaaaaaaa');
+    expect(offlineStore.saveTasks).toHaveBeenCalledWith([], ['t2']);
+    expect(meta.cursor).toBe('7.bbbbbbbbbbbbbbbbbbbbbbbb');
+    expect(result.pulled).toBe(2);
+  });
+
+  it('clears data stored for a different user', async () => {
+    meta = { owner: 'someone-else', cursor: '5.aaaaaaaaaaaaaaaaaaaaaaaa' };
+    offlineStore.clearOfflineData.mockImplementation(async () => {
+      meta = {};
+    });
+
+    await syncNow(userId);
+
+    expect(offlineStore.clearOfflineData).toHaveBeenCalled();
+    expect(syncAPI.pull).toHaveBeenCalledWith(undefined);
+    expect(meta.owner).toBe(userId);
+  });
+
+  it('tells listeners only when something changed', async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToSync(listener);
+
+    await syncNow(userId);
+    expect(listener).not.toHaveBeenCalled();
+
+    syncAPI.pull.mockResolvedValueOnce({ tasks: [{ _id: 't1' }], deleted: [], cursor: '1.aaaaaaaaaaaaaaaaaaaaaaaa', hasMore: false });
+    await syncNow(userId);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+  });
+});
+
+describe('storeTaskEvent', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('stores changed tasks and forgets deleted ones', async () => {
+    const task = { _id: 't1', description: 'Write report', syncSeq: 8 };
+
+    await storeTaskEvent({ type: 'task.updated', task });
+    await storeTaskEvent({ type: 'task.deleted', task: { _id: 't2' } });
+
+    expect(offlineStore.saveTasks).toHaveBeenNthCalledWith(1, [task]);
+    expect(offlineStore.saveTasks).toHaveBeenNthCalledWith(2, [], ['t2']);
+    expect(syncAPI.pull).not.toHaveBeenCalled();
+  });
+});
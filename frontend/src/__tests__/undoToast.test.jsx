@@ -0,0 +1,54 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import toast, { Toaster } from 'react-hot-toast';
+import { showUndoToast } from '../utils/undoToast';
+import { operationsAPI } from '../services/api';
+
+// Mock the API service so no real HTTP requests are made
+vi.mock('../services/api', () => ({
+  operationsAPI: {
+    undo: vi.fn(),
+  },
+}));
+
+describe('showUndoToast', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    operationsAPI.undo.mockResolvedValue({ type: 'complete', tasks: [] });
+    render(<Toaster />);
+  });
+
+  afterEach(() => {
+    act(() => toast.remove());
+  });
+
+  it('undoes every operation when Undo is clicked', async () => {
+    const user = userEvent.setup();
+    const onUndone = vi.fn();
+
+    act(() => showUndoToast('2 tasks completed!', ['op1', 'op2'], onUndone));
+    await user.click(await screen.findByRole('button', { name: /undo/i }));
+
+    expect(operationsAPI.undo).toHaveBeenCalledWith('op1');
+    expect(operationsAPI.undo).toHaveBeenCalledWith('op2');
+    await waitFor(() => expect(onUndone).toHaveBeenCalled());
+  });
+
+  it('shows a plain toast when there is nothing to undo', async () => {
+    act(() => showUndoToast('Task completed!', [undefined]));
+
+    expect(await screen.findByText('Task completed!')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /undo/i })).not.toBeInTheDocument();
+  });
+
+  it('reports when an operation can no longer be undone', async () => {
+    const user = userEvent.setup();
+    operationsAPI.undo.mockRejectedValue(new Error('Operation not found or expired'));
+
+    act(() => showUndoToast('Task moved to trash', ['op1']));
+    await user.click(await screen.findByRole('button', { name: /undo/i }));
+
+    expect(await screen.findByText(/couldn't undo: operation not found/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { buildViewQuery, toViewSort, fromViewSort } from '../utils/viewQuery';
+
+describe('buildViewQuery', () => {
+  it('returns an empty query for an unfiltered list', () => {
+    expect(buildViewQuery({})).toBe('');
+  });
+
+  it('turns the list filters into query terms', () => {
+    expect(buildViewQuery({
+      projectId: 'inbox',
+      filter: 'active',
+      selectedTags: ['work', 'urgent'],
+      searchQuery: ' weekly "report" ',
+    })).toBe('project:inbox -completed tag:work tag:urgent "weekly report"');
+  });
+
+  it('matches any of the tags in any mode', () => {
+    expect(buildViewQuery({ selectedTags: ['work', 'home'], tagMode: 'any' })).toBe('tag:work,home');
+  });
+
+  it('keeps the query of the view being shown', () => {
+    expect(buildViewQuery({ baseQuery: 'overdue', filter: 'completed' })).toBe('overdue completed');
+  });
+});
+
+describe('view sorts', () => {
+  it('converts TaskList sorts to view sorts and back', () => {
+    expect(toViewSort('date', 'desc')).toBe('dueDate:desc');
+    expect(toViewSort('name', 'asc')).toBe('description:asc');
+    expect(toViewSort('none', 'asc')).toBeNull();
+
+    expect(fromViewSort('dueDate:desc')).toEqual({ sortBy: 'date', sortDirection: 'desc' });
+    expect(fromViewSort(null)).toEqual({ sortBy: 'none', sortDirection: 'asc' });
+    expect(fromViewSort('createdAt:asc')).toEqual({ sortBy: 'none', sortDirection: 'asc' });
+  });
+
+  it('keeps high priority first', () => {
+    // TaskList sorts high priority first for 'asc'
+    expect(toViewSort('priority', 'asc')).toBe('priority:desc');
+    expect(fromViewSort('priority:desc')).toEqual({ sortBy: 'priority', sortDirection: 'asc' });
+  });
+});
@@ -0,0 +1,155 @@
+import { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { attachmentsAPI } from '../services/api';
+
+// What the file picker offers - the server decides what it really accepts
+const ACCEPTED_FILES = '.pdf,.txt,.md,.csv,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.odt,.ods,.jpg,.jpeg,.png,.gif,.webp';
+
+// "532 B", "14 KB", "2.4 MB"
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// AttachmentList - the files attached to a task, on its detail page
+// taskId: the task the files belong to
+const AttachmentList = ({ taskId }) => {
+  // ========== STATE MANAGEMENT ==========
+
+  const [attachments, setAttachments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const fileInputRef = useRef(null);
+
+  // Load the attachments when the task changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchAttachments = async () => {
+      try {
+        const data = await attachmentsAPI.getAttachments(taskId);
+        if (!cancelled) {
+          setAttachments(data);
+        }
+      } catch (err) {
+        toast.error(`Failed to load attachments: ${err.message}`);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchAttachments();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  // ========== HANDLERS ==========
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const attachment = await attachmentsAPI.uploadAttachment(taskId, file);
+      setAttachments(prev => [...prev, attachment]);
+      toast.success(`Attached ${attachment.filename}`);
+    } catch (err) {
+      toast.error(`Failed to attach file: ${err.message}`);
+    } finally {
+      setIsUploading(false);
+      // Clear the input so choosing the same file again still uploads it
+      e.target.value = '';
+    }
+  };
+
+  // Save the file through a temporary link to its downloaded contents
+  const handleDownload = async (attachment) => {
+    try {
+      const blob = await attachmentsAPI.downloadAttachment(taskId, attachment._id);
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(`Failed to download: ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    try {
+      await attachmentsAPI.deleteAttachment(taskId, attachment._id);
+      setAttachments(prev => prev.filter(item => item._id !== attachment._id));
+      toast.success(`Removed ${attachment.filename}`);
+    } catch (err) {
+      toast.error(`Failed to remove file: ${err.message}`);
+    }
+  };
+
+  // ========== RENDER UI ==========
+
+  return (
+    <section className="attachment-list" aria-label="Attachments">
+      <div className="attachment-header">
+        <h3>Attachments{attachments.length > 0 ? ` (${attachments.length})` : ''}</h3>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={isUploading}
+          className="btn btn-secondary"
+        >
+          {isUploading ? 'Uploading...' : '📎 Attach file'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_FILES}
+          onChange={handleFileChosen}
+          className="attachment-input"
+          aria-label="Choose a file to attach"
+        />
+      </div>
+
+      {loading ? (
+        <p className="attachment-empty">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="attachment-empty">No files attached.</p>
+      ) : (
+        <ul>
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="attachment-item">
+              <span className="attachment-icon">{attachment.mimeType.startsWith('image/') ? '🖼️' : '📄'}</span>
+              <button
+                onClick={() => handleDownload(attachment)}
+                className="link-button attachment-name"
+                title={`Download ${attachment.filename}`}
+              >
+                {attachment.filename}
+              </button>
+              <span className="attachment-size">{formatSize(attachment.size)}</span>
+              <button
+                onClick={() => handleDelete(attachment)}
+                className="btn-icon attachment-delete"
+                aria-label={`Remove ${attachment.filename}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default AttachmentList;
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+
+// BulkActionBar - floating toolbar for the tasks selected in TaskList
+// count: how many tasks are selected
+// projects: the user's projects (for "Move to")
+// busy: disables the actions while a bulk update is running
+// onAction(action, value): run a bulk action (see tasksAPI.bulkUpdate)
+// onSelectAll, onInvert, onClear: change the selection
+const BulkActionBar = ({ count, projects = [], busy = false, onAction, onSelectAll, onInvert, onClear }) => {
+  // Tag name typed into the "Add tag" box
+  const [tagName, setTagName] = useState('');
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+
+    if (tagName.trim()) {
+      onAction('addTag', tagName.trim());
+      setTagName('');
+    }
+  };
+
+  return (
+    <div className="bulk-action-bar" role="toolbar" aria-label="Bulk actions">
+      <span className="bulk-count">{count} selected</span>
+
+      <button onClick={() => onAction('complete')} disabled={busy} className="btn btn-primary btn-small">
+        Complete
+      </button>
+
+      <button onClick={() => onAction('delete')} disabled={busy} className="btn btn-delete">
+        Delete
+      </button>
+
+      {/* Selects reset to their placeholder after each use, so they act like menus */}
+      <select
+        value=""
+        onChange={(e) => onAction('setPriority', e.target.value)}
+        disabled={busy}
+        className="bulk-select"
+        aria-label="Set priority"
+      >
+        <option value="" disabled>Priority…</option>
+        <option value="high">High</option>
+        <option value="medium">Medium</option>
+        <option value="low">Low</option>
+      </select>
+
+      <label className="bulk-date">
+        <span>Due:</span>
+        <input
+          type="date"
+          value=""
+          onChange={(e) => e.target.value && onAction('setDueDate', e.target.value)}
+          disabled={busy}
+          aria-label="Set due date"
+        />
+      </label>
+      <button onClick={() => onAction('setDueDate', null)} disabled={busy} className="link-button">
+        Clear date
+      </button>
+
+      {projects.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => onAction('moveProject', e.target.value === 'inbox' ? null : e.target.value)}
+          disabled={busy}
+          className="bulk-select"
+          aria-label="Move to project"
+        >
+          <option value="" disabled>Move to…</option>
+          <option value="inbox">📥 Inbox</option>
+          {projects
+            .filter(project => !project.archived)
+            .map(project => (
+              <option key={project._id} value={project._id}>
+                {project.icon} {project.name}
+              </option>
+            ))}
+        </select>
+      )}
+
+      <form onSubmit={handleAddTag} className="bulk-tag-form">
+        <input
+          type="text"
+          value={tagName}
+          onChange={(e) => setTagName(e.target.value)}
+          placeholder="Add tag"
+          disabled={busy}
+          aria-label="Tag name"
+        />
+        <button type="submit" disabled={busy || !tagName.trim()} className="btn btn-secondary btn-small">
+          Tag
+        </button>
+      </form>
+
+      {/* Selection controls - also Ctrl/⌘+A, Ctrl/⌘+I and Escape */}
+      <span className="bulk-selection">
+        <button onClick={onSelectAll} className="link-button" title="Select all shown (Ctrl/⌘+A)">
+          All
+        </button>
+        <button onClick={onInvert} className="link-button" title="Invert selection (Ctrl/⌘+I)">
+          Invert
+        </button>
+        <button onClick={onClear} className="link-button" title="Clear selection (Esc)">
+          Clear
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default BulkActionBar;
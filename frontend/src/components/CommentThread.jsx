@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { commentsAPI } from '../services/api';
+import { renderMarkdown } from '../utils/markdown';
+
+// Format a comment time (e.g., "Jan 15, 2026, 9:30 AM")
+const formatTime = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// CommentThread - the discussion under a task on its detail page
+// taskId: the task the comments belong to
+// currentUserId: who is reading - only a comment's author can edit it
+const CommentThread = ({ taskId, currentUserId }) => {
+  // ========== STATE MANAGEMENT ==========
+
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Text of the new comment being typed
+  const [newBody, setNewBody] = useState('');
+
+  // The comment being edited, and its text so far
+  const [editingId, setEditingId] = useState(null);
+  const [editedBody, setEditedBody] = useState('');
+
+  // Track when an API call is in flight to avoid double submissions
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the comments when the task changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchComments = async () => {
+      try {
+        const data = await commentsAPI.getComments(taskId);
+        if (!cancelled) {
+          setComments(data);
+        }
+      } catch (err) {
+        toast.error(`Failed to load comments: ${err.message}`);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchComments();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  // ========== HANDLERS ==========
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!newBody.trim() || isSaving) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const comment = await commentsAPI.addComment(taskId, newBody.trim());
+      setComments(prev => [...prev, comment]);
+      setNewBody('');
+    } catch (err) {
+      toast.error(`Failed to add comment: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStartEdit = (comment) => {
+    setEditingId(comment._id);
+    setEditedBody(comment.body);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setEditedBody('');
+  };
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editedBody.trim()) {
+      toast.error('A comment can\'t be empty');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const updated = await commentsAPI.updateComment(taskId, commentId, editedBody.trim());
+      setComments(prev => prev.map(comment => comment._id === updated._id ? updated : comment));
+      handleCancelEdit();
+    } catch (err) {
+      toast.error(`Failed to update comment: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    try {
+      await commentsAPI.deleteComment(taskId, commentId);
+      setComments(prev => prev.filter(comment => comment._id !== commentId));
+      toast.success('Comment deleted');
+    } catch (err) {
+      toast.error(`Failed to delete comment: ${err.message}`);
+    }
+  };
+
+  // Ctrl+Enter (Cmd+Enter on a Mac) sends, like most chat boxes
+  const submitOnCtrlEnter = (e, submit) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submit();
+    }
+  };
+
+  // ========== RENDER UI ==========
+
+  return (
+    <section className="comment-thread" aria-label="Comments">
+      <h3>Comments{comments.length > 0 ? ` (${comments.length})` : ''}</h3>
+
+      {loading ? (
+        <p className="comment-empty">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="comment-empty">No comments yet. Start the discussion below.</p>
+      ) : (
+        <ul className="comment-list">
+          {comments.map(comment => {
+            const isAuthor = comment.author?._id === currentUserId;
+
+            return (
+              <li key={comment._id} className="comment">
+                <div className="comment-meta">
+                  <strong>{comment.author?.name || 'Someone'}</strong>
+                  <span className="comment-time">{formatTime(comment.createdAt)}</span>
+                </div>
+
+                {editingId === comment._id ? (
+                  <div className="comment-edit">
+                    <textarea
+                      value={editedBody}
+                      onChange={(e) => setEditedBody(e.target.value)}
+                      onKeyDown={(e) => submitOnCtrlEnter(e, () => handleSaveEdit(comment._id))}
+                      aria-label="Edit comment"
+                      rows={3}
+                      autoFocus
+                    />
+                    <div className="comment-actions">
+                      <button onClick={() => handleSaveEdit(comment._id)} disabled={isSaving} className="btn btn-save">
+                        Save
+                      </button>
+                      <button onClick={handleCancelEdit} className="btn btn-cancel">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="comment-body">{renderMarkdown(comment.body)}</div>
+                )}
+
+                {/* Earlier versions, newest first */}
+                {comment.edits?.length > 0 && (
+                  <details className="comment-history">
+                    <summary>Edited {comment.edits.length === 1 ? 'once' : `${comment.edits.length} times`}</summary>
+                    <ol>
+                      {[...comment.edits].reverse().map(edit => (
+                        <li key={edit.editedAt}>
+                          <span className="comment-time">Before {formatTime(edit.editedAt)}</span>
+                          <div className="comment-body">{renderMarkdown(edit.body)}</div>
+                        </li>
+                      ))}
+                    </ol>
+                  </details>
+                )}
+
+                {isAuthor && editingId !== comment._id && (
+                  <div className="comment-actions">
+                    <button onClick={() => handleStartEdit(comment)} className="link-button">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(comment._id)} className="link-button">
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form className="comment-form" onSubmit={handleAdd}>
+        <textarea
+          value={newBody}
+          onChange={(e) => setNewBody(e.target.value)}
+          onKeyDown={(e) => submitOnCtrlEnter(e, () => handleAdd(e))}
+          placeholder="Write a comment... (**markdown** and @mentions work)"
+          aria-label="New comment"
+          rows={3}
+          disabled={isSaving}
+        />
+        <button type="submit" disabled={isSaving || !newBody.trim()} className="btn btn-primary">
+          {isSaving ? 'Posting...' : 'Comment'}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default CommentThread;
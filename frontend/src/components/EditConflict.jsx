@@ -0,0 +1,46 @@
+// EditConflict - shown by TaskList's inline editor when the task was changed
+// somewhere else (another tab or device) while it was being edited
+// serverTask: the task as it is on the server now
+// description: the description being saved
+// busy: disables the choices while one is being saved
+// onMerge: save the new description on top of the other changes
+// onOverwrite: save this tab's copy of the task over the other changes
+// onDiscard: drop the edit and keep the other version
+const EditConflict = ({ serverTask, description, busy = false, onMerge, onOverwrite, onDiscard }) => (
+  <div className="edit-conflict" role="alert">
+    <p>This task was changed somewhere else while you were editing it.</p>
+
+    {serverTask.description !== description && (
+      <dl className="edit-conflict-versions">
+        <dt>Theirs</dt>
+        <dd>{serverTask.description}</dd>
+        <dt>Yours</dt>
+        <dd>{description}</dd>
+      </dl>
+    )}
+
+    <div className="edit-conflict-actions">
+      <button
+        onClick={onMerge}
+        disabled={busy}
+        className="btn btn-primary btn-small"
+        title="Save your description and keep their other changes"
+      >
+        Merge
+      </button>
+      <button
+        onClick={onOverwrite}
+        disabled={busy}
+        className="btn btn-secondary btn-small"
+        title="Save the task as you had it, undoing their changes"
+      >
+        Overwrite
+      </button>
+      <button onClick={onDiscard} disabled={busy} className="link-button">
+        Keep theirs
+      </button>
+    </div>
+  </div>
+);
+
+export default EditConflict;
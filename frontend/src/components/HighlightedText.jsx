@@ -0,0 +1,26 @@
+// HighlightedText - text with the parts that matched a search marked
+// text: the text to show
+// matches: [start, end] character ranges to mark (sorted, not overlapping),
+//          as returned in a search result's highlights
+// The text is split into plain strings and <mark> elements, so React escapes
+// it like any other text.
+const HighlightedText = ({ text, matches = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  matches.forEach(([start, end]) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+
+  if (position < text.length) {
+    parts.push(text.slice(position));
+  }
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { Link } from 'react-router-dom';
+import { notificationsAPI, eventsAPI } from '../services/api';
+
+// How many notifications the dropdown shows
+const NOTIFICATION_LIMIT = 20;
+
+// "just now", "5 min ago", "3 h ago", "2 d ago"
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return `${Math.floor(minutes / (24 * 60))} d ago`;
+};
+
+const TYPE_ICONS = {
+  reminder: '⏰',
+  overdue: '⚠️',
+  mention: '💬',
+};
+
+// NotificationBell - header bell with unread count and a dropdown list
+// New reminders and overdue alerts arrive on the live event stream, so they
+// show up without a reload (and without asking the server every few seconds)
+const NotificationBell = () => {
+  // ========== STATE MANAGEMENT ==========
+
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Where the dropdown is drawn (the header clips overflowing children,
+  // so the dropdown is positioned relative to the window instead)
+  const [dropdownPosition, setDropdownPosition] = useState({ top: 0, right: 0 });
+
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  // ========== LIVE UPDATES ==========
+
+  // Load notifications once, then add new ones as the server pushes them
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const data = await notificationsAPI.getNotifications({ limit: NOTIFICATION_LIMIT });
+        setNotifications(data);
+      } catch (err) {
+        // Loading runs in the background, so failures are only logged
+        console.error('Failed to load notifications:', err.message);
+      }
+    };
+
+    const handleNotification = ({ notification }) => {
+      setNotifications(prev => [
+        notification,
+        ...prev.filter(item => item._id !== notification._id)
+      ].slice(0, NOTIFICATION_LIMIT));
+    };
+
+    fetchNotifications();
+
+    // Cleanup: stop listening when the component unmounts
+    // Anything sent while the connection was down is loaded when it's back
+    return eventsAPI.subscribe(handleNotification, {
+      types: ['notification.created'],
+      onReconnect: fetchNotifications
+    });
+  }, []);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  // ========== HANDLERS ==========
+
+  const toggleOpen = () => {
+    if (!isOpen && buttonRef.current) {
+      const rect = buttonRef.current.getBoundingClientRect();
+      setDropdownPosition({
+        top: rect.bottom + 8,
+        right: window.innerWidth - rect.right
+      });
+    }
+    setIsOpen(prev => !prev);
+  };
+
+  const handleMarkRead = async (notification) => {
+    if (notification.read) {
+      return;
+    }
+
+    try {
+      const updated = await notificationsAPI.markRead(notification._id);
+      setNotifications(prev => prev.map(item => item._id === updated._id ? updated : item));
+    } catch (err) {
+      toast.error(`Failed to update notification: ${err.message}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    } catch (err) {
+      toast.error(`Failed to update notifications: ${err.message}`);
+    }
+  };
+
+  // ========== RENDER UI ==========
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        ref={buttonRef}
+        onClick={toggleOpen}
+        className="btn-icon notification-toggle"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+        aria-expanded={isOpen}
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-count">{unreadCount > 9 ? '9+' : unreadCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="notification-dropdown" style={dropdownPosition}>
+          <div className="notification-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="link-button" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="notification-empty">You're all caught up!</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    className={`notification-item ${notification.read ? '' : 'unread'}`}
+                    onClick={() => handleMarkRead(notification)}
+                  >
+                    <span className="notification-icon">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                    <span className="notification-body">
+                      <span className="notification-message">{notification.message}</span>
+                      <span className="notification-time">{timeAgo(notification.createdAt)}</span>
+                    </span>
+                  </button>
+                  {notification.task && (
+                    <Link
+                      to={`/tasks/${notification.task}`}
+                      className="notification-open"
+                      onClick={() => {
+                        handleMarkRead(notification);
+                        setIsOpen(false);
+                      }}
+                    >
+                      Open task
+                    </Link>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useEffectEvent, useContext } from 'react';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import { OfflineError, eventsAPI } from '../services/api';
+import { subscribeToQueue } from '../services/offlineStore';
+import { syncNow, describeRejection, storeTaskEvent } from '../services/sync';
+
+// OfflineStatus - header badge showing offline state and unsent changes
+// Also keeps the tasks stored on this device in sync: on load, whenever the
+// connection comes back, when changes are queued, and from the live event
+// stream - never on a timer, so an idle tab sends no requests
+const OfflineStatus = () => {
+  const { user } = useContext(AuthContext);
+
+  // ========== STATE MANAGEMENT ==========
+
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  // Number of changes made offline that haven't reached the server yet
+  const [pendingCount, setPendingCount] = useState(0);
+
+  // ========== CONNECTION STATUS ==========
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    return subscribeToQueue(setPendingCount);
+  }, []);
+
+  // ========== SYNCING ==========
+
+  // syncNow() never runs twice at once, so overlapping calls are harmless
+  const sync = useEffectEvent(async () => {
+    if (!navigator.onLine || !user) {
+      return;
+    }
+
+    try {
+      const { applied, rejected } = await syncNow(user._id);
+
+      if (applied > 0) {
+        toast.success(`Synced ${applied} offline change${applied === 1 ? '' : 's'}`);
+      }
+
+      // Each conflict gets its own message, shown until dismissed
+      rejected.forEach((rejection) => {
+        toast.error(describeRejection(rejection), { duration: Infinity });
+      });
+    } catch (err) {
+      // Lost the connection again - the next 'online' event will retry
+      if (!(err instanceof OfflineError)) {
+        console.error('Sync failed:', err.message);
+      }
+    }
+  });
+
+  // Runs when the connection comes back (and on first load)
+  useEffect(() => {
+    if (isOnline && user) {
+      sync();
+    }
+  }, [isOnline, user]);
+
+  // Changes queued while online (a request that didn't get through) go out
+  // as soon as they're queued
+  useEffect(() => {
+    if (isOnline && pendingCount > 0) {
+      sync();
+    }
+  }, [isOnline, pendingCount]);
+
+  // Single changes from the event stream are stored as they arrive. Many
+  // changes at once, or a dropped stream (events may have been missed),
+  // mean fetching the changes instead.
+  useEffect(() => {
+    if (!user) {
+      return;
+    }
+
+    const handleTaskEvent = (event) => {
+      if (event.type === 'tasks.refresh') {
+        sync();
+        return;
+      }
+
+      storeTaskEvent(event).catch((err) => {
+        console.error('Failed to store a task change:', err.message);
+      });
+    };
+
+    return eventsAPI.subscribe(handleTaskEvent, { onReconnect: sync });
+  }, [user]);
+
+  // ========== RENDER UI ==========
+
+  if (isOnline && pendingCount === 0) {
+    return null;
+  }
+
+  return (
+    <span className="offline-status" role="status">
+      {isOnline ? '🔄 Syncing' : '📴 Offline'}
+      {pendingCount > 0 && (
+        <span className="offline-pending">
+          {pendingCount} change{pendingCount === 1 ? '' : 's'} waiting
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default OfflineStatus;
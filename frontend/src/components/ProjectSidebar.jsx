@@ -0,0 +1,281 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { projectsAPI, viewsAPI } from '../services/api';
+
+// ProjectSidebar - lists the user's views and projects so the task list can be scoped to one
+// projects: array of projects from the API (with taskCount)
+// selectedProject: 'all', 'inbox', a project ID, or null while a view is shown
+// onSelect: called with the new selection
+// onProjectsChanged: called after a project is created, archived or deleted
+// views: built-in and saved views from the API
+// selectedView: ID of the view being shown, or null
+// onSelectView: called with a view ID
+// onViewDeleted: called with the ID of a deleted view
+const ProjectSidebar = ({
+  projects,
+  selectedProject,
+  onSelect,
+  onProjectsChanged,
+  views = [],
+  selectedView = null,
+  onSelectView,
+  onViewDeleted,
+}) => {
+  // ========== STATE MANAGEMENT ==========
+
+  // New project form fields
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('#4a90e2');
+  const [newIcon, setNewIcon] = useState('📁');
+
+  // Whether archived projects are listed
+  const [showArchived, setShowArchived] = useState(false);
+
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  // ========== HANDLERS ==========
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!newName.trim()) {
+      return;
+    }
+
+    try {
+      const project = await projectsAPI.createProject({
+        name: newName.trim(),
+        color: newColor,
+        icon: newIcon.trim() || undefined
+      });
+
+      setNewName('');
+      setIsCreating(false);
+      toast.success(`Project "${project.name}" created`);
+      onProjectsChanged();
+      onSelect(project._id);
+    } catch (err) {
+      toast.error(`Failed to create project: ${err.message}`);
+    }
+  };
+
+  const handleToggleArchive = async (project) => {
+    try {
+      await projectsAPI.updateProject(project._id, { archived: !project.archived });
+      toast.success(project.archived ? 'Project restored' : 'Project archived');
+      onProjectsChanged();
+    } catch (err) {
+      toast.error(`Failed to update project: ${err.message}`);
+    }
+  };
+
+  const handleDelete = (project) => {
+    toast((t) => (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        <p>Delete "{project.name}"? Its tasks will move to the Inbox.</p>
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              toast.promise(
+                projectsAPI.deleteProject(project._id).then(() => {
+                  if (selectedProject === project._id) {
+                    onSelect('inbox');
+                  }
+                  onProjectsChanged();
+                }),
+                {
+                  loading: 'Deleting project...',
+                  success: 'Project deleted',
+                  error: (err) => `Failed to delete: ${err.message}`,
+                }
+              );
+            }}
+            className="btn btn-danger btn-sm"
+          >
+            Delete
+          </button>
+          <button
+            onClick={() => toast.dismiss(t.id)}
+            className="btn btn-secondary btn-sm"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    ), {
+      duration: 5000,
+      style: {
+        minWidth: '300px'
+      }
+    });
+  };
+
+  // Saved views are cheap to recreate, so they're deleted without asking
+  const handleDeleteView = async (view) => {
+    try {
+      await viewsAPI.deleteView(view._id);
+      toast.success(`View "${view.name}" deleted`);
+      onViewDeleted(view._id);
+    } catch (err) {
+      toast.error(`Failed to delete view: ${err.message}`);
+    }
+  };
+
+  // ========== RENDER HELPERS ==========
+
+  const renderView = (view) => (
+    <li key={view._id}>
+      <button
+        className={`project-item ${selectedView === view._id ? 'active' : ''}`}
+        onClick={() => onSelectView(view._id)}
+      >
+        <span className="project-icon">{view.icon}</span>
+        <span className="project-name">{view.name}</span>
+      </button>
+
+      {/* Built-in views can't be deleted */}
+      {selectedView === view._id && !view.builtIn && (
+        <div className="project-actions">
+          <button className="link-button" onClick={() => handleDeleteView(view)}>
+            Delete
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  const renderProject = (project) => (
+    <li key={project._id}>
+      <button
+        className={`project-item ${selectedProject === project._id ? 'active' : ''}`}
+        onClick={() => onSelect(project._id)}
+      >
+        <span className="project-color" style={{ backgroundColor: project.color }} />
+        <span className="project-icon">{project.icon}</span>
+        <span className="project-name">{project.name}</span>
+        {project.taskCount > 0 && (
+          <span className="project-count">{project.taskCount}</span>
+        )}
+      </button>
+
+      {/* Actions for the selected project */}
+      {selectedProject === project._id && (
+        <div className="project-actions">
+          <button className="link-button" onClick={() => handleToggleArchive(project)}>
+            {project.archived ? 'Unarchive' : 'Archive'}
+          </button>
+          <button className="link-button" onClick={() => handleDelete(project)}>
+            Delete
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  // ========== RENDER UI ==========
+
+  return (
+    <aside className="project-sidebar">
+      <ul className="project-list">
+        <li>
+          <button
+            className={`project-item ${selectedProject === 'all' ? 'active' : ''}`}
+            onClick={() => onSelect('all')}
+          >
+            <span className="project-icon">🗂️</span>
+            <span className="project-name">All tasks</span>
+          </button>
+        </li>
+        <li>
+          <button
+            className={`project-item ${selectedProject === 'inbox' ? 'active' : ''}`}
+            onClick={() => onSelect('inbox')}
+          >
+            <span className="project-icon">📥</span>
+            <span className="project-name">Inbox</span>
+          </button>
+        </li>
+      </ul>
+
+      {/* Smart lists and saved views */}
+      {views.length > 0 && (
+        <>
+          <h4 className="project-heading">Views</h4>
+          <ul className="project-list">
+            {views.map(renderView)}
+          </ul>
+        </>
+      )}
+
+      <h4 className="project-heading">Projects</h4>
+      <ul className="project-list">
+        {activeProjects.map(renderProject)}
+      </ul>
+
+      {/* New project form */}
+      {isCreating ? (
+        <form onSubmit={handleCreate} className="project-form">
+          <div className="project-form-row">
+            <input
+              type="text"
+              value={newIcon}
+              onChange={(e) => setNewIcon(e.target.value)}
+              className="project-icon-input"
+              aria-label="Project icon"
+              maxLength={8}
+            />
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Project name"
+              aria-label="Project name"
+              autoFocus
+            />
+            <input
+              type="color"
+              value={newColor}
+              onChange={(e) => setNewColor(e.target.value)}
+              className="project-color-input"
+              aria-label="Project colour"
+            />
+          </div>
+          <div className="project-form-row">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={!newName.trim()}>
+              Create
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setIsCreating(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="link-button project-new" onClick={() => setIsCreating(true)}>
+          + New project
+        </button>
+      )}
+
+      {/* Archived projects - collapsed by default */}
+      {archivedProjects.length > 0 && (
+        <>
+          <button
+            className="link-button project-archived-toggle"
+            onClick={() => setShowArchived(prev => !prev)}
+          >
+            {showArchived ? 'Hide' : 'Show'} archived ({archivedProjects.length})
+          </button>
+          {showArchived && (
+            <ul className="project-list archived">
+              {archivedProjects.map(renderProject)}
+            </ul>
+          )}
+        </>
+      )}
+    </aside>
+  );
+};
+
+export default ProjectSidebar;
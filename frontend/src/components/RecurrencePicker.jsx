@@ -0,0 +1,172 @@
+import { WEEKDAY_OPTIONS } from '../utils/recurrence';
+
+// RecurrencePicker - controlled input for a task's repeat rule
+// value: recurrence rule object, or null for "doesn't repeat"
+// onChange: called with the new rule (or null)
+// disabled: disables every input while the parent is saving
+const RecurrencePicker = ({ value, onChange, disabled = false }) => {
+  // ========== HANDLERS ==========
+
+  // Merge a change into the current rule
+  const update = (changes) => {
+    onChange({ ...value, ...changes });
+  };
+
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+
+    // Keep interval and end settings, drop options that only apply to the old frequency
+    onChange({
+      frequency,
+      interval: value?.interval || 1,
+      ...(value?.until && { until: value.until }),
+      ...(value?.count && { count: value.count }),
+    });
+  };
+
+  const toggleWeekday = (code) => {
+    const current = value.byWeekday || [];
+    update({
+      byWeekday: current.includes(code)
+        ? current.filter(day => day !== code)
+        : [...current, code]
+    });
+  };
+
+  // Ends: never, on a date (until) or after N times (count)
+  const endType = value?.until ? 'until' : value?.count ? 'count' : 'never';
+
+  const handleEndTypeChange = (type) => {
+    const rest = { ...value };
+    delete rest.until;
+    delete rest.count;
+
+    if (type === 'until') {
+      rest.until = new Date().toISOString().slice(0, 10);
+    } else if (type === 'count') {
+      rest.count = 5;
+    }
+
+    onChange(rest);
+  };
+
+  // ========== RENDER UI ==========
+
+  return (
+    <div className="recurrence-picker">
+      <select
+        value={value?.frequency || ''}
+        onChange={(e) => handleFrequencyChange(e.target.value)}
+        disabled={disabled}
+        className="recurrence-frequency"
+        aria-label="Repeat"
+        title="Repeat"
+      >
+        <option value="">Doesn't repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekly">Weekly</option>
+        <option value="monthly">Monthly</option>
+        <option value="yearly">Yearly</option>
+      </select>
+
+      {/* Details only make sense once a frequency is picked */}
+      {value && (
+        <div className="recurrence-details">
+          <label className="recurrence-field">
+            Every
+            <input
+              type="number"
+              min="1"
+              value={value.interval || 1}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+              disabled={disabled}
+              className="recurrence-interval"
+              aria-label="Repeat interval"
+            />
+            {{ daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' }[value.frequency]}
+            {(value.interval || 1) > 1 ? 's' : ''}
+          </label>
+
+          {/* Weekly: which weekdays (defaults to the due date's weekday) */}
+          {value.frequency === 'weekly' && (
+            <div className="recurrence-weekdays" role="group" aria-label="Repeat on">
+              {WEEKDAY_OPTIONS.map(day => (
+                <button
+                  key={day.code}
+                  type="button"
+                  onClick={() => toggleWeekday(day.code)}
+                  disabled={disabled}
+                  className={`weekday-toggle ${value.byWeekday?.includes(day.code) ? 'active' : ''}`}
+                  aria-pressed={value.byWeekday?.includes(day.code) || false}
+                  title={day.short}
+                >
+                  {day.initial}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* Monthly: day of the month (defaults to the due date's day) */}
+          {value.frequency === 'monthly' && (
+            <select
+              value={value.byMonthDay || ''}
+              onChange={(e) => update({ byMonthDay: e.target.value ? parseInt(e.target.value) : undefined })}
+              disabled={disabled}
+              aria-label="Day of the month"
+            >
+              <option value="">Same day as due date</option>
+              {Array.from({ length: 31 }, (_, index) => index + 1).map(day => (
+                <option key={day} value={day}>Day {day}</option>
+              ))}
+              <option value="-1">Last day</option>
+            </select>
+          )}
+
+          <label className="recurrence-field">
+            Ends
+            <select
+              value={endType}
+              onChange={(e) => handleEndTypeChange(e.target.value)}
+              disabled={disabled}
+              aria-label="Ends"
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+          </label>
+
+          {endType === 'until' && (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+              disabled={disabled}
+              aria-label="End date"
+            />
+          )}
+
+          {endType === 'count' && (
+            <label className="recurrence-field">
+              <input
+                type="number"
+                min="1"
+                value={value.count}
+                onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+                disabled={disabled}
+                className="recurrence-interval"
+                aria-label="Number of occurrences"
+              />
+              times
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrencePicker;
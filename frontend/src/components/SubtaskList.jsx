@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+
+// SubtaskList - the expandable checklist shown under a task
+// task: the parent task (with its subtasks array)
+// onTaskUpdated: called with the updated task returned by the API,
+// so the parent list can swap it in without refetching everything
+const SubtaskList = ({ task, onTaskUpdated }) => {
+  // ========== STATE MANAGEMENT ==========
+
+  // Text of the new subtask being typed
+  const [newSubtaskText, setNewSubtaskText] = useState('');
+
+  // Track when an API call is in flight to avoid double submissions
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Subtasks are stored in order, but sort defensively by position
+  const subtasks = [...(task.subtasks || [])].sort((a, b) => a.position - b.position);
+
+  // ========== API HELPER ==========
+
+  // Run an API call, then hand the updated task back to the parent
+  const runUpdate = async (apiCall, errorMessage) => {
+    setIsSaving(true);
+    try {
+      const updatedTask = await apiCall();
+      onTaskUpdated(updatedTask);
+      return true;
+    } catch (err) {
+      toast.error(`${errorMessage}: ${err.message}`);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ========== HANDLERS ==========
+
+  const handleToggle = (subtask) => {
+    runUpdate(
+      () => tasksAPI.updateSubtask(task._id, subtask._id, { completed: !subtask.completed }),
+      'Failed to update item'
+    );
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    if (!newSubtaskText.trim()) {
+      return;
+    }
+
+    const added = await runUpdate(
+      () => tasksAPI.addSubtask(task._id, newSubtaskText.trim()),
+      'Failed to add item'
+    );
+
+    if (added) {
+      setNewSubtaskText('');
+    }
+  };
+
+  const handleDelete = (subtask) => {
+    runUpdate(
+      () => tasksAPI.deleteSubtask(task._id, subtask._id),
+      'Failed to delete item'
+    );
+  };
+
+  // Move a subtask up (-1) or down (+1) by swapping it with its neighbour
+  const handleMove = (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= subtasks.length) {
+      return;
+    }
+
+    const order = subtasks.map(subtask => subtask._id);
+    [order[index], order[targetIndex]] = [order[targetIndex], order[index]];
+
+    runUpdate(
+      () => tasksAPI.reorderSubtasks(task._id, order),
+      'Failed to reorder items'
+    );
+  };
+
+  // ========== RENDER UI ==========
+
+  return (
+    <div className="subtask-list">
+      {subtasks.map((subtask, index) => (
+        <div
+          key={subtask._id}
+          className={`subtask-item ${subtask.completed ? 'completed' : ''}`}
+        >
+          <input
+            type="checkbox"
+            checked={subtask.completed}
+            onChange={() => handleToggle(subtask)}
+            disabled={isSaving}
+            className="subtask-checkbox"
+            aria-label={`Mark "${subtask.text}" as ${subtask.completed ? 'not done' : 'done'}`}
+          />
+          <span className="subtask-text">{subtask.text}</span>
+
+          {/* Reorder and delete controls */}
+          <div className="subtask-actions">
+            <button
+              onClick={() => handleMove(index, -1)}
+              disabled={isSaving || index === 0}
+              className="subtask-btn"
+              aria-label="Move item up"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => handleMove(index, 1)}
+              disabled={isSaving || index === subtasks.length - 1}
+              className="subtask-btn"
+              aria-label="Move item down"
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => handleDelete(subtask)}
+              disabled={isSaving}
+              className="subtask-btn"
+              aria-label="Delete item"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {/* Add new checklist item */}
+      <form onSubmit={handleAdd} className="subtask-form">
+        <input
+          type="text"
+          value={newSubtaskText}
+          onChange={(e) => setNewSubtaskText(e.target.value)}
+          placeholder="Add a checklist item..."
+          disabled={isSaving}
+          className="subtask-input"
+        />
+        <button
+          type="submit"
+          className="btn btn-primary btn-small"
+          disabled={isSaving || !newSubtaskText.trim()}
+        >
+          Add
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SubtaskList;
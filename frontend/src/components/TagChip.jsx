@@ -0,0 +1,44 @@
+// TagChip - a small coloured label for a tag, e.g. "#work"
+// name: the tag name
+// color: background colour (hex) - falls back to the theme's secondary colour
+// active: highlights the chip (used in the filter bar)
+// onClick: optional - makes the chip a button
+const TagChip = ({ name, color, active = false, onClick }) => {
+  // Pick black or white text depending on how light the background is
+  const getTextColor = (hex) => {
+    if (!hex) return 'white';
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+    return brightness > 150 ? '#222' : 'white';
+  };
+
+  const style = {
+    backgroundColor: color || 'var(--secondary-color)',
+    color: getTextColor(color)
+  };
+
+  // Render as a button when clickable, otherwise a plain label
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        className={`tag-chip ${active ? 'active' : ''}`}
+        style={style}
+        onClick={onClick}
+        aria-pressed={active}
+      >
+        #{name}
+      </button>
+    );
+  }
+
+  return (
+    <span className="tag-chip" style={style}>
+      #{name}
+    </span>
+  );
+};
+
+export default TagChip;
@@ -1,10 +1,12 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
 import toast from 'react-hot-toast';
-import { tasksAPI } from '../services/api';
+import { tasksAPI, createIdempotencyKey } from '../services/api';
+import RecurrencePicker from './RecurrencePicker';
 
 // onTaskCreated is a prop - a function passed from the parent component
 // When we create a task, we call this function to tell parent to refresh
-const TaskForm = ({ onTaskCreated }) => {
+// projectId (optional) puts new tasks into that project instead of the Inbox
+const TaskForm = ({ onTaskCreated, projectId = null }) => {
   // ========== STATE MANAGEMENT ==========
 
   // Store the task description input value
@@ -16,9 +18,23 @@ const TaskForm = ({ onTaskCreated }) => {
   // Store the priority (defaults to 'medium')
   const [priority, setPriority] = useState('medium');
 
+  // Store the tags as typed, e.g. "#work, urgent"
+  const [tagsInput, setTagsInput] = useState('');
+
+  // Store the reminder offset in minutes before the due date ('' = no reminder)
+  const [reminderMinutes, setReminderMinutes] = useState('');
+
+  // Store the repeat rule (null = doesn't repeat)
+  const [recurrence, setRecurrence] = useState(null);
+
   // Track loading state during API call
   const [isLoading, setIsLoading] = useState(false);
 
+  // The Idempotency-Key of the last try that failed, with the task it was for
+  // Submitting the same task again reuses the key, so if the failed try did
+  // reach the server it isn't created twice
+  const pendingCreateRef = useRef(null);
+
   // ========== FORM SUBMISSION ==========
 
   const handleSubmit = async (e) => {
@@ -34,14 +50,41 @@ const TaskForm = ({ onTaskCreated }) => {
     setIsLoading(true);
 
     try {
+      // Turn "#work, urgent home" into ['work', 'urgent', 'home']
+      const tags = tagsInput
+        .split(/[\s,]+/)
+        .map(tag => tag.replace(/^#+/, ''))
+        .filter(tag => tag.length > 0);
+
+      const extra = {
+        tags,
+        ...(projectId && { project: projectId }),
+        ...(recurrence && { recurrence }),
+        ...(dueDate && reminderMinutes !== '' && {
+          reminders: [{ minutesBefore: parseInt(reminderMinutes) }]
+        })
+      };
+
+      // A changed task is a new request, so it gets a new key
+      const fields = JSON.stringify([description.trim(), dueDate, priority, extra]);
+      if (pendingCreateRef.current?.fields !== fields) {
+        pendingCreateRef.current = { fields, idempotencyKey: createIdempotencyKey() };
+      }
+
       // Call API to create new task
       // Pass dueDate only if it has a value, and priority
-      await tasksAPI.createTask(description.trim(), false, dueDate || null, priority);
+      await tasksAPI.createTask(description.trim(), false, dueDate || null, priority, extra, {
+        idempotencyKey: pendingCreateRef.current.idempotencyKey
+      });
+      pendingCreateRef.current = null;
 
       // Success! Clear the input fields
       setDescription('');
       setDueDate('');
       setPriority('medium');  // Reset to default
+      setTagsInput('');
+      setReminderMinutes('');
+      setRecurrence(null);
 
       // Show success toast
       toast.success('Task created successfully!');
@@ -98,6 +141,41 @@ const TaskForm = ({ onTaskCreated }) => {
             <option value="high">High Priority</option>
           </select>
 
+          {/* Reminder - only makes sense with a due date */}
+          {dueDate && (
+            <select
+              value={reminderMinutes}
+              onChange={(e) => setReminderMinutes(e.target.value)}
+              disabled={isLoading}
+              className="task-reminder-select"
+              title="Remind me"
+            >
+              <option value="">No reminder</option>
+              <option value="0">On the due date</option>
+              <option value="60">1 hour before</option>
+              <option value="1440">1 day before</option>
+              <option value="10080">1 week before</option>
+            </select>
+          )}
+
+          {/* Tags input - optional, space or comma separated */}
+          <input
+            type="text"
+            value={tagsInput}
+            onChange={(e) => setTagsInput(e.target.value)}
+            placeholder="#tags"
+            disabled={isLoading}
+            className="task-tags-input"
+            title="Optional tags, separated by spaces or commas"
+          />
+
+          {/* Repeat rule - optional */}
+          <RecurrencePicker
+            value={recurrence}
+            onChange={setRecurrence}
+            disabled={isLoading}
+          />
+
           {/* Submit button */}
           <button
             type="submit"
@@ -1,13 +1,78 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useEffectEvent, useMemo, useRef } from 'react';
 import toast from 'react-hot-toast';
-import { tasksAPI } from '../services/api';
+import { Link } from 'react-router-dom';
+import { tasksAPI, tagsAPI, eventsAPI, viewsAPI, ConflictError } from '../services/api';
+import { subscribeToSync } from '../services/sync';
+import SubtaskList from './SubtaskList';
+import TagChip from './TagChip';
+import BulkActionBar from './BulkActionBar';
+import HighlightedText from './HighlightedText';
+import ViewControls from './ViewControls';
+import EditConflict from './EditConflict';
+import { describeRecurrence } from '../utils/recurrence';
+import { showUndoToast } from '../utils/undoToast';
+import { buildViewQuery, toViewSort, fromViewSort } from '../utils/viewQuery';
+
+// Wait this long after the last keystroke before asking the server to search
+const SEARCH_DELAY = 300;
+// Most search results to ask for (the server's maximum)
+const SEARCH_LIMIT = 100;
+// Tasks to load at a time - more load when the end of the list scrolls into view
+const PAGE_SIZE = 50;
+// Fields "Overwrite" puts back when an edit clashes with a change made elsewhere
+const OVERWRITE_FIELDS = ['completed', 'priority', 'dueDate', 'tags', 'project'];
+
+// GET /tasks filters for the tasks in a project (or all tasks), narrowed
+// down to a view's query and the completion and tag filters, in the order
+// picked with the sort buttons
+// The server filters and sorts, so every page (and the total) is right
+// for the whole list, not only for the tasks loaded so far
+const listFilters = ({ projectId, viewQuery, filter, selectedTags, tagMode, sortBy, sortDirection }) => {
+  const filters = projectId !== 'all' ? { project: projectId } : {};
+  if (viewQuery) {
+    filters.q = viewQuery;
+  }
+  if (filter !== 'all') {
+    filters.completed = filter === 'completed';
+  }
+  if (selectedTags.length > 0) {
+    filters.tags = selectedTags;
+    filters.tagMode = tagMode;
+  }
+
+  // A view's sort and the sortBy of GET /tasks are written the same way
+  const sort = toViewSort(sortBy, sortDirection);
+  if (sort) {
+    filters.sortBy = sort;
+  }
+  return filters;
+};
 
-const TaskList = () => {
+// projectId: 'all', 'inbox', or a project ID - which tasks to load
+// projects: the user's projects (for the "move to project" menu)
+// onTasksChanged: called after tasks move between projects, so counts can refresh
+// view: the saved or built-in view being shown (null = none) - its query picks
+//       the tasks, and its sort and display mode are where the list starts
+// onViewSaved(view): called after the list is saved as a view, or a view is updated
+const TaskList = ({ projectId = 'all', projects = [], onTasksChanged, view = null, onViewSaved }) => {
   // ========== STATE MANAGEMENT ==========
 
   // Store the array of tasks from the API
   const [tasks, setTasks] = useState([]);
 
+  // Paging: the cursor for the next page (null once every task is loaded),
+  // how many tasks match in all, and whether another page is on its way
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalCount, setTotalCount] = useState(0);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  // How many tasks are loaded - a reload fetches at least that many again,
+  // so the list doesn't shrink back to one page
+  const loadedCountRef = useRef(0);
+
+  // The element after the last task - loading more starts when it's seen
+  const loadMoreRef = useRef(null);
+
   // Track loading state while fetching tasks
   const [isLoading, setIsLoading] = useState(true);
 
@@ -20,11 +85,37 @@ const TaskList = () => {
   // Store the search query for filtering tasks
   const [searchQuery, setSearchQuery] = useState('');
 
+  // The search box's text, once typing has paused for SEARCH_DELAY
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+
+  // The server's results for a search query ({ query, results })
+  // results is null when the search failed
+  const [serverSearch, setServerSearch] = useState({ query: '', results: null });
+
+  // Counts task changes pushed by the server, so a search that's shown is
+  // run again when tasks change (and not when another page loads)
+  const [taskChangeCount, setTaskChangeCount] = useState(0);
+
   // Store the current sort option ('none', 'date', 'priority', 'name')
-  const [sortBy, setSortBy] = useState('none');
+  // A view starts the list with its own sort
+  const [sortBy, setSortBy] = useState(() => fromViewSort(view?.sort).sortBy);
 
   // Store sort direction ('asc' or 'desc')
-  const [sortDirection, setSortDirection] = useState('asc');
+  const [sortDirection, setSortDirection] = useState(() => fromViewSort(view?.sort).sortDirection);
+
+  // How tasks are shown: 'list' or 'compact' (one line each)
+  const [display, setDisplay] = useState(view?.display || 'list');
+
+  // ========== TAG STATE ==========
+
+  // All of the user's tags (used for chip colours and the filter bar)
+  const [allTags, setAllTags] = useState([]);
+
+  // Tag names selected in the filter bar
+  const [selectedTags, setSelectedTags] = useState([]);
+
+  // Whether tasks must have 'all' selected tags or 'any' of them
+  const [tagMode, setTagMode] = useState('all');
 
   // ========== INLINE EDITING STATE ==========
 
@@ -34,25 +125,62 @@ const TaskList = () => {
   // Store the edited description while editing
   const [editedDescription, setEditedDescription] = useState('');
 
+  // The task as it was when editing started - the save only goes through
+  // if nobody has changed it since (see tasksAPI.updateTask)
+  const [editBase, setEditBase] = useState(null);
+
+  // The server's copy when the save was refused because of such a change
+  // (null = no conflict)
+  const [editConflict, setEditConflict] = useState(null);
+
+  // Whether an edit is being saved
+  const [isSavingEdit, setIsSavingEdit] = useState(false);
+
+  // ========== CHECKLIST STATE ==========
+
+  // IDs of tasks whose checklist is expanded
+  const [expandedTaskIds, setExpandedTaskIds] = useState([]);
+
+  // ========== SELECTION STATE ==========
+
+  // IDs of tasks ticked for a bulk action
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // Last task ticked - shift-click selects everything between it and the next one
+  const [lastSelectedId, setLastSelectedId] = useState(null);
+
+  // Whether a bulk update is running
+  const [isBulkUpdating, setIsBulkUpdating] = useState(false);
+
   // ========== FETCH TASKS ON COMPONENT MOUNT ==========
 
-  // useEffect with empty dependency array [] runs once when component loads
-  useEffect(() => {
-    fetchTasks();
-  }, []); // Empty array = run once on mount
+  // The query of the view being shown - the server picks the view's tasks
+  const viewQuery = view?.query || '';
+
+  // The list's filters and sort, as sent to the server
+  const filters = useMemo(
+    () => listFilters({ projectId, viewQuery, filter, selectedTags, tagMode, sortBy, sortDirection }),
+    [projectId, viewQuery, filter, selectedTags, tagMode, sortBy, sortDirection]
+  );
 
   // Function to fetch all tasks from the API
-  const fetchTasks = async () => {
+  // useCallback keeps the same function between renders unless the filters change
+  const fetchTasks = useCallback(async () => {
     try {
       setIsLoading(true);
       setError(null);
 
-      // Call the API to get all tasks
-      const data = await tasksAPI.getTasks();
+      // Call the API to get the first page of the tasks that match
+      const page = await tasksAPI.getTaskPage({
+        ...filters,
+        limit: Math.max(PAGE_SIZE, loadedCountRef.current)
+      });
 
       // Store tasks in state
       // This triggers a re-render and displays the tasks
-      setTasks(data);
+      setTasks(page.tasks);
+      setNextCursor(page.next);
+      setTotalCount(page.total);
     } catch (err) {
       // If API call fails, show error toast
       toast.error(`Failed to load tasks: ${err.message}`);
@@ -61,6 +189,90 @@ const TaskList = () => {
       // Always stop loading, whether success or failure
       setIsLoading(false);
     }
+  }, [filters]);
+
+  // Function to fetch the user's tags
+  // Tags only add colour and the filter bar, so a failure here is not fatal
+  const fetchTags = async () => {
+    try {
+      const data = await tagsAPI.getTags();
+      setAllTags(data);
+    } catch (err) {
+      console.error('Failed to load tags:', err);
+    }
+  };
+
+  // Runs when the component loads (and again if fetchTasks changes)
+  // A different project, view, filter or sort starts again from one page
+  useEffect(() => {
+    loadedCountRef.current = 0;
+    fetchTasks();
+    fetchTags();
+  }, [fetchTasks]);
+
+  useEffect(() => {
+    loadedCountRef.current = tasks.length;
+  }, [tasks]);
+
+  // ========== LOAD MORE ==========
+
+  // Add the next page of tasks to the end of the list
+  // Tasks already listed (e.g. added by a live update) aren't added twice
+  const loadMore = async () => {
+    if (!nextCursor || isLoadingMore) {
+      return;
+    }
+
+    try {
+      setIsLoadingMore(true);
+
+      const page = await tasksAPI.getTaskPage({ ...filters, limit: PAGE_SIZE }, nextCursor);
+
+      setTasks(prev => [
+        ...prev,
+        ...page.tasks.filter(task => !prev.some(listed => listed._id === task._id))
+      ]);
+      setNextCursor(page.next);
+      setTotalCount(page.total);
+    } catch (err) {
+      toast.error(`Failed to load more tasks: ${err.message}`);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  // The observer below calls this with the latest cursor, without
+  // being recreated on every render
+  const handleSentinelVisible = useEffectEvent(() => {
+    loadMore();
+  });
+
+  // Load the next page when the end of the list scrolls into view
+  // Without IntersectionObserver there's still the "Load more" button
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+
+    if (!sentinel || typeof IntersectionObserver === 'undefined') {
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        handleSentinelVisible();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, isLoading]);
+
+  // After an undo, reload the list (and the project counts)
+  const handleUndone = () => {
+    fetchTasks();
+
+    if (onTasksChanged) {
+      onTasksChanged();
+    }
   };
 
   // ========== TOGGLE TASK COMPLETION ==========
@@ -69,19 +281,203 @@ const TaskList = () => {
     try {
       // Call API to update the task's completed status
       // Toggle: if currently true, set to false, and vice versa
-      await tasksAPI.updateTask(taskId, { completed: !currentStatus });
+      const updatedTask = await tasksAPI.updateTask(taskId, { completed: !currentStatus });
 
       // After successful update, refresh the task list
       // This ensures UI is in sync with the database
+      // (and shows the next occurrence of a repeating task)
       fetchTasks();
 
-      // Show success toast
-      toast.success(!currentStatus ? 'Task completed!' : 'Task marked as active');
+      // Show success toast, with a button to take it back
+      const message = !currentStatus && updatedTask.recurrence?.nextTask
+        ? 'Task completed! Next occurrence scheduled'
+        : !currentStatus ? 'Task completed!' : 'Task marked as active';
+      showUndoToast(message, [updatedTask.operationId], handleUndone);
     } catch (err) {
       toast.error(`Failed to update task: ${err.message}`);
     }
   };
 
+  // ========== CHECKLIST HANDLERS ==========
+
+  // Expand or collapse a task's checklist
+  const toggleExpanded = (taskId) => {
+    setExpandedTaskIds(prev =>
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    );
+  };
+
+  // Replace a single task in state with the updated copy from the API
+  // Subtask endpoints return the whole task, so no full refetch is needed
+  const handleTaskUpdated = (updatedTask) => {
+    setTasks(prev => prev.map(task => task._id === updatedTask._id ? updatedTask : task));
+  };
+
+  // Whether a task belongs in the list being shown: in its project (all,
+  // Inbox, or one project) and through the completion and tag filters
+  // (a view's query is only understood by the server - see handleTaskEvent)
+  const belongsInList = (task) => {
+    const inProject = projectId === 'all'
+      || (projectId === 'inbox' ? !task.project : task.project === projectId);
+
+    if (!inProject) {
+      return false;
+    }
+    if (filters.completed !== undefined && task.completed !== filters.completed) {
+      return false;
+    }
+    if (selectedTags.length > 0) {
+      const taskTags = task.tags || [];
+      return tagMode === 'any'
+        ? selectedTags.some(tag => taskTags.includes(tag))
+        : selectedTags.every(tag => taskTags.includes(tag));
+    }
+    return true;
+  };
+
+  // ========== MOVE TO PROJECT ==========
+
+  // Move a task to another project ('' = Inbox)
+  const handleMoveTask = async (taskId, newProjectId) => {
+    try {
+      const updatedTask = await tasksAPI.updateTask(taskId, { project: newProjectId || null });
+
+      // Drop the task from this list if it no longer belongs here
+      if (belongsInList(updatedTask)) {
+        handleTaskUpdated(updatedTask);
+      } else {
+        setTasks(prev => prev.filter(task => task._id !== taskId));
+      }
+
+      if (onTasksChanged) {
+        onTasksChanged();
+      }
+
+      const target = projects.find(project => project._id === newProjectId);
+      toast.success(`Moved to ${target ? target.name : 'Inbox'}`);
+    } catch (err) {
+      toast.error(`Failed to move task: ${err.message}`);
+    }
+  };
+
+  // ========== LIVE UPDATES ==========
+
+  // Apply a change pushed by the server (from another tab, device, or this one)
+  // useEffectEvent always sees the latest state and props, without
+  // re-subscribing to the event stream on every render
+  const handleTaskEvent = useEffectEvent((event) => {
+    setTaskChangeCount(count => count + 1);
+
+    const isListed = tasks.some(task => task._id === event.task?._id);
+
+    if (event.type === 'tasks.refresh') {
+      // Many tasks changed at once (e.g. a tag was renamed) - just reload
+      fetchTasks();
+      fetchTags();
+    } else if (event.type === 'task.deleted' || !belongsInList(event.task)) {
+      setTasks(prev => prev.filter(task => task._id !== event.task._id));
+      if (isListed) {
+        setTotalCount(count => count - 1);
+      }
+    } else if (viewQuery || filters.sortBy) {
+      // Only the server knows if the task matches the view's query, and
+      // where the sort puts it - so reload the tasks shown so far
+      fetchTasks();
+    } else if (isListed) {
+      setTasks(prev => prev.map(task => task._id === event.task._id ? event.task : task));
+    } else if (event.type === 'task.created') {
+      // Unsorted lists are in creation order, so a new task goes last -
+      // after the pages still to load, if there are any
+      if (nextCursor === null) {
+        setTasks(prev => [...prev.filter(task => task._id !== event.task._id), event.task]);
+      }
+      setTotalCount(count => count + 1);
+    } else {
+      // An older task that now passes the filters - its place is somewhere
+      // among the tasks, so reload them
+      fetchTasks();
+    }
+
+    // New tag names need their colours
+    if (event.type !== 'task.deleted' && event.task?.tags?.some(tagName => !allTags.some(tag => tag.name === tagName))) {
+      fetchTags();
+    }
+
+    // Project task counts may have changed
+    if (onTasksChanged) {
+      onTasksChanged();
+    }
+  });
+
+  // Listen for live updates while the list is shown
+  useEffect(() => {
+    return eventsAPI.subscribe(handleTaskEvent);
+  }, []);
+
+  // Reload once offline changes have been synced - conflicts may have
+  // replaced what's shown with the server's version
+  useEffect(() => {
+    return subscribeToSync(() => fetchTasks());
+  }, [fetchTasks]);
+
+  // ========== SERVER SEARCH ==========
+  // Once typing pauses, the search box asks the server (GET /tasks/search)
+  // for ranked results and highlights, among the tasks the list's filters
+  // pick - loaded yet or not. Until they arrive the loaded tasks are filtered
+  // on the description. Searching again when tasks change keeps the results
+  // in step with edits.
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  useEffect(() => {
+    if (!debouncedQuery) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const search = async () => {
+      let results = null;
+
+      // The view's query narrows the search down too
+      const { q: within, ...searchFilters } = filters;
+
+      try {
+        results = await tasksAPI.searchTasks(debouncedQuery, { ...searchFilters, within, limit: SEARCH_LIMIT });
+      } catch (err) {
+        // Keep the description filter
+        console.error('Search failed:', err);
+      }
+
+      if (!cancelled) {
+        setServerSearch({ query: debouncedQuery, results });
+      }
+    };
+
+    search();
+
+    // A newer query (or unmounting) replaces this one
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, filters, taskChangeCount]);
+
+  // ========== TAG FILTER HANDLERS ==========
+
+  // Add or remove a tag from the filter
+  const toggleTagFilter = (tagName) => {
+    setSelectedTags(prev =>
+      prev.includes(tagName) ? prev.filter(name => name !== tagName) : [...prev, tagName]
+    );
+  };
+
+  // Look up a tag's colour by name
+  const getTagColor = (tagName) => {
+    return allTags.find(tag => tag.name === tagName)?.color;
+  };
+
   // ========== MARK ALL COMPLETE ==========
 
   const [isMarkingAllComplete, setIsMarkingAllComplete] = useState(false);
@@ -98,20 +494,21 @@ const TaskList = () => {
     setIsMarkingAllComplete(true);
 
     try {
-      // Create an array of promises (API calls to update each task)
-      const updatePromises = incompleteTasks.map(task =>
-        tasksAPI.updateTask(task._id, { completed: true })
+      // One request for all of them - the server completes every task or none
+      const { operationId, updated } = await tasksAPI.bulkUpdate(
+        { ids: incompleteTasks.map(task => task._id) },
+        'complete'
       );
 
-      // Wait for ALL updates to complete
-      // Promise.all() runs them in parallel and waits for all to finish
-      await Promise.all(updatePromises);
-
-      // After all updates succeed, refresh the task list
+      // After the update succeeds, refresh the task list
       await fetchTasks();
 
-      // Show success toast
-      toast.success(`${incompleteTasks.length} task${incompleteTasks.length === 1 ? '' : 's'} completed!`);
+      // Show success toast - Undo takes back the whole update
+      showUndoToast(
+        `${updated} task${updated === 1 ? '' : 's'} completed!`,
+        [operationId],
+        handleUndone
+      );
     } catch (err) {
       toast.error(`Failed to mark all complete: ${err.message}`);
     } finally {
@@ -121,57 +518,21 @@ const TaskList = () => {
 
   // ========== DELETE TASK ==========
 
+  // Deleting only moves the task to the trash, so there's no confirmation -
+  // the toast offers Undo instead (and the Trash page keeps it for a while)
   const handleDelete = async (taskId) => {
-    // Use toast.promise for better UX with confirmation
-    toast((t) => (
-      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-        <p>Are you sure you want to delete this task?</p>
-        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
-          <button
-            onClick={() => {
-              toast.dismiss(t.id);
-              // Delete the task
-              toast.promise(
-                tasksAPI.deleteTask(taskId).then(() => fetchTasks()),
-                {
-                  loading: 'Deleting task...',
-                  success: 'Task deleted successfully!',
-                  error: (err) => `Failed to delete: ${err.message}`,
-                }
-              );
-            }}
-            style={{
-              padding: '5px 15px',
-              background: '#dc3545',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Delete
-          </button>
-          <button
-            onClick={() => toast.dismiss(t.id)}
-            style={{
-              padding: '5px 15px',
-              background: '#6c757d',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            Cancel
-          </button>
-        </div>
-      </div>
-    ), {
-      duration: 5000,
-      style: {
-        minWidth: '300px'
+    try {
+      const deletedTask = await tasksAPI.deleteTask(taskId);
+      await fetchTasks();
+
+      if (onTasksChanged) {
+        onTasksChanged();
       }
-    });
+
+      showUndoToast('Task moved to trash', [deletedTask.operationId], handleUndone);
+    } catch (err) {
+      toast.error(`Failed to delete: ${err.message}`);
+    }
   };
 
   // ========== INLINE EDITING HANDLERS ==========
@@ -180,23 +541,21 @@ const TaskList = () => {
   const handleStartEdit = (task) => {
     setEditingTaskId(task._id);
     setEditedDescription(task.description);  // Pre-fill with current description
+    setEditBase(task);
+    setEditConflict(null);
   };
 
-  // Save edited task
-  const handleSaveEdit = async (taskId) => {
-    // Don't save if description is empty
-    if (!editedDescription.trim()) {
-      toast.error('Task description cannot be empty');
-      return;
-    }
-
+  // Send an edit, if the task is still at the given version
+  // If it isn't, the edit stays open with the merge / overwrite choice
+  const saveEdit = async (taskId, updates, version) => {
     try {
-      // Call API to update task description
-      await tasksAPI.updateTask(taskId, { description: editedDescription.trim() });
+      setIsSavingEdit(true);
+
+      // Call API to update the task
+      await tasksAPI.updateTask(taskId, updates, { version });
 
       // Exit edit mode
-      setEditingTaskId(null);
-      setEditedDescription('');
+      handleCancelEdit();
 
       // Refresh task list to show updated description
       await fetchTasks();
@@ -204,31 +563,261 @@ const TaskList = () => {
       // Show success toast
       toast.success('Task updated successfully!');
     } catch (err) {
-      toast.error(`Failed to update task: ${err.message}`);
+      if (err instanceof ConflictError) {
+        setEditConflict(err.task);
+        handleTaskUpdated(err.task);
+      } else {
+        toast.error(`Failed to update task: ${err.message}`);
+      }
+    } finally {
+      setIsSavingEdit(false);
+    }
+  };
+
+  // Save edited task
+  const handleSaveEdit = async (taskId) => {
+    // Don't save if description is empty
+    if (!editedDescription.trim()) {
+      toast.error('Task description cannot be empty');
+      return;
     }
+
+    await saveEdit(taskId, { description: editedDescription.trim() }, editBase?.syncSeq);
+  };
+
+  // After a conflict: the new description on top of the other changes
+  const handleMergeEdit = () => {
+    saveEdit(editConflict._id, { description: editedDescription.trim() }, editConflict.syncSeq);
+  };
+
+  // After a conflict: the task as this tab had it, with the new description,
+  // replacing whatever the other change did
+  const handleOverwriteEdit = () => {
+    const updates = { description: editedDescription.trim() };
+
+    OVERWRITE_FIELDS.forEach(field => {
+      const mine = editBase[field] ?? null;
+      if (JSON.stringify(mine) !== JSON.stringify(editConflict[field] ?? null)) {
+        updates[field] = mine;
+      }
+    });
+
+    saveEdit(editConflict._id, updates, editConflict.syncSeq);
   };
 
   // Cancel editing without saving
   const handleCancelEdit = () => {
     setEditingTaskId(null);
     setEditedDescription('');
+    setEditBase(null);
+    setEditConflict(null);
   };
 
   // Handle keyboard shortcuts while editing
   const handleEditKeyDown = (e, taskId) => {
     if (e.key === 'Enter') {
-      // Enter key → Save
-      handleSaveEdit(taskId);
+      // Enter key → Save (unless a conflict is waiting for a choice)
+      if (!editConflict && !isSavingEdit) {
+        handleSaveEdit(taskId);
+      }
     } else if (e.key === 'Escape') {
       // Escape key → Cancel
       handleCancelEdit();
     }
   };
 
+  // ========== SAVED VIEWS ==========
+
+  // The list's current filters, sort and display mode as view fields
+  const currentViewFields = () => ({
+    query: buildViewQuery({
+      baseQuery: viewQuery,
+      projectId,
+      filter,
+      selectedTags,
+      tagMode,
+      searchQuery,
+    }),
+    sort: toViewSort(sortBy, sortDirection),
+    display,
+  });
+
+  // Save the list as a new view - returns whether it worked
+  const handleSaveView = async (name) => {
+    try {
+      const savedView = await viewsAPI.createView({ name, ...currentViewFields() });
+      toast.success(`View "${savedView.name}" saved`);
+
+      if (onViewSaved) {
+        onViewSaved(savedView);
+      }
+      return true;
+    } catch (err) {
+      toast.error(`Failed to save view: ${err.message}`);
+      return false;
+    }
+  };
+
+  // Save the current filters, sort and display mode into the view being shown
+  const handleUpdateView = async () => {
+    try {
+      const savedView = await viewsAPI.updateView(view._id, currentViewFields());
+      toast.success(`View "${savedView.name}" updated`);
+
+      if (onViewSaved) {
+        onViewSaved(savedView);
+      }
+    } catch (err) {
+      toast.error(`Failed to update view: ${err.message}`);
+    }
+  };
+
+  // ========== FILTER AND SORT TASKS ==========
+
+  // The server's search results, if they are for what's in the search box
+  const searchResults = searchQuery.trim() && serverSearch.query === searchQuery.trim()
+    ? serverSearch.results
+    : null;
+
+  // Where a task matched the search ([] when not searching)
+  const getHighlights = (task, field) => (
+    searchResults?.find(match => match._id === task._id)?.highlights || []
+  ).filter(highlight => highlight.field === field);
+
+  // Marks for the description - only when it's shown whole and unchanged
+  const getDescriptionMatches = (task) => {
+    const [highlight] = getHighlights(task, 'description');
+    return highlight?.text === task.description ? highlight.matches : [];
+  };
+
+  // The tasks to show - the server has already filtered and sorted them
+  // While searching: the server's results (best matches first) once they're
+  // in, with the loaded copy of a task if it has one (it may have changed
+  // since), otherwise a simple match on the loaded descriptions
+  const filteredTasks = searchResults
+    ? searchResults.map(match => tasks.find(task => task._id === match._id) || match)
+    : tasks.filter(task =>
+      task.description
+        .toLowerCase()
+        .includes(searchQuery.toLowerCase().trim())
+    );
+
+  // ========== MULTI-SELECT ==========
+  // Only tasks that are shown count as selected, so bulk actions always
+  // match what's on screen (hidden selections come back when shown again)
+
+  const visibleIds = filteredTasks.map(task => task._id);
+  const selectedVisibleIds = visibleIds.filter(id => selectedIds.includes(id));
+
+  // Tick or untick a task - with shift, tick the whole range from the last one
+  const toggleSelected = (taskId, extendRange) => {
+    if (extendRange && lastSelectedId && visibleIds.includes(lastSelectedId)) {
+      const [from, to] = [visibleIds.indexOf(lastSelectedId), visibleIds.indexOf(taskId)]
+        .sort((a, b) => a - b);
+      const range = visibleIds.slice(from, to + 1);
+
+      setSelectedIds(prev => [...new Set([...prev, ...range])]);
+    } else {
+      setSelectedIds(prev =>
+        prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+      );
+    }
+
+    setLastSelectedId(taskId);
+  };
+
+  const selectAllVisible = () => setSelectedIds(visibleIds);
+
+  const invertSelection = () => {
+    setSelectedIds(visibleIds.filter(id => !selectedIds.includes(id)));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setLastSelectedId(null);
+  };
+
+  // Keyboard shortcuts: Ctrl/⌘+A selects all shown tasks, Ctrl/⌘+I inverts,
+  // Escape clears. Ignored while typing, so Ctrl+A still selects text there.
+  const handleSelectionKey = useEffectEvent((e) => {
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+      // The selection checkboxes are inputs too, but have no text to select
+      if (!target.classList.contains('task-select')) {
+        return;
+      }
+    }
+
+    const key = e.key.toLowerCase();
+
+    if ((e.ctrlKey || e.metaKey) && key === 'a') {
+      e.preventDefault();
+      selectAllVisible();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'i') {
+      e.preventDefault();
+      invertSelection();
+    } else if (key === 'escape' && selectedIds.length > 0) {
+      clearSelection();
+    }
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => handleSelectionKey(e);
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Success messages for each bulk action
+  const bulkMessages = {
+    complete: (n) => `${n} task${n === 1 ? '' : 's'} completed!`,
+    delete: (n) => `${n} task${n === 1 ? '' : 's'} moved to trash`,
+    setPriority: (n) => `Priority changed for ${n} task${n === 1 ? '' : 's'}`,
+    setDueDate: (n) => `Due date changed for ${n} task${n === 1 ? '' : 's'}`,
+    moveProject: (n) => `${n} task${n === 1 ? '' : 's'} moved`,
+    addTag: (n) => `Tagged ${n} task${n === 1 ? '' : 's'}`
+  };
+
+  // Run a bulk action on the selected tasks - all of them change, or none
+  const handleBulkAction = async (action, value) => {
+    if (selectedVisibleIds.length === 0) {
+      return;
+    }
+
+    setIsBulkUpdating(true);
+
+    try {
+      const { operationId, updated } = await tasksAPI.bulkUpdate(
+        { ids: selectedVisibleIds },
+        action,
+        value
+      );
+
+      await fetchTasks();
+      clearSelection();
+
+      if (onTasksChanged) {
+        onTasksChanged();
+      }
+
+      // New tag names need their colours
+      if (action === 'addTag') {
+        fetchTags();
+      }
+
+      showUndoToast(bulkMessages[action](updated), [operationId], handleUndone);
+    } catch (err) {
+      toast.error(`Bulk update failed: ${err.message}`);
+    } finally {
+      setIsBulkUpdating(false);
+    }
+  };
+
   // ========== RENDER UI ==========
 
-  // Show loading spinner while fetching tasks
-  if (isLoading) {
+  // Show loading spinner while fetching the first tasks
+  // (a reload, e.g. for another filter, keeps the list until it's done)
+  if (isLoading && tasks.length === 0) {
     return <div className="loading">Loading tasks...</div>;
   }
 
@@ -244,98 +833,25 @@ const TaskList = () => {
     );
   }
 
-  // Show message if there are no tasks
-  if (tasks.length === 0) {
+  // Show message if there are no tasks at all
+  // (with a filter on, the filter buttons stay so it can be taken off)
+  if (tasks.length === 0 && filter === 'all' && selectedTags.length === 0) {
     return (
       <div className="empty-state">
-        <p>No tasks yet. Create one to get started!</p>
+        <p>{view ? 'No tasks in this view' : 'No tasks yet. Create one to get started!'}</p>
       </div>
     );
   }
 
   // ========== CALCULATE STATS ==========
   // Computed values - calculate from existing state
-  const totalTasks = tasks.length;
+  // Until every page is loaded, the total comes from the server - how many
+  // of those are completed isn't known, so the heading says how many are
+  // loaded instead (and Mark All Complete goes by the loaded tasks)
+  const hasMore = nextCursor !== null;
+  const totalTasks = hasMore ? Math.max(totalCount, tasks.length) : tasks.length;
   const completedTasks = tasks.filter(task => task.completed).length;
-
-  // ========== SORTING FUNCTION ==========
-  // Sort tasks based on current sort settings
-  const sortTasks = (tasksToSort) => {
-    // If no sorting is applied, return tasks as-is
-    if (sortBy === 'none') {
-      return tasksToSort;
-    }
-
-    // Create a copy to avoid mutating the original array
-    const sorted = [...tasksToSort];
-
-    sorted.sort((a, b) => {
-      let comparison = 0;
-
-      switch (sortBy) {
-        case 'date': {
-          // Handle tasks without due dates - push them to the end
-          if (!a.dueDate && !b.dueDate) return 0;
-          if (!a.dueDate) return 1;  // a goes after b
-          if (!b.dueDate) return -1; // a goes before b
-
-          // Compare dates
-          const dateA = new Date(a.dueDate);
-          const dateB = new Date(b.dueDate);
-          comparison = dateA - dateB;
-          break;
-        }
-
-        case 'priority': {
-          // Define priority order: high(3) > medium(2) > low(1)
-          const priorityValues = { high: 3, medium: 2, low: 1 };
-          const priorityA = priorityValues[a.priority] || priorityValues.medium;
-          const priorityB = priorityValues[b.priority] || priorityValues.medium;
-          comparison = priorityB - priorityA; // Higher priority first by default
-          break;
-        }
-
-        case 'name':
-          // Alphabetical comparison (case-insensitive)
-          comparison = a.description.toLowerCase().localeCompare(
-            b.description.toLowerCase()
-          );
-          break;
-
-        default:
-          return 0;
-      }
-
-      // Apply sort direction
-      return sortDirection === 'asc' ? comparison : -comparison;
-    });
-
-    return sorted;
-  };
-
-  // ========== FILTER AND SORT TASKS ==========
-  // Apply filters, search, then sort
-  const filteredTasks = (() => {
-    // Step 1: Apply completion status filter
-    let result = tasks.filter(task => {
-      let passesFilter = true;
-      if (filter === 'active') passesFilter = !task.completed;
-      if (filter === 'completed') passesFilter = task.completed;
-      return passesFilter;
-    });
-
-    // Step 2: Apply search query filter
-    result = result.filter(task =>
-      task.description
-        .toLowerCase()
-        .includes(searchQuery.toLowerCase().trim())
-    );
-
-    // Step 3: Apply sorting
-    result = sortTasks(result);
-
-    return result;
-  })();
+  const hasIncompleteTasks = completedTasks < tasks.length;
 
   // ========== HELPER FUNCTIONS ==========
 
@@ -373,13 +889,15 @@ const TaskList = () => {
 
   // Render the list of tasks
   return (
-    <div className="task-list">
+    <div className={`task-list ${display === 'compact' ? 'compact' : ''}`}>
       {/* Task counter and Mark All Complete button */}
       <div className="task-stats">
         <h3>
-          {totalTasks} {totalTasks === 1 ? 'task' : 'tasks'}, {completedTasks} completed
+          {hasMore
+            ? `${totalTasks} tasks, ${tasks.length} loaded`
+            : `${totalTasks} ${totalTasks === 1 ? 'task' : 'tasks'}, ${completedTasks} completed`}
         </h3>
-        {totalTasks > completedTasks && (
+        {hasIncompleteTasks && (
           <button
             onClick={handleMarkAllComplete}
             disabled={isMarkingAllComplete}
@@ -432,6 +950,44 @@ const TaskList = () => {
         </button>
       </div>
 
+      {/* Tag filter bar - only shown once the user has tags */}
+      {allTags.length > 0 && (
+        <div className="tag-filter-bar">
+          <span className="sort-label">Tags:</span>
+          <div className="tag-filter-chips">
+            {allTags.map(tag => (
+              <TagChip
+                key={tag._id}
+                name={tag.name}
+                color={tag.color}
+                active={selectedTags.includes(tag.name)}
+                onClick={() => toggleTagFilter(tag.name)}
+              />
+            ))}
+          </div>
+
+          {/* Match mode only matters with more than one selected tag */}
+          {selectedTags.length > 1 && (
+            <button
+              className="filter-btn"
+              onClick={() => setTagMode(prev => prev === 'all' ? 'any' : 'all')}
+              title="Switch between matching all or any of the selected tags"
+            >
+              Match {tagMode === 'all' ? 'all' : 'any'}
+            </button>
+          )}
+
+          {selectedTags.length > 0 && (
+            <button
+              className="link-button"
+              onClick={() => setSelectedTags([])}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Sorting controls */}
       <div className="task-sort">
         <label className="sort-label">Sort by:</label>
@@ -490,12 +1046,22 @@ const TaskList = () => {
         </div>
       </div>
 
+      {/* Display mode and saving the list as a view */}
+      <ViewControls
+        display={display}
+        onDisplayChange={setDisplay}
+        onSave={handleSaveView}
+        onUpdate={view && !view.builtIn ? handleUpdateView : undefined}
+      />
+
       {/* Show message if no tasks match the filters/search */}
       {filteredTasks.length === 0 && (
         <div className="empty-state">
           <p>
             {searchQuery
               ? `No tasks found matching "${searchQuery}"`
+              : selectedTags.length > 0
+              ? 'No tasks with the selected tags'
               : filter === 'active'
               ? 'No active tasks'
               : filter === 'completed'
@@ -512,8 +1078,17 @@ const TaskList = () => {
       {filteredTasks.map((task) => (
         <div
           key={task._id}
-          className={`task-item ${task.completed ? 'completed' : ''} ${isOverdue(task) ? 'overdue' : ''}`}
+          className={`task-item ${task.completed ? 'completed' : ''} ${isOverdue(task) ? 'overdue' : ''} ${expandedTaskIds.includes(task._id) || (editConflict && editingTaskId === task._id) ? 'expanded' : ''} ${selectedIds.includes(task._id) ? 'selected' : ''}`}
         >
+          {/* Select for bulk actions - shift-click selects a range */}
+          <input
+            type="checkbox"
+            checked={selectedIds.includes(task._id)}
+            onChange={(e) => toggleSelected(task._id, e.nativeEvent.shiftKey)}
+            className="task-select"
+            aria-label={`Select ${task.description}`}
+          />
+
           {/* Checkbox to toggle completion status */}
           <input
             type="checkbox"
@@ -542,6 +1117,7 @@ const TaskList = () => {
               />
               <button
                 onClick={() => handleSaveEdit(task._id)}
+                disabled={isSavingEdit || Boolean(editConflict)}
                 className="btn btn-primary btn-small"
               >
                 Save
@@ -560,9 +1136,35 @@ const TaskList = () => {
               <div className="task-content">
                 {/* Task description - strike through if completed */}
                 <span className="task-description">
-                  {task.description}
+                  <HighlightedText text={task.description} matches={getDescriptionMatches(task)} />
                 </span>
 
+                {/* Checklist items that matched the search */}
+                {getHighlights(task, 'subtasks').length > 0 && (
+                  <div className="search-snippets">
+                    {getHighlights(task, 'subtasks').map((highlight, index) => (
+                      <span key={index} className="search-snippet">
+                        ☑ <HighlightedText text={highlight.text} matches={highlight.matches} />
+                      </span>
+                    ))}
+                  </div>
+                )}
+
+                {/* Tag chips - click one to filter by it */}
+                {task.tags?.length > 0 && (
+                  <div className="task-tags">
+                    {task.tags.map(tagName => (
+                      <TagChip
+                        key={tagName}
+                        name={tagName}
+                        color={getTagColor(tagName)}
+                        active={selectedTags.includes(tagName)}
+                        onClick={() => toggleTagFilter(tagName)}
+                      />
+                    ))}
+                  </div>
+                )}
+
                 {/* Due date - only show if task has one */}
                 {task.dueDate && (
                   <span className={`task-due-date ${isOverdue(task) ? 'overdue-text' : ''}`}>
@@ -570,8 +1172,61 @@ const TaskList = () => {
                     {isOverdue(task) && ' (Overdue!)'}
                   </span>
                 )}
+
+                {/* Repeat indicator - hover for the full rule */}
+                {task.recurrence && (
+                  <span
+                    className="task-recurrence"
+                    title={describeRecurrence(task.recurrence)}
+                    aria-label={`Repeats: ${describeRecurrence(task.recurrence)}`}
+                  >
+                    🔁 {describeRecurrence(task.recurrence)}
+                  </span>
+                )}
               </div>
 
+              {/* Checklist toggle - shows progress like "3/5" when there are subtasks */}
+              <button
+                onClick={() => toggleExpanded(task._id)}
+                className={`subtask-toggle ${task.progress?.total > 0 && task.progress.completed === task.progress.total ? 'done' : ''}`}
+                aria-expanded={expandedTaskIds.includes(task._id)}
+                aria-label="Toggle checklist"
+              >
+                {task.progress?.total > 0
+                  ? `☑ ${task.progress.completed}/${task.progress.total}`
+                  : '☐ Checklist'}
+                {expandedTaskIds.includes(task._id) ? ' ▴' : ' ▾'}
+              </button>
+
+              {/* Move to project - only when the user has projects */}
+              {projects.length > 0 && (
+                <select
+                  value={task.project || ''}
+                  onChange={(e) => handleMoveTask(task._id, e.target.value)}
+                  className="task-project-select"
+                  aria-label="Move to project"
+                  title="Move to project"
+                >
+                  <option value="">📥 Inbox</option>
+                  {projects
+                    .filter(project => !project.archived || project._id === task.project)
+                    .map(project => (
+                      <option key={project._id} value={project._id}>
+                        {project.icon} {project.name}
+                      </option>
+                    ))}
+                </select>
+              )}
+
+              {/* Details page - the full task with its comments */}
+              <Link
+                to={`/tasks/${task._id}`}
+                className="btn btn-secondary task-details-link"
+                aria-label="Open task details"
+              >
+                Details
+              </Link>
+
               {/* Edit button */}
               <button
                 onClick={() => handleStartEdit(task)}
@@ -590,8 +1245,47 @@ const TaskList = () => {
               </button>
             </>
           )}
+
+          {/* Edit clashed with a change made elsewhere - rendered below the task row */}
+          {editingTaskId === task._id && editConflict && (
+            <EditConflict
+              serverTask={editConflict}
+              description={editedDescription.trim()}
+              busy={isSavingEdit}
+              onMerge={handleMergeEdit}
+              onOverwrite={handleOverwriteEdit}
+              onDiscard={handleCancelEdit}
+            />
+          )}
+
+          {/* Expanded checklist - rendered below the task row */}
+          {expandedTaskIds.includes(task._id) && (
+            <SubtaskList task={task} onTaskUpdated={handleTaskUpdated} />
+          )}
         </div>
       ))}
+
+      {/* End of the loaded tasks - more load when this scrolls into view */}
+      {hasMore && (
+        <div className="load-more" ref={loadMoreRef}>
+          <button onClick={loadMore} disabled={isLoadingMore} className="btn btn-secondary">
+            {isLoadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+
+      {/* Floating toolbar while tasks are selected */}
+      {selectedVisibleIds.length > 0 && (
+        <BulkActionBar
+          count={selectedVisibleIds.length}
+          projects={projects}
+          busy={isBulkUpdating}
+          onAction={handleBulkAction}
+          onSelectAll={selectAllVisible}
+          onInvert={invertSelection}
+          onClear={clearSelection}
+        />
+      )}
     </div>
   );
 };
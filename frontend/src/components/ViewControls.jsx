@@ -0,0 +1,70 @@
+import { useState } from 'react';
+
+// ViewControls - display mode switch and "save as view" for TaskList
+// display: 'list' or 'compact'
+// onDisplayChange(display): switch display mode
+// onSave(name): save the current filters and sort as a new view
+// onUpdate: save them into the view being shown (only for saved views)
+const ViewControls = ({ display, onDisplayChange, onSave, onUpdate }) => {
+  // Whether the name box is open, and what's typed in it
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) {
+      return;
+    }
+
+    // Keep the box open if saving fails, so the name can be changed
+    if (await onSave(name.trim())) {
+      setName('');
+      setIsNaming(false);
+    }
+  };
+
+  return (
+    <div className="view-controls">
+      <button
+        className="filter-btn"
+        onClick={() => onDisplayChange(display === 'compact' ? 'list' : 'compact')}
+        title="Switch between the full and compact list"
+      >
+        {display === 'compact' ? '☰ Compact' : '▤ Comfortable'}
+      </button>
+
+      {onUpdate && (
+        <button className="link-button" onClick={onUpdate}>
+          Update view
+        </button>
+      )}
+
+      {isNaming ? (
+        <form onSubmit={handleSubmit} className="view-save-form">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="View name"
+            aria-label="View name"
+            maxLength={60}
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary btn-small" disabled={!name.trim()}>
+            Save
+          </button>
+          <button type="button" className="btn btn-secondary btn-small" onClick={() => setIsNaming(false)}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button className="link-button" onClick={() => setIsNaming(true)}>
+          Save as view
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ViewControls;
@@ -0,0 +1,115 @@
+import { useState, useEffect, useContext } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { AuthContext } from '../context/AuthContext';
+import { tasksAPI } from '../services/api';
+import SubtaskList from '../components/SubtaskList';
+import AttachmentList from '../components/AttachmentList';
+import CommentThread from '../components/CommentThread';
+import TagChip from '../components/TagChip';
+import { describeRecurrence } from '../utils/recurrence';
+
+const PRIORITY_LABELS = { low: 'Low', medium: 'Medium', high: 'High' };
+
+// TaskDetailPage - One task with its checklist and discussion
+// This is what users see at the /tasks/:id route (opened from a task's
+// "Details" button, or a notification about it)
+const TaskDetailPage = () => {
+  const { id } = useParams();
+  const { user } = useContext(AuthContext);
+
+  const [task, setTask] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the task when the page opens (or another task is opened)
+  useEffect(() => {
+    const fetchTask = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setTask(await tasksAPI.getTask(id));
+      } catch (err) {
+        setError(err.message === 'Task not found' ? 'This task doesn\'t exist or was deleted' : 'Failed to load the task');
+        console.error('Error fetching task:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTask();
+  }, [id]);
+
+  // Format date for display (e.g., "Jan 15, 2026")
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return <div className="loading">Loading task...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="task-detail">
+        <Link to="/tasks" className="task-detail-back">← Back to tasks</Link>
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-detail">
+      <Link to="/tasks" className="task-detail-back">← Back to tasks</Link>
+
+      <header className="task-detail-header">
+        <span className={`priority-badge priority-${task.priority}`}>
+          {PRIORITY_LABELS[task.priority] || task.priority}
+        </span>
+        <h2 className={task.completed ? 'completed' : ''}>{task.description}</h2>
+      </header>
+
+      <dl className="task-detail-facts">
+        <dt>Status</dt>
+        <dd>{task.completed ? 'Completed' : 'Open'}</dd>
+
+        {task.dueDate && (
+          <>
+            <dt>Due</dt>
+            <dd>{formatDate(task.dueDate)}</dd>
+          </>
+        )}
+
+        {task.recurrence && (
+          <>
+            <dt>Repeats</dt>
+            <dd>{describeRecurrence(task.recurrence)}</dd>
+          </>
+        )}
+
+        {task.tags?.length > 0 && (
+          <>
+            <dt>Tags</dt>
+            <dd className="task-tags">
+              {task.tags.map(tagName => <TagChip key={tagName} name={tagName} />)}
+            </dd>
+          </>
+        )}
+
+        <dt>Created</dt>
+        <dd>{formatDate(task.createdAt)}</dd>
+      </dl>
+
+      <SubtaskList task={task} onTaskUpdated={setTask} />
+
+      <AttachmentList taskId={task._id} />
+
+      <CommentThread taskId={task._id} currentUserId={user?._id} />
+    </div>
+  );
+};
+
+export default TaskDetailPage;
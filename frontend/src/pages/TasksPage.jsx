@@ -1,6 +1,9 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
 import TaskList from '../components/TaskList';
 import TaskForm from '../components/TaskForm';
+import ProjectSidebar from '../components/ProjectSidebar';
+import { projectsAPI, viewsAPI } from '../services/api';
 
 // TasksPage - Main page showing task list and form
 // This is what users see at the root route "/"
@@ -8,20 +11,130 @@ const TasksPage = () => {
   // State to trigger TaskList refresh when new task is created
   const [refreshTasks, setRefreshTasks] = useState(0);
 
+  // The user's projects, shown in the sidebar
+  const [projects, setProjects] = useState([]);
+
+  // Which list is shown: 'all', 'inbox', or a project ID
+  const [selectedProject, setSelectedProject] = useState('all');
+
+  // Bumped whenever projects change, to trigger a reload (same idea as refreshTasks)
+  const [refreshProjects, setRefreshProjects] = useState(0);
+  const reloadProjects = () => setRefreshProjects(prev => prev + 1);
+
+  // Built-in and saved views, shown in the sidebar
+  const [views, setViews] = useState([]);
+
+  // ID of the view being shown, or null for a project list
+  const [selectedView, setSelectedView] = useState(null);
+
+  // Bumped whenever views change, to trigger a reload
+  const [refreshViews, setRefreshViews] = useState(0);
+
+  // Load projects when the page opens and whenever they change
+  // (also refreshes the task counts in the sidebar)
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        const data = await projectsAPI.getProjects();
+        setProjects(data);
+      } catch (err) {
+        toast.error(`Failed to load projects: ${err.message}`);
+      }
+    };
+
+    fetchProjects();
+  }, [refreshProjects]);
+
+  // Load views when the page opens and whenever they change
+  useEffect(() => {
+    const fetchViews = async () => {
+      try {
+        const data = await viewsAPI.getViews();
+        setViews(data);
+      } catch (err) {
+        toast.error(`Failed to load views: ${err.message}`);
+      }
+    };
+
+    fetchViews();
+  }, [refreshViews]);
+
+  // A project and a view are never shown together
+  const selectProject = (projectId) => {
+    setSelectedProject(projectId);
+    setSelectedView(null);
+  };
+
+  const selectView = (viewId) => {
+    setSelectedView(viewId);
+    setSelectedProject('all');
+  };
+
+  // After a view is saved or updated, show it
+  const handleViewSaved = (view) => {
+    setViews(prev => [...prev.filter(existing => existing._id !== view._id), view]);
+    setRefreshViews(prev => prev + 1);
+    selectView(view._id);
+  };
+
+  const handleViewDeleted = (viewId) => {
+    if (selectedView === viewId) {
+      selectProject('all');
+    }
+    setRefreshViews(prev => prev + 1);
+  };
+
+  // Title for the current list
+  const currentProject = projects.find(project => project._id === selectedProject);
+  const currentView = views.find(view => view._id === selectedView) || null;
+  const pageTitle = currentView
+    ? `${currentView.icon} ${currentView.name}`
+    : selectedProject === 'inbox'
+    ? 'Inbox'
+    : currentProject
+    ? `${currentProject.icon} ${currentProject.name}`
+    : 'My Tasks';
+
   return (
     <div className="page-content">
-      <div className="container">
-        <h2 className="page-title">My Tasks</h2>
-
-        {/* Form to add new tasks */}
-        {/* onTaskCreated callback triggers TaskList to refresh */}
-        <TaskForm
-          onTaskCreated={() => setRefreshTasks(prev => prev + 1)}
+      <div className="container tasks-layout">
+        {/* Project sidebar - picks which list (project or view) is shown */}
+        <ProjectSidebar
+          projects={projects}
+          selectedProject={currentView ? null : selectedProject}
+          onSelect={selectProject}
+          onProjectsChanged={reloadProjects}
+          views={views}
+          selectedView={currentView ? currentView._id : null}
+          onSelectView={selectView}
+          onViewDeleted={handleViewDeleted}
         />
 
-        {/* List of all tasks */}
-        {/* key={refreshTasks} forces component to remount when new task added */}
-        <TaskList key={refreshTasks} />
+        <div className="tasks-main">
+          <h2 className="page-title">{pageTitle}</h2>
+
+          {/* Form to add new tasks */}
+          {/* New tasks go into the selected project (or the Inbox) */}
+          {/* onTaskCreated callback triggers TaskList to refresh */}
+          <TaskForm
+            projectId={currentProject ? currentProject._id : null}
+            onTaskCreated={() => {
+              setRefreshTasks(prev => prev + 1);
+              reloadProjects();
+            }}
+          />
+
+          {/* List of tasks in the selected project or view */}
+          {/* key forces component to remount when a task is added or the list changes */}
+          <TaskList
+            key={`${selectedProject}-${currentView ? `${currentView._id}-${currentView.updatedAt || ''}` : ''}-${refreshTasks}`}
+            projectId={selectedProject}
+            projects={projects}
+            onTasksChanged={reloadProjects}
+            view={currentView}
+            onViewSaved={handleViewSaved}
+          />
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { tasksAPI } from '../services/api';
+
+// TrashPage - Deleted tasks, which can be restored or deleted for good
+// This is what users see at the /trash route
+// Tasks left here are deleted automatically after a while (see purgeAt)
+const TrashPage = () => {
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the trash when the page opens
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const data = await tasksAPI.getTrash();
+        setTasks(data);
+      } catch (err) {
+        setError('Failed to load the trash');
+        console.error('Error fetching trash:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, []);
+
+  // Format date for display (e.g., "Jan 15, 2026")
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  // Drop a task from the list once it has left the trash
+  const removeFromList = (taskId) => {
+    setTasks(prev => prev.filter(task => task._id !== taskId));
+  };
+
+  // ========== RESTORE ==========
+
+  const handleRestore = async (taskId) => {
+    try {
+      await tasksAPI.restoreTask(taskId);
+      removeFromList(taskId);
+      toast.success('Task restored');
+    } catch (err) {
+      toast.error(`Failed to restore task: ${err.message}`);
+    }
+  };
+
+  // ========== DELETE FOREVER ==========
+
+  // No confirmation for a single task - the button already says "forever"
+  const handlePurge = async (taskId) => {
+    try {
+      await tasksAPI.purgeTask(taskId);
+      removeFromList(taskId);
+      toast.success('Task deleted forever');
+    } catch (err) {
+      toast.error(`Failed to delete: ${err.message}`);
+    }
+  };
+
+  // Emptying the trash can't be undone, so it asks first
+  const handleEmptyTrash = () => {
+    toast((t) => (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        <p>Permanently delete all {tasks.length} tasks in the trash?</p>
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={() => {
+              toast.dismiss(t.id);
+              toast.promise(
+                tasksAPI.emptyTrash().then(() => setTasks([])),
+                {
+                  loading: 'Emptying trash...',
+                  success: 'Trash emptied!',
+                  error: (err) => `Failed to empty trash: ${err.message}`,
+                }
+              );
+            }}
+            style={{
+              padding: '5px 15px',
+              background: '#dc3545',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Delete all
+          </button>
+          <button
+            onClick={() => toast.dismiss(t.id)}
+            style={{
+              padding: '5px 15px',
+              background: '#6c757d',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    ), {
+      duration: 5000,
+      style: {
+        minWidth: '300px'
+      }
+    });
+  };
+
+  return (
+    <div className="page-content">
+      <div className="container">
+        <div className="trash-header">
+          <h2 className="page-title">Trash</h2>
+          {tasks.length > 0 && (
+            <button onClick={handleEmptyTrash} className="btn btn-delete">
+              Empty trash
+            </button>
+          )}
+        </div>
+
+        <div className="task-list">
+          {loading ? (
+            <div className="loading">Loading trash...</div>
+          ) : error ? (
+            <div className="error-message">{error}</div>
+          ) : tasks.length === 0 ? (
+            <div className="empty-state">
+              <p>The trash is empty</p>
+            </div>
+          ) : (
+            tasks.map((task) => (
+              <div key={task._id} className="task-item trash-item">
+                <div className="task-content">
+                  <span className="task-description">{task.description}</span>
+                  <span className="trash-dates">
+                    Deleted {formatDate(task.deletedAt)} · Deleted forever on {formatDate(task.purgeAt)}
+                  </span>
+                </div>
+
+                <button
+                  onClick={() => handleRestore(task._id)}
+                  className="btn btn-primary btn-small"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => handlePurge(task._id)}
+                  className="btn btn-delete"
+                >
+                  Delete forever
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
@@ -182,7 +182,9 @@ const UserPage = () => {
               ) : user.avatar ? (
                 <img
                   key={user.avatar}
-                  src={authAPI.getAvatarUrl(user._id)}
+                  src={authAPI.getAvatarUrl(user)}
+                  srcSet={authAPI.getAvatarSrcSet(user)}
+                  sizes="120px"
                   alt={user.name}
                   className="avatar-img"
                 />
@@ -199,7 +201,7 @@ const UserPage = () => {
                 type="file"
                 ref={fileInputRef}
                 onChange={handleAvatarChange}
-                accept="image/*"
+                accept="image/jpeg,image/png,image/gif,image/webp"
                 style={{ display: 'none' }}
               />
               <button
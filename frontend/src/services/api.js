@@ -1,6 +1,9 @@
 // API service for communicating with the task-manager-api backend
 // This handles all HTTP requests and includes authentication headers
 
+import { getMeta, setMeta, saveTasks, clearOfflineData } from './offlineStore';
+import { getOfflineTasks, searchOfflineTasks, createOfflineTask, updateOfflineTask, deleteOfflineTask } from './offlineTasks';
+
 // API URL configuration:
 // - Production (Vercel monorepo): Use '' (same domain, Express serves both API and frontend)
 // - Development: Use localhost:3000 (separate backend server)
@@ -19,19 +22,167 @@ const getAuthHeaders = () => {
 
 // Helper function to handle API responses
 const handleResponse = async (response) => {
-  const data = await response.json();
+  // Not every error comes with a JSON body (e.g. a proxy's error page)
+  const data = await response.json().catch(() => ({}));
 
   if (!response.ok) {
     // If there's an error message from the server, use it
-    const error = data.error || 'Something went wrong';
+    const error = data.error || response.statusText || 'Something went wrong';
     throw new Error(error);
   }
 
   return data;
 };
 
+// ==================== OFFLINE SUPPORT ====================
+
+// Thrown when the server can't be reached (no connection, server down)
+// Unlike other errors, these mean "try again later", not "this was rejected"
+export class OfflineError extends Error {
+  constructor() {
+    super('You are offline');
+    this.name = 'OfflineError';
+  }
+}
+
+// Thrown by updateTask when the task was changed somewhere else after the
+// version the update was based on (the server answered 412)
+// task: the server's current copy, to merge into or overwrite
+export class ConflictError extends Error {
+  constructor(message, task) {
+    super(message);
+    this.name = 'ConflictError';
+    this.task = task;
+  }
+}
+
+// fetch() that throws OfflineError when the request never reaches the server
+// (fetch itself only rejects for network failures - HTTP errors still resolve)
+const request = async (url, options) => {
+  if (!navigator.onLine) {
+    throw new OfflineError();
+  }
+
+  try {
+    return await fetch(url, options);
+  } catch (_err) {
+    throw new OfflineError();
+  }
+};
+
+// ==================== SAFE RETRIES ====================
+
+// A new Idempotency-Key: sent with every retry of one change, so the server
+// makes the change only once even if an earlier try did reach it
+export const createIdempotencyKey = () => crypto.randomUUID();
+
+// How often a keyed request is tried before giving up, and the wait before
+// each retry (longer every time)
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 300;
+
+// request() for a change sent with an Idempotency-Key
+// Retries when the connection fails mid-request while the device is still
+// online (flaky mobile networks), and when the server is still working on
+// an earlier try with the same key (409 with Retry-After)
+const requestWithRetries = async (url, options) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await request(url, options);
+
+      if (response.status !== 409 || !response.headers.get('Retry-After') || attempt === MAX_ATTEMPTS) {
+        return response;
+      }
+    } catch (err) {
+      if (!(err instanceof OfflineError) || !navigator.onLine || attempt === MAX_ATTEMPTS) {
+        throw err;
+      }
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+  }
+};
+
+// GET that keeps a copy of its last response, and returns that copy when offline
+const getWithOfflineCopy = async (url, key) => {
+  try {
+    const response = await request(url, { method: 'GET', headers: getAuthHeaders() });
+    const data = await handleResponse(response);
+
+    setMeta(key, data).catch(() => {});
+    return data;
+  } catch (err) {
+    const copy = err instanceof OfflineError ? await getMeta(key).catch(() => undefined) : undefined;
+
+    if (copy === undefined) {
+      throw err;
+    }
+    return copy;
+  }
+};
+
+// ==================== RESPONSE CACHE ====================
+
+// The last answer to each GET /tasks page and GET /tasks/:id, kept in memory.
+// Asking again sends its ETag as If-None-Match; when nothing has changed the
+// server answers 304 with no body and the kept answer is reused as it is.
+const responseCache = new Map();
+const MAX_CACHED_RESPONSES = 50;
+
+// GET through the cache - returns { data, headers }, fresh or kept
+// The token is part of the key, so one user never gets another's answers
+const getCached = async (url) => {
+  const key = `${localStorage.getItem('token')} ${url}`;
+  const cached = responseCache.get(key);
+  const headers = getAuthHeaders();
+
+  if (cached) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  const response = await request(url, { method: 'GET', headers });
+
+  if (response.status === 304 && cached) {
+    return cached;
+  }
+
+  const entry = {
+    data: await handleResponse(response),
+    headers: response.headers,
+    etag: response.headers.get('ETag'),
+  };
+
+  // Most recently used last, so the oldest answer is the one dropped
+  responseCache.delete(key);
+  if (entry.etag) {
+    responseCache.set(key, entry);
+    if (responseCache.size > MAX_CACHED_RESPONSES) {
+      responseCache.delete(responseCache.keys().next().value);
+    }
+  }
+
+  return entry;
+};
+
+// Keep the offline copies in step with changes made while online
+// Failing to store a copy shouldn't fail the request, so errors are ignored
+const rememberTask = (task) => {
+  // operationId belongs to the response (for undo), not to the stored task
+  const { operationId: _operationId, ...storedTask } = task;
+
+  saveTasks([storedTask]).catch(() => {});
+  return task;
+};
+
+const forgetTask = (id) => {
+  saveTasks([], [id]).catch(() => {});
+};
+
 // ==================== AUTH API ====================
 
+// The sizes the server stores avatars in, in pixels
+const AVATAR_SIZES = [32, 128, 512];
+
 export const authAPI = {
   // Signup a new user
   signup: async (name, email, password) => {
@@ -71,25 +222,25 @@ export const authAPI = {
 
   // Logout current user
   logout: async () => {
+    const headers = getAuthHeaders();
+
+    // Remove token and offline copies before calling the server,
+    // so logging out still works without a connection
+    localStorage.removeItem('token');
+    clearOfflineData().catch(() => {});
+    responseCache.clear();
+
     const response = await fetch(`${API_URL}/users/logout`, {
       method: 'POST',
-      headers: getAuthHeaders()
+      headers
     });
 
-    // Remove token from localStorage
-    localStorage.removeItem('token');
-
     return handleResponse(response);
   },
 
-  // Get current user profile
+  // Get current user profile (the last known profile when offline)
   getProfile: async () => {
-    const response = await fetch(`${API_URL}/users/me`, {
-      method: 'GET',
-      headers: getAuthHeaders()
-    });
-
-    return handleResponse(response);
+    return getWithOfflineCopy(`${API_URL}/users/me`, 'profile');
   },
 
   // Upload profile picture
@@ -120,37 +271,278 @@ export const authAPI = {
     return handleResponse(response);
   },
 
-  // Get user avatar URL with cache-busting
-  getAvatarUrl: (userId) => {
-    // Add timestamp to prevent browser caching issues after upload
-    return `${API_URL}/users/${userId}/avatar?t=${Date.now()}`;
+  // Get a user's avatar URL, for a picture at least `size` pixels wide
+  // v= names the current picture, so the browser may cache the URL for good
+  // and a new upload (a new name) is a new URL
+  getAvatarUrl: (user, size = 128) => {
+    return `${API_URL}/users/${user._id}/avatar?size=${size}&v=${encodeURIComponent(user.avatar)}`;
+  },
+
+  // srcset listing every stored avatar size, so the browser can pick one
+  // for the space it's shown in and the screen's pixel density
+  getAvatarSrcSet: (user) => {
+    return AVATAR_SIZES.map((size) => `${authAPI.getAvatarUrl(user, size)} ${size}w`).join(', ');
   }
 };
 
+// Query string for GET /tasks filters (completed, limit, skip, sortBy, tags, tagMode, project, q)
+const buildTaskParams = (filters) => {
+  const params = new URLSearchParams();
+
+  if (filters.completed !== undefined) {
+    params.append('completed', filters.completed);
+  }
+  if (filters.limit) {
+    params.append('limit', filters.limit);
+  }
+  if (filters.skip) {
+    params.append('skip', filters.skip);
+  }
+  if (filters.sortBy) {
+    params.append('sortBy', filters.sortBy);
+  }
+  if (filters.tags && filters.tags.length > 0) {
+    params.append('tags', filters.tags.join(','));
+  }
+  if (filters.tagMode) {
+    params.append('tagMode', filters.tagMode);
+  }
+  if (filters.project) {
+    params.append('project', filters.project);
+  }
+  if (filters.q) {
+    params.append('q', filters.q);
+  }
+
+  return params;
+};
+
+// The cursor in a Link: <?...&after=<cursor>>; rel="next" header (null if none)
+const nextCursor = (link) => {
+  const match = /<[^>]*\?([^>]*)>;\s*rel="next"/.exec(link || '');
+  return match ? new URLSearchParams(match[1]).get('after') : null;
+};
+
 // ==================== TASKS API ====================
 
 export const tasksAPI = {
-  // Get all tasks (with optional filters)
+  // Get all tasks (with optional filters, including q - see GET /tasks)
+  // When offline, the copies stored on this device are filtered instead
   getTasks: async (filters = {}) => {
-    const params = new URLSearchParams();
+    const params = buildTaskParams(filters);
+
+    const queryString = params.toString();
+    const url = queryString ? `${API_URL}/tasks?${queryString}` : `${API_URL}/tasks`;
 
-    if (filters.completed !== undefined) {
-      params.append('completed', filters.completed);
+    // The query language is only understood by the server, so offline
+    // a query gets the last answer the server gave for it
+    if (filters.q) {
+      return getWithOfflineCopy(url, `tasks?${queryString}`);
     }
-    if (filters.limit) {
-      params.append('limit', filters.limit);
+
+    try {
+      const response = await request(url, {
+        method: 'GET',
+        headers: getAuthHeaders()
+      });
+
+      return await handleResponse(response);
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        return getOfflineTasks(filters);
+      }
+      throw err;
     }
-    if (filters.skip) {
-      params.append('skip', filters.skip);
+  },
+
+  // Get one page of tasks - filters as for getTasks, with limit as the page size
+  // after: the previous page's next cursor (leave out for the first page)
+  // Returns { tasks, total, next }: total counts every matching task, next
+  // is the cursor for the following page (null on the last one)
+  // When offline, every stored task matching the filters comes as one page
+  // A page that hasn't changed since it was last fetched isn't downloaded again
+  getTaskPage: async (filters = {}, after = null) => {
+    const params = buildTaskParams(filters);
+    if (after) {
+      params.append('after', after);
     }
-    if (filters.sortBy) {
-      params.append('sortBy', filters.sortBy);
+
+    // Offline copy of a query's first page, shared with getTasks
+    const copyKey = `tasks?${buildTaskParams({ ...filters, limit: undefined })}`;
+
+    try {
+      const { data: tasks, headers } = await getCached(`${API_URL}/tasks?${params}`);
+      const total = parseInt(headers.get('X-Total-Count'));
+      const taskPage = {
+        tasks,
+        total: Number.isNaN(total) ? tasks.length : total,
+        next: nextCursor(headers.get('Link')),
+      };
+
+      if (filters.q && !after) {
+        setMeta(copyKey, tasks).catch(() => {});
+      }
+      return taskPage;
+    } catch (err) {
+      if (!(err instanceof OfflineError)) {
+        throw err;
+      }
+
+      // The query language is only understood by the server, so offline
+      // a query gets the last tasks the server gave for it
+      const tasks = filters.q
+        ? await getMeta(copyKey).catch(() => undefined)
+        : await getOfflineTasks({ ...filters, limit: undefined });
+
+      if (tasks === undefined) {
+        throw err;
+      }
+      return { tasks, total: tasks.length, next: null };
     }
+  },
 
-    const queryString = params.toString();
-    const url = queryString ? `${API_URL}/tasks?${queryString}` : `${API_URL}/tasks`;
+  // Full-text search, best matches first
+  // q: words, "exact phrases" and -excluded words
+  // filters: the same filters as getTasks, plus limit (at most 100) and
+  // within - a GET /tasks query the results must match too (e.g. a view's)
+  // The results always come best first, so there is no sortBy
+  // Each task comes with a score and highlights ({ field, text, matches })
+  searchTasks: async (q, filters = {}) => {
+    const params = buildTaskParams({ ...filters, sortBy: undefined, q: undefined });
+    params.append('q', q);
 
-    const response = await fetch(url, {
+    if (filters.within) {
+      params.append('within', filters.within);
+    }
+
+    try {
+      const response = await request(`${API_URL}/tasks/search?${params}`, {
+        method: 'GET',
+        headers: getAuthHeaders()
+      });
+
+      return await handleResponse(response);
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        return searchOfflineTasks(q, filters);
+      }
+      throw err;
+    }
+  },
+
+  // Get single task by ID (the kept copy is reused if it hasn't changed)
+  getTask: async (id) => {
+    const { data } = await getCached(`${API_URL}/tasks/${id}`);
+    return data;
+  },
+
+  // Create a new task
+  // extra holds any additional fields, e.g. { tags: ['work'], project: '<id>' }
+  // idempotencyKey: pass the same key when sending the same task again, so a
+  // create that did reach the server isn't made twice
+  createTask: async (description, completed = false, dueDate = null, priority = 'medium', extra = {},
+    { idempotencyKey = createIdempotencyKey() } = {}) => {
+    const body = { description, completed, priority, ...extra };
+
+    // Only include dueDate if it's provided
+    if (dueDate) {
+      body.dueDate = dueDate;
+    }
+
+    try {
+      const response = await requestWithRetries(`${API_URL}/tasks`, {
+        method: 'POST',
+        headers: { ...getAuthHeaders(), 'Idempotency-Key': idempotencyKey },
+        body: JSON.stringify(body)
+      });
+
+      return rememberTask(await handleResponse(response));
+    } catch (err) {
+      // Offline: create it on this device, to be sent when back online
+      if (err instanceof OfflineError) {
+        return createOfflineTask(body);
+      }
+      throw err;
+    }
+  },
+
+  // Update a task
+  // version: the task's syncSeq when it was loaded - if given, the update is
+  // refused with a ConflictError when the task has changed since then
+  updateTask: async (id, updates, { version } = {}) => {
+    try {
+      // Only change the task if it's still the version this client saw
+      const headers = getAuthHeaders();
+      if (version !== undefined) {
+        headers['If-Match'] = `"${version}"`;
+      }
+
+      const response = await request(`${API_URL}/tasks/${id}`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify(updates)
+      });
+
+      if (response.status === 412) {
+        const { error, task } = await response.json();
+        rememberTask(task);
+        throw new ConflictError(error, task);
+      }
+
+      return rememberTask(await handleResponse(response));
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        return updateOfflineTask(id, updates);
+      }
+      throw err;
+    }
+  },
+
+  // Delete a task (moves it to the trash)
+  deleteTask: async (id) => {
+    try {
+      const response = await request(`${API_URL}/tasks/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders()
+      });
+
+      const task = await handleResponse(response);
+      forgetTask(id);
+      return task;
+    } catch (err) {
+      if (err instanceof OfflineError) {
+        return deleteOfflineTask(id);
+      }
+      throw err;
+    }
+  },
+
+  // Change many tasks in one request
+  // selection is { ids: [...] } or { filter: { completed, project, tags, tagMode } }
+  // action: 'complete', 'uncomplete', 'delete', 'setPriority', 'setDueDate', 'moveProject' or 'addTag'
+  // Returns { operationId, updated, results } - nothing changes if any task can't be updated
+  // Needs a connection (there is no offline fallback)
+  bulkUpdate: async (selection, action, value) => {
+    const response = await request(`${API_URL}/tasks/bulk`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ ...selection, action, value })
+    });
+
+    const data = await handleResponse(response);
+    data.results
+      .filter(result => result.status === 'updated')
+      .forEach(result => rememberTask(result.task));
+    return data;
+  },
+
+  // ---------- Trash ----------
+  // Deleting a task only moves it to the trash (checklists are kept too)
+
+  // Get trashed tasks, most recently deleted first
+  // Each has a purgeAt date: when it will be deleted for good
+  getTrash: async () => {
+    const response = await fetch(`${API_URL}/tasks/trash`, {
       method: 'GET',
       headers: getAuthHeaders()
     });
@@ -158,9 +550,93 @@ export const tasksAPI = {
     return handleResponse(response);
   },
 
-  // Get single task by ID
-  getTask: async (id) => {
-    const response = await fetch(`${API_URL}/tasks/${id}`, {
+  // Move a task out of the trash
+  restoreTask: async (id) => {
+    const response = await fetch(`${API_URL}/tasks/${id}/restore`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+
+    return rememberTask(await handleResponse(response));
+  },
+
+  // Permanently delete one trashed task
+  purgeTask: async (id) => {
+    const response = await fetch(`${API_URL}/tasks/trash/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // Permanently delete everything in the trash - returns { purged }
+  emptyTrash: async () => {
+    const response = await fetch(`${API_URL}/tasks/trash`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // ---------- Subtasks (checklist items) ----------
+  // Each of these returns the full parent task with updated progress
+  // (checklists can only be changed while online)
+
+  // Add a subtask to the end of a task's checklist
+  addSubtask: async (taskId, text) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/subtasks`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ text })
+    });
+
+    return rememberTask(await handleResponse(response));
+  },
+
+  // Update a subtask (e.g. { completed: true } or { text: '...' })
+  updateSubtask: async (taskId, subtaskId, updates) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/subtasks/${subtaskId}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates)
+    });
+
+    return rememberTask(await handleResponse(response));
+  },
+
+  // Reorder subtasks - order is an array of every subtask ID in the new order
+  reorderSubtasks: async (taskId, order) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/subtasks/reorder`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ order })
+    });
+
+    return rememberTask(await handleResponse(response));
+  },
+
+  // Delete a subtask
+  deleteSubtask: async (taskId, subtaskId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/subtasks/${subtaskId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return rememberTask(await handleResponse(response));
+  }
+};
+
+// ==================== COMMENTS API ====================
+// The discussion on a task. Bodies are markdown (see utils/markdown.jsx);
+// writing @name mentions someone who can see the task
+// (comments can only be read and written while online)
+
+export const commentsAPI = {
+  // Get a task's comments, oldest first
+  getComments: async (taskId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/comments`, {
       method: 'GET',
       headers: getAuthHeaders()
     });
@@ -168,27 +644,136 @@ export const tasksAPI = {
     return handleResponse(response);
   },
 
-  // Create a new task
-  createTask: async (description, completed = false, dueDate = null, priority = 'medium') => {
-    const body = { description, completed, priority };
+  // Add a comment - retried safely on a flaky connection, like createTask
+  addComment: async (taskId, body) => {
+    const response = await requestWithRetries(`${API_URL}/tasks/${taskId}/comments`, {
+      method: 'POST',
+      headers: { ...getAuthHeaders(), 'Idempotency-Key': createIdempotencyKey() },
+      body: JSON.stringify({ body })
+    });
 
-    // Only include dueDate if it's provided
-    if (dueDate) {
-      body.dueDate = dueDate;
+    return handleResponse(response);
+  },
+
+  // Change a comment's text (the old text is kept in its edits)
+  updateComment: async (taskId, commentId, body) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/comments/${commentId}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ body })
+    });
+
+    return handleResponse(response);
+  },
+
+  // Delete a comment
+  deleteComment: async (taskId, commentId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/comments/${commentId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  }
+};
+
+// ==================== ATTACHMENTS API ====================
+// Files attached to a task (only while online)
+
+export const attachmentsAPI = {
+  // Get a task's attachments, oldest first
+  getAttachments: async (taskId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/attachments`, {
+      method: 'GET',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // Attach a file (a File from an <input type="file">)
+  uploadAttachment: async (taskId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_URL}/tasks/${taskId}/attachments`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+        // Don't set Content-Type - let browser set it with boundary for multipart/form-data
+      },
+      body: formData
+    });
+
+    return handleResponse(response);
+  },
+
+  // Download a file's contents as a Blob
+  // (a plain link can't send the Authorization header, so it's fetched)
+  downloadAttachment: async (taskId, attachmentId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/attachments/${attachmentId}`, {
+      method: 'GET',
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      await handleResponse(response);
     }
+    return response.blob();
+  },
 
-    const response = await fetch(`${API_URL}/tasks`, {
+  // Delete an attachment
+  deleteAttachment: async (taskId, attachmentId) => {
+    const response = await fetch(`${API_URL}/tasks/${taskId}/attachments/${attachmentId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  }
+};
+
+// ==================== OPERATIONS API ====================
+// Updating or deleting a task returns an operationId, which can be undone
+// for a few minutes (see utils/undoToast.jsx)
+
+export const operationsAPI = {
+  // Undo an operation - returns { type, tasks } with the restored tasks
+  undo: async (operationId) => {
+    const response = await fetch(`${API_URL}/operations/${operationId}/undo`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+
+    const data = await handleResponse(response);
+    data.tasks.forEach(rememberTask);
+    return data;
+  }
+};
+
+// ==================== TAGS API ====================
+
+export const tagsAPI = {
+  // Get all tags for the current user (the last known list when offline)
+  getTags: async () => {
+    return getWithOfflineCopy(`${API_URL}/tags`, 'tags');
+  },
+
+  // Create a tag (color is optional - the server picks one if omitted)
+  createTag: async (name, color) => {
+    const response = await fetch(`${API_URL}/tags`, {
       method: 'POST',
       headers: getAuthHeaders(),
-      body: JSON.stringify(body)
+      body: JSON.stringify({ name, ...(color && { color }) })
     });
 
     return handleResponse(response);
   },
 
-  // Update a task
-  updateTask: async (id, updates) => {
-    const response = await fetch(`${API_URL}/tasks/${id}`, {
+  // Rename or recolour a tag
+  updateTag: async (id, updates) => {
+    const response = await fetch(`${API_URL}/tags/${id}`, {
       method: 'PATCH',
       headers: getAuthHeaders(),
       body: JSON.stringify(updates)
@@ -197,9 +782,9 @@ export const tasksAPI = {
     return handleResponse(response);
   },
 
-  // Delete a task
-  deleteTask: async (id) => {
-    const response = await fetch(`${API_URL}/tasks/${id}`, {
+  // Delete a tag (also removes it from all tasks)
+  deleteTag: async (id) => {
+    const response = await fetch(`${API_URL}/tags/${id}`, {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
@@ -207,3 +792,233 @@ export const tasksAPI = {
     return handleResponse(response);
   }
 };
+
+// ==================== PROJECTS API ====================
+
+export const projectsAPI = {
+  // Get all projects (each includes taskCount of incomplete tasks)
+  // When offline, returns the last known list
+  getProjects: async () => {
+    return getWithOfflineCopy(`${API_URL}/projects`, 'projects');
+  },
+
+  // Create a project - fields: { name, color, icon }
+  createProject: async (fields) => {
+    const response = await fetch(`${API_URL}/projects`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(fields)
+    });
+
+    return handleResponse(response);
+  },
+
+  // Update a project (e.g. { archived: true })
+  updateProject: async (id, updates) => {
+    const response = await fetch(`${API_URL}/projects/${id}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates)
+    });
+
+    return handleResponse(response);
+  },
+
+  // Delete a project (its tasks move to the Inbox)
+  deleteProject: async (id) => {
+    const response = await fetch(`${API_URL}/projects/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  }
+};
+
+// ==================== VIEWS API ====================
+
+export const viewsAPI = {
+  // Get the built-in views (builtIn: true), then the user's saved views
+  // When offline, returns the last known list
+  getViews: async () => {
+    return getWithOfflineCopy(`${API_URL}/views`, 'views');
+  },
+
+  // Save a view - fields: { name, query, sort, display, icon }
+  createView: async (fields) => {
+    const response = await fetch(`${API_URL}/views`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(fields)
+    });
+
+    return handleResponse(response);
+  },
+
+  // Update a saved view (e.g. { query: 'tag:work' })
+  updateView: async (id, updates) => {
+    const response = await fetch(`${API_URL}/views/${id}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates)
+    });
+
+    return handleResponse(response);
+  },
+
+  // Delete a saved view (its tasks are not affected)
+  deleteView: async (id) => {
+    const response = await fetch(`${API_URL}/views/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  }
+};
+
+// ==================== NOTIFICATIONS API ====================
+
+export const notificationsAPI = {
+  // Get notifications, newest first
+  // Options: { unread: true, limit: 20 }
+  getNotifications: async (options = {}) => {
+    const params = new URLSearchParams();
+
+    if (options.unread) {
+      params.append('unread', 'true');
+    }
+    if (options.limit) {
+      params.append('limit', options.limit);
+    }
+
+    const queryString = params.toString();
+    const url = queryString ? `${API_URL}/notifications?${queryString}` : `${API_URL}/notifications`;
+
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // Mark one notification as read
+  markRead: async (id) => {
+    const response = await fetch(`${API_URL}/notifications/${id}/read`, {
+      method: 'PATCH',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // Mark every notification as read
+  markAllRead: async () => {
+    const response = await fetch(`${API_URL}/notifications/read-all`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  }
+};
+
+// ==================== LIVE EVENTS ====================
+
+// Event types sent by GET /events
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted', 'tasks.refresh'];
+const EVENT_TYPES = [...TASK_EVENT_TYPES, 'notification.created'];
+
+// One connection per tab, shared by everything that listens
+let eventSource = null;
+let eventSourceOpened = false;
+const eventListeners = new Set();
+
+const openEventSource = (token) => {
+  const source = new EventSource(`${API_URL}/events?token=${encodeURIComponent(token)}`);
+
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (e) => {
+      const event = JSON.parse(e.data);
+      eventListeners.forEach((listener) => {
+        if (listener.types.includes(type)) {
+          listener.onEvent(event);
+        }
+      });
+    });
+  });
+
+  // The browser reconnects by itself if the connection drops, but events
+  // sent in between are lost - listeners can reload when it comes back
+  source.addEventListener('open', () => {
+    if (eventSourceOpened) {
+      eventListeners.forEach((listener) => listener.onReconnect?.());
+    }
+    eventSourceOpened = true;
+  });
+
+  return source;
+};
+
+export const eventsAPI = {
+  // Listen for live events - onEvent receives { type, task } for task events,
+  // { type, notification } for 'notification.created'
+  // Options: types (default: the task events) and onReconnect
+  // EventSource can't send headers, so the token goes in the query string
+  // Returns a function that stops listening (the last one closes the connection)
+  subscribe: (onEvent, { types = TASK_EVENT_TYPES, onReconnect } = {}) => {
+    const token = localStorage.getItem('token');
+
+    if (!token || typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    if (!eventSource) {
+      eventSource = openEventSource(token);
+      eventSourceOpened = false;
+    }
+
+    const listener = { onEvent, types, onReconnect };
+    eventListeners.add(listener);
+
+    return () => {
+      eventListeners.delete(listener);
+
+      if (eventListeners.size === 0 && eventSource) {
+        eventSource.close();
+        eventSource = null;
+      }
+    };
+  }
+};
+
+// ==================== SYNC API ====================
+// Used by services/sync.js to send offline changes and fetch missed ones
+
+export const syncAPI = {
+  // Get task changes after a cursor (everything if cursor is empty)
+  // Returns { tasks, deleted, cursor, hasMore }
+  pull: async (cursor) => {
+    const url = cursor ? `${API_URL}/sync?since=${encodeURIComponent(cursor)}` : `${API_URL}/sync`;
+
+    const response = await request(url, {
+      method: 'GET',
+      headers: getAuthHeaders()
+    });
+
+    return handleResponse(response);
+  },
+
+  // Send queued changes - each is { op, id, baseSeq, data }
+  // Returns { results } with one result per change
+  push: async (changes) => {
+    const response = await request(`${API_URL}/sync`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ changes })
+    });
+
+    return handleResponse(response);
+  }
+};
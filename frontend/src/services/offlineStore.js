@@ -0,0 +1,190 @@
+// Offline storage for tasks, using the browser's IndexedDB database
+// Lets the app show tasks and accept changes while there's no connection
+//
+// Object stores:
+// - tasks: copies of the user's tasks, keyed by _id
+// - queue: changes made offline, waiting to be sent to POST /sync (in order)
+// - meta:  small values such as the sync cursor and cached API responses
+
+const DB_NAME = 'noted-offline';
+const DB_VERSION = 1;
+
+// ========== OPEN THE DATABASE ==========
+
+let dbPromise = null;
+
+// Opens (and on first use creates) the database
+// The same connection is reused for every call
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      // Runs when the database is new, or DB_VERSION went up
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('tasks', { keyPath: '_id' });
+        db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore('meta');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+// Wrap an IndexedDB request in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run work inside a transaction and wait for it to be committed
+// work(stores) receives the requested object stores by name
+const transaction = async (storeNames, mode, work) => {
+  const db = await openDB();
+  const tx = db.transaction(storeNames, mode);
+  const stores = Object.fromEntries(storeNames.map((name) => [name, tx.objectStore(name)]));
+
+  const result = work(stores);
+
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  return result;
+};
+
+// ========== TASKS ==========
+
+// Get every stored task
+export const getAllTasks = async () => {
+  const db = await openDB();
+  return promisify(db.transaction('tasks').objectStore('tasks').getAll());
+};
+
+// Get one stored task (undefined if it isn't stored)
+export const getTask = async (id) => {
+  const db = await openDB();
+  return promisify(db.transaction('tasks').objectStore('tasks').get(id));
+};
+
+// Add or replace tasks, and remove deleted ones, in one go
+export const saveTasks = (tasks = [], deletedIds = []) => {
+  return transaction(['tasks'], 'readwrite', ({ tasks: store }) => {
+    tasks.forEach((task) => store.put(task));
+    deletedIds.forEach((id) => store.delete(id));
+  });
+};
+
+// ========== CHANGE QUEUE ==========
+// Each entry is a change for POST /sync: { op, id, baseSeq, data }
+// Entries keep the order they were made in (seq counts up)
+
+// Functions to call with the number of queued changes whenever it changes
+const queueListeners = new Set();
+
+const notifyQueueListeners = async () => {
+  const queue = await getQueue();
+  queueListeners.forEach((listener) => listener(queue.length));
+};
+
+// Be told how many changes are waiting to be sent - now, and after every change
+// Returns a function that stops listening
+export const subscribeToQueue = (listener) => {
+  queueListeners.add(listener);
+  getQueue().then((queue) => listener(queue.length)).catch(() => {});
+
+  return () => queueListeners.delete(listener);
+};
+
+// Get every queued change, oldest first
+export const getQueue = async () => {
+  const db = await openDB();
+  return promisify(db.transaction('queue').objectStore('queue').getAll());
+};
+
+// Record a change made offline, and apply it to the stored task
+//
+// Only one entry is kept per task, so the server sees the end result:
+// - update after create: merged into the create
+// - update after update: merged, keeping the first baseSeq
+// - delete after create: both dropped (the server never saw the task)
+// - delete after update: replaces the update
+export const queueChange = async (change, task) => {
+  await transaction(['queue', 'tasks'], 'readwrite', ({ queue, tasks }) => {
+    const request = queue.getAll();
+
+    request.onsuccess = () => {
+      const pending = request.result.find((entry) => entry.id === change.id);
+
+      if (change.op === 'delete') {
+        tasks.delete(change.id);
+      } else {
+        tasks.put(task);
+      }
+
+      if (!pending) {
+        queue.add(change);
+      } else if (change.op === 'update') {
+        queue.put({ ...pending, data: { ...pending.data, ...change.data } });
+      } else if (pending.op === 'create') {
+        queue.delete(pending.seq);
+      } else {
+        queue.put({ ...pending, op: 'delete', data: undefined });
+      }
+    };
+  });
+
+  await notifyQueueListeners();
+};
+
+// Remove changes that have been sent to the server
+export const removeFromQueue = async (seqs) => {
+  await transaction(['queue'], 'readwrite', ({ queue }) => {
+    seqs.forEach((seq) => queue.delete(seq));
+  });
+
+  await notifyQueueListeners();
+};
+
+// ========== META ==========
+
+// Read a stored value (undefined if never set)
+export const getMeta = async (key) => {
+  const db = await openDB();
+  return promisify(db.transaction('meta').objectStore('meta').get(key));
+};
+
+// Store a value under a key
+export const setMeta = (key, value) => {
+  return transaction(['meta'], 'readwrite', ({ meta }) => {
+    meta.put(value, key);
+  });
+};
+
+// ========== CLEAR ==========
+
+// Forget everything - used on logout so the next user starts fresh
+export const clearOfflineData = async () => {
+  await transaction(['tasks', 'queue', 'meta'], 'readwrite', (stores) => {
+    Object.values(stores).forEach((store) => store.clear());
+  });
+
+  await notifyQueueListeners();
+};
@@ -0,0 +1,156 @@
+// Task operations that work without a connection
+// Used by tasksAPI (services/api.js) when the server can't be reached.
+// Reads come from the copies kept in IndexedDB; changes are applied to those
+// copies straight away and queued for POST /sync (see services/sync.js).
+
+import { getAllTasks, getTask, queueChange } from './offlineStore';
+import { createObjectId } from '../utils/objectId';
+
+// Tag names are stored the way the server does: "#Work " -> "work"
+const normalizeTag = (name) => String(name).trim().replace(/^#+/, '').toLowerCase();
+
+// Priorities sort by rank (low < medium < high), like the server's priorityRank,
+// and descriptions without regard to case, like the server's collation
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+const sortValue = (task, field) => {
+  if (field === 'priority') {
+    return PRIORITY_RANKS[task.priority];
+  }
+  return field === 'description' ? task.description.toLowerCase() : task[field];
+};
+
+// ========== READ ==========
+
+// Same filters as GET /tasks: completed, project, tags + tagMode, sortBy, skip, limit
+export const getOfflineTasks = async (filters = {}) => {
+  let tasks = await getAllTasks();
+
+  if (filters.completed !== undefined) {
+    tasks = tasks.filter((task) => task.completed === (String(filters.completed) === 'true'));
+  }
+
+  if (filters.project === 'inbox') {
+    tasks = tasks.filter((task) => !task.project);
+  } else if (filters.project) {
+    tasks = tasks.filter((task) => task.project === filters.project);
+  }
+
+  if (filters.tags && filters.tags.length > 0) {
+    const tagNames = filters.tags.map(normalizeTag);
+    tasks = tasks.filter((task) => filters.tagMode === 'any'
+      ? tagNames.some((name) => task.tags.includes(name))
+      : tagNames.every((name) => task.tags.includes(name)));
+  }
+
+  // Oldest first unless asked otherwise, like the server - and tasks
+  // without a due date last in a sort by due date
+  const [field, direction] = (filters.sortBy || 'createdAt:asc').split(':');
+  tasks.sort((a, b) => {
+    if (field === 'dueDate' && !a.dueDate !== !b.dueDate) {
+      return a.dueDate ? -1 : 1;
+    }
+
+    const [valueA, valueB] = [sortValue(a, field), sortValue(b, field)];
+    const order = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return direction === 'desc' ? -order : order;
+  });
+
+  const skip = parseInt(filters.skip) || 0;
+  const limit = parseInt(filters.limit) || tasks.length;
+  return tasks.slice(skip, skip + limit);
+};
+
+// A simpler stand-in for GET /tasks/search: every word (or "phrase") must
+// appear somewhere in the task and no -excluded one may. There is no
+// ranking or word stemming, and no highlights. A within query can't be
+// checked without the server, so it's left out.
+export const searchOfflineTasks = async (q, filters = {}) => {
+  const words = [...q.toLowerCase().matchAll(/(-?)"([^"]+)"?|(-?)(\S+)/g)]
+    .map(([, phraseMinus, phrase, wordMinus, word]) => ({
+      text: (phrase ?? word).replace(/^-+/, ''),
+      excluded: Boolean(phraseMinus || wordMinus)
+    }))
+    .filter(({ text }) => text);
+
+  const tasks = await getOfflineTasks({
+    completed: filters.completed,
+    project: filters.project,
+    tags: filters.tags,
+    tagMode: filters.tagMode
+  });
+
+  return tasks
+    .filter((task) => {
+      const content = [task.description, ...task.tags, ...(task.subtasks || []).map((subtask) => subtask.text)]
+        .join('\n')
+        .toLowerCase();
+
+      return words.every(({ text, excluded }) => content.includes(text) !== excluded);
+    })
+    .slice(0, parseInt(filters.limit) || 20)
+    .map((task) => ({ ...task, score: 0, highlights: [] }));
+};
+
+// ========== CREATE ==========
+
+// fields: the same body POST /tasks would receive
+export const createOfflineTask = async (fields) => {
+  const id = createObjectId();
+  const now = new Date().toISOString();
+
+  const task = {
+    _id: id,
+    description: fields.description,
+    completed: fields.completed || false,
+    priority: fields.priority || 'medium',
+    dueDate: fields.dueDate || null,
+    tags: (fields.tags || []).map(normalizeTag),
+    project: fields.project || null,
+    recurrence: fields.recurrence || null,
+    reminders: fields.reminders || [],
+    subtasks: [],
+    progress: { completed: 0, total: 0 },
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await queueChange({ op: 'create', id, data: fields }, task);
+  return task;
+};
+
+// ========== UPDATE ==========
+
+// Only tasks that were synced to this device before going offline can be changed
+const getStoredTask = async (id) => {
+  const task = await getTask(id);
+
+  if (!task) {
+    throw new Error('This task is not available offline');
+  }
+
+  return task;
+};
+
+export const updateOfflineTask = async (id, updates) => {
+  const task = await getStoredTask(id);
+
+  const updatedTask = {
+    ...task,
+    ...updates,
+    ...(updates.tags && { tags: updates.tags.map(normalizeTag) }),
+    updatedAt: new Date().toISOString()
+  };
+
+  // baseSeq tells the server which version was edited, so it can spot conflicts
+  await queueChange({ op: 'update', id, baseSeq: task.syncSeq, data: updates }, updatedTask);
+  return updatedTask;
+};
+
+// ========== DELETE ==========
+
+export const deleteOfflineTask = async (id) => {
+  const task = await getStoredTask(id);
+
+  await queueChange({ op: 'delete', id, baseSeq: task.syncSeq }, task);
+  return task;
+};
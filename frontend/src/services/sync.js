@@ -0,0 +1,155 @@
+// Keeps the tasks stored on this device in step with the server
+//
+// syncNow():
+// 1. Sends the changes queued while offline (POST /sync), oldest first
+// 2. Fetches everything that changed on the server since last time (GET /sync)
+//
+// The server refuses changes to tasks that were edited elsewhere in the
+// meantime. Those come back as conflicts, and the server's copy wins.
+
+import { syncAPI } from './api';
+import {
+  getQueue,
+  removeFromQueue,
+  getTask,
+  saveTasks,
+  getMeta,
+  setMeta,
+  clearOfflineData
+} from './offlineStore';
+
+// POST /sync accepts at most this many changes per request
+const PUSH_BATCH_SIZE = 100;
+
+// ========== SYNC LISTENERS ==========
+
+// Functions to call after every sync that changed something
+const syncListeners = new Set();
+
+// Be told when a sync has finished - listener receives the sync result
+// Returns a function that stops listening
+export const subscribeToSync = (listener) => {
+  syncListeners.add(listener);
+  return () => syncListeners.delete(listener);
+};
+
+// ========== PUSH ==========
+
+// Send queued changes and store what the server answered
+// Returns the changes that were not applied: [{ change, result, task }]
+const pushQueue = async () => {
+  const queue = await getQueue();
+  const rejected = [];
+  let applied = 0;
+
+  for (let i = 0; i < queue.length; i += PUSH_BATCH_SIZE) {
+    const batch = queue.slice(i, i + PUSH_BATCH_SIZE);
+    const { results } = await syncAPI.push(batch.map(({ seq: _seq, ...change }) => change));
+
+    for (const [index, result] of results.entries()) {
+      const change = batch[index];
+
+      if (result.status === 'applied') {
+        applied++;
+        await saveTasks(result.task ? [result.task] : [], result.task ? [] : [change.id]);
+        continue;
+      }
+
+      // Keep the local copy for the message before it's replaced
+      rejected.push({ change, result, task: await getTask(change.id) });
+
+      // The server's version wins
+      if (result.task) {
+        await saveTasks([result.task]);
+      } else if (result.reason === 'deleted' || change.op === 'create') {
+        await saveTasks([], [change.id]);
+      }
+    }
+
+    // Sent - whatever the outcome, retrying won't change it
+    await removeFromQueue(batch.map((change) => change.seq));
+  }
+
+  return { applied, rejected };
+};
+
+// ========== PULL ==========
+
+// Fetch server changes page by page, remembering the cursor as we go
+// Returns how many tasks were added, changed or removed
+const pullChanges = async () => {
+  let cursor = await getMeta('cursor');
+  let count = 0;
+  let page;
+
+  do {
+    page = await syncAPI.pull(cursor);
+    await saveTasks(page.tasks, page.deleted);
+
+    cursor = page.cursor;
+    await setMeta('cursor', cursor);
+    count += page.tasks.length + page.deleted.length;
+  } while (page.hasMore);
+
+  return count;
+};
+
+// ========== SYNC ==========
+
+let running = null;
+
+// userId: the logged-in user - stored data from a different user is thrown away
+const runSync = async (userId) => {
+  if ((await getMeta('owner')) !== userId) {
+    await clearOfflineData();
+    await setMeta('owner', userId);
+  }
+
+  const { applied, rejected } = await pushQueue();
+  const pulled = await pullChanges();
+
+  return { applied, rejected, pulled };
+};
+
+// Run a sync, unless one is already running (then wait for that one)
+// Resolves with { applied, rejected, pulled }
+export const syncNow = (userId) => {
+  if (!running) {
+    running = runSync(userId)
+      .then((result) => {
+        if (result.applied || result.rejected.length || result.pulled) {
+          syncListeners.forEach((listener) => listener(result));
+        }
+        return result;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+
+  return running;
+};
+
+// ========== LIVE EVENTS ==========
+
+// Store one task change pushed over GET /events, so the copy on this device
+// stays current between syncs without asking the server
+export const storeTaskEvent = (event) => {
+  if (event.type === 'task.deleted') {
+    return saveTasks([], [event.task._id]);
+  }
+  return saveTasks([event.task]);
+};
+
+// Human readable reason a queued change was not applied
+export const describeRejection = ({ change, result, task }) => {
+  const name = task?.description || change.data?.description || 'A task';
+
+  if (result.status === 'error') {
+    return `"${name}" could not be synced: ${result.error}`;
+  }
+  if (result.reason === 'deleted') {
+    return `"${name}" was deleted on another device, so your offline changes were dropped`;
+  }
+  return `"${name}" was changed on another device, so your offline changes were dropped`;
+};
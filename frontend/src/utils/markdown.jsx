@@ -0,0 +1,134 @@
+// Markdown for comment bodies, turned into React elements
+// Only builds elements - never HTML strings - so a comment can't inject
+// markup or scripts. Supports the everyday subset:
+//
+//   **bold**  *italic*  ~~struck~~  `code`  [link](https://...)  @mention
+//   - bullet lists, 1. numbered lists, > quotes, # headings
+//   ``` code blocks ```
+//
+// Paragraphs are separated by a blank line; a single line break is kept.
+
+// Inline markup, tried left to right. The mention rule matches the
+// server's (backend/src/utils/mentions.js): @ not inside a word or email
+const INLINE_PATTERN = new RegExp([
+  '`(?<code>[^`\\n]+)`',
+  '\\*\\*(?<bold>.+?)\\*\\*',
+  '~~(?<strike>.+?)~~',
+  '\\*(?<em>[^*\\s](?:[^*]*[^*\\s])?)\\*',
+  '\\[(?<label>[^\\]\\n]+)\\]\\((?<href>[^)\\s]+)\\)',
+  '(?<![\\w@.])@(?<mention>[a-zA-Z0-9](?:[\\w.-]*[a-zA-Z0-9_])?)',
+].join('|'), 'g');
+
+// Links may only go to web pages or email - no javascript: URLs
+const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let last = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const { code, bold, strike, em, label, href, mention } = match.groups;
+    const key = `${keyPrefix}-${match.index}`;
+
+    if (match.index > last) {
+      nodes.push(text.slice(last, match.index));
+    }
+
+    if (code !== undefined) {
+      nodes.push(<code key={key}>{code}</code>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, key)}</strong>);
+    } else if (strike !== undefined) {
+      nodes.push(<del key={key}>{renderInline(strike, key)}</del>);
+    } else if (em !== undefined) {
+      nodes.push(<em key={key}>{renderInline(em, key)}</em>);
+    } else if (label !== undefined) {
+      nodes.push(SAFE_LINK.test(href)
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer">{label}</a>
+        : label);
+    } else {
+      nodes.push(<span key={key} className="mention">@{mention}</span>);
+    }
+
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) {
+    nodes.push(text.slice(last));
+  }
+
+  return nodes;
+};
+
+// Lines joined by <br>, each with inline markup
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, index) => [
+  ...(index > 0 ? [<br key={`${keyPrefix}-br${index}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${index}`),
+]);
+
+const BULLET = /^\s*[-*+]\s+/;
+const NUMBERED = /^\s*\d+[.)]\s+/;
+const QUOTE = /^\s*>\s?/;
+const HEADING = /^\s*#{1,6}\s+/;
+const FENCE = /^\s*```/;
+
+const startsBlock = (line) => [BULLET, NUMBERED, QUOTE, HEADING, FENCE].some(pattern => pattern.test(line));
+
+const renderBlocks = (lines, keyPrefix) => {
+  const blocks = [];
+  let i = 0;
+
+  // Consecutive lines matching pattern, with the marker removed
+  const takeWhile = (pattern) => {
+    const taken = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      taken.push(lines[i].replace(pattern, ''));
+      i++;
+    }
+    return taken;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const key = `${keyPrefix}-${i}`;
+
+    if (line.trim() === '') {
+      i++;
+    } else if (FENCE.test(line)) {
+      // Everything up to the closing fence (or the end), exactly as typed
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(<pre key={key}><code>{code.join('\n')}</code></pre>);
+    } else if (BULLET.test(line)) {
+      const items = takeWhile(BULLET);
+      blocks.push(<ul key={key}>{items.map((item, n) => <li key={n}>{renderInline(item, `${key}-${n}`)}</li>)}</ul>);
+    } else if (NUMBERED.test(line)) {
+      const items = takeWhile(NUMBERED);
+      blocks.push(<ol key={key}>{items.map((item, n) => <li key={n}>{renderInline(item, `${key}-${n}`)}</li>)}</ol>);
+    } else if (QUOTE.test(line)) {
+      blocks.push(<blockquote key={key}>{renderBlocks(takeWhile(QUOTE), key)}</blockquote>);
+    } else if (HEADING.test(line)) {
+      i++;
+      blocks.push(<p key={key} className="markdown-heading"><strong>{renderInline(line.replace(HEADING, ''), key)}</strong></p>);
+    } else {
+      // A paragraph runs until a blank line or the start of another block
+      const paragraph = [line];
+      i++;
+      while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i])) {
+        paragraph.push(lines[i]);
+        i++;
+      }
+      blocks.push(<p key={key}>{renderLines(paragraph, key)}</p>);
+    }
+  }
+
+  return blocks;
+};
+
+// Markdown text -> an array of React elements (paragraphs, lists, ...)
+export const renderMarkdown = (text) => renderBlocks(String(text || '').split(/\r?\n/), 'md');
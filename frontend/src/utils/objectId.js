@@ -0,0 +1,13 @@
+// Create MongoDB-style ObjectIds in the browser
+// Tasks created offline need an ID before the server has seen them;
+// POST /sync accepts the client's ID, so the task keeps it once synced
+
+// 24 hex characters: 4 bytes of seconds since 1970, then 8 random bytes
+export const createObjectId = () => {
+  const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+  const random = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return seconds + random;
+};
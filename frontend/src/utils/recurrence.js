@@ -0,0 +1,58 @@
+// Helpers for task recurrence rules (see backend/src/utils/recurrence.js)
+// Rules look like: { frequency: 'weekly', interval: 2, byWeekday: ['MO', 'TH'] }
+
+// RRULE weekday codes in display order (Monday first)
+export const WEEKDAY_OPTIONS = [
+  { code: 'MO', short: 'Mon', initial: 'M' },
+  { code: 'TU', short: 'Tue', initial: 'T' },
+  { code: 'WE', short: 'Wed', initial: 'W' },
+  { code: 'TH', short: 'Thu', initial: 'T' },
+  { code: 'FR', short: 'Fri', initial: 'F' },
+  { code: 'SA', short: 'Sat', initial: 'S' },
+  { code: 'SU', short: 'Sun', initial: 'S' },
+];
+
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year',
+};
+
+// 1 -> "1st", 22 -> "22nd", 13 -> "13th"
+const ordinal = (n) => {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+};
+
+// Human readable summary, e.g. "Every 2 weeks on Mon, Thu, 3 times"
+export const describeRecurrence = (rule) => {
+  if (!rule || !UNITS[rule.frequency]) {
+    return '';
+  }
+
+  const interval = rule.interval || 1;
+  const unit = UNITS[rule.frequency];
+  let text = interval === 1
+    ? (rule.frequency === 'daily' ? 'Daily' : `${unit[0].toUpperCase()}${unit.slice(1)}ly`)
+    : `Every ${interval} ${unit}s`;
+
+  if (rule.frequency === 'weekly' && rule.byWeekday?.length > 0) {
+    const days = WEEKDAY_OPTIONS
+      .filter(day => rule.byWeekday.includes(day.code))
+      .map(day => day.short);
+    text += ` on ${days.join(', ')}`;
+  }
+
+  if (rule.frequency === 'monthly' && rule.byMonthDay) {
+    text += rule.byMonthDay === -1 ? ' on the last day' : ` on the ${ordinal(rule.byMonthDay)}`;
+  }
+
+  if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+
+  return text;
+};
@@ -0,0 +1,43 @@
+import toast from 'react-hot-toast';
+import { operationsAPI } from '../services/api';
+
+// Success toast with an "Undo" button
+// operationIds come from the API responses of the changes being confirmed.
+// Changes made offline have none - if none are left, it's a plain success toast.
+// onUndone runs after undoing (whether it worked or not), e.g. to reload the list
+export const showUndoToast = (message, operationIds, onUndone) => {
+  const ids = operationIds.filter(Boolean);
+
+  if (ids.length === 0) {
+    toast.success(message);
+    return;
+  }
+
+  toast.success((t) => (
+    <span>
+      {message}{' '}
+      <button
+        className="link-button"
+        onClick={() => {
+          toast.dismiss(t.id);
+          undoOperations(ids, onUndone);
+        }}
+      >
+        Undo
+      </button>
+    </span>
+  ), { duration: 6000 });
+};
+
+const undoOperations = async (ids, onUndone) => {
+  try {
+    await Promise.all(ids.map(id => operationsAPI.undo(id)));
+    toast.success('Undone');
+  } catch (err) {
+    toast.error(`Couldn't undo: ${err.message}`);
+  } finally {
+    if (onUndone) {
+      onUndone();
+    }
+  }
+};
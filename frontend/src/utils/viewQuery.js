@@ -0,0 +1,81 @@
+// Helpers for saved views (see viewsAPI in services/api.js)
+// Translates between TaskList's filter and sort settings and a view's
+// query (the GET /tasks query language) and sort ('field:direction').
+
+// ========== QUERY ==========
+
+// Turn the list's current filters into a view query
+// baseQuery: the query of the view being shown, if any - kept, so a view
+// saved from another view shows a subset of it
+// The search box text is saved as a phrase to find in the description.
+export const buildViewQuery = ({
+  baseQuery = '',
+  projectId = 'all',
+  filter = 'all',
+  selectedTags = [],
+  tagMode = 'all',
+  searchQuery = '',
+}) => {
+  const terms = [];
+
+  if (baseQuery.trim()) {
+    terms.push(baseQuery.trim());
+  }
+
+  if (projectId !== 'all') {
+    terms.push(`project:${projectId}`);
+  }
+
+  if (filter === 'active') {
+    terms.push('-completed');
+  } else if (filter === 'completed') {
+    terms.push('completed');
+  }
+
+  // tag:a,b matches either tag; tag:a tag:b needs both
+  if (selectedTags.length > 0) {
+    if (tagMode === 'any') {
+      terms.push(`tag:${selectedTags.join(',')}`);
+    } else {
+      selectedTags.forEach(tag => terms.push(`tag:${tag}`));
+    }
+  }
+
+  const text = searchQuery.replace(/"/g, '').trim();
+  if (text) {
+    terms.push(`"${text}"`);
+  }
+
+  return terms.join(' ');
+};
+
+// ========== SORT ==========
+
+// TaskList's sort options and the view sort fields they match
+const SORT_FIELDS = { date: 'dueDate', priority: 'priority', name: 'description' };
+
+// TaskList's priority sort puts high priority first for 'asc',
+// where a view's priority:desc means high first - so it's flipped
+const flip = (direction) => (direction === 'asc' ? 'desc' : 'asc');
+
+// { sortBy, sortDirection } from TaskList -> 'dueDate:asc' (null for no sort)
+export const toViewSort = (sortBy, sortDirection) => {
+  const field = SORT_FIELDS[sortBy];
+
+  if (!field) {
+    return null;
+  }
+  return `${field}:${sortBy === 'priority' ? flip(sortDirection) : sortDirection}`;
+};
+
+// 'dueDate:asc' -> { sortBy, sortDirection } for TaskList
+// Sorts TaskList has no button for (like createdAt) leave the list unsorted
+export const fromViewSort = (sort) => {
+  const [field, direction = 'asc'] = (sort || '').split(':');
+  const sortBy = Object.keys(SORT_FIELDS).find(key => SORT_FIELDS[key] === field);
+
+  if (!sortBy) {
+    return { sortBy: 'none', sortDirection: 'asc' };
+  }
+  return { sortBy, sortDirection: sortBy === 'priority' ? flip(direction) : direction };
+};